@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import { getDatabase } from './db.js';
+import { normalizeSentiment } from './i18n.js';
+
+// 每次完成的分析都新增一列（不覆寫），用來追蹤評級 / 目標價隨時間的變化
+const db = getDatabase();
+db.prepare(`CREATE TABLE IF NOT EXISTS analysis_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ticker TEXT NOT NULL,
+  baseline_date TEXT NOT NULL,
+  rating TEXT,
+  target_price REAL,
+  stop_loss REAL,
+  confidence TEXT,
+  model TEXT,
+  payload_hash TEXT,
+  inputs_json TEXT,
+  created_at INTEGER NOT NULL
+)`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_analysis_history_ticker ON analysis_history(ticker, baseline_date, created_at)').run();
+
+const insertStmt = db.prepare(`INSERT INTO analysis_history (ticker, baseline_date, rating, target_price, stop_loss, confidence, model, payload_hash, inputs_json, created_at)
+VALUES (@ticker, @baseline_date, @rating, @target_price, @stop_loss, @confidence, @model, @payload_hash, @inputs_json, @created_at)`);
+const latestStmt = db.prepare(`SELECT * FROM analysis_history WHERE ticker=? AND baseline_date=? AND model IS ? ORDER BY created_at DESC, id DESC LIMIT 1`);
+const previousStmt = db.prepare(`SELECT * FROM analysis_history WHERE ticker=? AND baseline_date<=? ORDER BY baseline_date DESC, created_at DESC, id DESC LIMIT 1`);
+const listStmt = db.prepare(`SELECT * FROM analysis_history WHERE ticker=? ORDER BY baseline_date ASC, created_at ASC, id ASC`);
+
+// 會拿來比對差異的輸入欄位；數值欄位另外計算 delta
+const INPUT_FIELDS = ['price','momentum_score','momentum_trend','consensus_avg','news_sentiment','quality_score','analyst_rating','institutional_signal'];
+const NUMERIC_INPUT_FIELDS = new Set(['price','momentum_score','consensus_avg','quality_score']);
+
+function toNumber(value){
+  if(value === '' || value == null) return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+export function hashPayload(payload){
+  if(payload == null) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+function decodeRow(row){
+  return {
+    id: row.id,
+    ticker: row.ticker,
+    baseline_date: row.baseline_date,
+    rating: row.rating || null,
+    target_price: row.target_price ?? null,
+    stop_loss: row.stop_loss ?? null,
+    confidence: row.confidence || null,
+    model: row.model || null,
+    payload_hash: row.payload_hash || null,
+    inputs: row.inputs_json ? normalizeInputs(JSON.parse(row.inputs_json)) : {},
+    created_at: row.created_at
+  };
+}
+
+function normalizeInputs(inputs={}){
+  const normalized = {};
+  for(const field of INPUT_FIELDS){
+    const value = inputs[field];
+    normalized[field] = NUMERIC_INPUT_FIELDS.has(field) ? toNumber(value) : (value == null || value === '' ? null : String(value));
+  }
+  // 新聞情緒存語言中立代碼；舊資料是中文標籤（樂觀 / 中性 / 悲觀），讀出時一併轉換才比得出差異
+  if(normalized.news_sentiment) normalized.news_sentiment = normalizeSentiment(normalized.news_sentiment) || normalized.news_sentiment;
+  return normalized;
+}
+
+// 同一 ticker / 基準日 / 模型若結果與 payload 都沒變（例如 LLM 快取命中）就不重複寫入。
+// 寫入成功時回傳新列 id 與寫入前該 ticker 在此基準日（含）以前最近的一筆，供變更通知比對
+export function recordAnalysisHistory({ ticker, baselineDate, model, action, payloadHash, inputs }){
+  if(!ticker || !baselineDate || !action) return null;
+  const entry = {
+    ticker: ticker.toUpperCase(),
+    baseline_date: baselineDate,
+    rating: action.rating || null,
+    target_price: toNumber(action.target_price),
+    stop_loss: toNumber(action.stop_loss),
+    confidence: action.confidence || null,
+    model: model || null,
+    payload_hash: payloadHash || null,
+    inputs_json: JSON.stringify(normalizeInputs(inputs)),
+    created_at: Date.now()
+  };
+  try{
+    const latest = latestStmt.get(entry.ticker, entry.baseline_date, entry.model);
+    if(latest
+      && latest.payload_hash === entry.payload_hash
+      && latest.rating === entry.rating
+      && latest.target_price === entry.target_price
+      && latest.stop_loss === entry.stop_loss
+      && latest.confidence === entry.confidence){
+      return null;
+    }
+    const previous = previousStmt.get(entry.ticker, entry.baseline_date);
+    const info = insertStmt.run(entry);
+    return { id: Number(info.lastInsertRowid), previous: previous ? decodeRow(previous) : null };
+  }catch(err){
+    console.warn('[analysisHistory] insert failed', err.message);
+    return null;
+  }
+}
+
+function diffInputs(prev, next){
+  const changes = [];
+  for(const field of INPUT_FIELDS){
+    const from = prev[field] ?? null;
+    const to = next[field] ?? null;
+    if(from === to) continue;
+    const change = { field, from, to };
+    if(NUMERIC_INPUT_FIELDS.has(field) && from != null && to != null){
+      change.delta = Number((to - from).toFixed(4));
+    }
+    changes.push(change);
+  }
+  return changes;
+}
+
+// 依基準日、寫入時間排序，每筆都與前一筆比較評級、目標價與輸入變化
+export function getTickerHistory(ticker, { date=null, changesOnly=false, limit=null }={}){
+  const rows = listStmt.all(String(ticker || '').toUpperCase()).map(decodeRow)
+    .filter(row=>!date || row.baseline_date === date);
+  let prev = null;
+  const entries = rows.map(row=>{
+    const entry = { ...row, changes:null };
+    if(prev){
+      const ratingChanged = prev.rating !== row.rating;
+      const targetChanged = prev.target_price !== row.target_price;
+      entry.changes = {
+        rating_changed: ratingChanged,
+        target_changed: targetChanged,
+        rating: ratingChanged ? { from: prev.rating, to: row.rating } : null,
+        target_price: targetChanged ? {
+          from: prev.target_price,
+          to: row.target_price,
+          change_pct: prev.target_price && row.target_price != null
+            ? Number(((row.target_price - prev.target_price) / prev.target_price * 100).toFixed(2))
+            : null
+        } : null,
+        inputs: diffInputs(prev.inputs, row.inputs),
+        payload_changed: prev.payload_hash !== row.payload_hash
+      };
+    }
+    prev = row;
+    return entry;
+  });
+  // 第一筆沒有前一筆可比較，changes_only 時仍保留作為起點
+  const filtered = changesOnly
+    ? entries.filter((entry, index)=>index === 0 || entry.changes.rating_changed || entry.changes.target_changed)
+    : entries;
+  return Number.isFinite(limit) && limit > 0 ? filtered.slice(-limit) : filtered;
+}
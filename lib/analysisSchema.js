@@ -0,0 +1,366 @@
+import { SENTIMENT_CODES, DIRECTION_CODES, normalizeSentiment, normalizeDirection } from './i18n.js';
+
+// 主分析 LLM 輸出的 JSON Schema（對應 lib/llm.js 的 SYSTEM_PROMPT 結構）與輕量驗證器。
+// 只實作本專案用得到的關鍵字：type / properties / required / items / enum / minimum / maximum / minItems。
+// 另有自訂的 normalize(value)：enum 比對失敗時先嘗試轉成合法值（例如舊版 prompt 的中文標籤轉成代碼）。
+const stringList = { type:'array', items:{ type:'string' } };
+const termView = horizon=>({
+  type:'object',
+  properties:{
+    horizon:{ type:'string', default: horizon },
+    direction:{ type:'string', enum: DIRECTION_CODES, normalize: normalizeDirection },
+    expected_move_pct:{ type:'number' }
+  }
+});
+
+export const ANALYSIS_SCHEMA = {
+  $schema:'http://json-schema.org/draft-07/schema#',
+  title:'EquityAnalysis',
+  type:'object',
+  required:['per_filing','consensus_view','action','profile','news_insight'],
+  properties:{
+    per_filing:{
+      type:'array',
+      items:{
+        type:'object',
+        required:['form','explanation'],
+        properties:{
+          form:{ type:'string' },
+          filingDate:{ type:'string' },
+          reportDate:{ type:'string' },
+          five_indicators:{
+            type:'object',
+            properties:{
+              alignment_score:{ type:'number' },
+              key_conflicts: stringList,
+              valuation_rationale:{ type:'string' },
+              risk_factors: stringList,
+              catalyst_timeline:{
+                type:'array',
+                items:{
+                  type:'object',
+                  properties:{ event:{ type:'string' }, window:{ type:'string' }, why:{ type:'string' } }
+                }
+              }
+            }
+          },
+          explanation:{ type:'string' }
+        }
+      }
+    },
+    consensus_view:{
+      type:'object',
+      required:['summary'],
+      properties:{
+        summary:{ type:'string' },
+        agreement_ratio:{ type:'number', minimum:0, maximum:1 }
+      }
+    },
+    action:{
+      type:'object',
+      required:['rating','target_price','stop_loss','confidence','rationale'],
+      properties:{
+        rating:{ type:'string', enum:['BUY','HOLD','SELL'] },
+        target_price:{ type:'number', minimum:0 },
+        stop_loss:{ type:'number', minimum:0 },
+        confidence:{ type:'string', enum:['high','medium','low'] },
+        valuation_gap:{
+          type:'object',
+          properties:{ vs_price_pct:{ type:'number' }, narrative:{ type:'string' } }
+        },
+        target_band:{
+          type:'object',
+          properties:{ upper_pct:{ type:'number' }, lower_pct:{ type:'number' }, reason:{ type:'string' } }
+        },
+        re_rating_triggers: stringList,
+        rationale:{ type:'string' },
+        key_catalysts: stringList,
+        risk_watchlist: stringList,
+        short_term_view: termView('7d'),
+        medium_term_view: termView('30d')
+      }
+    },
+    profile:{
+      type:'object',
+      required:['score','filters'],
+      properties:{
+        segment:{ type:'string', enum:['large_cap','small_cap'] },
+        segment_label:{ type:'string' },
+        summary:{ type:'string' },
+        filters:{
+          type:'object',
+          required:['items'],
+          properties:{
+            total:{ type:'number' },
+            met:{ type:'number', minimum:0, maximum:8 },
+            items:{
+              type:'array',
+              minItems:8,
+              items:{
+                type:'object',
+                required:['name','met'],
+                properties:{ key:{ type:'string' }, name:{ type:'string' }, met:{ type:'boolean' }, reason:{ type:'string' } }
+              }
+            }
+          }
+        },
+        score:{ type:'number', minimum:0, maximum:100 },
+        score_detail:{
+          type:'array',
+          items:{
+            type:'object',
+            properties:{ key:{ type:'string' }, category:{ type:'string' }, points:{ type:'number' }, reason:{ type:'string' } }
+          }
+        },
+        catalysts: stringList
+      }
+    },
+    sector:{
+      type:'object',
+      properties:{ sector:{ type:'string' }, industry:{ type:'string' } }
+    },
+    news_insight:{
+      type:'object',
+      required:['summary','impact'],
+      properties:{
+        summary:{ type:'string' },
+        impact:{ type:'string', enum: SENTIMENT_CODES, normalize: normalizeSentiment },
+        key_events:{
+          type:'array',
+          items:{
+            type:'object',
+            properties:{ title:{ type:'string' }, why:{ type:'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+// OpenAI Structured Outputs（strict）限制：每個物件都要 additionalProperties:false 且所有欄位列入 required，
+// 選填欄位改成可為 null；範圍 / 最少項目 / 預設值等關鍵字部分模型快照不接受，一律拿掉交給 validateAnalysis 檢查。
+function toStrict(schema, optional){
+  const out = {};
+  if(schema.type === 'object'){
+    const props = schema.properties || {};
+    const required = new Set(schema.required || []);
+    out.type = 'object';
+    out.properties = Object.fromEntries(Object.entries(props).map(([key, child])=>[key, toStrict(child, !required.has(key))]));
+    out.required = Object.keys(props);
+    out.additionalProperties = false;
+  }else if(schema.type === 'array'){
+    out.type = 'array';
+    out.items = toStrict(schema.items || { type:'string' }, false);
+  }else{
+    out.type = schema.type;
+    if(schema.enum) out.enum = [...schema.enum];
+  }
+  if(optional){
+    out.type = [out.type, 'null'];
+    if(out.enum) out.enum.push(null);
+  }
+  return out;
+}
+
+export const ANALYSIS_RESPONSE_FORMAT = {
+  name:'EquityAnalysis',
+  strict:true,
+  schema: toStrict(ANALYSIS_SCHEMA, false)
+};
+
+const TRUE_WORDS = ['true','yes','y','1','是','符合','通過'];
+const FALSE_WORDS = ['false','no','n','0','否','不符合','未通過'];
+
+function typeOf(value){
+  if(Array.isArray(value)) return 'array';
+  if(value === null) return 'null';
+  return typeof value;
+}
+
+// 回傳 { ok, value }；只做不會改變語意的轉換（"$225" → 225、"true" → true、單一字串 → [字串]）
+function coerce(schema, value){
+  const actual = typeOf(value);
+  switch(schema.type){
+    case 'number':{
+      if(actual === 'number') return { ok: Number.isFinite(value), value };
+      if(actual === 'string'){
+        const cleaned = value.replace(/[,$\s]/g, '').replace(/%$/, '');
+        const num = cleaned === '' ? NaN : Number(cleaned);
+        return Number.isFinite(num) ? { ok:true, value: num, coerced:true } : { ok:false };
+      }
+      return { ok:false };
+    }
+    case 'string':
+      if(actual === 'string') return { ok:true, value };
+      if(actual === 'number' || actual === 'boolean') return { ok:true, value: String(value), coerced:true };
+      return { ok:false };
+    case 'boolean':{
+      if(actual === 'boolean') return { ok:true, value };
+      const word = String(value).trim().toLowerCase();
+      if(TRUE_WORDS.includes(word)) return { ok:true, value:true, coerced:true };
+      if(FALSE_WORDS.includes(word)) return { ok:true, value:false, coerced:true };
+      return { ok:false };
+    }
+    case 'array':
+      if(actual === 'array') return { ok:true, value };
+      if(schema.items?.type === 'string' && actual === 'string') return { ok:true, value:[value], coerced:true };
+      return { ok:false };
+    case 'object':
+      return actual === 'object' ? { ok:true, value } : { ok:false };
+    default:
+      return { ok:true, value };
+  }
+}
+
+function joinPath(base, key){
+  if(typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function preview(value){
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// 就地驗證並修正 doc：
+// - errors：必填欄位缺值或無法轉換，交給呼叫端做定點修復
+// - warnings：已自動轉型或丟棄的選填欄位
+export function validateAnalysis(doc){
+  const errors = [];
+  const warnings = [];
+
+  function visit(schema, holder, key, path, required){
+    let value = holder[key];
+    if(value === undefined || value === null || value === ''){
+      if(required){
+        errors.push({ path, code:'missing', expected: describeExpected(schema) });
+      }else if(value === null || (value === '' && schema.type !== 'string')){
+        // strict 模式下選填欄位會回 null，直接拿掉
+        delete holder[key];
+      }
+      return;
+    }
+    const result = coerce(schema, value);
+    if(!result.ok){
+      fail(path, 'invalid_type', `expected ${schema.type}, got ${preview(value)}`);
+      return;
+    }
+    if(result.coerced){
+      warnings.push({ path, code:'coerced', detail:`${preview(value)} → ${preview(result.value)}` });
+      value = result.value;
+      holder[key] = value;
+    }
+    if(schema.enum && !schema.enum.includes(value)){
+      let match = schema.enum.find(option=>String(option).toLowerCase() === String(value).trim().toLowerCase());
+      if(match === undefined && schema.normalize) match = schema.normalize(value) ?? undefined;
+      if(match === undefined){
+        fail(path, 'invalid_enum', `expected one of ${schema.enum.join('|')}, got ${preview(value)}`);
+        return;
+      }
+      warnings.push({ path, code:'coerced', detail:`${preview(value)} → ${preview(match)}` });
+      holder[key] = match;
+      value = match;
+    }
+    if(schema.type === 'number'){
+      // 比例欄位若給成百分比（70 而不是 0.7）就換算回來
+      if(schema.maximum === 1 && value > 1 && value <= 100){
+        warnings.push({ path, code:'coerced', detail:`${value} → ${value / 100}（百分比轉比例）` });
+        value = value / 100;
+        holder[key] = value;
+      }
+      if((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)){
+        fail(path, 'out_of_range', `expected ${schema.minimum ?? '-∞'} ~ ${schema.maximum ?? '∞'}, got ${value}`);
+        return;
+      }
+    }
+    if(schema.type === 'array'){
+      if(schema.items){
+        for(let i = 0; i < value.length; i++){
+          visit(schema.items, value, i, joinPath(path, i), false);
+        }
+        // 選填的陣列元素驗證失敗時會被刪成 undefined，這裡順便壓實
+        const compacted = value.filter(item=>item !== undefined);
+        if(compacted.length !== value.length){
+          holder[key] = compacted;
+          value = compacted;
+        }
+      }
+      if(schema.minItems && value.length < schema.minItems){
+        fail(path, 'too_few_items', `expected at least ${schema.minItems} items, got ${value.length}`);
+      }
+      return;
+    }
+    if(schema.type === 'object' && schema.properties){
+      const requiredKeys = new Set(schema.required || []);
+      Object.entries(schema.properties).forEach(([prop, child])=>{
+        if(value[prop] == null && child.default !== undefined){
+          value[prop] = child.default;
+          return;
+        }
+        visit(child, value, prop, joinPath(path, prop), requiredKeys.has(prop));
+      });
+    }
+
+    function fail(failPath, code, detail){
+      if(required){
+        errors.push({ path: failPath, code, detail, expected: describeExpected(schema) });
+      }else{
+        warnings.push({ path: failPath, code:'dropped', detail });
+        if(Array.isArray(holder)) holder[key] = undefined;
+        else delete holder[key];
+      }
+    }
+  }
+
+  if(typeOf(doc) !== 'object'){
+    return { errors:[{ path:'', code:'invalid_type', detail:'expected object' }], warnings };
+  }
+  const rootRequired = new Set(ANALYSIS_SCHEMA.required);
+  Object.entries(ANALYSIS_SCHEMA.properties).forEach(([prop, child])=>{
+    visit(child, doc, prop, prop, rootRequired.has(prop));
+  });
+  return { errors, warnings };
+}
+
+// 給修復 prompt 用的精簡型別描述，避免把整份 schema 送出去
+export function describeExpected(schema){
+  if(!schema) return null;
+  const out = { type: schema.type };
+  if(schema.enum) out.enum = schema.enum;
+  if(schema.minimum !== undefined) out.minimum = schema.minimum;
+  if(schema.maximum !== undefined) out.maximum = schema.maximum;
+  if(schema.minItems) out.minItems = schema.minItems;
+  if(schema.type === 'array' && schema.items) out.items = describeExpected(schema.items);
+  if(schema.type === 'object' && schema.properties){
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v])=>[k, describeExpected(v)]));
+    if(schema.required) out.required = schema.required;
+  }
+  return out;
+}
+
+function parsePath(path){
+  const parts = [];
+  String(path).replace(/([^.[\]]+)|\[(\d+)\]/g, (_, name, index)=>{
+    parts.push(index !== undefined ? Number(index) : name);
+    return '';
+  });
+  return parts;
+}
+
+export function getAtPath(doc, path){
+  return parsePath(path).reduce((cursor, part)=>(cursor == null ? undefined : cursor[part]), doc);
+}
+
+// 把修復結果 { "action.target_price": 120 } 寫回原文件，中間缺的物件 / 陣列會自動建立
+export function setAtPath(doc, path, value){
+  const parts = parsePath(path);
+  if(!parts.length) return;
+  let cursor = doc;
+  parts.slice(0, -1).forEach((part, idx)=>{
+    if(cursor[part] === undefined || cursor[part] === null || typeof cursor[part] !== 'object'){
+      cursor[part] = typeof parts[idx + 1] === 'number' ? [] : {};
+    }
+    cursor = cursor[part];
+  });
+  cursor[parts[parts.length - 1]] = value;
+}
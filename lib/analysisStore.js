@@ -1,9 +1,6 @@
-import fs from 'fs';
-import path from 'path';
-import Database from 'better-sqlite3';
+import { getDatabase } from './db.js';
 
 const BASE_SCHEMA_VERSION = 'analysis_v3';
-const DEFAULT_DB_PATH = path.resolve(process.env.ANALYSIS_DB_PATH || 'data/analyses.db');
 const ANALYSIS_DB_ENABLED = process.env.ENABLE_ANALYSIS_DB === 'true';
 
 let getStmt;
@@ -14,11 +11,7 @@ let llmGetStmt;
 let llmUpsertStmt;
 
 if(ANALYSIS_DB_ENABLED){
-  const dir = path.dirname(DEFAULT_DB_PATH);
-  if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive:true });
-
-  const db = new Database(DEFAULT_DB_PATH);
-  db.pragma('journal_mode = WAL');
+  const db = getDatabase();
   db.prepare(`CREATE TABLE IF NOT EXISTS analyses (
     ticker TEXT NOT NULL,
     baseline_date TEXT NOT NULL,
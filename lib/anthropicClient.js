@@ -0,0 +1,63 @@
+import axios from 'axios';
+import { isRetryableLlmError } from './openaiClient.js';
+
+// Anthropic Messages API：system 需獨立成欄位、max_tokens 必填、沒有 response_format / seed
+const BASE_URL = String(process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+const API_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01';
+const DEFAULT_MAX_TOKENS = Number(process.env.ANTHROPIC_MAX_TOKENS || 2048);
+const DEFAULT_ATTEMPTS = Number(process.env.ANTHROPIC_RETRY_ATTEMPTS || process.env.OPENAI_RETRY_ATTEMPTS || 3);
+const DEFAULT_DELAY_MS = Number(process.env.ANTHROPIC_RETRY_DELAY_MS || process.env.OPENAI_RETRY_DELAY_MS || 2000);
+const JSON_ONLY_INSTRUCTION = '只輸出單一合法 JSON，不要加入 code fence 或任何說明文字。';
+
+function sleep(ms){
+  return new Promise(resolve=>setTimeout(resolve, ms));
+}
+
+export function getAnthropicEndpoint(){
+  return { base_url: BASE_URL, version: API_VERSION };
+}
+
+export async function callAnthropicMessages({
+  apiKey,
+  model,
+  messages,
+  timeoutMs=60000,
+  temperature=0,
+  maxTokens,
+  jsonMode=false,
+  signal
+}){
+  if(!apiKey) throw new Error('Missing Anthropic key');
+  const systemParts = messages.filter(m=>m.role === 'system').map(m=>m.content);
+  if(jsonMode) systemParts.push(JSON_ONLY_INSTRUCTION);
+  const payload = {
+    model,
+    max_tokens: Number.isFinite(maxTokens) && maxTokens > 0 ? Math.round(maxTokens) : DEFAULT_MAX_TOKENS,
+    messages: messages
+      .filter(m=>m.role !== 'system')
+      .map(m=>({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content })),
+    temperature
+  };
+  if(systemParts.length) payload.system = systemParts.join('\n\n');
+  let lastErr;
+  for(let attempt=1; attempt<=Math.max(1, DEFAULT_ATTEMPTS); attempt++){
+    try{
+      return await axios.post(`${BASE_URL}/v1/messages`, payload,{
+        headers:{
+          'x-api-key': apiKey,
+          'anthropic-version': API_VERSION,
+          'Content-Type':'application/json'
+        },
+        timeout: timeoutMs,
+        signal
+      });
+    }catch(err){
+      lastErr = err;
+      if(attempt === DEFAULT_ATTEMPTS || signal?.aborted || !isRetryableLlmError(err)) throw err;
+      const delay = DEFAULT_DELAY_MS * (2 ** (attempt-1));
+      const jitter = Math.random() * 300;
+      await sleep(delay + jitter);
+    }
+  }
+  throw lastErr;
+}
@@ -0,0 +1,211 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { normalizeSentiment } from './i18n.js';
+
+export const BATCH_SUMMARY_FIELDS = ['ticker','date','model','current_price','llm_target_price','recommendation','segment','quality_score','news_sentiment','news_sentiment_label','momentum_score','trend_flag','institutional_signal','pt_recent_month_avg','pt_recent_quarter_avg','analyst_rating','analyst_rating_trend','analyst_grade_consensus','recent_avg_target','grades_diff','rating_trend'];
+export const BATCH_EXPORT_FORMATS = ['csv','xlsx','json'];
+
+const NUMERIC_SUMMARY_FIELDS = new Set(['current_price','llm_target_price','quality_score','momentum_score','pt_recent_month_avg','pt_recent_quarter_avg','recent_avg_target','grades_diff']);
+
+function toNumber(value){
+  if(value === '' || value == null) return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// pass-through 欄位來自上傳檔，看起來像數字的字串轉成 number；前導 0 的代碼（例如 00123）維持文字
+const NUMERIC_TEXT_PATTERN = /^[-+]?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$|^[-+]?\.\d+$/;
+
+function passthroughCell(value){
+  if(value === '' || value == null) return null;
+  if(typeof value !== 'string') return value;
+  const text = value.trim();
+  if(!NUMERIC_TEXT_PATTERN.test(text)) return value;
+  const num = Number(text);
+  return Number.isFinite(num) ? num : value;
+}
+
+function toList(value){
+  return Array.isArray(value) ? value.filter(item=>item != null && item !== '').map(String) : [];
+}
+
+// 批次每列只保留匯出需要的欄位，避免整份 performAnalysis 結果塞進 batch_rows
+export function buildBatchDetail(result){
+  if(!result) return null;
+  const action = result.analysis?.action || {};
+  const metrics = result.analyst_metrics || {};
+  return {
+    action:{
+      rating: action.rating || null,
+      confidence: action.confidence || null,
+      target_price: toNumber(action.target_price),
+      stop_loss: toNumber(action.stop_loss),
+      rationale: action.rationale || '',
+      key_catalysts: toList(action.key_catalysts),
+      risk_watchlist: toList(action.risk_watchlist),
+      re_rating_triggers: toList(action.re_rating_triggers)
+    },
+    analyst:{
+      price_targets: metrics.price_targets || null,
+      rating: metrics.rating || null,
+      grades: metrics.grades || null,
+      estimates: metrics.estimates || null
+    },
+    news:{
+      sentiment: result.news?.sentiment?.sentiment || normalizeSentiment(result.news?.sentiment?.sentiment_label) || null,
+      sentiment_label: result.news?.sentiment?.sentiment_label || null,
+      summary: result.news?.sentiment?.summary || '',
+      articles: (Array.isArray(result.news?.articles) ? result.news.articles : []).map(a=>({
+        title: a.title || '',
+        source: a.source || '',
+        published_at: a.published_at || '',
+        url: a.url || '',
+        tone: a.tone || ''
+      }))
+    },
+    filings: (Array.isArray(result.per_filing_summaries) ? result.per_filing_summaries : []).map(f=>({
+      form: f.form || '',
+      filing_date: f.filingDate || '',
+      report_date: f.reportDate || '',
+      summary: f.mda_summary || f.mda_excerpt || ''
+    })),
+    top_holders: (Array.isArray(result.institutional?.top_holders) ? result.institutional.top_holders : []).map(h=>({
+      name: h.name || '',
+      value: toNumber(h.value),
+      weight: toNumber(h.weight),
+      change_shares: toNumber(h.change_shares),
+      change_percent: toNumber(h.change_percent)
+    }))
+  };
+}
+
+// pass-through 欄位接在摘要欄位之後，欄名與上傳檔表頭相同
+function summaryRecord(row, passthrough){
+  const record = { ...row.summary };
+  passthrough.forEach(label=>{
+    if(record[label] === undefined) record[label] = row.extra?.[label] ?? '';
+  });
+  return record;
+}
+
+function summaryFields(passthrough){
+  return [...BATCH_SUMMARY_FIELDS, ...passthrough.filter(label=>!BATCH_SUMMARY_FIELDS.includes(label))];
+}
+
+export function buildBatchCsv(rows, passthrough=[]){
+  const fields = summaryFields(passthrough);
+  const records = rows.filter(row=>row.summary).map(row=>summaryRecord(row, passthrough));
+  return Papa.unparse({
+    fields,
+    data: records.map(r=>fields.map(f=>r[f]))
+  });
+}
+
+function appendSheet(wb, name, header, records){
+  // aoa_to_sheet 會依 JS 型別產生儲存格，數字維持 number，null 則留空
+  const ws = XLSX.utils.aoa_to_sheet([header, ...records]);
+  XLSX.utils.book_append_sheet(wb, ws, name);
+}
+
+export function buildBatchWorkbook(rows, passthrough=[]){
+  const finished = rows.filter(row=>row.summary);
+  const fields = summaryFields(passthrough);
+  const passthroughFields = new Set(passthrough.filter(label=>!BATCH_SUMMARY_FIELDS.includes(label)));
+  const wb = XLSX.utils.book_new();
+  appendSheet(wb, 'Summary', fields, finished.map(row=>{
+    const record = summaryRecord(row, passthrough);
+    return fields.map(field=>{
+      const value = record[field];
+      if(NUMERIC_SUMMARY_FIELDS.has(field)) return toNumber(value);
+      if(passthroughFields.has(field)) return passthroughCell(value);
+      return value === '' ? null : value ?? null;
+    });
+  }));
+
+  const withDetail = finished.filter(row=>row.detail);
+  appendSheet(wb, 'Rationale',
+    ['ticker','date','rating','confidence','target_price','stop_loss','rationale','key_catalysts','risk_watchlist','re_rating_triggers'],
+    withDetail.map(({ summary, detail })=>[
+      summary.ticker,
+      summary.date,
+      detail.action.rating,
+      detail.action.confidence,
+      detail.action.target_price,
+      detail.action.stop_loss,
+      detail.action.rationale,
+      detail.action.key_catalysts.join('\n') || null,
+      detail.action.risk_watchlist.join('\n') || null,
+      detail.action.re_rating_triggers.join('\n') || null
+    ]));
+
+  appendSheet(wb, 'Analyst',
+    ['ticker','date','pt_month_avg','pt_month_count','pt_quarter_avg','pt_quarter_count','pt_year_avg','pt_year_count','pt_recent_avg','pt_confidence','rating','rating_score','rating_trend','upgrades_90d','downgrades_90d','grade_consensus','eps_next_quarter','revenue_next_quarter','eps_next_year','revenue_next_year'],
+    withDetail.map(({ summary, detail })=>{
+      const { price_targets: pt, rating, grades, estimates } = detail.analyst;
+      return [
+        summary.ticker,
+        summary.date,
+        toNumber(pt?.month_avg),
+        toNumber(pt?.month_count),
+        toNumber(pt?.quarter_avg),
+        toNumber(pt?.quarter_count),
+        toNumber(pt?.year_avg),
+        toNumber(pt?.year_count),
+        toNumber(pt?.recent_avg),
+        pt?.confidence || null,
+        rating?.latest || null,
+        toNumber(rating?.score),
+        rating?.trend || null,
+        toNumber(grades?.upgrades_90d),
+        toNumber(grades?.downgrades_90d),
+        grades?.consensus_label || null,
+        toNumber(estimates?.quarterly?.eps_avg),
+        toNumber(estimates?.quarterly?.revenue_avg),
+        toNumber(estimates?.annual?.eps_avg),
+        toNumber(estimates?.annual?.revenue_avg)
+      ];
+    }));
+
+  appendSheet(wb, 'News',
+    ['ticker','date','sentiment','sentiment_label','published_at','source','title','url'],
+    withDetail.flatMap(({ summary, detail })=>{
+      if(!detail.news.articles.length){
+        return [[summary.ticker, summary.date, detail.news.sentiment, detail.news.sentiment_label, null, null, detail.news.summary || null, null]];
+      }
+      return detail.news.articles.map(a=>[
+        summary.ticker,
+        summary.date,
+        detail.news.sentiment,
+        detail.news.sentiment_label,
+        a.published_at || null,
+        a.source || null,
+        a.title || null,
+        a.url || null
+      ]);
+    }));
+
+  appendSheet(wb, 'Filings',
+    ['ticker','date','form','filing_date','report_date','summary'],
+    withDetail.flatMap(({ summary, detail })=>detail.filings.map(f=>[
+      summary.ticker,
+      summary.date,
+      f.form,
+      f.filing_date,
+      f.report_date,
+      f.summary
+    ])));
+
+  appendSheet(wb, 'Institutional',
+    ['ticker','date','holder','value','weight','change_shares','change_percent'],
+    withDetail.flatMap(({ summary, detail })=>detail.top_holders.map(h=>[
+      summary.ticker,
+      summary.date,
+      h.name,
+      h.value,
+      h.weight,
+      h.change_shares,
+      h.change_percent
+    ])));
+
+  return XLSX.write(wb, { type:'buffer', bookType:'xlsx' });
+}
@@ -0,0 +1,201 @@
+import path from 'path';
+import dayjs from 'dayjs';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+
+// deferred 與批次層級 ?mode=deferred 相同：先跑 metrics-only，LLM 分析排進背景佇列，可逐列指定
+export const BATCH_MODES = ['full','metrics-only','cached-only','deferred'];
+const BATCH_FREQUENCIES = {
+  daily:{ unit:'day', step:1 },
+  weekly:{ unit:'week', step:1 },
+  monthly:{ unit:'month', step:1 },
+  quarterly:{ unit:'month', step:3 }
+};
+const MAX_DATES_PER_ROW = Math.max(1, Number(process.env.BATCH_MAX_DATES_PER_ROW || 60));
+const TICKER_PATTERN = /^[A-Z][A-Z0-9.\-]{0,9}$/;
+
+// 表頭別名（小寫比對），未列在這裡的欄位一律視為 pass-through 欄位原樣帶到輸出
+const COLUMN_ALIASES = {
+  ticker:['ticker','symbol','code','股票代號','代號'],
+  date:['date','as_of','asof','baseline_date','日期'],
+  model:['model','analysis_model'],
+  mode:['mode'],
+  start:['start','start_date','from'],
+  end:['end','end_date','to'],
+  frequency:['frequency','freq','interval']
+};
+
+const YMD_PATTERN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/;
+const MDY_PATTERN = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/;
+
+// 數字年月日先逐位比對：dayjs / Date 會把 2025-13-01、2025-02-30 滾成隔年 / 下個月，這類輸入直接判為無效
+function strictNumericDate(str){
+  const ymd = str.match(YMD_PATTERN);
+  const mdy = ymd ? null : str.match(MDY_PATTERN);
+  if(!ymd && !mdy) return null;
+  const [year, month, day] = ymd ? [ymd[1], ymd[2], ymd[3]] : [mdy[3], mdy[1], mdy[2]];
+  const formatted = `${year}-${month.padStart(2,'0')}-${day.padStart(2,'0')}`;
+  return dayjs(formatted).format('YYYY-MM-DD') === formatted ? formatted : '';
+}
+
+// 無法辨識或日期不存在時回傳空字串
+export function normalizeDate(raw){
+  if(raw==null) return '';
+  if(typeof raw === 'number'){
+    const date = new Date(Math.round((raw - 25569) * 86400 * 1000));
+    return Number.isNaN(date.getTime()) ? '' : dayjs(date).format('YYYY-MM-DD');
+  }
+  if(raw instanceof Date) return Number.isNaN(raw.getTime()) ? '' : dayjs(raw).format('YYYY-MM-DD');
+  const str = String(raw).trim();
+  if(!str) return '';
+  const numeric = strictNumericDate(str);
+  if(numeric != null) return numeric;
+  const parsed = dayjs(new Date(str));
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : '';
+}
+
+function isBlankCell(value){
+  return String(value ?? '').trim() === '';
+}
+
+// rows 為顯示格式的字串（辨識欄位用）；rawRows 保留儲存格原始型別（數字、布林），pass-through 欄位從這裡取值
+function readRows(file){
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if(ext === '.csv'){
+    const text = file.buffer.toString('utf8');
+    const rows = Papa.parse(text, { skipEmptyLines:false }).data;
+    return { rows, rawRows: rows };
+  }
+  const wb = XLSX.read(file.buffer, { type:'buffer' });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  return {
+    rows: XLSX.utils.sheet_to_json(ws, { header:1, raw:false, defval:'' }),
+    rawRows: XLSX.utils.sheet_to_json(ws, { header:1, raw:true, defval:'' })
+  };
+}
+
+function isBlankRow(row){
+  return !row || !row.length || row.every(cell=>String(cell ?? '').trim() === '');
+}
+
+function resolveHeader(row){
+  const columns = {};
+  const passthrough = [];
+  row.forEach((cell, index)=>{
+    const label = String(cell ?? '').trim();
+    if(!label) return;
+    const key = label.toLowerCase();
+    const field = Object.keys(COLUMN_ALIASES).find(name=>COLUMN_ALIASES[name].includes(key));
+    if(field && columns[field] == null){
+      columns[field] = index;
+    }else{
+      passthrough.push({ index, label });
+    }
+  });
+  if(columns.ticker == null) return null;
+  return { columns, passthrough };
+}
+
+// 沒有可辨識表頭時沿用舊格式：第一欄 ticker、第二欄 date、第三欄 model
+const LEGACY_LAYOUT = { columns:{ ticker:0, date:1, model:2 }, passthrough:[] };
+
+// 每一點都從 start 起算，月底起點（例如 01-31）的月 / 季步進固定落在各月月底，不會逐月縮成 02-28 → 03-28
+function expandDates(start, end, frequency){
+  const spec = BATCH_FREQUENCIES[frequency];
+  const dates = [];
+  const first = dayjs(start);
+  const monthEnd = spec.unit === 'month' && first.date() === first.daysInMonth();
+  const last = dayjs(end);
+  for(let i = 0; ; i++){
+    let cursor = first.add(spec.step * i, spec.unit);
+    if(monthEnd) cursor = cursor.endOf('month');
+    if(cursor.isAfter(last, 'day')) break;
+    const weekday = cursor.day();
+    if(frequency !== 'daily' || (weekday !== 0 && weekday !== 6)){
+      dates.push(cursor.format('YYYY-MM-DD'));
+    }
+    if(dates.length > MAX_DATES_PER_ROW) break;
+  }
+  return dates;
+}
+
+function parseRow(row, layout, rawRow=row){
+  const cell = field=>{
+    const index = layout.columns[field];
+    return index == null ? '' : String(row[index] ?? '').trim();
+  };
+  const ticker = cell('ticker').toUpperCase();
+  const model = cell('model');
+  const mode = cell('mode').toLowerCase();
+  const frequency = (cell('frequency') || 'monthly').toLowerCase();
+  const extra = {};
+  layout.passthrough.forEach(({ index, label })=>{
+    extra[label] = rawRow[index] ?? '';
+  });
+  const rawDate = layout.columns.date != null ? row[layout.columns.date] : '';
+  const rawStart = layout.columns.start != null ? row[layout.columns.start] : '';
+  const rawEnd = layout.columns.end != null ? row[layout.columns.end] : '';
+  const base = { ticker, model, mode: mode || null, extra };
+  const errors = [];
+  if(!ticker) errors.push('缺少 ticker');
+  else if(!TICKER_PATTERN.test(ticker)) errors.push(`ticker 格式錯誤：${ticker}`);
+  if(mode && !BATCH_MODES.includes(mode)) errors.push(`mode 必須為 ${BATCH_MODES.join(' / ')}`);
+
+  let dates = [];
+  const date = normalizeDate(rawDate);
+  const start = normalizeDate(rawStart);
+  const end = normalizeDate(rawEnd);
+  if(!isBlankCell(rawStart) || !isBlankCell(rawEnd)){
+    if(isBlankCell(rawStart) || isBlankCell(rawEnd)){
+      errors.push('start / end 必須同時提供');
+    }else if(!start || !end){
+      if(!start) errors.push(`start 日期無效：${String(rawStart).trim()}`);
+      if(!end) errors.push(`end 日期無效：${String(rawEnd).trim()}`);
+    }else if(dayjs(start).isAfter(dayjs(end))){
+      errors.push('start 不可晚於 end');
+    }else if(!BATCH_FREQUENCIES[frequency]){
+      errors.push(`frequency 必須為 ${Object.keys(BATCH_FREQUENCIES).join(' / ')}`);
+    }else{
+      dates = expandDates(start, end, frequency);
+      if(dates.length > MAX_DATES_PER_ROW){
+        errors.push(`日期區間展開超過 ${MAX_DATES_PER_ROW} 個基準日，請縮短區間或改用較低頻率`);
+      }else if(!dates.length){
+        errors.push('日期區間內沒有可用的基準日');
+      }
+    }
+  }else if(isBlankCell(rawDate)){
+    errors.push('缺少 date');
+  }else if(!date){
+    errors.push(`date 日期無效：${String(rawDate).trim()}`);
+  }else{
+    dates = [date];
+  }
+  if(errors.length){
+    return { tasks:[], error:{ ...base, date: date || start || String(rawDate || rawStart || '').trim(), message: errors.join('；') } };
+  }
+  return { tasks: dates.map(d=>({ ...base, date: d })), error:null };
+}
+
+// 回傳依檔案順序排列的 entries；驗證失敗的列帶 error 訊息，不會被略過
+export function parseBatchFile(file){
+  if(!file) throw new Error('缺少檔案');
+  const { rows, rawRows } = readRows(file);
+  const firstIndex = rows.findIndex(row=>!isBlankRow(row));
+  if(firstIndex === -1) return { entries:[], passthrough:[] };
+  const header = resolveHeader(rows[firstIndex]);
+  const layout = header || LEGACY_LAYOUT;
+  const entries = [];
+  for(let i = header ? firstIndex + 1 : firstIndex; i < rows.length; i++){
+    const row = rows[i];
+    if(isBlankRow(row)) continue;
+    const sourceRow = i + 1;
+    const { tasks, error } = parseRow(row, layout, rawRows[i]);
+    if(error){
+      const { message, ...rest } = error;
+      entries.push({ ...rest, source_row: sourceRow, error: message });
+      continue;
+    }
+    tasks.forEach(task=>entries.push({ ...task, source_row: sourceRow, error:null }));
+  }
+  return { entries, passthrough: layout.passthrough.map(col=>col.label) };
+}
@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import { getDatabase } from './db.js';
+
+const db = getDatabase();
+db.prepare(`CREATE TABLE IF NOT EXISTS batches (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  filename TEXT,
+  total INTEGER NOT NULL,
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  started_at INTEGER,
+  finished_at INTEGER
+)`).run();
+db.prepare(`CREATE TABLE IF NOT EXISTS batch_rows (
+  batch_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  ticker TEXT NOT NULL,
+  date TEXT NOT NULL,
+  model TEXT,
+  status TEXT NOT NULL,
+  summary_json TEXT,
+  error TEXT,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (batch_id, row_index)
+)`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_batch_rows_status ON batch_rows(batch_id, status)').run();
+
+function ensureColumn(table, column, definition){
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(col=>col.name === column);
+  if(!exists) db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+}
+ensureColumn('batches', 'format', "TEXT NOT NULL DEFAULT 'csv'");
+ensureColumn('batch_rows', 'detail_json', 'TEXT');
+ensureColumn('batches', 'passthrough_json', 'TEXT');
+ensureColumn('batch_rows', 'mode', 'TEXT');
+ensureColumn('batch_rows', 'extra_json', 'TEXT');
+ensureColumn('batch_rows', 'source_row', 'INTEGER');
+ensureColumn('batches', 'lang', 'TEXT');
+ensureColumn('batches', 'caller', 'TEXT');
+
+const insertBatchStmt = db.prepare(`INSERT INTO batches (id, status, mode, format, filename, total, passthrough_json, lang, caller, created_at, updated_at)
+VALUES (@id, 'queued', @mode, @format, @filename, @total, @passthrough_json, @lang, @caller, @created_at, @updated_at)`);
+const insertRowStmt = db.prepare(`INSERT INTO batch_rows (batch_id, row_index, ticker, date, model, mode, extra_json, source_row, status, summary_json, error, updated_at)
+VALUES (@batch_id, @row_index, @ticker, @date, @model, @mode, @extra_json, @source_row, @status, @summary_json, @error, @updated_at)`);
+const getBatchStmt = db.prepare('SELECT * FROM batches WHERE id=?');
+const rowCountsStmt = db.prepare('SELECT status, COUNT(*) AS count FROM batch_rows WHERE batch_id=? GROUP BY status');
+const firstUnfinishedStmt = db.prepare(`SELECT MIN(row_index) AS row_index FROM batch_rows WHERE batch_id=? AND status IN ('pending','running')`);
+const listRowsStmt = db.prepare('SELECT * FROM batch_rows WHERE batch_id=? ORDER BY row_index ASC');
+const pendingRowsStmt = db.prepare(`SELECT * FROM batch_rows WHERE batch_id=? AND status='pending' ORDER BY row_index ASC`);
+const resetRunningStmt = db.prepare(`UPDATE batch_rows SET status='pending', updated_at=? WHERE batch_id=? AND status='running'`);
+const resetErrorStmt = db.prepare(`UPDATE batch_rows SET status='pending', error=NULL, summary_json=NULL, detail_json=NULL, updated_at=? WHERE batch_id=? AND status='error'`);
+const updateRowStmt = db.prepare(`UPDATE batch_rows SET status=@status, summary_json=@summary_json, detail_json=@detail_json, error=@error, updated_at=@updated_at
+WHERE batch_id=@batch_id AND row_index=@row_index`);
+const unfinishedBatchesStmt = db.prepare(`SELECT id FROM batches WHERE status IN ('queued','running') ORDER BY created_at ASC`);
+const expiredBatchesStmt = db.prepare(`SELECT id FROM batches WHERE status IN ('completed','failed') AND updated_at < ?`);
+const deleteBatchRowsStmt = db.prepare('DELETE FROM batch_rows WHERE batch_id=?');
+const deleteBatchStmt = db.prepare('DELETE FROM batches WHERE id=?');
+
+const BATCH_FIELDS = ['status','error','started_at','finished_at'];
+
+function decodeBatch(row){
+  if(!row) return null;
+  const counts = { pending:0, running:0, done:0, error:0, invalid:0 };
+  for(const item of rowCountsStmt.all(row.id)){
+    counts[item.status] = item.count;
+  }
+  const finished = counts.done + counts.error + counts.invalid;
+  return {
+    id: row.id,
+    status: row.status,
+    mode: row.mode,
+    format: row.format || 'csv',
+    filename: row.filename || null,
+    total: row.total,
+    passthrough_columns: row.passthrough_json ? JSON.parse(row.passthrough_json) : [],
+    lang: row.lang || null,
+    caller: row.caller || null,
+    rows: counts,
+    progress: row.total ? finished / row.total : 1,
+    next_row: firstUnfinishedStmt.get(row.id)?.row_index ?? null,
+    error: row.error || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    started_at: row.started_at || null,
+    finished_at: row.finished_at || null
+  };
+}
+
+function decodeRow(row){
+  return {
+    row_index: row.row_index,
+    ticker: row.ticker,
+    date: row.date,
+    model: row.model || '',
+    mode: row.mode || null,
+    source_row: row.source_row ?? null,
+    extra: row.extra_json ? JSON.parse(row.extra_json) : {},
+    status: row.status,
+    summary: row.summary_json ? JSON.parse(row.summary_json) : null,
+    detail: row.detail_json ? JSON.parse(row.detail_json) : null,
+    error: row.error || null
+  };
+}
+
+// entries 中帶有 error 的列（輸入驗證失敗）直接存成 invalid，保留在輸出中且不會被重跑
+export function createBatch({ mode, format='csv', filename, entries, passthrough=[], lang=null, caller=null }){
+  const now = Date.now();
+  const id = crypto.randomUUID();
+  const rows = Array.isArray(entries) ? entries : [];
+  db.transaction(()=>{
+    insertBatchStmt.run({
+      id,
+      mode,
+      format,
+      filename: filename || null,
+      total: rows.length,
+      passthrough_json: JSON.stringify(passthrough),
+      lang,
+      caller,
+      created_at: now,
+      updated_at: now
+    });
+    rows.forEach((entry, index)=>{
+      insertRowStmt.run({
+        batch_id: id,
+        row_index: index,
+        ticker: entry.ticker || '',
+        date: entry.date || '',
+        model: entry.model || null,
+        mode: entry.mode || null,
+        extra_json: entry.extra && Object.keys(entry.extra).length ? JSON.stringify(entry.extra) : null,
+        source_row: entry.source_row ?? null,
+        status: entry.error ? 'invalid' : 'pending',
+        summary_json: entry.summary ? JSON.stringify(entry.summary) : null,
+        error: entry.error || null,
+        updated_at: now
+      });
+    });
+  })();
+  return getBatch(id);
+}
+
+export function getBatch(id){
+  if(!id) return null;
+  try{
+    return decodeBatch(getBatchStmt.get(id));
+  }catch(err){
+    console.warn('[batchStore] get failed', err.message);
+    return null;
+  }
+}
+
+export function updateBatch(id, patch={}){
+  const sets = [];
+  const values = { id, updated_at: Date.now() };
+  for(const field of BATCH_FIELDS){
+    if(patch[field] === undefined) continue;
+    sets.push(`${field}=@${field}`);
+    values[field] = patch[field];
+  }
+  sets.push('updated_at=@updated_at');
+  try{
+    db.prepare(`UPDATE batches SET ${sets.join(', ')} WHERE id=@id`).run(values);
+  }catch(err){
+    console.warn('[batchStore] update failed', err.message);
+  }
+  return getBatch(id);
+}
+
+export function updateBatchRow(batchId, rowIndex, { status, summary=null, detail=null, error=null }){
+  updateRowStmt.run({
+    batch_id: batchId,
+    row_index: rowIndex,
+    status,
+    summary_json: summary == null ? null : JSON.stringify(summary),
+    detail_json: detail == null ? null : JSON.stringify(detail),
+    error,
+    updated_at: Date.now()
+  });
+}
+
+export function listBatchRows(batchId){
+  return listRowsStmt.all(batchId).map(decodeRow);
+}
+
+// 取得待處理列前先把中斷時停在 running 的列放回 pending，確保從第一個未完成列接續
+export function claimPendingRows(batchId){
+  resetRunningStmt.run(Date.now(), batchId);
+  return pendingRowsStmt.all(batchId).map(decodeRow);
+}
+
+export function resetFailedRows(batchId){
+  return resetErrorStmt.run(Date.now(), batchId).changes;
+}
+
+export function listUnfinishedBatchIds(){
+  try{
+    return unfinishedBatchesStmt.all().map(row=>row.id);
+  }catch(err){
+    console.warn('[batchStore] list failed', err.message);
+    return [];
+  }
+}
+
+// 已結束（completed / failed）且超過保留期限的批次連同各列結果一起刪除，回傳刪除的批次數
+export function purgeFinishedBatches(olderThanMs){
+  if(!Number.isFinite(olderThanMs) || olderThanMs <= 0) return 0;
+  try{
+    const ids = expiredBatchesStmt.all(Date.now() - olderThanMs).map(row=>row.id);
+    if(!ids.length) return 0;
+    db.transaction(()=>{
+      ids.forEach(id=>{
+        deleteBatchRowsStmt.run(id);
+        deleteBatchStmt.run(id);
+      });
+    })();
+    return ids.length;
+  }catch(err){
+    console.warn('[batchStore] purge failed', err.message);
+    return 0;
+  }
+}
@@ -1,6 +1,9 @@
 import crypto from 'crypto';
 import { getCache, setCache } from './cache.js';
-import { callOpenAIChat } from './openaiClient.js';
+import { callChat, hasLlmAccess, resolveTaskModel } from './llmClient.js';
+import { resolveLang, langCacheSuffix, languageName, lengthLimit } from './i18n.js';
+import { buildUsageItem } from './llmPricing.js';
+import { isBudgetError } from './llmBudget.js';
 
 const CALL_SUMMARY_TTL = 30 * 24 * 60 * 60 * 1000;
 const MAX_INPUT_CHARS = Number(process.env.CALL_TRANSCRIPT_MAX_CHARS || 6000);
@@ -9,24 +12,26 @@ function hashPayload(model, text){
   return crypto.createHash('sha256').update(`${model}__${text}`).digest('hex');
 }
 
-export async function summarizeCallTranscript({ text, openKey, model, meta={} }){
+export async function summarizeCallTranscript({ text, model: defaultModel, meta={}, lang: rawLang, usageContext }){
+  const lang = resolveLang(rawLang);
   if(!text) return { summary:'', bullets:[] };
   const trimmed = text.slice(0, MAX_INPUT_CHARS);
-  if(!openKey || !model){
+  const model = resolveTaskModel('call_summary', defaultModel);
+  if(!hasLlmAccess(model)){
     return {
       summary: trimmed.slice(0, 400),
       bullets: []
     };
   }
   const hash = hashPayload(model, trimmed);
-  const cacheKey = `call_summary_${hash}`;
+  const cacheKey = `call_summary_${hash}${langCacheSuffix(lang)}`;
   const cached = await getCache(cacheKey, CALL_SUMMARY_TTL);
-  if(cached) return cached;
+  if(cached) return cached.usage ? { ...cached, usage: { ...cached.usage, cache_hit:true } } : cached;
   const { ticker='TICKER', quarter='Q', year='YEAR' } = meta;
   const messages = [
     {
       role:'system',
-      content:'你是財報會議記錄的分析師，請以繁體中文輸出 JSON：{"summary":"120字重點","bullets":[{"title":string,"detail":string}]}，涵蓋 demand、margin/cost、資本配置與指引。'
+      content:`你是財報會議記錄的分析師，請以${languageName(lang)}輸出 JSON：{"summary":"${lengthLimit(lang, 120)}重點","bullets":[{"title":string,"detail":string}]}，涵蓋 demand、margin/cost、資本配置與指引。`
     },
     {
       role:'user',
@@ -34,19 +39,22 @@ export async function summarizeCallTranscript({ text, openKey, model, meta={} })
     }
   ];
   try{
-    const { data } = await callOpenAIChat({
-      openKey,
+    const { text: reply, usage, vendor, model: vendorModel } = await callChat({
+      task:'call_summary',
       model,
       messages,
       timeoutMs:120000,
       temperature:0,
       responseFormat:{ type:'json_object' },
-      maxCompletionTokens:500
+      maxCompletionTokens:500,
+      usageContext
     });
-    const textResp = data?.choices?.[0]?.message?.content?.trim();
+    const textResp = reply?.trim();
     if(!textResp) throw new Error('empty response');
     const cleaned = textResp.replace(/```json|```/gi,'').trim();
     const parsed = JSON.parse(cleaned);
+    const usageItem = buildUsageItem({ task:'call_summary', vendor, model: vendorModel, usage });
+    if(usageItem) parsed.usage = usageItem;
     await setCache(cacheKey, parsed);
     return parsed;
   }catch(err){
@@ -55,6 +63,8 @@ export async function summarizeCallTranscript({ text, openKey, model, meta={} })
       summary: trimmed.slice(0, 400),
       bullets: []
     };
+    // 預算拒絕的退回結果不寫快取（呼叫端看到 budget_refused 也不存），額度恢復後重新摘要
+    if(isBudgetError(err)) return { ...fallback, budget_refused:true };
     await setCache(cacheKey, fallback);
     return fallback;
   }
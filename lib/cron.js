@@ -0,0 +1,97 @@
+// 精簡版五欄位 cron（分 時 日 月 週），依伺服器本地時間計算；支援 *、a-b、*/n、a-b/n、逗號列表與常用別名
+const FIELD_SPECS = [
+  { name:'minute', min:0, max:59 },
+  { name:'hour', min:0, max:23 },
+  { name:'day', min:1, max:31 },
+  { name:'month', min:1, max:12 },
+  { name:'weekday', min:0, max:7 }
+];
+const ALIASES = {
+  '@hourly':'0 * * * *',
+  '@daily':'0 0 * * *',
+  '@weekdays':'0 0 * * 1-5',
+  '@weekly':'0 0 * * 0',
+  '@monthly':'0 0 1 * *'
+};
+// 找不到下一次執行時間時的搜尋上限（例如 2 月 30 日永遠不會發生）
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseField(raw, spec){
+  const values = new Set();
+  for(const part of raw.split(',')){
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if(!match) throw new Error(`cron ${spec.name} 欄位格式錯誤：${part}`);
+    const [, range, stepRaw] = match;
+    const step = stepRaw ? Number(stepRaw) : 1;
+    if(step < 1) throw new Error(`cron ${spec.name} 間隔必須大於 0`);
+    let start = spec.min;
+    let end = spec.max;
+    if(range !== '*'){
+      const [a, b] = range.split('-').map(Number);
+      start = a;
+      end = b == null ? (stepRaw ? spec.max : a) : b;
+    }
+    if(start < spec.min || end > spec.max || start > end){
+      throw new Error(`cron ${spec.name} 超出範圍 ${spec.min}-${spec.max}：${part}`);
+    }
+    for(let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+export function parseCron(expr){
+  const text = String(expr || '').trim().toLowerCase();
+  const source = ALIASES[text] || text;
+  const parts = source.split(/\s+/).filter(Boolean);
+  if(parts.length !== 5) throw new Error('cron 需為 5 個欄位（分 時 日 月 週）');
+  const [minute, hour, day, month, weekday] = parts.map((part, index)=>parseField(part, FIELD_SPECS[index]));
+  // 週日可寫成 0 或 7
+  if(weekday.has(7)) weekday.add(0);
+  return {
+    expr: source,
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    // 只有單獨的 * 算不限制；*/n 是有限制的間隔，與另一欄同時限制時依標準 cron 任一符合即可
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*'
+  };
+}
+
+function matchesDay(spec, date){
+  if(!spec.month.has(date.getMonth() + 1)) return false;
+  const dayOk = spec.day.has(date.getDate());
+  const weekdayOk = spec.weekday.has(date.getDay());
+  // 與標準 cron 相同：日與週都有限制時任一符合即可
+  if(spec.dayRestricted && spec.weekdayRestricted) return dayOk || weekdayOk;
+  return dayOk && weekdayOk;
+}
+
+// 回傳嚴格晚於 fromTs 的下一次執行時間（毫秒）；找不到時回傳 null
+export function nextCronRun(exprOrSpec, fromTs=Date.now()){
+  const spec = typeof exprOrSpec === 'string' ? parseCron(exprOrSpec) : exprOrSpec;
+  const cursor = new Date(fromTs);
+  cursor.setSeconds(0, 0);
+  cursor.setMinutes(cursor.getMinutes() + 1);
+  const limit = fromTs + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while(cursor.getTime() <= limit){
+    if(!matchesDay(spec, cursor)){
+      cursor.setHours(0, 0, 0, 0);
+      cursor.setDate(cursor.getDate() + 1);
+      continue;
+    }
+    if(!spec.hour.has(cursor.getHours())){
+      cursor.setMinutes(0);
+      cursor.setHours(cursor.getHours() + 1);
+      continue;
+    }
+    if(!spec.minute.has(cursor.getMinutes())){
+      cursor.setMinutes(cursor.getMinutes() + 1);
+      continue;
+    }
+    return cursor.getTime();
+  }
+  return null;
+}
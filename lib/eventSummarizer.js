@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { getCache, setCache } from './cache.js';
+import { callChat, hasLlmAccess, resolveTaskModel } from './llmClient.js';
+import { resolveLang, langCacheSuffix, languageName, lengthLimit } from './i18n.js';
+import { buildUsageItem } from './llmPricing.js';
+
+const EVENT_SUMMARY_TTL = 30 * 24 * 60 * 60 * 1000;
+const MAX_INPUT_CHARS = Number(process.env.EVENT_SUMMARY_MAX_CHARS || 6000);
+
+function hashPayload(model, text){
+  return crypto.createHash('sha256').update(`${model}__${text}`).digest('hex');
+}
+
+// 沒有 LLM 時取新聞稿開頭幾句
+function buildFallbackSummary(text){
+  const sentences = text.split(/(?<=[.!?。！？])\s+/).map(s=>s.trim()).filter(Boolean);
+  return (sentences.length ? sentences.slice(0, 3).join(' ') : text).slice(0, 400);
+}
+
+// 8-K 附件（EX-99.1 新聞稿等）濃縮成 2-3 句重點，快取以附件內容 hash 區分
+export async function summarizeEventExhibit({ text, model: defaultModel, meta={}, useLlm=true, lang: rawLang, usageContext }){
+  const lang = resolveLang(rawLang);
+  if(!text) return { summary:'', kind:'fallback' };
+  const trimmed = text.slice(0, MAX_INPUT_CHARS);
+  const model = resolveTaskModel('event_summary', defaultModel);
+  if(!useLlm || !hasLlmAccess(model)){
+    return { summary: buildFallbackSummary(trimmed), kind:'fallback' };
+  }
+  const cacheKey = `event_summary_${hashPayload(model, trimmed)}${langCacheSuffix(lang)}`;
+  const cached = await getCache(cacheKey, EVENT_SUMMARY_TTL);
+  if(cached) return cached.usage ? { ...cached, usage: { ...cached.usage, cache_hit:true } } : cached;
+  const { ticker='TICKER', items=[], filingDate='' } = meta;
+  const messages = [
+    {
+      role:'system',
+      content:`你是事件驅動分析師，請以${languageName(lang)}將 8-K 附件濃縮成 2-3 句重點（合計 ${lengthLimit(lang, 120)}內），只寫對股價有影響的事實：數字、金額、人事異動、交易對象與時程。僅輸出文字，不要額外說明。`
+    },
+    {
+      role:'user',
+      content:`[${ticker} | 8-K ${filingDate} | Item ${items.join(', ') || '-'}] 摘要以下內容：\n${trimmed}`
+    }
+  ];
+  try{
+    const { text: reply, usage, vendor, model: vendorModel } = await callChat({ task:'event_summary', model, messages, timeoutMs:60000, temperature:0, maxCompletionTokens:300, usageContext });
+    const summary = reply?.trim();
+    if(summary){
+      const value = { summary, kind:'llm' };
+      const usageItem = buildUsageItem({ task:'event_summary', vendor, model: vendorModel, usage });
+      if(usageItem) value.usage = usageItem;
+      await setCache(cacheKey, value);
+      return value;
+    }
+  }catch(err){
+    console.warn('[EventSummary] failed', err.message);
+  }
+  return { summary: buildFallbackSummary(trimmed), kind:'fallback' };
+}
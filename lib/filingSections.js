@@ -0,0 +1,192 @@
+// 10-K / 10-Q / 20-F / 6-K 章節切分：HTML（含 iXBRL inline 文件）先轉成逐行純文字，
+// 再依標題找出風險因素、MD&A、市場風險、流動性與部門資訊。start / end 為純文字中的字元位置
+const MIN_SECTION_CHARS = Number(process.env.FILING_SECTION_MIN_CHARS || 400);
+const MAX_HEADING_CHARS = 200;
+const MAX_SUBSECTION_CHARS = 40000;
+
+// 主要章節：以標題判斷，Item 編號只作為紀錄（10-Q 的 Item 2、20-F 的 Item 5 都是 MD&A）
+const SECTION_PATTERNS = [
+  { key:'risk_factors', title:/^risk\s+factors\b/ },
+  { key:'mda', title:/^(management.?s\s+discussion\s+and\s+analysis|operating\s+and\s+financial\s+review)/ },
+  { key:'market_risk', title:/^quantitative\s+and\s+qualitative\s+disclosures?\s+(about|of|on)\s+market\s+risks?/ },
+  { key:'financial_statements', title:/^(consolidated\s+|condensed\s+|interim\s+)*financial\s+statements\b/ }
+];
+const SECTION_KEYS = SECTION_PATTERNS.map(item=>item.key);
+
+// Item 1A. / ITEM 7 — / Item 3.D / Item 3. D. / 20-F 的「D. Risk Factors」子項目
+const ITEM_HEADING = /^item\s*(\d{1,2})\s*\.?\s*([a-d])?(?![a-z0-9])\s*[.:\-–—]*\s*(.*)$/i;
+const LETTER_HEADING = /^([a-d])\.\s+(.*)$/i;
+const PART_HEADING = /^part\s+(i{1,3}|iv)\b\s*[.:\-–—]?\s*(.*)$/i;
+
+const LIQUIDITY_HEADING = /^([a-d]\.\s+)?liquidity\s+and\s+capital\s+resources\b/i;
+// 流動性小節結束於 MD&A 內下一個常見的同層標題
+const LIQUIDITY_SIBLINGS = /^(critical\s+accounting|contractual\s+obligations|off.balance\s+sheet|recent(ly)?\s+(issued\s+|adopted\s+)?accounting|new\s+accounting|non.gaap|commitments\s+and\s+contingencies|inflation|seasonality|outlook|results\s+of\s+operations|segment\s+results|material\s+cash\s+requirements|quantitative\s+and\s+qualitative)/i;
+const SEGMENT_HEADING = /^(note\s+\d{1,2}\s*[.:\-–—]*\s*|\d{1,2}\s*[.)]\s*)?((business|operating|reportable)\s+)?segments?(\s+(information|reporting|data|results|and\s+geographic\s+(information|data|areas)))?\s*$/i;
+const NOTE_HEADING = /^([Nn]ote|NOTE)\s+\d{1,2}\b|^(\d{1,2}\s*[.)]\s+[A-Z][A-Za-z ,&'’()-]{2,80}$)/;
+
+const NAMED_ENTITIES = {
+  nbsp:' ', amp:'&', lt:'<', gt:'>', quot:'"', apos:"'",
+  rsquo:'’', lsquo:'‘', rdquo:'”', ldquo:'“', mdash:'—', ndash:'–', bull:'•', hellip:'…', sect:'§', reg:'®', trade:'™', copy:'©'
+};
+
+function decodeEntities(text){
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code)=>{
+    if(code[0] === '#'){
+      const num = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) && num > 0 && num < 0x110000 ? String.fromCodePoint(num) : ' ';
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+// 區塊元素換行、表格儲存格以空白相隔（同一列的「Item 7.」與標題才會留在同一行）；
+// iXBRL 的 ix:header 是隱藏的 XBRL 事實，整段移除，其餘 ix: 標籤只留內文
+export function htmlToText(html){
+  const text = decodeEntities(String(html || '')
+    .replace(/<ix:header[\s\S]*?<\/ix:header>/gi, ' ')
+    .replace(/<(script|style|head|title)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|tr|li|ul|ol|table|h[1-6]|section|article|center|blockquote|pre|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, ''));
+  return text
+    .replace(/[\u00a0\u2002\u2003\u2009\u200b]/g, ' ')
+    .split('\n')
+    .map(line=>line.replace(/[ \t\f\v\r]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// 統一引號與空白後轉小寫，供標題比對
+function normalizeTitle(text){
+  return String(text || '')
+    .replace(/[’‘`´]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function splitLines(text){
+  const lines = [];
+  let offset = 0;
+  text.split('\n').forEach(line=>{
+    lines.push({ text: line, start: offset, end: offset + line.length });
+    offset += line.length + 1;
+  });
+  return lines;
+}
+
+function matchSectionKey(title){
+  const normalized = normalizeTitle(title);
+  const found = SECTION_PATTERNS.find(item=>item.title.test(normalized));
+  return found ? found.key : null;
+}
+
+// 逐行找出標題：Item 開頭的行都算邊界；沒有 Item 的獨立標題行（6-K、部分 20-F）只在完全是章節名稱時採用
+function findHeadings(lines){
+  const headings = [];
+  lines.forEach((line, index)=>{
+    if(line.text.length > MAX_HEADING_CHARS) return;
+    const part = PART_HEADING.exec(line.text);
+    if(part){
+      headings.push({ index, start: line.start, part: part[1].toUpperCase(), key: matchSectionKey(part[2]), item: null, title: line.text, boundary: true });
+      return;
+    }
+    const item = ITEM_HEADING.exec(line.text);
+    if(item){
+      const number = item[1] + (item[2] ? item[2].toUpperCase() : '');
+      // 「Item 7.」與標題分成兩行時，往下一行取標題
+      const title = item[3] || (lines[index + 1]?.text.length <= MAX_HEADING_CHARS ? lines[index + 1].text : '');
+      headings.push({ index, start: line.start, item: number, key: matchSectionKey(title), title: `Item ${number}. ${title}`.trim(), boundary: true });
+      return;
+    }
+    const letter = LETTER_HEADING.exec(line.text);
+    if(letter){
+      const key = matchSectionKey(letter[2]);
+      if(key) headings.push({ index, start: line.start, item: letter[1].toUpperCase(), key, title: line.text, boundary: true });
+      return;
+    }
+    if(line.text.length <= 120){
+      const key = matchSectionKey(line.text);
+      // 句子（有句點結尾）不是標題
+      if(key && !/[.;,]$/.test(line.text)) headings.push({ index, start: line.start, item: null, key, title: line.text, boundary: false, bare: true });
+    }
+  });
+  return headings;
+}
+
+// 每個標題的範圍到下一個邊界標題為止；同一章節出現多次時（目錄、交互參照）取內容最長的一次，
+// 太短的視為目錄項目略過。有 Item 編號的候選優先於無編號的獨立標題
+function resolveSections(headings, text){
+  const boundaries = headings.filter(item=>item.boundary || item.bare);
+  const candidates = {};
+  boundaries.forEach((heading, position)=>{
+    if(!heading.key) return;
+    const next = boundaries.slice(position + 1).find(item=>item.boundary || (item.bare && item.key !== heading.key));
+    const end = next ? next.start : text.length;
+    (candidates[heading.key] = candidates[heading.key] || []).push({ ...heading, end, length: end - heading.start });
+  });
+  const sections = [];
+  let skipped = 0;
+  SECTION_KEYS.forEach(key=>{
+    const list = candidates[key] || [];
+    const substantial = list.filter(item=>item.length >= MIN_SECTION_CHARS);
+    skipped += list.length - substantial.length;
+    const itemized = substantial.filter(item=>!item.bare);
+    const pool = itemized.length ? itemized : substantial;
+    if(!pool.length) return;
+    const best = pool.reduce((acc, item)=>(item.length > acc.length ? item : acc));
+    skipped += substantial.length - 1;
+    sections.push({ key, item: best.item, title: best.title, start: best.start, end: best.end });
+  });
+  return { sections, skipped };
+}
+
+// 在父章節範圍內找小節標題；結束於 endPattern 的下一行或父章節結尾，最長 MAX_SUBSECTION_CHARS
+function findSubsection(lines, parent, { key, heading, endPattern }){
+  if(!parent) return null;
+  const inside = lines.filter(line=>line.start > parent.start && line.start < parent.end);
+  let best = null;
+  inside.forEach((line, index)=>{
+    if(line.text.length > 150 || !heading.test(line.text)) return;
+    const next = inside.slice(index + 1).find(item=>item.text.length <= 150 && endPattern.test(item.text) && !heading.test(item.text));
+    const end = Math.min(next ? next.start : parent.end, line.start + MAX_SUBSECTION_CHARS);
+    if(end - line.start < MIN_SECTION_CHARS) return;
+    if(!best || end - line.start > best.end - best.start){
+      best = { key, item: null, title: line.text, start: line.start, end };
+    }
+  });
+  return best;
+}
+
+export function parseFilingSections(html, { form }={}){
+  const text = htmlToText(html);
+  const lines = splitLines(text);
+  const { sections, skipped } = resolveSections(findHeadings(lines), text);
+  const byKey = Object.fromEntries(sections.map(section=>[section.key, section]));
+  const liquidity = findSubsection(lines, byKey.mda, { key:'liquidity', heading: LIQUIDITY_HEADING, endPattern: LIQUIDITY_SIBLINGS });
+  if(liquidity) sections.push(liquidity);
+  // 部門資訊在財報附註內；找不到財報章節時退回 MD&A 之後的全文
+  const notesScope = byKey.financial_statements
+    || (byKey.mda ? { start: byKey.mda.end, end: text.length } : { start: 0, end: text.length });
+  const segments = findSubsection(lines, notesScope, { key:'segments', heading: SEGMENT_HEADING, endPattern: NOTE_HEADING });
+  if(segments) sections.push(segments);
+  return {
+    form: form || null,
+    length: text.length,
+    skipped_toc: skipped,
+    sections: sections
+      .sort((a,b)=>a.start - b.start)
+      .map(section=>({ ...section, length: section.end - section.start, text: text.slice(section.start, section.end) }))
+  };
+}
+
+export function findSection(parsed, key){
+  return parsed?.sections?.find(section=>section.key === key) || null;
+}
+
+// 給前端與結果用的章節清單（不含內文）
+export function describeSections(parsed){
+  return (parsed?.sections || []).map(({ key, item, title, start, end, length })=>({ key, item, title: title.slice(0, 120), start, end, length }));
+}
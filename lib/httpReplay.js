@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios, { AxiosError } from 'axios';
+import fetch, { Response } from 'node-fetch';
+
+// 對外 HTTP 錄製 / 重播：
+// - record：照常連線，並把每個回應存到 HTTP_REPLAY_DIR/<host>/<hash>.json
+// - replay：只從磁碟讀回應，找不到錄製檔就直接丟錯（不會偷偷連網）
+// - off（預設）：完全不介入
+// key 由 method + 正規化後的 URL（query 排序、去除金鑰參數）+ request body hash 組成，與 header 無關。
+const MODES = ['off','record','replay'];
+const MODE = MODES.includes(String(process.env.HTTP_REPLAY_MODE || '').toLowerCase())
+  ? String(process.env.HTTP_REPLAY_MODE).toLowerCase()
+  : 'off';
+const REPLAY_DIR = path.resolve(process.env.HTTP_REPLAY_DIR || 'fixtures/http');
+const SECRET_PARAMS = new Set(['apikey','api_key','token','key','access_key',
+  ...String(process.env.HTTP_REPLAY_IGNORE_PARAMS || '').split(',').map(s=>s.trim().toLowerCase()).filter(Boolean)]);
+// 本機服務（自己的 API、webhook 接收端）不錄也不擋
+const PASSTHROUGH_HOSTS = new Set(String(process.env.HTTP_REPLAY_PASSTHROUGH_HOSTS || 'localhost,127.0.0.1,::1')
+  .split(',').map(s=>s.trim().toLowerCase()).filter(Boolean));
+
+const stats = { hits:0, recorded:0, misses:[] };
+let installed = false;
+
+function stableStringify(value){
+  if(Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if(value && typeof value === 'object'){
+    return `{${Object.keys(value).sort().map(k=>`${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function bodyHash(body){
+  if(body == null || body === '') return null;
+  let text = Buffer.isBuffer(body) ? body.toString('utf8') : typeof body === 'string' ? body : JSON.stringify(body);
+  try{ text = stableStringify(JSON.parse(text)); }catch{}
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+function normalizeUrl(rawUrl, params){
+  const url = new URL(rawUrl);
+  if(params instanceof URLSearchParams){
+    params.forEach((value, name)=>url.searchParams.append(name, value));
+  }else if(params && typeof params === 'object'){
+    Object.entries(params).forEach(([name, value])=>{
+      if(value != null) url.searchParams.append(name, String(value));
+    });
+  }
+  const entries = [];
+  url.searchParams.forEach((value, name)=>{
+    if(!SECRET_PARAMS.has(name.toLowerCase())) entries.push([name, value]);
+  });
+  entries.sort((a,b)=>a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  const query = new URLSearchParams(entries).toString();
+  return { host: url.host.toLowerCase(), hostname: url.hostname.toLowerCase(), url: `${url.origin}${url.pathname}${query ? `?${query}` : ''}` };
+}
+
+function describeRequest({ method, url, params, body }){
+  const normalized = normalizeUrl(url, params);
+  const hash = bodyHash(body);
+  const verb = String(method || 'GET').toUpperCase();
+  const key = `${verb} ${normalized.url}${hash ? ` body=${hash}` : ''}`;
+  const file = path.join(REPLAY_DIR, normalized.host.replace(/[^a-z0-9.\-]/g, '_'), `${crypto.createHash('sha1').update(key).digest('hex').slice(0, 20)}.json`);
+  return { key, file, method: verb, url: normalized.url, passthrough: PASSTHROUGH_HOSTS.has(normalized.hostname) };
+}
+
+function encodeBody(raw){
+  if(raw == null) return { encoding:'empty', body:null };
+  if(Buffer.isBuffer(raw) || raw instanceof ArrayBuffer){
+    return { encoding:'base64', body: Buffer.from(raw).toString('base64') };
+  }
+  if(typeof raw !== 'string') return { encoding:'json', body: raw };
+  try{
+    return { encoding:'json', body: JSON.parse(raw) };
+  }catch{
+    return { encoding:'utf8', body: raw };
+  }
+}
+
+function decodeBody(entry, { asBuffer=false }={}){
+  if(entry.encoding === 'empty') return asBuffer ? Buffer.alloc(0) : '';
+  if(entry.encoding === 'base64') return Buffer.from(entry.body, 'base64');
+  const text = entry.encoding === 'json' ? JSON.stringify(entry.body) : entry.body;
+  return asBuffer ? Buffer.from(text, 'utf8') : text;
+}
+
+function plainHeaders(headers){
+  const out = {};
+  if(!headers) return out;
+  const source = typeof headers.toJSON === 'function' ? headers.toJSON() : typeof headers.raw === 'function' ? headers.raw() : headers;
+  Object.entries(source).forEach(([name, value])=>{
+    if(name.toLowerCase() === 'set-cookie') return;
+    out[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+  return out;
+}
+
+function saveRecording(request, { status, statusText, headers, raw }){
+  const entry = {
+    key: request.key,
+    method: request.method,
+    url: request.url,
+    recorded_at: new Date().toISOString(),
+    status,
+    status_text: statusText || '',
+    headers: plainHeaders(headers),
+    ...encodeBody(raw)
+  };
+  try{
+    fs.mkdirSync(path.dirname(request.file), { recursive:true });
+    fs.writeFileSync(request.file, `${JSON.stringify(entry, null, 2)}\n`);
+    stats.recorded++;
+  }catch(err){
+    console.warn('[HttpReplay] save failed', request.key, err.message);
+  }
+}
+
+function loadRecording(request){
+  if(!fs.existsSync(request.file)){
+    stats.misses.push(request.key);
+    console.error(`[HttpReplay] ❌ 沒有錄製檔：${request.key}`);
+    const err = new Error(`[HttpReplay] No recording for ${request.key}`);
+    err.code = 'ERR_HTTP_REPLAY_MISS';
+    err.retryable = false;
+    throw err;
+  }
+  stats.hits++;
+  return JSON.parse(fs.readFileSync(request.file, 'utf8'));
+}
+
+// axios：包一層 adapter，回傳「尚未 transformResponse」的原始內容，與真實連線的行為一致
+function createReplayAdapter(realAdapter){
+  return async function replayAdapter(config){
+    const request = describeRequest({
+      method: config.method,
+      url: config.baseURL && !/^https?:\/\//i.test(config.url) ? `${config.baseURL.replace(/\/$/, '')}/${config.url.replace(/^\//, '')}` : config.url,
+      params: config.params,
+      body: config.data
+    });
+    if(request.passthrough) return realAdapter(config);
+    if(MODE === 'record'){
+      try{
+        const response = await realAdapter(config);
+        saveRecording(request, { status: response.status, statusText: response.statusText, headers: response.headers, raw: response.data });
+        return response;
+      }catch(err){
+        if(err.response){
+          saveRecording(request, { status: err.response.status, statusText: err.response.statusText, headers: err.response.headers, raw: err.response.data });
+        }
+        throw err;
+      }
+    }
+    const entry = loadRecording(request);
+    const asBuffer = config.responseType === 'arraybuffer';
+    const response = {
+      data: decodeBody(entry, { asBuffer }),
+      status: entry.status,
+      statusText: entry.status_text,
+      headers: entry.headers,
+      config,
+      request: { replayed: true }
+    };
+    const validateStatus = config.validateStatus;
+    if(!validateStatus || validateStatus(response.status)) return response;
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  };
+}
+
+// 在 process 入口呼叫一次（server.js、直接打外部 API 的 scripts）
+export function installHttpReplay(){
+  if(installed || MODE === 'off') return;
+  installed = true;
+  const realAdapter = axios.getAdapter(axios.defaults.adapter);
+  axios.defaults.adapter = createReplayAdapter(realAdapter);
+  console.log(`[HttpReplay] mode=${MODE} dir=${REPLAY_DIR}`);
+}
+
+// node-fetch 版本：scripts 直接打外部 API 時改用這個
+export async function replayFetch(url, options={}){
+  if(MODE === 'off') return fetch(url, options);
+  const request = describeRequest({ method: options.method, url: String(url), body: options.body });
+  if(request.passthrough) return fetch(url, options);
+  if(MODE === 'record'){
+    const res = await fetch(url, options);
+    const raw = Buffer.from(await res.arrayBuffer());
+    const contentType = res.headers.get('content-type') || '';
+    saveRecording(request, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+      raw: /json|text|xml|html/i.test(contentType) ? raw.toString('utf8') : raw
+    });
+    return new Response(raw, { status: res.status, statusText: res.statusText, headers: plainHeaders(res.headers) });
+  }
+  const entry = loadRecording(request);
+  return new Response(decodeBody(entry, { asBuffer:true }), { status: entry.status, statusText: entry.status_text, headers: entry.headers });
+}
+
+export function getHttpReplayStats(){
+  return {
+    mode: MODE,
+    dir: REPLAY_DIR,
+    hits: stats.hits,
+    recorded: stats.recorded,
+    miss_count: stats.misses.length,
+    misses: stats.misses.slice(-50)
+  };
+}
@@ -0,0 +1,422 @@
+// 輸出語言：prompt 指示、伺服器端規則產生的說明文字（動能提示、HOLD 觸發條件、guardrail 註記）與情緒 / 方向標籤。
+// LLM 與快取一律存語言中立代碼（positive / up ...），顯示時再依 lang 轉成標籤；缺翻譯時退回繁體中文。
+export const SUPPORTED_LANGS = ['zh-TW','en','zh-CN'];
+// 既有 prompt / 快取都是繁體中文，也是缺翻譯時的退回語言
+export const BASE_LANG = 'zh-TW';
+
+export function normalizeLang(raw){
+  if(raw == null || raw === '') return null;
+  const value = String(raw).trim().replace('_', '-').toLowerCase();
+  if(['zh-tw','zh-hant','zh-hk','zh-hant-tw','zh'].includes(value)) return 'zh-TW';
+  if(['zh-cn','zh-hans','zh-sg','zh-hans-cn'].includes(value)) return 'zh-CN';
+  if(value === 'en' || value.startsWith('en-')) return 'en';
+  return null;
+}
+
+export const DEFAULT_LANG = normalizeLang(process.env.DEFAULT_LANG) || BASE_LANG;
+
+export function resolveLang(raw){
+  return normalizeLang(raw) || DEFAULT_LANG;
+}
+
+// 繁體中文不加後綴，沿用既有快取 key
+export function langCacheSuffix(lang){
+  const resolved = resolveLang(lang);
+  return resolved === BASE_LANG ? '' : `_${resolved}`;
+}
+
+const LANGUAGE_NAMES = {
+  'zh-TW':'繁體中文',
+  en:'英文（English）',
+  'zh-CN':'簡體中文'
+};
+
+export function languageName(lang){
+  return LANGUAGE_NAMES[resolveLang(lang)];
+}
+
+// prompt 內的篇幅限制：中文以字數計，英文改以單字數計（一個英文單字約當 1.6 個中文字）
+export function lengthLimit(lang, min, max){
+  const en = resolveLang(lang) === 'en';
+  const scale = value=>(en ? Math.round(value / 1.6) : value);
+  const range = max == null ? `${scale(min)}` : `${scale(min)}-${scale(max)}`;
+  return en ? `${range} words` : `${range} 字`;
+}
+
+export function outputLanguageInstruction(lang){
+  const resolved = resolveLang(lang);
+  if(resolved === 'en') return 'All text fields must be written in English.';
+  return `所有文字必須使用${LANGUAGE_NAMES[resolved]}。`;
+}
+
+const MESSAGES = {
+  'zh-TW':{
+    'common.unknown':'未知',
+    'hint.momentum_severe':'動能極弱（{score}分｜{trend}），需嚴格控管目標價。',
+    'hint.momentum_strong':'動能偏強（{score}分｜{trend}），可適度給予溢價。',
+    'hint.momentum_neutral':'動能中性（{score}分｜{trend}）。',
+    'hint.inst_reduce':'機構近況為「{label}」，偏向賣壓。',
+    'hint.inst_add':'機構為「{label}」，籌碼支撐較佳。',
+    'hint.inst_signal':'機構信號：{label}',
+    'hint.insider_cluster':'內部人集體買進：{count} 位內部人於 {start}～{end} 在公開市場買進。',
+    'hint.from_high':'距離 52 週高點 {pct}%',
+    'hint.from_low':'距離 52 週低點 {pct}%',
+    'note.wrap':'（{text}）',
+    'blend.consensus':'分析師均價 {value}',
+    'blend.price':'現價 {value}',
+    'blend.note':'已與 {parts} 做加權平均',
+    'band.default_reason':'上下空間有限，維持觀望',
+    'hold.upgrade':'目標價已超出 HOLD 區間，上調為 BUY',
+    'hold.downgrade':'目標價已跌破 HOLD 區間，下調為 SELL',
+    'hold.narrow':'上下空間僅 ±{pct}%，自動標記為 HOLD',
+    'hold.clamped':'HOLD 區間已限制目標價',
+    'trigger.band_default':'設定',
+    'trigger.band':'若股價突破或跌破 {band} 區間，需重新評估評級',
+    'trigger.growth':'若連續兩季營收或 EPS 成長率重返雙位數 / 轉負則改寫投資假設',
+    'trigger.momentum':'若動能或籌碼指標（RSI / 買賣超）連續兩週翻多或轉弱，需再評估',
+    'rationale.keep':'維持 {rating} 建議',
+    'rationale.target_vs_price':'目標價 {target} 相對現價 {price}，差異 {pct}%',
+    'rationale.target':'目標價 {target}',
+    'rationale.separator':'；',
+    'rationale.none':'模型未提供額外理由，請搭配財報與指標自行判斷。',
+    'check.neutral':'檢查：評級為 {rating}，但目標價與現價差距 {pct}，請重新檢視假設。',
+    'check.bullish':'檢查：評級為 {rating}，但目標價僅較現價 {pct}，建議補充上行理由。',
+    'check.bearish':'檢查：評級為 {rating}，但目標價與現價差距僅 {pct}，請說明下行風險。',
+    'guardrail.tight_range':'評級為中性/保守，目標價已收斂至 ±10%',
+    'guardrail.weak_signals':'動能或籌碼偏弱，系統已限縮目標價。',
+    'guardrail.low_confidence':'信心不足，系統已限縮目標價。',
+    'guardrail.adjusted':'目標價已依風控自動調整',
+    'guardrail.small_cap':'小型/低價股目標價限制在 ±15%',
+    'rating.target_below_price':'目標價低於現價，建議減碼',
+    'rating.momentum_exit':'動能極弱（{score}分），建議出場',
+    'rating.momentum_weak':'動能不足（{score}分），改為觀望',
+    'rating.momentum_strong':'動能偏強（{score}分）且目標價具 8% 以上上行空間',
+    'rating.trend_down':'趨勢走弱，暫不建議追價',
+    'rating.trend_up':'趨勢翻多，撤回賣出建議',
+    'rating.weak_signals':'動能或籌碼偏弱，自動調降評級',
+    'rating.low_price':'低價股易受波動影響，改採保守建議',
+    'rating.upside_buy':'上行空間超過 8%，應給出買進建議',
+    'rating.downside_sell':'下行空間超過 8%，建議賣出',
+    'rating.upside_thin':'上行空間不足 3%，維持中性觀望',
+    'rating.downside_thin':'下行空間有限，調整為中性',
+    'rating.momentum_recover':'動能轉強且目標價高於現價，撤回賣出建議',
+    'news.none_recent':'近一個月無明顯新聞事件。',
+    'news.no_key':'缺少 LLM 金鑰，無法分析新聞情緒。',
+    'news.failed':'新聞情緒分析失敗，請稍後重試。',
+    'news.quick_summary':'依公開資料產生的快速摘要（未呼叫 LLM）。',
+    'news.focus_event':'焦點事件',
+    'news.unavailable':'無法取得新聞資料。',
+    'earnings.missing':'近期無可用的 Earnings Call 逐字稿。',
+    'segment.large_cap':'大型股',
+    'segment.small_cap':'小型股',
+    'filter.revenue_growth':'營收成長',
+    'filter.earnings_growth':'EPS 成長',
+    'filter.gross_margin':'毛利率',
+    'filter.operating_margin':'營業利益率',
+    'filter.free_cash_flow':'自由現金流',
+    'filter.leverage':'財務槓桿',
+    'filter.valuation':'估值',
+    'filter.momentum':'價格動能',
+    'filter.analyst_upside':'分析師目標價空間',
+    'score.growth':'成長',
+    'score.profitability':'獲利能力',
+    'score.cash_flow':'現金流',
+    'score.balance_sheet':'財務體質',
+    'score.valuation':'估值',
+    'score.momentum':'動能',
+    'score.analyst':'分析師預期',
+    'rule.computed':'{metric} = {value}（門檻 {threshold}）',
+    'rule.inferred':'資料不足，由模型依其他資料推估',
+    'rule.no_data':'資料不足，無法判定',
+    'webhook.head':'{ticker}（{date}）',
+    'webhook.rating_changed':'{head} 評級變更：{from} → {to}',
+    'webhook.needs_review':'{head} 需人工複核（{rating}）',
+    'webhook.target_change':'目標價：{from} → {to}',
+    'webhook.target_price':'目標價：{target}｜現價：{price}',
+    'webhook.price':'現價：{price}',
+    'webhook.rationale':'理由：{text}',
+    'webhook.test_rationale':'測試通知'
+  },
+  en:{
+    'common.unknown':'unknown',
+    'hint.momentum_severe':'Momentum is very weak ({score} pts | {trend}); keep the target price tightly controlled.',
+    'hint.momentum_strong':'Momentum is strong ({score} pts | {trend}); a modest premium is acceptable.',
+    'hint.momentum_neutral':'Momentum is neutral ({score} pts | {trend}).',
+    'hint.inst_reduce':'Institutions are "{label}" recently, pointing to selling pressure.',
+    'hint.inst_add':'Institutions are "{label}", giving better ownership support.',
+    'hint.inst_signal':'Institutional signal: {label}',
+    'hint.insider_cluster':'Insider cluster buying: {count} insiders bought on the open market between {start} and {end}.',
+    'hint.from_high':'{pct}% from 52-week high',
+    'hint.from_low':'{pct}% from 52-week low',
+    'note.wrap':'({text})',
+    'blend.consensus':'analyst average {value}',
+    'blend.price':'current price {value}',
+    'blend.note':'weighted with {parts}',
+    'band.default_reason':'Limited upside and downside; stay on the sidelines',
+    'hold.upgrade':'target is above the HOLD band, upgraded to BUY',
+    'hold.downgrade':'target is below the HOLD band, downgraded to SELL',
+    'hold.narrow':'upside/downside only ±{pct}%, marked as HOLD',
+    'hold.clamped':'target price limited by the HOLD band',
+    'trigger.band_default':'the configured',
+    'trigger.band':'Re-evaluate the rating if the price breaks above or below the {band} band',
+    'trigger.growth':'Revisit the thesis if revenue or EPS growth returns to double digits / turns negative for two straight quarters',
+    'trigger.momentum':'Re-evaluate if momentum or flow indicators (RSI / net buying) turn bullish or weaken for two straight weeks',
+    'rationale.keep':'Maintain {rating}',
+    'rationale.target_vs_price':'target {target} vs. current price {price}, a {pct}% difference',
+    'rationale.target':'target {target}',
+    'rationale.separator':'; ',
+    'rationale.none':'The model gave no further rationale; please review the filings and indicators.',
+    'check.neutral':'check: rated {rating} but the target is {pct} away from the current price; please revisit the assumptions.',
+    'check.bullish':'check: rated {rating} but the target is only {pct} vs. the current price; please add upside reasoning.',
+    'check.bearish':'check: rated {rating} but the target is only {pct} from the current price; please explain the downside risk.',
+    'guardrail.tight_range':'neutral/defensive rating, target narrowed to ±10%',
+    'guardrail.weak_signals':'Weak momentum or flows; target price was capped.',
+    'guardrail.low_confidence':'Low confidence; target price was capped.',
+    'guardrail.adjusted':'target adjusted by risk controls',
+    'guardrail.small_cap':'small-cap/low-priced stock target limited to ±15%',
+    'rating.target_below_price':'target is below the current price, reduce exposure',
+    'rating.momentum_exit':'momentum very weak ({score} pts), exit suggested',
+    'rating.momentum_weak':'momentum insufficient ({score} pts), moved to HOLD',
+    'rating.momentum_strong':'strong momentum ({score} pts) with 8%+ upside to target',
+    'rating.trend_down':'trend weakening, avoid chasing',
+    'rating.trend_up':'trend turned up, SELL withdrawn',
+    'rating.weak_signals':'weak momentum or flows, rating lowered',
+    'rating.low_price':'low-priced stock is volatile, more conservative call',
+    'rating.upside_buy':'upside above 8%, should be a BUY',
+    'rating.downside_sell':'downside above 8%, SELL suggested',
+    'rating.upside_thin':'upside below 3%, stay neutral',
+    'rating.downside_thin':'limited downside, moved to neutral',
+    'rating.momentum_recover':'momentum improving and target above price, SELL withdrawn',
+    'news.none_recent':'No notable news in the past month.',
+    'news.no_key':'Missing LLM API key; news sentiment unavailable.',
+    'news.failed':'News sentiment analysis failed; please retry later.',
+    'news.quick_summary':'Quick summary from public data (no LLM call).',
+    'news.focus_event':'Key event',
+    'news.unavailable':'Unable to fetch news.',
+    'earnings.missing':'No recent earnings call transcript available.',
+    'segment.large_cap':'Large cap',
+    'segment.small_cap':'Small cap',
+    'filter.revenue_growth':'Revenue growth',
+    'filter.earnings_growth':'EPS growth',
+    'filter.gross_margin':'Gross margin',
+    'filter.operating_margin':'Operating margin',
+    'filter.free_cash_flow':'Free cash flow',
+    'filter.leverage':'Leverage',
+    'filter.valuation':'Valuation',
+    'filter.momentum':'Price momentum',
+    'filter.analyst_upside':'Analyst target upside',
+    'score.growth':'Growth',
+    'score.profitability':'Profitability',
+    'score.cash_flow':'Cash flow',
+    'score.balance_sheet':'Balance sheet',
+    'score.valuation':'Valuation',
+    'score.momentum':'Momentum',
+    'score.analyst':'Analyst outlook',
+    'rule.computed':'{metric} = {value} (threshold {threshold})',
+    'rule.inferred':'Insufficient data; inferred by the model from other inputs',
+    'rule.no_data':'Insufficient data to evaluate',
+    'webhook.head':'{ticker} ({date})',
+    'webhook.rating_changed':'{head} rating changed: {from} → {to}',
+    'webhook.needs_review':'{head} needs manual review ({rating})',
+    'webhook.target_change':'Target price: {from} → {to}',
+    'webhook.target_price':'Target price: {target} | Price: {price}',
+    'webhook.price':'Price: {price}',
+    'webhook.rationale':'Rationale: {text}',
+    'webhook.test_rationale':'Test notification'
+  },
+  'zh-CN':{
+    'common.unknown':'未知',
+    'hint.momentum_severe':'动能极弱（{score}分｜{trend}），需严格控制目标价。',
+    'hint.momentum_strong':'动能偏强（{score}分｜{trend}），可适度给予溢价。',
+    'hint.momentum_neutral':'动能中性（{score}分｜{trend}）。',
+    'hint.inst_reduce':'机构近况为“{label}”，偏向卖压。',
+    'hint.inst_add':'机构为“{label}”，筹码支撑较好。',
+    'hint.inst_signal':'机构信号：{label}',
+    'hint.insider_cluster':'内部人集体买入：{count} 位内部人于 {start}～{end} 在公开市场买入。',
+    'hint.from_high':'距离 52 周高点 {pct}%',
+    'hint.from_low':'距离 52 周低点 {pct}%',
+    'note.wrap':'（{text}）',
+    'blend.consensus':'分析师均价 {value}',
+    'blend.price':'现价 {value}',
+    'blend.note':'已与 {parts} 做加权平均',
+    'band.default_reason':'上下空间有限，维持观望',
+    'hold.upgrade':'目标价已超出 HOLD 区间，上调为 BUY',
+    'hold.downgrade':'目标价已跌破 HOLD 区间，下调为 SELL',
+    'hold.narrow':'上下空间仅 ±{pct}%，自动标记为 HOLD',
+    'hold.clamped':'HOLD 区间已限制目标价',
+    'trigger.band_default':'设定',
+    'trigger.band':'若股价突破或跌破 {band} 区间，需重新评估评级',
+    'trigger.growth':'若连续两季营收或 EPS 增长率重返两位数 / 转负则改写投资假设',
+    'trigger.momentum':'若动能或筹码指标（RSI / 买卖超）连续两周翻多或转弱，需再评估',
+    'rationale.keep':'维持 {rating} 建议',
+    'rationale.target_vs_price':'目标价 {target} 相对现价 {price}，差异 {pct}%',
+    'rationale.target':'目标价 {target}',
+    'rationale.separator':'；',
+    'rationale.none':'模型未提供额外理由，请结合财报与指标自行判断。',
+    'check.neutral':'检查：评级为 {rating}，但目标价与现价差距 {pct}，请重新检视假设。',
+    'check.bullish':'检查：评级为 {rating}，但目标价仅较现价 {pct}，建议补充上行理由。',
+    'check.bearish':'检查：评级为 {rating}，但目标价与现价差距仅 {pct}，请说明下行风险。',
+    'guardrail.tight_range':'评级为中性/保守，目标价已收敛至 ±10%',
+    'guardrail.weak_signals':'动能或筹码偏弱，系统已限缩目标价。',
+    'guardrail.low_confidence':'信心不足，系统已限缩目标价。',
+    'guardrail.adjusted':'目标价已依风控自动调整',
+    'guardrail.small_cap':'小型/低价股目标价限制在 ±15%',
+    'rating.target_below_price':'目标价低于现价，建议减持',
+    'rating.momentum_exit':'动能极弱（{score}分），建议离场',
+    'rating.momentum_weak':'动能不足（{score}分），改为观望',
+    'rating.momentum_strong':'动能偏强（{score}分）且目标价具 8% 以上上行空间',
+    'rating.trend_down':'趋势走弱，暂不建议追价',
+    'rating.trend_up':'趋势翻多，撤回卖出建议',
+    'rating.weak_signals':'动能或筹码偏弱，自动调降评级',
+    'rating.low_price':'低价股易受波动影响，改采保守建议',
+    'rating.upside_buy':'上行空间超过 8%，应给出买入建议',
+    'rating.downside_sell':'下行空间超过 8%，建议卖出',
+    'rating.upside_thin':'上行空间不足 3%，维持中性观望',
+    'rating.downside_thin':'下行空间有限，调整为中性',
+    'rating.momentum_recover':'动能转强且目标价高于现价，撤回卖出建议',
+    'news.none_recent':'近一个月无明显新闻事件。',
+    'news.no_key':'缺少 LLM 密钥，无法分析新闻情绪。',
+    'news.failed':'新闻情绪分析失败，请稍后重试。',
+    'news.quick_summary':'依公开资料生成的快速摘要（未调用 LLM）。',
+    'news.focus_event':'焦点事件',
+    'news.unavailable':'无法获取新闻资料。',
+    'earnings.missing':'近期无可用的 Earnings Call 逐字稿。',
+    'segment.large_cap':'大型股',
+    'segment.small_cap':'小型股',
+    'filter.revenue_growth':'营收增长',
+    'filter.earnings_growth':'EPS 增长',
+    'filter.gross_margin':'毛利率',
+    'filter.operating_margin':'营业利润率',
+    'filter.free_cash_flow':'自由现金流',
+    'filter.leverage':'财务杠杆',
+    'filter.valuation':'估值',
+    'filter.momentum':'价格动能',
+    'filter.analyst_upside':'分析师目标价空间',
+    'score.growth':'增长',
+    'score.profitability':'盈利能力',
+    'score.cash_flow':'现金流',
+    'score.balance_sheet':'财务体质',
+    'score.valuation':'估值',
+    'score.momentum':'动能',
+    'score.analyst':'分析师预期',
+    'rule.computed':'{metric} = {value}（门槛 {threshold}）',
+    'rule.inferred':'资料不足，由模型依其他资料推估',
+    'rule.no_data':'资料不足，无法判定',
+    'webhook.head':'{ticker}（{date}）',
+    'webhook.rating_changed':'{head} 评级变更：{from} → {to}',
+    'webhook.needs_review':'{head} 需人工复核（{rating}）',
+    'webhook.target_change':'目标价：{from} → {to}',
+    'webhook.target_price':'目标价：{target}｜现价：{price}',
+    'webhook.price':'现价：{price}',
+    'webhook.rationale':'理由：{text}',
+    'webhook.test_rationale':'测试通知'
+  }
+};
+
+export function t(lang, key, vars={}){
+  const table = MESSAGES[resolveLang(lang)] || MESSAGES[BASE_LANG];
+  const template = table[key] ?? MESSAGES[BASE_LANG][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name)=>(vars[name] == null ? match : String(vars[name])));
+}
+
+// rationale 附註：中文用全形括號、英文用半形括號
+export function wrapNote(lang, text){
+  return t(lang, 'note.wrap', { text });
+}
+
+// 情緒代碼：新聞情緒（news）與分析結果 news_insight.impact 共用，只是顯示用語不同
+export const SENTIMENT_CODES = ['positive','neutral','negative'];
+const SENTIMENT_ALIASES = {
+  positive:['positive','bullish','optimistic','正面','樂觀','乐观','利多','偏多'],
+  neutral:['neutral','中性','持平'],
+  negative:['negative','bearish','pessimistic','負面','负面','悲觀','悲观','利空','偏空']
+};
+const SENTIMENT_LABELS = {
+  news:{
+    'zh-TW':{ positive:'樂觀', neutral:'中性', negative:'悲觀' },
+    en:{ positive:'Bullish', neutral:'Neutral', negative:'Bearish' },
+    'zh-CN':{ positive:'乐观', neutral:'中性', negative:'悲观' }
+  },
+  impact:{
+    'zh-TW':{ positive:'正面', neutral:'中性', negative:'負面' },
+    en:{ positive:'Positive', neutral:'Neutral', negative:'Negative' },
+    'zh-CN':{ positive:'正面', neutral:'中性', negative:'负面' }
+  }
+};
+
+function matchAlias(aliases, raw){
+  if(raw == null) return null;
+  const value = String(raw).trim().toLowerCase();
+  if(!value) return null;
+  return Object.keys(aliases).find(code=>aliases[code].includes(value)) || null;
+}
+
+// 舊快取 / 舊版 prompt 仍可能是中文標籤，統一轉成代碼；無法辨識時回 null
+export function normalizeSentiment(raw){
+  return matchAlias(SENTIMENT_ALIASES, raw);
+}
+
+export function sentimentLabel(code, lang, { tone='news' }={}){
+  const normalized = normalizeSentiment(code);
+  if(!normalized) return code || null;
+  const table = SENTIMENT_LABELS[tone] || SENTIMENT_LABELS.news;
+  return (table[resolveLang(lang)] || table[BASE_LANG])[normalized];
+}
+
+export const DIRECTION_CODES = ['up','flat','down'];
+const DIRECTION_ALIASES = {
+  up:['up','bullish','rise','上漲','上涨','看漲','看涨'],
+  flat:['flat','neutral','sideways','持平','盤整','盘整'],
+  down:['down','bearish','fall','下跌','看跌']
+};
+const DIRECTION_LABELS = {
+  'zh-TW':{ up:'上漲', flat:'持平', down:'下跌' },
+  en:{ up:'Up', flat:'Flat', down:'Down' },
+  'zh-CN':{ up:'上涨', flat:'持平', down:'下跌' }
+};
+
+export function normalizeDirection(raw){
+  return matchAlias(DIRECTION_ALIASES, raw);
+}
+
+export function directionLabel(code, lang){
+  const normalized = normalizeDirection(code);
+  if(!normalized) return code || null;
+  return (DIRECTION_LABELS[resolveLang(lang)] || DIRECTION_LABELS[BASE_LANG])[normalized];
+}
+
+const SECTOR_LABELS = {
+  'technology':{ 'zh-TW':'科技股', en:'Technology', 'zh-CN':'科技股' },
+  'communication services':{ 'zh-TW':'通訊服務股', en:'Communication Services', 'zh-CN':'通信服务股' },
+  'consumer cyclical':{ 'zh-TW':'非必需消費股', en:'Consumer Cyclical', 'zh-CN':'非必需消费股' },
+  'consumer defensive':{ 'zh-TW':'必需消費股', en:'Consumer Defensive', 'zh-CN':'必需消费股' },
+  'energy':{ 'zh-TW':'能源股', en:'Energy', 'zh-CN':'能源股' },
+  'financial services':{ 'zh-TW':'金融股', en:'Financial Services', 'zh-CN':'金融股' },
+  'healthcare':{ 'zh-TW':'醫療保健股', en:'Healthcare', 'zh-CN':'医疗保健股' },
+  'industrials':{ 'zh-TW':'工業股', en:'Industrials', 'zh-CN':'工业股' },
+  'real estate':{ 'zh-TW':'不動產股', en:'Real Estate', 'zh-CN':'房地产股' },
+  'basic materials':{ 'zh-TW':'原物料股', en:'Basic Materials', 'zh-CN':'原材料股' },
+  'utilities':{ 'zh-TW':'公用事業股', en:'Utilities', 'zh-CN':'公用事业股' }
+};
+
+export function sectorLabel(sector, lang){
+  const entry = SECTOR_LABELS[String(sector || '').toLowerCase()];
+  return entry ? entry[resolveLang(lang)] || entry[BASE_LANG] : sector || null;
+}
+
+// momentum.trend（強勢 / 中性 / 弱勢）與 13F 訊號（加碼 / 減碼 / 持平）由資料層產生，顯示時再翻譯
+const TERM_LABELS = {
+  '強勢':{ en:'strong', 'zh-CN':'强势' },
+  '弱勢':{ en:'weak', 'zh-CN':'弱势' },
+  '中性':{ en:'neutral', 'zh-CN':'中性' },
+  '加碼':{ en:'adding', 'zh-CN':'加仓' },
+  '減碼':{ en:'reducing', 'zh-CN':'减仓' },
+  '持平':{ en:'unchanged', 'zh-CN':'持平' }
+};
+
+export function termLabel(term, lang){
+  if(!term) return term;
+  const resolved = resolveLang(lang);
+  if(resolved === BASE_LANG) return term;
+  return TERM_LABELS[term]?.[resolved] || term;
+}
@@ -1,25 +1,251 @@
-const queue = [];
-let processing = false;
-
-async function processQueue(){
-  if(processing) return;
-  processing = true;
-  while(queue.length){
-    const job = queue.shift();
+import { getDatabase } from './db.js';
+
+const QUEUE_CONCURRENCY = Math.max(1, Number(process.env.QUEUE_CONCURRENCY || 2));
+const QUEUE_BACKGROUND_CONCURRENCY = Math.max(1, Number(process.env.QUEUE_BACKGROUND_CONCURRENCY || 2));
+const QUEUE_MAX_ATTEMPTS = Math.max(1, Number(process.env.QUEUE_MAX_ATTEMPTS || 3));
+const QUEUE_RETRY_BASE_MS = Math.max(0, Number(process.env.QUEUE_RETRY_BASE_MS || 30_000));
+const QUEUE_RETRY_MAX_MS = Math.max(QUEUE_RETRY_BASE_MS, Number(process.env.QUEUE_RETRY_MAX_MS || 30 * 60 * 1000));
+
+// 數字越小越先執行：互動式（使用者等待中的延後 LLM）> 預熱 > 批次；
+// background（webhook 投遞等短工作）另有獨立的執行名額，不佔分析用的 QUEUE_CONCURRENCY
+const LANE_PRIORITY = { interactive:0, prewarm:1, batch:2, background:3 };
+const BACKGROUND_LANE = 'background';
+
+const db = getDatabase();
+db.prepare(`CREATE TABLE IF NOT EXISTS queue_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT NOT NULL,
+  lane TEXT NOT NULL,
+  priority INTEGER NOT NULL,
+  dedupe_key TEXT,
+  payload_json TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  run_after INTEGER NOT NULL,
+  last_error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  started_at INTEGER,
+  finished_at INTEGER
+)`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_queue_jobs_pending ON queue_jobs(status, priority, run_after)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_queue_jobs_dedupe ON queue_jobs(dedupe_key, status)').run();
+db.prepare(`CREATE TABLE IF NOT EXISTS queue_dead_letters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  lane TEXT NOT NULL,
+  payload_json TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  error TEXT,
+  failed_at INTEGER NOT NULL
+)`).run();
+
+const insertStmt = db.prepare(`INSERT INTO queue_jobs (kind, lane, priority, dedupe_key, payload_json, status, attempts, max_attempts, run_after, created_at, updated_at)
+VALUES (@kind, @lane, @priority, @dedupe_key, @payload_json, 'pending', 0, @max_attempts, @run_after, @created_at, @updated_at)`);
+const findActiveByKeyStmt = db.prepare(`SELECT id FROM queue_jobs WHERE dedupe_key=? AND status IN ('pending','running') LIMIT 1`);
+const nextPendingStmt = db.prepare(`SELECT * FROM queue_jobs WHERE status='pending' AND run_after<=? AND lane!='${BACKGROUND_LANE}' ORDER BY priority ASC, run_after ASC, id ASC LIMIT 1`);
+const nextBackgroundStmt = db.prepare(`SELECT * FROM queue_jobs WHERE status='pending' AND run_after<=? AND lane='${BACKGROUND_LANE}' ORDER BY run_after ASC, id ASC LIMIT 1`);
+const nextWakeStmt = db.prepare(`SELECT MIN(run_after) AS run_after FROM queue_jobs WHERE status='pending'`);
+const claimStmt = db.prepare(`UPDATE queue_jobs SET status='running', attempts=attempts+1, started_at=@now, updated_at=@now WHERE id=@id AND status='pending'`);
+const completeStmt = db.prepare(`UPDATE queue_jobs SET status='done', last_error=NULL, finished_at=@now, updated_at=@now WHERE id=@id`);
+const retryStmt = db.prepare(`UPDATE queue_jobs SET status='pending', run_after=@run_after, last_error=@error, updated_at=@now WHERE id=@id`);
+const deadStmt = db.prepare(`UPDATE queue_jobs SET status='dead', last_error=@error, finished_at=@now, updated_at=@now WHERE id=@id`);
+const deadLetterStmt = db.prepare(`INSERT INTO queue_dead_letters (job_id, kind, lane, payload_json, attempts, error, failed_at)
+VALUES (@job_id, @kind, @lane, @payload_json, @attempts, @error, @failed_at)`);
+const recoverStmt = db.prepare(`UPDATE queue_jobs SET status='pending', updated_at=? WHERE status='running'`);
+const countsStmt = db.prepare('SELECT lane, status, COUNT(*) AS count FROM queue_jobs GROUP BY lane, status');
+const listActiveStmt = db.prepare(`SELECT * FROM queue_jobs WHERE status IN ('pending','running') ORDER BY status DESC, priority ASC, run_after ASC, id ASC LIMIT ?`);
+const listDeadStmt = db.prepare('SELECT * FROM queue_dead_letters ORDER BY failed_at DESC LIMIT ?');
+const purgeDoneStmt = db.prepare(`DELETE FROM queue_jobs WHERE status IN ('done','dead') AND updated_at < ?`);
+const purgeDeadLettersStmt = db.prepare('DELETE FROM queue_dead_letters WHERE failed_at < ?');
+
+const handlers = new Map();
+let running = 0;
+let backgroundRunning = 0;
+let started = false;
+let wakeTimer = null;
+
+function backoffDelay(attempts){
+  return Math.min(QUEUE_RETRY_MAX_MS, QUEUE_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+function decodeRow(row){
+  if(!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    lane: row.lane,
+    status: row.status,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    payload: JSON.parse(row.payload_json),
+    run_after: row.run_after,
+    last_error: row.last_error || null,
+    created_at: row.created_at,
+    started_at: row.started_at || null
+  };
+}
+
+function scheduleWake(){
+  if(wakeTimer){
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  const next = nextWakeStmt.get()?.run_after;
+  if(next == null) return;
+  const delay = Math.max(0, next - Date.now());
+  wakeTimer = setTimeout(()=>{
+    wakeTimer = null;
+    pump();
+  }, delay);
+  wakeTimer.unref?.();
+}
+
+function claimNext(stmt){
+  const now = Date.now();
+  const row = stmt.get(now);
+  if(!row) return null;
+  const claimed = claimStmt.run({ id: row.id, now }).changes;
+  if(!claimed) return null;
+  return { ...row, attempts: row.attempts + 1 };
+}
+
+async function runJob(row){
+  const handler = handlers.get(row.kind);
+  const payload = JSON.parse(row.payload_json);
+  const now = ()=>Date.now();
+  try{
+    if(!handler) throw Object.assign(new Error(`no handler for job kind ${row.kind}`), { retryable:false });
+    await handler(payload, { jobId: row.id, attempt: row.attempts, maxAttempts: row.max_attempts, lane: row.lane });
+    completeStmt.run({ id: row.id, now: now() });
+  }catch(err){
+    const message = String(err?.message || err);
+    const exhausted = err?.retryable === false || row.attempts >= row.max_attempts;
+    if(exhausted){
+      deadStmt.run({ id: row.id, error: message, now: now() });
+      deadLetterStmt.run({
+        job_id: row.id,
+        kind: row.kind,
+        lane: row.lane,
+        payload_json: row.payload_json,
+        attempts: row.attempts,
+        error: message,
+        failed_at: now()
+      });
+      console.warn('[queue] dead-lettered', row.kind, row.id, message);
+    }else{
+      const delay = backoffDelay(row.attempts);
+      retryStmt.run({ id: row.id, run_after: now() + delay, error: message, now: now() });
+      console.warn(`[queue] retry ${row.kind} #${row.id} in ${Math.round(delay / 1000)}s`, message);
+    }
+  }
+}
+
+function pump(){
+  if(!started) return;
+  while(running < QUEUE_CONCURRENCY){
+    let row = null;
+    try{
+      row = claimNext(nextPendingStmt);
+    }catch(err){
+      console.warn('[queue] claim failed', err.message);
+      break;
+    }
+    if(!row) break;
+    running += 1;
+    runJob(row).finally(()=>{
+      running -= 1;
+      pump();
+    });
+  }
+  while(backgroundRunning < QUEUE_BACKGROUND_CONCURRENCY){
+    let row = null;
     try{
-      const result = await job.fn();
-      job.resolve(result);
+      row = claimNext(nextBackgroundStmt);
     }catch(err){
-      job.reject(err);
+      console.warn('[queue] claim failed', err.message);
+      break;
     }
+    if(!row) break;
+    backgroundRunning += 1;
+    runJob(row).finally(()=>{
+      backgroundRunning -= 1;
+      pump();
+    });
   }
-  processing = false;
+  scheduleWake();
+}
+
+export function registerJobHandler(kind, handler){
+  if(!kind || typeof handler !== 'function') throw new Error('Job handler requires kind and function');
+  handlers.set(kind, handler);
 }
 
-export function enqueueJob(fn){
-  if(typeof fn !== 'function') return Promise.reject(new Error('Job must be a function'));
-  return new Promise((resolve,reject)=>{
-    queue.push({ fn, resolve, reject });
-    processQueue();
+export function enqueueJob({ kind, payload={}, lane='batch', dedupeKey=null, maxAttempts=QUEUE_MAX_ATTEMPTS, delayMs=0 }={}){
+  if(!kind) throw new Error('Job kind required');
+  if(!(lane in LANE_PRIORITY)) throw new Error(`Unknown queue lane: ${lane}`);
+  if(dedupeKey){
+    const existing = findActiveByKeyStmt.get(dedupeKey);
+    if(existing) return { id: existing.id, deduped:true };
+  }
+  const now = Date.now();
+  const info = insertStmt.run({
+    kind,
+    lane,
+    priority: LANE_PRIORITY[lane],
+    dedupe_key: dedupeKey,
+    payload_json: JSON.stringify(payload),
+    max_attempts: Math.max(1, Number(maxAttempts) || 1),
+    run_after: now + Math.max(0, Number(delayMs) || 0),
+    created_at: now,
+    updated_at: now
   });
+  pump();
+  return { id: Number(info.lastInsertRowid), deduped:false };
+}
+
+export function startQueue({ retentionMs }={}){
+  if(started) return;
+  started = true;
+  // 上次關機時執行中的工作重新排入，嘗試次數保留以免無限重試
+  const recovered = recoverStmt.run(Date.now()).changes;
+  if(recovered) console.log(`[queue] recovered ${recovered} interrupted jobs`);
+  if(Number.isFinite(retentionMs) && retentionMs > 0){
+    const cutoff = Date.now() - retentionMs;
+    const purged = purgeDoneStmt.run(cutoff).changes + purgeDeadLettersStmt.run(cutoff).changes;
+    if(purged) console.log(`[queue] purged ${purged} finished entries`);
+  }
+  pump();
+}
+
+export function getQueueSnapshot({ limit=50 }={}){
+  const lanes = {};
+  for(const lane of Object.keys(LANE_PRIORITY)){
+    lanes[lane] = { pending:0, running:0, done:0, dead:0 };
+  }
+  for(const row of countsStmt.all()){
+    if(!lanes[row.lane]) lanes[row.lane] = { pending:0, running:0, done:0, dead:0 };
+    lanes[row.lane][row.status] = row.count;
+  }
+  return {
+    concurrency: QUEUE_CONCURRENCY,
+    running,
+    background_concurrency: QUEUE_BACKGROUND_CONCURRENCY,
+    background_running: backgroundRunning,
+    max_attempts: QUEUE_MAX_ATTEMPTS,
+    lanes,
+    active: listActiveStmt.all(limit).map(decodeRow),
+    dead_letters: listDeadStmt.all(limit).map(row=>({
+      id: row.id,
+      job_id: row.job_id,
+      kind: row.kind,
+      lane: row.lane,
+      payload: JSON.parse(row.payload_json),
+      attempts: row.attempts,
+      error: row.error,
+      failed_at: row.failed_at
+    }))
+  };
 }
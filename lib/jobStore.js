@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import { getDatabase } from './db.js';
+
+const JOB_DB_ENABLED = process.env.ENABLE_ANALYSIS_DB === 'true';
+
+let db;
+let insertStmt;
+let getStmt;
+let unfinishedStmt;
+let purgeStmt;
+// 未開啟 ENABLE_ANALYSIS_DB 時任務只存在記憶體（欄位與資料表相同），重啟後不會續跑
+const memoryJobs = new Map();
+
+if(JOB_DB_ENABLED){
+  db = getDatabase();
+  db.prepare(`CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    status TEXT NOT NULL,
+    progress REAL NOT NULL DEFAULT 0,
+    stage TEXT,
+    params_json TEXT NOT NULL,
+    result_json TEXT,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    started_at INTEGER,
+    finished_at INTEGER
+  )`).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)').run();
+
+  insertStmt = db.prepare(`INSERT INTO jobs (id, kind, status, progress, stage, params_json, created_at, updated_at)
+  VALUES (@id, @kind, @status, 0, NULL, @params_json, @created_at, @updated_at)`);
+  getStmt = db.prepare('SELECT * FROM jobs WHERE id=?');
+  unfinishedStmt = db.prepare(`SELECT * FROM jobs WHERE status IN ('queued','running') ORDER BY created_at ASC`);
+  purgeStmt = db.prepare(`DELETE FROM jobs WHERE status IN ('completed','failed','cancelled') AND updated_at < ?`);
+}
+
+const FINAL_STATUSES = new Set(['completed','failed','cancelled']);
+const UPDATABLE_FIELDS = ['status','progress','stage','error','started_at','finished_at'];
+
+function decodeRow(row, { includeResult=true }={}){
+  if(!row) return null;
+  const job = {
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    progress: row.progress,
+    stage: row.stage,
+    params: JSON.parse(row.params_json),
+    error: row.error || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    started_at: row.started_at || null,
+    finished_at: row.finished_at || null
+  };
+  if(includeResult){
+    job.result = row.result_json ? JSON.parse(row.result_json) : null;
+  }
+  return job;
+}
+
+export function isFinalJobStatus(status){
+  return FINAL_STATUSES.has(status);
+}
+
+export function createJob({ kind, params }){
+  const now = Date.now();
+  const id = crypto.randomUUID();
+  const row = {
+    id,
+    kind,
+    status: 'queued',
+    params_json: JSON.stringify(params || {}),
+    created_at: now,
+    updated_at: now
+  };
+  if(JOB_DB_ENABLED){
+    insertStmt.run(row);
+  }else{
+    memoryJobs.set(id, { ...row, progress:0, stage:null, result_json:null, error:null, started_at:null, finished_at:null });
+  }
+  return getJob(id);
+}
+
+export function getJob(id, opts){
+  if(!id) return null;
+  try{
+    return decodeRow(JOB_DB_ENABLED ? getStmt.get(id) : memoryJobs.get(id), opts);
+  }catch(err){
+    console.warn('[jobStore] get failed', err.message);
+    return null;
+  }
+}
+
+export function updateJob(id, patch={}){
+  if(!id) return null;
+  if(!JOB_DB_ENABLED) return updateMemoryJob(id, patch);
+  const sets = [];
+  const values = { id, updated_at: Date.now() };
+  for(const field of UPDATABLE_FIELDS){
+    if(patch[field] === undefined) continue;
+    sets.push(`${field}=@${field}`);
+    values[field] = patch[field];
+  }
+  if(patch.result !== undefined){
+    sets.push('result_json=@result_json');
+    values.result_json = patch.result == null ? null : JSON.stringify(patch.result);
+  }
+  sets.push('updated_at=@updated_at');
+  try{
+    // 已結束的任務不再被覆寫，避免取消後仍被背景流程標成 completed
+    db.prepare(`UPDATE jobs SET ${sets.join(', ')} WHERE id=@id AND status NOT IN ('completed','failed','cancelled')`).run(values);
+  }catch(err){
+    console.warn('[jobStore] update failed', err.message);
+  }
+  return getJob(id, { includeResult:false });
+}
+
+function updateMemoryJob(id, patch){
+  const row = memoryJobs.get(id);
+  if(!row || FINAL_STATUSES.has(row.status)) return getJob(id, { includeResult:false });
+  for(const field of UPDATABLE_FIELDS){
+    if(patch[field] !== undefined) row[field] = patch[field];
+  }
+  if(patch.result !== undefined){
+    row.result_json = patch.result == null ? null : JSON.stringify(patch.result);
+  }
+  row.updated_at = Date.now();
+  return getJob(id, { includeResult:false });
+}
+
+export function listUnfinishedJobs(){
+  if(!JOB_DB_ENABLED) return [];
+  try{
+    return unfinishedStmt.all().map(row=>decodeRow(row, { includeResult:false }));
+  }catch(err){
+    console.warn('[jobStore] list failed', err.message);
+    return [];
+  }
+}
+
+export function purgeFinishedJobs(olderThanMs){
+  if(!Number.isFinite(olderThanMs) || olderThanMs <= 0) return 0;
+  if(!JOB_DB_ENABLED){
+    const cutoff = Date.now() - olderThanMs;
+    let purged = 0;
+    for(const [id, row] of memoryJobs){
+      if(FINAL_STATUSES.has(row.status) && row.updated_at < cutoff){
+        memoryJobs.delete(id);
+        purged++;
+      }
+    }
+    return purged;
+  }
+  try{
+    return purgeStmt.run(Date.now() - olderThanMs).changes;
+  }catch(err){
+    console.warn('[jobStore] purge failed', err.message);
+    return 0;
+  }
+}
@@ -2,66 +2,26 @@ import crypto from 'crypto';
 import { jsonrepair } from 'jsonrepair';
 import { getCache, setCache } from './cache.js';
 import { getLlmCache, setLlmCache } from './analysisStore.js';
-import { callOpenAIChat } from './openaiClient.js';
-
-// Pricing per https://openai.com/pricing (retrieved 2024-11)
-const MODEL_PRICING = {
-  'gpt-4o': {
-    input: 5 / 1_000_000,
-    output: 15 / 1_000_000
-  },
-  'gpt-4o-mini': {
-    input: 0.15 / 1_000_000,
-    output: 0.60 / 1_000_000
-  }
-};
+import { callChat, resolveTaskModel, hasLlmAccess } from './llmClient.js';
+import { computeCost, buildUsageItem, markUsageCached, usageBreakdown } from './llmPricing.js';
+import { validateAnalysis, getAtPath, setAtPath, ANALYSIS_RESPONSE_FORMAT } from './analysisSchema.js';
+import { getModelCapabilities, isResponseFormatError } from './modelCapabilities.js';
+import { loadPrompt, renderPrompt, hasPlaceholder } from './promptRegistry.js';
+import { resolveLang, outputLanguageInstruction, languageName, BASE_LANG } from './i18n.js';
 
 const DEFAULT_LLM_CACHE_TTL_MS = Number(process.env.LLM_CACHE_TTL_HOURS || 48) * 60 * 60 * 1000;
 
-const GPT5_INPUT_COST = Number(process.env.OPENAI_GPT5_INPUT_COST_PER_TOKEN);
-const GPT5_OUTPUT_COST = Number(process.env.OPENAI_GPT5_OUTPUT_COST_PER_TOKEN);
-if(Number.isFinite(GPT5_INPUT_COST) && Number.isFinite(GPT5_OUTPUT_COST)){
-  MODEL_PRICING['gpt-5'] = {
-    input: GPT5_INPUT_COST,
-    output: GPT5_OUTPUT_COST
-  };
-}
-
-function getPricing(model){
-  return MODEL_PRICING[model];
-}
-
-const SYSTEM_PROMPT = [
-  '你是資深金融分析師，需依據輸入資料輸出 JSON，所有文字必須使用繁體中文。請先評估「上漲 / 持平 / 下跌」三種情境，若下行風險 ≥ 上行空間或動能顯示惡化就給 SELL；僅在訊號互相矛盾且上下空間都落在 ±4%（小型股可放寬至 ±6%）時才可採用 HOLD。',
-  '結構：{"per_filing":[{"form":"10-Q|10-K","filingDate":"YYYY-MM-DD","reportDate":"YYYY-MM-DD","five_indicators":{"alignment_score":number,"key_conflicts":[string],"valuation_rationale":string,"risk_factors":[string],"catalyst_timeline":[{"event":string,"window":string,"why":string}]},"explanation":"300-500字"}],"consensus_view":{"summary":string,"agreement_ratio":number},"action":{"rating":"BUY|HOLD|SELL","target_price":number,"stop_loss":number,"confidence":"high|medium|low","valuation_gap":{"vs_price_pct":number,"narrative":string},"target_band":{"upper_pct":number,"lower_pct":number,"reason":string},"re_rating_triggers":[string],"rationale":string,"key_catalysts":[string],"risk_watchlist":[string],"short_term_view":{"horizon":"7d","direction":"上漲|持平|下跌","expected_move_pct":number},"medium_term_view":{"horizon":"30d","direction":"上漲|持平|下跌","expected_move_pct":number}},"profile":{"segment":"large_cap|small_cap","segment_label":string,"summary":string,"filters":{"total":8,"met":number,"items":[{"name":string,"met":boolean,"reason":string}]},"score":number,"score_detail":[{"category":string,"points":number,"reason":string}],"catalysts":[string]},"sector":{"sector":string,"industry":string},"news_insight":{"summary":string,"impact":"正面|中性|負面","key_events":[{"title":string,"why":string}]}}',
-  'payload.valuation 提供現價、52 週高低、EV/EBITDA、PEG、beta 與波動度；必須說明目標價相對現價的折溢價並填寫 action.valuation_gap，同時解釋與關鍵催化/風險的對應關係。',
-  'payload.sector.sector 為 S&P 產業分類之一（Basic Materials、Communication Services、Consumer Cyclical、Consumer Defensive、Energy、Financial Services、Healthcare、Industrials、Real Estate、Technology、Utilities）；你必須依產業性質調整打分與 BUY/HOLD/SELL 判準：例如 Technology / Communication Services 更重視成長與研發、可容忍較高估值；Consumer Defensive / Utilities 應優先考量穩定現金流與股息、較嚴格限制估值溢價；Energy / Materials 則需強調週期風險與商品價格敏感度；Financial Services 重視資本充足、資產品質與監管風險；Real Estate 則優先關注利率敏感度與空置率。',
-  'payload.signal_hints 與 guardrails 告知動能與籌碼強弱：當 severe_momentum 或 selling_pressure 為 true、或 signal_hints 提示「動能/籌碼弱勢」，action.target_price 必須限制在現價 ±25% 內，除非你在 valuation_gap.narrative 中完整論證，且 rationale 必須標註理由。',
-  '若評級為 SELL，需明確說明至少 15% 的下跌幅度與觸發條件，並描述具體監控指標；若評級為 HOLD，必須輸出 action.target_band（upper_pct 與 lower_pct）並解釋區間理由，同時在 action.re_rating_triggers 提供至少兩項具體監控條件（如營收/動能門檻或價格突破 band 時間點）。',
-  '請綜合 SEC MD&A 摘要、分析師/目標價資料、新聞情緒、動能與 ETF 參考，評估估值、成長與風險。需完成大型股或小型股的 8 項硬性過濾（至少 6 項通過）與 100 分制打分，並給出可執行的投資建議、關鍵催化、風險對沖方案。',
-  '只有在 analyst_metrics.price_targets.confidence === "high" 時，才可直接引用分析師均價/區間作為 action.target_price 的主要依據；若為 "low" 或缺值，必須依現價、動能、基本面自行推估並在 rationale 說明樣本不足。',
-  '評級判準：若目標價或估值顯示上行空間 >=10% 且動能/籌碼無明顯警訊，就應給 BUY；若預期下跌 >=10% 或動能/籌碼轉弱，就給 SELL；僅當上下空間都在允許 band 內且催化互相抵銷時才可維持 HOLD。'
-].join('\n');
-
 const COMPLETION_TOKEN_CEILING = Number(process.env.OPENAI_COMPLETION_MAX_TOKENS || 1500);
-const REPAIR_MODEL = process.env.OPENAI_MODEL_REPAIR || process.env.OPENAI_MODEL_SECONDARY || 'gpt-4o-mini';
-const JSON_FORMAT_MODELS = new Set([
-  'gpt-4o',
-  'gpt-4o-mini',
-  'gpt-4o-mini-200k',
-  'gpt-4.1',
-  'gpt-4.1-mini'
-]);
+const REPAIR_MODEL = resolveTaskModel('json_repair', process.env.OPENAI_MODEL_REPAIR || process.env.OPENAI_MODEL_SECONDARY || 'gpt-4o-mini');
 
-function supportsJsonFormat(model){
-  if(!model) return false;
-  return JSON_FORMAT_MODELS.has(String(model).toLowerCase());
+export function getRepairModel(){
+  return REPAIR_MODEL;
 }
 
-function isGpt5Model(model){
-  if(!model) return false;
-  return String(model).toLowerCase().startsWith('gpt-5');
-}
+const buildFieldRepairPrompt = lang=>[
+  '你是 JSON 欄位修補器。輸入的 issues 列出股票分析結果中缺漏或格式錯誤的欄位路徑（path）、問題（problem）與預期型別（expected），context 為已知的分析內容。',
+  `只針對列出的 path 補上合理數值，輸出單一 JSON 物件，key 為 path 原字串、value 為該欄位的新值；不得輸出其他欄位或說明。文字欄位使用${languageName(lang)}。`
+].join('\n');
 
 function tryParseJson(text){
   if(!text) return null;
@@ -81,14 +41,33 @@ try{
 }catch{}
 return null;
 }
-export async function analyzeWithLLM(openKey, model, payload, options={}){
-  if(!openKey) throw new Error('[OPENAI] Missing API key');
-  const { cacheTtlMs, promptVersion='v1', fallbackModel } = options;
+
+// 快取命中時沿用當初的 usage，呼叫明細標成 cache_hit（費用算進節省而非本次花費）；
+// priorCalls 為前一個模型失敗前已實際計費的呼叫，照列在前面
+function withCachedUsage(result, priorCalls=[]){
+  if(!result?.__usage) return result;
+  return { ...result, __usage: { ...result.__usage, breakdown: [...priorCalls, ...markUsageCached(usageBreakdown(result.__usage))] } };
+}
+
+export async function analyzeWithLLM(model, payload, options={}){
+  const { cacheTtlMs, promptVersion, fallbackModel, usageContext, signal } = options;
+  const lang = resolveLang(options.lang);
+  // system prompt 由 prompts/analysis/<version>.json 提供；未指定版本時用預設版本。
+  // 舊版 prompt 沒有 {{output_language}} 時，非預設語言另外附上語言指示
+  const prompt = loadPrompt('analysis', promptVersion);
+  let systemPrompt = renderPrompt(prompt, { output_language: outputLanguageInstruction(lang) });
+  if(!hasPlaceholder(prompt, 'output_language') && lang !== BASE_LANG){
+    systemPrompt = `${systemPrompt}\n${outputLanguageInstruction(lang)}`;
+  }
   const ttl = Number.isFinite(cacheTtlMs) ? cacheTtlMs : DEFAULT_LLM_CACHE_TTL_MS;
   const attemptModels = [model];
   if(fallbackModel && fallbackModel !== model){
     attemptModels.push(fallbackModel);
   }
+  if(!attemptModels.some(hasLlmAccess)) throw new Error('[LLM] Missing API key');
+  // 所有實際呼叫（各模型的格式降級重送、欄位修補、JSON 修復）都列入 breakdown；
+  // 主模型失敗後改用 fallbackModel 時，前面已計費的呼叫一併保留，全部失敗時掛在 error.llm_usage
+  const calls = [];
   let lastErr;
 
   for(const targetModel of attemptModels){
@@ -97,94 +76,205 @@ export async function analyzeWithLLM(openKey, model, payload, options={}){
       if(result) return result;
     }catch(err){
       lastErr = err;
-      console.warn(`[OpenAI] model ${targetModel} failed: ${err.message}`);
+      // 任務已取消就不再換 fallback 模型重試
+      if(signal?.aborted) break;
+      console.warn(`[LLM] model ${targetModel} failed: ${err.message}`);
     }
   }
-  throw lastErr || new Error('[OPENAI] all models failed');
+  const failure = lastErr || new Error('[LLM] all models failed');
+  failure.llm_usage = calls.filter(Boolean);
+  throw failure;
 
   async function runWithModel(targetModel){
-    const hashInput = JSON.stringify({ payload, promptVersion, model: targetModel });
+    // 繁體中文不放進 hash，沿用既有快取
+    const hashInput = JSON.stringify(lang === BASE_LANG
+      ? { payload, promptVersion: prompt.version, model: targetModel }
+      : { payload, promptVersion: prompt.version, model: targetModel, lang });
     const payloadHash = crypto.createHash('sha256').update(hashInput).digest('hex');
     const cacheKey = `llm_${targetModel}_${payloadHash}`;
     const dbCached = getLlmCache(payloadHash, ttl);
-    if(dbCached) return dbCached;
+    if(dbCached) return withCachedUsage(dbCached, calls.filter(Boolean));
     const cached = await getCache(cacheKey, ttl);
     if(cached){
       setLlmCache({ hash: payloadHash, ttlMs: ttl, result: cached });
-      return cached;
+      return withCachedUsage(cached, calls.filter(Boolean));
     }
     const deterministicSeed = parseInt(payloadHash.slice(0, 12), 16) % 1_000_000_000;
-    const isGpt5 = isGpt5Model(targetModel);
-    const preferStructured = !isGpt5 && supportsJsonFormat(targetModel);
-    return await invokeModel({ enforceJson: preferStructured, rawAttempt: false });
+    const capabilities = getModelCapabilities(targetModel);
+    // 能用 strict json_schema 就用，其次 json_object，都不支援就靠 tryParseJson / 修復
+    const initialFormat = capabilities.json_schema ? 'json_schema' : capabilities.json_object ? 'json_object' : null;
+    return await invokeModel({ format: initialFormat, rawAttempt: false });
 
-    async function invokeModel({ enforceJson, rawAttempt }){
-      const { data } = await callOpenAIChat({
-        openKey,
-        model: targetModel,
-        messages:[
-          { role:'system', content: SYSTEM_PROMPT },
-          { role:'user', content: JSON.stringify(payload) }
-        ],
-        timeoutMs:240000,
-        temperature:0,
-        responseFormat: (!isGpt5 && enforceJson) ? { type:'json_object' } : undefined,
-        maxCompletionTokens: COMPLETION_TOKEN_CEILING,
-        seed: isGpt5 ? undefined : deterministicSeed
-      });
-      const usage = data?.usage;
-      const pricing = getPricing(targetModel);
+    // 格式降級順序：json_schema → json_object → 不指定
+    function nextFormat(format){
+      if(format === 'json_schema') return capabilities.json_object ? 'json_object' : null;
+      return null;
+    }
+
+    async function invokeModel({ format, rawAttempt }){
+      let reply;
+      try{
+        reply = await callChat({
+          task:'analysis',
+          model: targetModel,
+          messages:[
+            { role:'system', content: systemPrompt },
+            { role:'user', content: JSON.stringify(payload) }
+          ],
+          timeoutMs:240000,
+          temperature:0,
+          responseFormat: format === 'json_schema'
+            ? { type:'json_schema', json_schema: ANALYSIS_RESPONSE_FORMAT }
+            : format === 'json_object' ? { type:'json_object' } : undefined,
+          maxCompletionTokens: COMPLETION_TOKEN_CEILING,
+          seed: capabilities.seed ? deterministicSeed : undefined,
+          usageContext,
+          signal
+        });
+      }catch(err){
+        // 端點不接受 schema（400 且錯誤指向 response_format，例如相容服務或舊快照）時降級重送，不算模型失敗
+        if(format && isResponseFormatError(err)){
+          console.warn(`[LLM] response_format=${format} rejected (model=${targetModel}), retrying with ${nextFormat(format) || 'no format'}.`);
+          return invokeModel({ format: nextFormat(format), rawAttempt });
+        }
+        throw err;
+      }
+      const { text: rawText, usage, vendor, model: vendorModel, refusal } = reply;
+      calls.push(buildUsageItem({ task:'analysis', vendor, model: vendorModel, usage }));
+      if(refusal) throw new Error(`[LLM] model refused: ${refusal}`);
+      const cost = computeCost(vendor, vendorModel, usage);
       let usageInfo = null;
       if(usage){
         usageInfo = {
           model: targetModel,
+          vendor,
           prompt_tokens: usage.prompt_tokens,
           completion_tokens: usage.completion_tokens,
-          total_tokens: usage.total_tokens ?? (usage.prompt_tokens + usage.completion_tokens)
+          total_tokens: usage.total_tokens
         };
-        if(pricing){
-          const inputCost = usage.prompt_tokens * pricing.input;
-          const outputCost = usage.completion_tokens * pricing.output;
-          const totalCost = inputCost + outputCost;
-          usageInfo.input_cost = Number(inputCost.toFixed(6));
-          usageInfo.output_cost = Number(outputCost.toFixed(6));
-          usageInfo.total_cost = Number(totalCost.toFixed(6));
-          console.log(`[OpenAI] model=${targetModel} prompt=${usage.prompt_tokens} completion=${usage.completion_tokens} approx_cost=$${totalCost.toFixed(4)}`);
+        if(cost){
+          Object.assign(usageInfo, cost);
+          console.log(`[LLM] vendor=${vendor} model=${vendorModel} prompt=${usage.prompt_tokens} completion=${usage.completion_tokens} approx_cost=$${cost.total_cost.toFixed(4)}`);
         }else{
-          console.log(`[OpenAI] model=${targetModel} prompt=${usage.prompt_tokens} completion=${usage.completion_tokens} (cost unavailable)`);
+          console.log(`[LLM] vendor=${vendor} model=${vendorModel} prompt=${usage.prompt_tokens} completion=${usage.completion_tokens} (cost unavailable)`);
         }
       }
-      const text = data?.choices?.[0]?.message?.content || '{}';
+      const text = rawText || '{}';
       const cleaned = text.trim().replace(/^```json/i,'').replace(/```$/,'').trim();
       let parsed = tryParseJson(cleaned);
       if(!parsed){
-        if(enforceJson){
-          console.warn(`[OpenAI] structured response parse failed (model=${targetModel}), retrying without enforced JSON.`);
-          return invokeModel({ enforceJson:false, rawAttempt });
+        if(format){
+          console.warn(`[LLM] ${format} response parse failed (model=${targetModel}), retrying with ${nextFormat(format) || 'no format'}.`);
+          return invokeModel({ format: nextFormat(format), rawAttempt });
         }
         const repaired = rawAttempt ? null : await repairJsonOutput(cleaned);
         if(repaired){
           parsed = repaired;
         }else{
-          throw new Error('[OPENAI] invalid JSON output');
+          throw new Error('[LLM] invalid JSON output');
         }
       }
+      const validationWarnings = await validateWithRepair(parsed);
+      if(validationWarnings.length){
+        parsed.validation_warnings = validationWarnings;
+      }
       if(!parsed?.action?.rating || parsed?.action?.rating === 'N/A'){
-        throw new Error('[OPENAI] output missing key fields');
+        throw new Error('[LLM] output missing key fields');
       }
       if(usageInfo){
-        parsed.__usage = usageInfo;
+        parsed.__usage = { ...usageInfo, breakdown: calls.filter(Boolean) };
       }
       await setCache(cacheKey, parsed);
       setLlmCache({ hash: payloadHash, ttlMs: ttl, result: parsed });
       return parsed;
     }
 
+    // 依 schema 驗證並就地轉型；必填欄位仍有問題時只把出錯的路徑送給 REPAIR_MODEL 補齊
+    async function validateWithRepair(doc){
+      const first = validateAnalysis(doc);
+      const warnings = [...first.warnings];
+      let errors = first.errors;
+      if(errors.length){
+        const repairedPaths = await repairInvalidFields(doc, errors);
+        if(repairedPaths.length){
+          const second = validateAnalysis(doc);
+          warnings.push(...second.warnings);
+          const stillBroken = new Set(second.errors.map(err=>err.path));
+          repairedPaths
+            .filter(path=>!stillBroken.has(path))
+            .forEach(path=>warnings.push({ path, code:'repaired', detail:`by ${REPAIR_MODEL}` }));
+          errors = second.errors;
+        }
+      }
+      errors.forEach(err=>{
+        // 修不好的錯誤型別值改成 null，避免前端拿到字串當數字
+        if(err.code === 'invalid_type' || err.code === 'invalid_enum' || err.code === 'out_of_range'){
+          setAtPath(doc, err.path, null);
+        }
+        warnings.push({ path: err.path, code: err.code, detail: err.detail || 'unresolved' });
+      });
+      if(warnings.length){
+        console.warn(`[LLM] validation model=${targetModel} warnings=${warnings.length} unresolved=${errors.length}`);
+      }
+      return warnings;
+    }
+
+    async function repairInvalidFields(doc, errors){
+      if(!REPAIR_MODEL || !hasLlmAccess(REPAIR_MODEL)) return [];
+      const issues = errors.map(({ path, code, detail, expected })=>{
+        const issue = { path, problem: code, detail, expected };
+        // 格式錯或項目不足時附上現值，讓模型在原內容上補齊而不是整段重寫
+        if(code !== 'missing'){
+          const current = JSON.stringify(getAtPath(doc, path));
+          if(current && current.length <= 1500) issue.current = JSON.parse(current);
+        }
+        return issue;
+      });
+      const context = {
+        ticker: payload?.ticker || payload?.company || null,
+        baseline_date: payload?.baseline_date || null,
+        current_price: payload?.valuation?.current_price ?? payload?.price?.value ?? null,
+        action: doc.action ? {
+          rating: doc.action.rating,
+          target_price: doc.action.target_price,
+          stop_loss: doc.action.stop_loss,
+          rationale: typeof doc.action.rationale === 'string' ? doc.action.rationale.slice(0, 300) : undefined
+        } : null,
+        profile_summary: typeof doc.profile?.summary === 'string' ? doc.profile.summary.slice(0, 300) : null
+      };
+      try{
+        const { text, usage, vendor, model: vendorModel } = await callChat({
+          task:'json_repair',
+          model: REPAIR_MODEL,
+          messages:[
+            { role:'system', content: buildFieldRepairPrompt(lang) },
+            { role:'user', content: JSON.stringify({ issues, context }) }
+          ],
+          timeoutMs:120000,
+          temperature:0,
+          responseFormat:{ type:'json_object' },
+          maxCompletionTokens:800,
+          usageContext,
+          signal
+        });
+        calls.push(buildUsageItem({ task:'json_repair', vendor, model: vendorModel, usage }));
+        const patch = tryParseJson((text || '').trim());
+        if(!patch || typeof patch !== 'object') return [];
+        const wanted = new Set(issues.map(issue=>issue.path));
+        const applied = Object.keys(patch).filter(path=>wanted.has(path));
+        applied.forEach(path=>setAtPath(doc, path, patch[path]));
+        return applied;
+      }catch(err){
+        console.warn('[LLM] field repair failed', err.message);
+        return [];
+      }
+    }
+
     async function repairJsonOutput(rawText){
-      if(!rawText || !REPAIR_MODEL || !openKey) return null;
+      if(!rawText || !REPAIR_MODEL || !hasLlmAccess(REPAIR_MODEL)) return null;
       try{
-        const { data } = await callOpenAIChat({
-          openKey,
+        const { text, usage, vendor, model: vendorModel } = await callChat({
+          task:'json_repair',
           model: REPAIR_MODEL,
           messages:[
             { role:'system', content:'你是 JSON 修復器。請將輸入內容轉換為合法 JSON，結構需符合 {"per_filing":[],"consensus_view":{},"action":{},"profile":{},"news_insight":{}} 並只輸出 JSON。' },
@@ -193,12 +283,14 @@ export async function analyzeWithLLM(openKey, model, payload, options={}){
           timeoutMs:120000,
           temperature:0,
           responseFormat:{ type:'json_object' },
-          maxCompletionTokens:600
+          maxCompletionTokens:600,
+          usageContext,
+          signal
         });
-        const text = data?.choices?.[0]?.message?.content || '';
-        return tryParseJson(text.trim());
+        calls.push(buildUsageItem({ task:'json_repair', vendor, model: vendorModel, usage }));
+        return tryParseJson((text || '').trim());
       }catch(err){
-        console.warn('[OpenAI] repair failed', err.message);
+        console.warn('[LLM] repair failed', err.message);
         return null;
       }
     }
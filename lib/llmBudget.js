@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import { getSpendSince, getRequestUsage, ANONYMOUS_CALLER } from './llmUsageStore.js';
+
+// LLM 費用上限（USD），未設定或 <= 0 代表不限制：
+// - 全站：LLM_BUDGET_DAILY_USD / LLM_BUDGET_MONTHLY_USD
+// - 每個呼叫者（API_KEYS 或 LLM_BUDGET_CALLERS_JSON 設定過的 X-API-Key）：LLM_BUDGET_CALLER_DAILY_USD / LLM_BUDGET_CALLER_MONTHLY_USD，個別覆寫用 LLM_BUDGET_CALLERS_JSON
+// - 單次分析請求：LLM_BUDGET_REQUEST_USD / LLM_BUDGET_REQUEST_TOKENS（超過後同一請求的後續呼叫一律拒絕）
+// 花費達上限的 LLM_BUDGET_SOFT_RATIO（預設 0.8）時改用次要模型，達上限時改跑 metrics-only
+export const LLM_BUDGET_ERROR = 'llm_budget_exceeded';
+export const SCHEDULER_CALLER = 'scheduler';
+
+function positiveOrNull(value){
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+const GLOBAL_LIMITS = {
+  daily: positiveOrNull(process.env.LLM_BUDGET_DAILY_USD),
+  monthly: positiveOrNull(process.env.LLM_BUDGET_MONTHLY_USD)
+};
+const CALLER_DEFAULT_LIMITS = {
+  daily: positiveOrNull(process.env.LLM_BUDGET_CALLER_DAILY_USD),
+  monthly: positiveOrNull(process.env.LLM_BUDGET_CALLER_MONTHLY_USD)
+};
+const REQUEST_LIMITS = {
+  cost_usd: positiveOrNull(process.env.LLM_BUDGET_REQUEST_USD),
+  tokens: positiveOrNull(process.env.LLM_BUDGET_REQUEST_TOKENS)
+};
+const SOFT_RATIO = (()=>{
+  const ratio = Number(process.env.LLM_BUDGET_SOFT_RATIO);
+  return ratio > 0 && ratio <= 1 ? ratio : 0.8;
+})();
+
+// API key 不落地：以 sha256 前 12 碼當呼叫者代號，帳本與 /api/usage 只看得到代號
+function callerIdFromApiKey(apiKey){
+  const key = String(apiKey || '').trim();
+  if(!key) return ANONYMOUS_CALLER;
+  return `key_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+}
+
+function isCallerId(name){
+  return name === ANONYMOUS_CALLER || name === SCHEDULER_CALLER || /^key_[0-9a-f]{12}$/.test(name);
+}
+
+// LLM_BUDGET_CALLERS_JSON='{"<api key 或呼叫者代號>":{"daily_usd":2,"monthly_usd":20}}'；
+// 沒寫的欄位沿用 LLM_BUDGET_CALLER_*，寫 0 代表該呼叫者不設限
+const CALLER_OVERRIDES = {};
+try{
+  const overrides = JSON.parse(process.env.LLM_BUDGET_CALLERS_JSON || '{}');
+  Object.entries(overrides).forEach(([name, limits])=>{
+    if(!limits || typeof limits !== 'object') return;
+    CALLER_OVERRIDES[isCallerId(name) ? name : callerIdFromApiKey(name)] = limits;
+  });
+}catch(err){
+  console.warn('[budget] invalid LLM_BUDGET_CALLERS_JSON', err.message);
+}
+
+// 只有設定過的 key 才算獨立呼叫者：API_KEYS（逗號分隔）與 LLM_BUDGET_CALLERS_JSON 列出的 key / 代號；
+// 其他 key 一律當 anonymous，避免輪換 header 分散額度或冒用他人代號
+const KNOWN_CALLERS = new Set([
+  ...String(process.env.API_KEYS || '').split(',').map(key=>key.trim()).filter(Boolean).map(callerIdFromApiKey),
+  ...Object.keys(CALLER_OVERRIDES).filter(name=>name.startsWith('key_'))
+]);
+
+export function resolveRequestCaller(apiKey){
+  const caller = callerIdFromApiKey(apiKey);
+  return KNOWN_CALLERS.has(caller) ? caller : ANONYMOUS_CALLER;
+}
+
+function resolveCallerLimits(caller){
+  const override = CALLER_OVERRIDES[caller] || {};
+  return {
+    daily: 'daily_usd' in override ? positiveOrNull(override.daily_usd) : CALLER_DEFAULT_LIMITS.daily,
+    monthly: 'monthly_usd' in override ? positiveOrNull(override.monthly_usd) : CALLER_DEFAULT_LIMITS.monthly
+  };
+}
+
+function periodStart(period){
+  return dayjs().startOf(period === 'daily' ? 'day' : 'month').valueOf();
+}
+
+function collectLimits(caller){
+  const items = [];
+  const push = (scope, period, limit, spent)=>{
+    items.push({
+      scope,
+      period,
+      limit_usd: limit,
+      spent_usd: Number(spent.toFixed(6)),
+      ratio: Number((spent / limit).toFixed(4))
+    });
+  };
+  Object.entries(GLOBAL_LIMITS).forEach(([period, limit])=>{
+    if(limit) push('global', period, limit, getSpendSince(periodStart(period)));
+  });
+  Object.entries(resolveCallerLimits(caller)).forEach(([period, limit])=>{
+    if(limit) push('caller', period, limit, getSpendSince(periodStart(period), { caller }));
+  });
+  return items;
+}
+
+// 是否設定了任何 USD 上限（全站、呼叫者預設、個別覆寫或單次請求）
+export function hasUsdBudget(){
+  if(GLOBAL_LIMITS.daily || GLOBAL_LIMITS.monthly || REQUEST_LIMITS.cost_usd) return true;
+  if(CALLER_DEFAULT_LIMITS.daily || CALLER_DEFAULT_LIMITS.monthly) return true;
+  return Object.values(CALLER_OVERRIDES).some(limits=>positiveOrNull(limits.daily_usd) || positiveOrNull(limits.monthly_usd));
+}
+
+export function getBudgetStatus(caller=ANONYMOUS_CALLER){
+  const limits = collectLimits(caller);
+  const level = limits.some(item=>item.ratio >= 1)
+    ? 'hard'
+    : limits.some(item=>item.ratio >= SOFT_RATIO) ? 'soft' : 'ok';
+  return {
+    caller,
+    level,
+    soft_ratio: SOFT_RATIO,
+    limits,
+    request_limits: { cost_usd: REQUEST_LIMITS.cost_usd, tokens: REQUEST_LIMITS.tokens }
+  };
+}
+
+export function isBudgetError(err){
+  return err?.code === LLM_BUDGET_ERROR;
+}
+
+function describeExceeded(item){
+  if(item.scope === 'request'){
+    return item.limit_tokens
+      ? `request tokens ${item.used_tokens}/${item.limit_tokens}`
+      : `request $${item.spent_usd.toFixed(4)}/$${item.limit_usd}`;
+  }
+  return `${item.scope} ${item.period} $${item.spent_usd.toFixed(4)}/$${item.limit_usd}`;
+}
+
+// callChat 送出前檢查；送出當下未超過就放行，所以單次呼叫仍可能讓花費略超過上限
+export function assertLlmBudget(context){
+  const caller = context?.caller || ANONYMOUS_CALLER;
+  const exceeded = collectLimits(caller).filter(item=>item.ratio >= 1);
+  if(context?.request_id && (REQUEST_LIMITS.cost_usd || REQUEST_LIMITS.tokens)){
+    const used = getRequestUsage(context.request_id);
+    if(REQUEST_LIMITS.cost_usd && used.cost_usd >= REQUEST_LIMITS.cost_usd){
+      exceeded.push({ scope:'request', limit_usd: REQUEST_LIMITS.cost_usd, spent_usd: Number(used.cost_usd.toFixed(6)) });
+    }
+    if(REQUEST_LIMITS.tokens && used.total_tokens >= REQUEST_LIMITS.tokens){
+      exceeded.push({ scope:'request', limit_tokens: REQUEST_LIMITS.tokens, used_tokens: used.total_tokens });
+    }
+  }
+  if(!exceeded.length) return;
+  const err = new Error(`[LLM] budget exceeded (${exceeded.map(describeExceeded).join(', ')})`);
+  err.code = LLM_BUDGET_ERROR;
+  err.budget = exceeded;
+  throw err;
+}
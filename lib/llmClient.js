@@ -0,0 +1,121 @@
+import { callOpenAIChat, getLlmEndpoint } from './openaiClient.js';
+import { callAnthropicMessages, getAnthropicEndpoint } from './anthropicClient.js';
+
+// 與廠商無關的聊天介面：呼叫端只管 task / model / messages，回傳統一的 { text, usage, vendor, model }
+// 模型寫法：`anthropic:claude-sonnet-4-5`、`openai:gpt-4o`；沒寫前綴時 claude-* 視為 Anthropic，其餘視為 OpenAI（含相容端點）
+export const LLM_VENDORS = ['openai','anthropic'];
+export const LLM_TASKS = ['analysis','mda_summary','call_summary','event_summary','news_sentiment','news_keywords','json_repair'];
+
+const vendorKeys = {};
+const usageHooks = {};
+
+export function configureLlmVendors(keys={}){
+  Object.assign(vendorKeys, keys);
+}
+
+// server 啟動時掛上預算檢查（beforeCall，丟錯即不送出）與用量帳本（afterCall）；獨立腳本不掛也能照常呼叫
+export function configureLlmUsageHooks({ beforeCall, afterCall }={}){
+  Object.assign(usageHooks, { beforeCall, afterCall });
+}
+
+export function parseModelRef(ref){
+  const raw = String(ref || '').trim();
+  const match = raw.match(/^([a-z]+):(.+)$/i);
+  if(match && LLM_VENDORS.includes(match[1].toLowerCase())){
+    return { vendor: match[1].toLowerCase(), model: match[2].trim() };
+  }
+  return { vendor: /^claude/i.test(raw) ? 'anthropic' : 'openai', model: raw };
+}
+
+// LLM_ROUTE_<TASK>=vendor:model 可把單一任務導到別的廠商 / 模型；沒設定就用呼叫端給的預設
+export function resolveTaskModel(task, fallback){
+  const route = process.env[`LLM_ROUTE_${String(task).toUpperCase()}`];
+  return route && route.trim() ? route.trim() : fallback;
+}
+
+export function hasLlmAccess(ref){
+  if(!ref) return false;
+  return Boolean(vendorKeys[parseModelRef(ref).vendor]);
+}
+
+export function describeLlmVendors(){
+  return {
+    openai: { has_key: Boolean(vendorKeys.openai), endpoint: getLlmEndpoint() },
+    anthropic: { has_key: Boolean(vendorKeys.anthropic), endpoint: getAnthropicEndpoint() }
+  };
+}
+
+const ADAPTERS = {
+  async openai({ key, model, messages, timeoutMs, temperature, responseFormat, maxCompletionTokens, seed, signal }){
+    const { data } = await callOpenAIChat({ openKey: key, model, messages, timeoutMs, temperature, responseFormat, maxCompletionTokens, seed, signal });
+    const usage = data?.usage;
+    const message = data?.choices?.[0]?.message;
+    return {
+      text: message?.content || '',
+      // Structured Outputs 拒答時 content 為空、原因放在 refusal
+      refusal: message?.refusal || null,
+      usage: usage ? {
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        total_tokens: usage.total_tokens ?? ((usage.prompt_tokens || 0) + (usage.completion_tokens || 0))
+      } : null
+    };
+  },
+
+  // json_object / json_schema 轉成 system 指示；seed 不支援直接忽略
+  async anthropic({ key, model, messages, timeoutMs, temperature, responseFormat, maxCompletionTokens, signal }){
+    const { data } = await callAnthropicMessages({
+      apiKey: key,
+      model,
+      messages,
+      timeoutMs,
+      temperature,
+      maxTokens: maxCompletionTokens,
+      jsonMode: Boolean(responseFormat),
+      signal
+    });
+    const usage = data?.usage;
+    const promptTokens = (usage?.input_tokens || 0) + (usage?.cache_read_input_tokens || 0) + (usage?.cache_creation_input_tokens || 0);
+    return {
+      text: (Array.isArray(data?.content) ? data.content : [])
+        .filter(block=>block?.type === 'text')
+        .map(block=>block.text)
+        .join(''),
+      usage: usage ? {
+        prompt_tokens: promptTokens,
+        completion_tokens: usage.output_tokens || 0,
+        total_tokens: promptTokens + (usage.output_tokens || 0)
+      } : null
+    };
+  }
+};
+
+export async function callChat({
+  task,
+  model,
+  messages,
+  timeoutMs=60000,
+  temperature=0,
+  responseFormat,
+  maxCompletionTokens,
+  seed,
+  usageContext,
+  signal
+}){
+  const { vendor, model: vendorModel } = parseModelRef(model);
+  const key = vendorKeys[vendor];
+  if(!key) throw new Error(`[LLM] Missing ${vendor} API key (task=${task || 'unknown'})`);
+  // usageContext：{ caller, ticker, request_id }，用來記帳與套用預算上限；signal 取消時中斷進行中的請求
+  const call = { task: task || null, vendor, model: vendorModel, context: usageContext || null };
+  usageHooks.beforeCall?.(call);
+  const startedAt = Date.now();
+  let result;
+  try{
+    result = await ADAPTERS[vendor]({ key, model: vendorModel, messages, timeoutMs, temperature, responseFormat, maxCompletionTokens, seed, signal });
+  }catch(err){
+    usageHooks.afterCall?.({ ...call, status:'error', error: err.message, durationMs: Date.now() - startedAt });
+    throw err;
+  }
+  usageHooks.afterCall?.({ ...call, usage: result.usage, durationMs: Date.now() - startedAt });
+  return { ...result, vendor, model: vendorModel, task: task || null };
+}
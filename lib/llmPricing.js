@@ -0,0 +1,138 @@
+import { parseModelRef } from './llmClient.js';
+
+// 各廠商每 token 價格（USD）：OpenAI 依 https://openai.com/pricing (retrieved 2024-11；gpt-5 系列 retrieved 2025-08)，
+// Anthropic 依 https://www.anthropic.com/pricing (retrieved 2025-10)；帶日期的快照名稱以最長前綴比對
+const MODEL_PRICING = {
+  openai: {
+    'gpt-4o': {
+      input: 5 / 1_000_000,
+      output: 15 / 1_000_000
+    },
+    'gpt-4o-mini': {
+      input: 0.15 / 1_000_000,
+      output: 0.60 / 1_000_000
+    },
+    // 預設主模型必須有內建價格，否則帳本記為未定價，USD 預算上限形同沒算到主分析
+    'gpt-5': { input: 1.25 / 1_000_000, output: 10 / 1_000_000 },
+    'gpt-5-mini': { input: 0.25 / 1_000_000, output: 2 / 1_000_000 },
+    'gpt-5-nano': { input: 0.05 / 1_000_000, output: 0.40 / 1_000_000 }
+  },
+  anthropic: {
+    'claude-opus-4-5': { input: 5 / 1_000_000, output: 25 / 1_000_000 },
+    'claude-opus-4-1': { input: 15 / 1_000_000, output: 75 / 1_000_000 },
+    'claude-opus-4': { input: 15 / 1_000_000, output: 75 / 1_000_000 },
+    'claude-sonnet-4-5': { input: 3 / 1_000_000, output: 15 / 1_000_000 },
+    'claude-sonnet-4': { input: 3 / 1_000_000, output: 15 / 1_000_000 },
+    'claude-haiku-4-5': { input: 1 / 1_000_000, output: 5 / 1_000_000 },
+    'claude-3-5-haiku': { input: 0.8 / 1_000_000, output: 4 / 1_000_000 }
+  }
+};
+
+const GPT5_INPUT_COST = Number(process.env.OPENAI_GPT5_INPUT_COST_PER_TOKEN);
+const GPT5_OUTPUT_COST = Number(process.env.OPENAI_GPT5_OUTPUT_COST_PER_TOKEN);
+if(Number.isFinite(GPT5_INPUT_COST) && Number.isFinite(GPT5_OUTPUT_COST)){
+  MODEL_PRICING.openai['gpt-5'] = {
+    input: GPT5_INPUT_COST,
+    output: GPT5_OUTPUT_COST
+  };
+}
+
+// LLM_PRICING_JSON='{"anthropic:claude-sonnet-4-5":{"input":3,"output":15}}'（每百萬 token 美元）可覆寫或新增
+try{
+  const overrides = JSON.parse(process.env.LLM_PRICING_JSON || '{}');
+  Object.entries(overrides).forEach(([ref, price])=>{
+    const { vendor, model } = parseModelRef(ref);
+    if(!Number.isFinite(Number(price?.input)) || !Number.isFinite(Number(price?.output))) return;
+    MODEL_PRICING[vendor] = MODEL_PRICING[vendor] || {};
+    MODEL_PRICING[vendor][model] = { input: Number(price.input) / 1_000_000, output: Number(price.output) / 1_000_000 };
+  });
+}catch(err){
+  console.warn('[LLM] invalid LLM_PRICING_JSON', err.message);
+}
+
+export function getPricing(vendor, model){
+  const table = MODEL_PRICING[vendor];
+  if(!table || !model) return null;
+  const name = String(model).toLowerCase();
+  if(table[name]) return table[name];
+  const prefix = Object.keys(table)
+    .filter(key=>name.startsWith(`${key}-`))
+    .sort((a,b)=>b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+// 依 usage 算出單次呼叫費用；查不到價格時回傳 null（帳本記為未定價）
+export function computeCost(vendor, model, usage){
+  const pricing = getPricing(vendor, model);
+  if(!pricing || !usage) return null;
+  const inputCost = (usage.prompt_tokens || 0) * pricing.input;
+  const outputCost = (usage.completion_tokens || 0) * pricing.output;
+  return {
+    input_cost: Number(inputCost.toFixed(6)),
+    output_cost: Number(outputCost.toFixed(6)),
+    total_cost: Number((inputCost + outputCost).toFixed(6))
+  };
+}
+
+// llm_usage.breakdown 的一筆；cache_hit 的項目這次沒有實際呼叫，cost_usd 為當初的花費
+export function buildUsageItem({ task, vendor, model, usage }){
+  if(!usage) return null;
+  const cost = computeCost(vendor, model, usage);
+  return {
+    task,
+    vendor,
+    model,
+    prompt_tokens: usage.prompt_tokens || 0,
+    completion_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || 0,
+    cost_usd: cost ? cost.total_cost : null,
+    cache_hit: false
+  };
+}
+
+export function markUsageCached(items){
+  return (Array.isArray(items) ? items : []).filter(Boolean).map(item=>({ ...item, cache_hit:true }));
+}
+
+// 彙總一次分析的所有 LLM 呼叫：total_cost 為這次實際花費，saved_cost 為快取命中省下的原始費用
+export function summarizeUsage(items){
+  const breakdown = (items || []).filter(Boolean);
+  if(!breakdown.length) return null;
+  const sum = (list, field)=>list.reduce((acc, item)=>acc + (Number(item[field]) || 0), 0);
+  const round = value=>Number(value.toFixed(6));
+  const live = breakdown.filter(item=>!item.cache_hit);
+  const cached = breakdown.filter(item=>item.cache_hit);
+  return {
+    calls: live.length,
+    cached_calls: cached.length,
+    prompt_tokens: sum(live, 'prompt_tokens'),
+    completion_tokens: sum(live, 'completion_tokens'),
+    total_tokens: sum(live, 'total_tokens'),
+    total_cost: round(sum(live, 'cost_usd')),
+    saved_cost: round(sum(cached, 'cost_usd')),
+    original_cost: round(sum(breakdown, 'cost_usd')),
+    unpriced_calls: breakdown.filter(item=>item.cost_usd == null).length,
+    breakdown
+  };
+}
+
+// 取出 usage 的呼叫明細；舊的快取結果只有主分析一筆 usage，沒有 breakdown
+export function usageBreakdown(usage){
+  if(!usage) return [];
+  if(Array.isArray(usage.breakdown)) return usage.breakdown;
+  return [{
+    task:'analysis',
+    vendor: usage.vendor || null,
+    model: usage.model || null,
+    prompt_tokens: usage.prompt_tokens || 0,
+    completion_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || 0,
+    cost_usd: Number.isFinite(usage.total_cost) ? usage.total_cost : null,
+    cache_hit: false
+  }];
+}
+
+// 整份結果從快取取出時，當初的明細全部改標 cache_hit
+export function reuseUsageSummary(usage){
+  return summarizeUsage(markUsageCached(usageBreakdown(usage)));
+}
@@ -0,0 +1,122 @@
+import dayjs from 'dayjs';
+import { getDatabase } from './db.js';
+import { computeCost } from './llmPricing.js';
+
+// 每一次 LLM 呼叫（主分析、MD&A、法說會、新聞、關鍵字、修補）一筆；費用在寫入時依當下價格表計算，
+// 查不到價格時 cost_usd 為 NULL（不計入預算，但會在統計中列為 unpriced_calls）
+const db = getDatabase();
+db.prepare(`CREATE TABLE IF NOT EXISTS llm_calls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  task TEXT,
+  vendor TEXT NOT NULL,
+  model TEXT NOT NULL,
+  caller TEXT NOT NULL,
+  ticker TEXT,
+  request_id TEXT,
+  status TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL,
+  duration_ms INTEGER,
+  error TEXT
+)`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_llm_calls_ts ON llm_calls(ts)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_llm_calls_caller ON llm_calls(caller, ts)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_llm_calls_request ON llm_calls(request_id)').run();
+
+const insertStmt = db.prepare(`INSERT INTO llm_calls (ts, day, task, vendor, model, caller, ticker, request_id, status, prompt_tokens, completion_tokens, total_tokens, cost_usd, duration_ms, error)
+VALUES (@ts, @day, @task, @vendor, @model, @caller, @ticker, @request_id, @status, @prompt_tokens, @completion_tokens, @total_tokens, @cost_usd, @duration_ms, @error)`);
+const spendAllStmt = db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM llm_calls WHERE ts >= ?');
+const spendCallerStmt = db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM llm_calls WHERE caller = ? AND ts >= ?');
+const requestUsageStmt = db.prepare(`SELECT COUNT(*) AS calls, COALESCE(SUM(cost_usd), 0) AS cost, COALESCE(SUM(total_tokens), 0) AS tokens
+FROM llm_calls WHERE request_id = ?`);
+const purgeStmt = db.prepare('DELETE FROM llm_calls WHERE ts < ?');
+
+export const ANONYMOUS_CALLER = 'anonymous';
+
+export function recordLlmCall({ task, vendor, model, usage, context, status='ok', error=null, durationMs=null }){
+  const now = Date.now();
+  const cost = status === 'ok' ? computeCost(vendor, model, usage) : null;
+  const entry = {
+    ts: now,
+    day: dayjs(now).format('YYYY-MM-DD'),
+    task: task || null,
+    vendor,
+    model,
+    caller: context?.caller || ANONYMOUS_CALLER,
+    ticker: context?.ticker || null,
+    request_id: context?.request_id || null,
+    status,
+    prompt_tokens: usage?.prompt_tokens || 0,
+    completion_tokens: usage?.completion_tokens || 0,
+    total_tokens: usage?.total_tokens || 0,
+    // 失敗的呼叫多半沒有 usage，記 0 元避免被當成未定價
+    cost_usd: cost ? cost.total_cost : status === 'ok' ? null : 0,
+    duration_ms: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+    error: error ? String(error).slice(0, 500) : null
+  };
+  try{
+    insertStmt.run(entry);
+  }catch(err){
+    console.warn('[usage] record failed', err.message);
+  }
+  return entry;
+}
+
+export function getSpendSince(since, { caller=null }={}){
+  const row = caller ? spendCallerStmt.get(caller, since) : spendAllStmt.get(since);
+  return row?.cost || 0;
+}
+
+export function getRequestUsage(requestId){
+  if(!requestId) return { calls:0, cost_usd:0, total_tokens:0 };
+  const row = requestUsageStmt.get(requestId);
+  return { calls: row.calls, cost_usd: row.cost, total_tokens: row.tokens };
+}
+
+export function purgeLlmCalls(olderThanMs){
+  return purgeStmt.run(Date.now() - olderThanMs).changes;
+}
+
+const GROUP_COLUMNS = {
+  task:"COALESCE(task, 'unknown')",
+  model:"vendor || ':' || model",
+  ticker:"COALESCE(ticker, '-')",
+  day:'day',
+  caller:'caller'
+};
+
+const AGGREGATES = `COUNT(*) AS calls,
+  COALESCE(SUM(CASE WHEN status = 'ok' THEN 0 ELSE 1 END), 0) AS errors,
+  COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+  COALESCE(SUM(total_tokens), 0) AS total_tokens,
+  ROUND(COALESCE(SUM(cost_usd), 0), 6) AS cost_usd,
+  COALESCE(SUM(CASE WHEN status = 'ok' AND cost_usd IS NULL THEN 1 ELSE 0 END), 0) AS unpriced_calls`;
+
+// from / to 為 YYYY-MM-DD（含頭尾）；caller 有給時只統計該呼叫者
+export function getUsageSummary({ from, to, caller=null }){
+  const where = ['day >= @from', 'day <= @to'];
+  if(caller) where.push('caller = @caller');
+  const params = { from, to, caller };
+  const whereSql = where.join(' AND ');
+  const totals = db.prepare(`SELECT ${AGGREGATES} FROM llm_calls WHERE ${whereSql}`).get(params);
+  const breakdown = {};
+  Object.entries(GROUP_COLUMNS).forEach(([name, column])=>{
+    const order = name === 'day' ? 'key ASC' : 'cost_usd DESC, calls DESC';
+    breakdown[name] = db.prepare(`SELECT ${column} AS key, ${AGGREGATES} FROM llm_calls WHERE ${whereSql} GROUP BY key ORDER BY ${order}`)
+      .all(params)
+      .map(({ key, ...row })=>({ [name]: key, ...row }));
+  });
+  return {
+    totals,
+    by_task: breakdown.task,
+    by_model: breakdown.model,
+    by_ticker: breakdown.ticker,
+    by_day: breakdown.day,
+    by_caller: breakdown.caller
+  };
+}
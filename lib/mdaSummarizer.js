@@ -1,6 +1,9 @@
 import crypto from 'crypto';
 import { getCache, setCache } from './cache.js';
-import { callOpenAIChat } from './openaiClient.js';
+import { callChat, hasLlmAccess, resolveTaskModel } from './llmClient.js';
+import { resolveLang, langCacheSuffix, languageName, lengthLimit } from './i18n.js';
+import { buildUsageItem } from './llmPricing.js';
+import { isBudgetError } from './llmBudget.js';
 
 const SUMMARY_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
 const MAX_INPUT_CHARS = Math.max(4000, Number(process.env.MDA_MAX_INPUT_CHARS || 9000));
@@ -47,28 +50,31 @@ function buildFallbackSummary(text, lines=5){
   return picked.join('\n');
 }
 
-function buildCacheValue(summary, kind){
-  return { summary, kind };
+function buildCacheValue(summary, kind, usage=null){
+  return usage ? { summary, kind, usage } : { summary, kind };
 }
 
 function decodeCacheValue(val){
   if(!val) return null;
   if(typeof val === 'string') return { summary: val, kind:'llm' };
   if(typeof val === 'object' && val.summary){
-    return { summary: val.summary, kind: val.kind || 'llm' };
+    // 快取命中沒有實際呼叫，usage 保留當初的花費並標成 cache_hit
+    return buildCacheValue(val.summary, val.kind || 'llm', val.usage ? { ...val.usage, cache_hit:true } : null);
   }
   return null;
 }
 
-export async function summarizeMda({ text, openKey, model, meta={}, useLlm=true }){
+export async function summarizeMda({ text, model: defaultModel, meta={}, useLlm=true, lang: rawLang, usageContext }){
+  const lang = resolveLang(rawLang);
   if(!text) return { summary:'', kind:'fallback' };
   const cleaned = sanitize(text);
   const focused = extractKeySections(cleaned, MAX_INPUT_CHARS);
   const trimmed = focused.slice(0, MAX_INPUT_CHARS);
-  if(!useLlm || !openKey || !model){
+  const model = resolveTaskModel('mda_summary', defaultModel);
+  if(!useLlm || !hasLlmAccess(model)){
     return { summary: buildFallbackSummary(trimmed), kind:'fallback' };
   }
-  const cacheKey = `mda_summary_${hashPayload(model, trimmed)}`;
+  const cacheKey = `mda_summary_${hashPayload(model, trimmed)}${langCacheSuffix(lang)}`;
   const cachedRaw = await getCache(cacheKey, SUMMARY_CACHE_TTL);
   const cached = decodeCacheValue(cachedRaw);
   if(cached) return cached;
@@ -76,7 +82,7 @@ export async function summarizeMda({ text, openKey, model, meta={}, useLlm=true
   const messages = [
     {
       role:'system',
-      content:'你是財報分析師，請以繁體中文濃縮輸入的 MD&A，產出 5-6 行要點（每行 20-30 字），涵蓋成長動能、毛利/營益率變化、現金流與資本配置、風險與後續催化。僅輸出文字列，不要額外說明。'
+      content:`你是財報分析師，請以${languageName(lang)}濃縮輸入的 MD&A，產出 5-6 行要點（每行 ${lengthLimit(lang, 20, 30)}），涵蓋成長動能、毛利/營益率變化、現金流與資本配置、風險與後續催化。僅輸出文字列，不要額外說明。`
     },
     {
       role:'user',
@@ -84,15 +90,17 @@ export async function summarizeMda({ text, openKey, model, meta={}, useLlm=true
     }
   ];
   try{
-    const { data } = await callOpenAIChat({ openKey, model, messages, timeoutMs:60000, temperature:0, maxCompletionTokens:600 });
-    const summary = data?.choices?.[0]?.message?.content?.trim();
+    const { text: reply, usage, vendor, model: vendorModel } = await callChat({ task:'mda_summary', model, messages, timeoutMs:60000, temperature:0, maxCompletionTokens:600, usageContext });
+    const summary = reply?.trim();
     if(summary){
-      const value = buildCacheValue(summary, 'llm');
+      const value = buildCacheValue(summary, 'llm', buildUsageItem({ task:'mda_summary', vendor, model: vendorModel, usage }));
       await setCache(cacheKey, value);
       return value;
     }
   }catch(err){
     console.warn('[MDA Summary] failed', err.message);
+    // 預算拒絕的退回摘要不寫快取，額度恢復後重新摘要
+    if(isBudgetError(err)) return { ...buildCacheValue(buildFallbackSummary(trimmed), 'fallback'), budget_refused:true };
   }
   const fallback = buildFallbackSummary(trimmed);
   const fallbackValue = buildCacheValue(fallback, 'fallback');
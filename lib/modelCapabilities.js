@@ -0,0 +1,75 @@
+import { parseModelRef } from './llmClient.js';
+
+// 各模型支援的輸出格式 / 參數。key 以「最長前綴」比對（gpt-4o-mini-2024-07-18 → gpt-4o-mini）
+// - json_schema：response_format={type:'json_schema', strict:true}（Structured Outputs）
+// - json_object：response_format={type:'json_object'}
+// - seed：是否接受 seed 參數
+// 未列出的模型（自架 / 相容端點）不送 response_format，可用 LLM_MODEL_CAPABILITIES_JSON 補上
+const MODEL_CAPABILITIES = {
+  openai:{
+    'gpt-5':{ json_schema:true, json_object:true, seed:false },
+    'gpt-4.1':{ json_schema:true, json_object:true, seed:true },
+    'gpt-4o':{ json_schema:true, json_object:true, seed:true },
+    'gpt-4o-mini':{ json_schema:true, json_object:true, seed:true },
+    // 自訂部署名稱，實際為 gpt-4o-mini 的舊版快照，只保證 json_object
+    'gpt-4o-mini-200k':{ json_schema:false, json_object:true, seed:true },
+    'gpt-4-turbo':{ json_schema:false, json_object:true, seed:true },
+    'gpt-3.5-turbo':{ json_schema:false, json_object:true, seed:true },
+    'o3':{ json_schema:true, json_object:true, seed:false },
+    'o4-mini':{ json_schema:true, json_object:true, seed:false }
+  },
+  // Anthropic 沒有 response_format；adapter 會把 JSON 要求轉成 system 指示
+  anthropic:{
+    'claude':{ json_schema:false, json_object:true, seed:false }
+  }
+};
+
+const NO_CAPABILITIES = { json_schema:false, json_object:false, seed:false };
+// 相容端點多半接受 seed（vLLM / Ollama），維持舊行為照送
+const VENDOR_DEFAULTS = { openai:{ seed:true } };
+
+// LLM_MODEL_CAPABILITIES_JSON='{"openai":{"qwen2.5":{"json_schema":true}}}'
+try{
+  const overrides = JSON.parse(process.env.LLM_MODEL_CAPABILITIES_JSON || '{}');
+  Object.entries(overrides).forEach(([vendor, table])=>{
+    if(!table || typeof table !== 'object') return;
+    MODEL_CAPABILITIES[vendor] = MODEL_CAPABILITIES[vendor] || {};
+    Object.entries(table).forEach(([name, caps])=>{
+      MODEL_CAPABILITIES[vendor][name.toLowerCase()] = { ...MODEL_CAPABILITIES[vendor][name.toLowerCase()], ...caps };
+    });
+  });
+}catch(err){
+  console.warn('[LLM] invalid LLM_MODEL_CAPABILITIES_JSON', err.message);
+}
+
+export function getModelCapabilities(modelRef){
+  if(!modelRef) return { ...NO_CAPABILITIES };
+  const { vendor, model } = parseModelRef(modelRef);
+  const table = MODEL_CAPABILITIES[vendor] || {};
+  const name = model.toLowerCase();
+  const key = table[name] ? name : Object.keys(table)
+    .filter(prefix=>name.startsWith(`${prefix}-`) || name.startsWith(`${prefix}.`))
+    .sort((a,b)=>b.length - a.length)[0];
+  return { ...NO_CAPABILITIES, ...VENDOR_DEFAULTS[vendor], ...(key ? table[key] : null) };
+}
+
+// 依模型能力挑最嚴格的 response_format：json_schema > json_object > fallback（未列出的模型，預設不送）
+export function buildResponseFormat(modelRef, jsonSchema, { fallback=null }={}){
+  const caps = getModelCapabilities(modelRef);
+  if(jsonSchema && caps.json_schema) return { type:'json_schema', json_schema: jsonSchema };
+  if(caps.json_object) return { type:'json_object' };
+  return fallback ? { type: fallback } : undefined;
+}
+
+// 只有 400 且錯誤內容指向 response_format / json_schema 才是端點不接受這個格式；
+// context 過長、參數錯誤等其他 400 換格式重送也只會再失敗一次（而且照樣計費）
+export function isResponseFormatError(err){
+  if(err?.response?.status !== 400) return false;
+  const data = err.response.data;
+  const text = typeof data === 'string' ? data : JSON.stringify(data || {});
+  return /response_format|json_schema|json_object/i.test(text);
+}
+
+export function describeModelCapabilities(models=[]){
+  return Object.fromEntries(models.filter(Boolean).map(model=>[model, getModelCapabilities(model)]));
+}
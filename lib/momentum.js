@@ -1,14 +1,13 @@
-import axios from 'axios';
 import dayjs from 'dayjs';
 import { getCache, setCache } from './cache.js';
 import {
-  getFmpDailySeries,
   getFmpTechnicalIndicator,
   getFmpStockEtfs,
   getFmpEtfSectorWeights,
   getFmpEtfCountryWeights
 } from './fmp.js';
 import { memoize } from './memoryCache.js';
+import { getDailySeries } from './providers/index.js';
 
 const SERIES_CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day
 const METRIC_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
@@ -200,96 +199,20 @@ function clamp(val, min, max){
   return Math.max(min, Math.min(max, val));
 }
 
-async function fetchFromAlpha(symbol){
-  const apiKey = process.env.ALPHAVANTAGE_KEY;
-  if(!apiKey) return null;
-  const params = new URLSearchParams({
-    function:'TIME_SERIES_DAILY_ADJUSTED',
-    symbol,
-    outputsize:'full',
-    apikey: apiKey
-  });
-  const { data } = await axios.get(`https://www.alphavantage.co/query?${params.toString()}`,{ timeout:20000 });
-  const series = data?.['Time Series (Daily)'];
-  if(!series){
-    const errMsg = data?.Note || data?.['Error Message'] || 'AlphaVantage no data';
-    throw new Error(errMsg);
-  }
-  return Object.entries(series).map(([date, values])=>({
-    date,
-    close: Number(values['4. close'] ?? values['5. adjusted close'] ?? values['1. open']) || 0,
-    high: Number(values['2. high']) || 0,
-    low: Number(values['3. low']) || 0,
-    volume: Number(values['6. volume']) || 0
-  }));
-}
-
-async function fetchFromYahoo(symbol){
-  const params = new URLSearchParams({
-    range:'2y',
-    interval:'1d'
-  });
-  const { data } = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${params.toString()}`,{
-    headers:{'User-Agent':'Mozilla/5.0'},
-    timeout:20000
-  });
-  const result = data?.chart?.result?.[0];
-  if(!result) throw new Error('Yahoo chart no data');
-  const timestamps = result.timestamp || [];
-  const close = result.indicators?.adjclose?.[0]?.adjclose || result.indicators?.quote?.[0]?.close || [];
-  const high = result.indicators?.quote?.[0]?.high || [];
-  const low = result.indicators?.quote?.[0]?.low || [];
-  const volume = result.indicators?.quote?.[0]?.volume || [];
-  return timestamps.map((ts,i)=>{
-    const date = dayjs.unix(ts).format('YYYY-MM-DD');
-    return {
-      date,
-      close: Number(close[i]) || Number(high[i]) || Number(low[i]) || 0,
-      high: Number(high[i]) || Number(close[i]) || 0,
-      low: Number(low[i]) || Number(close[i]) || 0,
-      volume: Number(volume[i]) || 0
-    };
-  });
-}
-
-async function fetchFromFmp(symbol){
-  const key = process.env.FMP_API_KEY || process.env.FMP_KEY;
-  if(!key) return null;
-  try{
-    return await getFmpDailySeries(symbol, key, MAX_LOOKBACK_DAYS + 20);
-  }catch(err){
-    console.warn('[Momentum] fmp fetch failed', err.message);
-    return null;
-  }
-}
-
-async function fetchDailySeries(symbol){
+// 日線來源依 provider 鏈決定（MARKET_DATA_PROVIDERS_DAILY_SERIES / MARKET_DATA_PROVIDERS）
+export async function fetchDailySeries(symbol){
   return memoize(`momentum_series_${symbol}`, SERIES_MEM_TTL_MS, async ()=>{
     const key = cacheKey('series', symbol);
     const cached = await getCache(key, SERIES_CACHE_TTL);
     if(cached) return cached;
-    let rows = [];
+    let rows = null;
     try{
-      rows = await fetchFromFmp(symbol);
+      rows = (await getDailySeries(symbol, { limit: MAX_LOOKBACK_DAYS + 20 }))?.rows;
     }catch(err){
-      console.warn('[Momentum] fmp fetch failed', err.message);
-    }
-    if(!rows || !rows.length){
-      try{
-        rows = await fetchFromAlpha(symbol);
-      }catch(err){
-        console.warn('[Momentum] alpha fetch failed', err.message);
-      }
-    }
-    if(!rows || !rows.length){
-      try{
-        rows = await fetchFromYahoo(symbol);
-      }catch(err){
-        console.warn('[Momentum] yahoo fetch failed', err.message);
-      }
+      console.warn('[Momentum] daily series failed', err.message);
     }
     if(!rows || !rows.length) return null;
-    const sorted = rows.sort((a,b)=> dayjs(b.date).valueOf() - dayjs(a.date).valueOf()).slice(0, MAX_LOOKBACK_DAYS);
+    const sorted = [...rows].sort((a,b)=> dayjs(b.date).valueOf() - dayjs(a.date).valueOf()).slice(0, MAX_LOOKBACK_DAYS);
     await setCache(key, sorted);
     return sorted;
   });
@@ -358,12 +281,15 @@ async function getSlicedSeries(symbol, baselineDate){
   });
 }
 
-export async function computeMomentumMetrics(symbol, baselineDate){
+export async function computeMomentumMetrics(symbol, baselineDate, { series }={}){
   try{
     const cacheId = cacheKey('momentum_metrics', `${symbol}_${baselineDate}`);
     const cached = await getCache(cacheId, METRIC_CACHE_TTL);
     if(cached) return cached;
-    const sliced = await getSlicedSeries(symbol, baselineDate);
+    // 呼叫端已取得完整日線（例如序列分析）時直接切片，不再重抓
+    const sliced = Array.isArray(series)
+      ? sliceByDate(series, baselineDate)
+      : await getSlicedSeries(symbol, baselineDate);
     if(!sliced?.length || sliced.length < 60) return null;
     const latest = sliced[0];
     const returns = {
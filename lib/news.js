@@ -1,14 +1,16 @@
 import dayjs from 'dayjs';
-import fetch from 'node-fetch';
 import crypto from 'crypto';
 import { getCache, setCache } from './cache.js';
-import { callOpenAIChat } from './openaiClient.js';
-import { getFmpNews } from './fmp.js';
+import { callChat, hasLlmAccess, resolveTaskModel } from './llmClient.js';
+import { buildResponseFormat, isResponseFormatError } from './modelCapabilities.js';
+import { buildUsageItem, markUsageCached } from './llmPricing.js';
+import { getNews } from './providers/index.js';
+import { isBudgetError } from './llmBudget.js';
+import { resolveLang, langCacheSuffix, languageName, lengthLimit, normalizeSentiment, sentimentLabel, SENTIMENT_CODES, BASE_LANG, t } from './i18n.js';
 
 const NEWS_CACHE_TTL = 6 * 60 * 60 * 1000;
 const KEYWORD_TTL = 7 * 24 * 60 * 60 * 1000;
-const FMP_NEWS_TTL = 30 * 60 * 1000;
-const FINNHUB_NEWS_ENDPOINT = 'https://finnhub.io/api/v1/company-news';
+const NEWS_ARTICLE_TTL = 30 * 60 * 1000;
 const EVENT_KEYWORDS = [
   { label:'財報', terms:['earnings','results','guidance','outlook','quarter','財報','季度'] },
   { label:'監管', terms:['regulation','regulatory','antitrust','fta','compliance','監管','審查'] },
@@ -22,23 +24,27 @@ function cacheKey(prefix, parts){
   return `${prefix}_${parts.filter(Boolean).join('_')}`;
 }
 
-function fetchWithTimeout(url, timeoutMs=20000, options={}){
-  const controller = new AbortController();
-  const timer = setTimeout(()=>controller.abort(), timeoutMs);
-  const config = { ...options, signal: controller.signal };
-  return fetch(url, config).finally(()=> clearTimeout(timer));
-}
-
 function fallbackKeywords(ticker){
   const upper = ticker?.toUpperCase() || '';
   return [upper, `${upper} earnings`, `${upper} outlook`, 'guidance', 'margin'].filter(Boolean);
 }
 
-export async function getNewsKeywords(ticker, openKey, model, { useLlm=true }={}){
+// 舊快取只存關鍵字陣列；新格式連同當初的 usage 一起存，命中時標成 cache_hit
+function decodeKeywords(value){
+  if(!value) return null;
+  if(Array.isArray(value)) return { keywords: value, usage:null };
+  if(!Array.isArray(value.keywords)) return null;
+  return { keywords: value.keywords, usage: value.usage ? { ...value.usage, cache_hit:true } : null };
+}
+
+// 回傳 { keywords, usage }，usage 為這次（或快取當初）LLM 呼叫的費用明細
+export async function getNewsKeywords(ticker, defaultModel, { useLlm=true, usageContext }={}){
   const baseKey = cacheKey('news_kw', [ticker, useLlm?'llm':'noai']);
-  const cached = await getCache(baseKey, KEYWORD_TTL);
+  const cached = decodeKeywords(await getCache(baseKey, KEYWORD_TTL));
   if(cached) return cached;
-  if(!useLlm || !openKey) return fallbackKeywords(ticker);
+  const model = resolveTaskModel('news_keywords', defaultModel);
+  const fallback = { keywords: fallbackKeywords(ticker), usage:null };
+  if(!useLlm || !hasLlmAccess(model)) return fallback;
   const prompt = [
     { role:'system', content:'你是幫助投資研究的助理，請回傳 JSON 陣列，不要加入其他文字。' },
     { role:'user', content:`請列出 5 個和 ${ticker} 及其產業高度關聯的英文關鍵字，回應格式須為 ["keyword"]。` }
@@ -46,25 +52,27 @@ export async function getNewsKeywords(ticker, openKey, model, { useLlm=true }={}
   try{
     const hash = crypto.createHash('sha256').update(JSON.stringify({ model, prompt })).digest('hex');
     const cacheId = cacheKey('news_kw_resp', [model, hash]);
-    const memo = await getCache(cacheId, KEYWORD_TTL);
+    const memo = decodeKeywords(await getCache(cacheId, KEYWORD_TTL));
     if(memo) return memo;
-    const { data } = await callOpenAIChat({ openKey, model, messages: prompt, timeoutMs:120000 });
-    const text = data?.choices?.[0]?.message?.content?.trim();
-    if(!text) return [ticker];
+    const { text: reply, usage, vendor, model: vendorModel } = await callChat({ task:'news_keywords', model, messages: prompt, timeoutMs:120000, usageContext });
+    const usageItem = buildUsageItem({ task:'news_keywords', vendor, model: vendorModel, usage });
+    const text = reply?.trim();
+    if(!text) return { keywords:[ticker], usage: usageItem };
     const cleaned = text.replace(/```json|```/gi,'').trim();
     const arr = JSON.parse(cleaned);
     if(Array.isArray(arr) && arr.length){
       const picked = arr.map(x=>String(x||'').trim()).filter(Boolean).slice(0,5);
       if(picked.length){
-        await setCache(baseKey, picked);
-        await setCache(cacheId, picked);
-        return picked;
+        const value = { keywords: picked, usage: usageItem };
+        await setCache(baseKey, value);
+        await setCache(cacheId, value);
+        return value;
       }
     }
-    return fallbackKeywords(ticker);
+    return { ...fallback, usage: usageItem };
   }catch(err){
     console.warn('[News] keyword generation failed', err.message);
-    return fallbackKeywords(ticker);
+    return fallback;
   }
 }
 
@@ -103,39 +111,44 @@ function filterRelevantArticles(articles, ticker){
   return articles.filter(article=>articleMatchesTicker(article, ticker));
 }
 
-async function fetchFmpArticles({ ticker, baselineDate, key, limit=40 }){
-  if(!key) return [];
-  const cacheId = cacheKey('news_fmp', [ticker, baselineDate]);
-  const cached = await getCache(cacheId, FMP_NEWS_TTL);
+// 各 provider 的新聞合併後統一正規化、補標籤；未預先過濾的來源（FMP、fixture）另限定基準日前 45 天且只留提及該股的稿件
+// （Finnhub 查詢時已限定期間，相關性過濾在 buildNewsBundle 合併後才套用，與改用 provider 前相同）
+async function fetchProviderArticles({ ticker, baselineDate, limit=40 }){
+  const cacheId = cacheKey('news_articles', [ticker, baselineDate]);
+  const cached = await getCache(cacheId, NEWS_ARTICLE_TTL);
   if(cached) return cached;
-  const rows = await getFmpNews(ticker, key, limit);
+  const { articles: rows, errors } = await getNews(ticker, { baselineDate, limit });
+  errors.forEach(message=>console.warn('[News] provider failed', message));
   const end = dayjs(baselineDate).endOf('day');
   const start = end.subtract(45, 'day');
   const endPlus = end.add(1,'day');
   const articles = rows
     .map(item=>{
-      const published = item.publishedDate || item.publishedAt || item.date || item.datetime || '';
-      const publishedIso = published ? dayjs(published).toISOString() : '';
+      const publishedIso = item.published_at ? dayjs(item.published_at).toISOString() : '';
       return {
         title: item.title || '',
-        summary: item.text || item.summary || '',
+        summary: item.summary || '',
         url: item.url || '',
-        source: (item.site || '').toLowerCase(),
+        source: (item.source || '').toLowerCase(),
         symbol: (item.symbol || '').toUpperCase(),
         tickers: normalizeSymbols(item.tickers),
         published_at: publishedIso,
-        tags: extractTags(`${item.title || ''} ${item.text || ''}`),
-        tone: null,
-        weight: 3,
-        source_label: 'FMP'
+        tags: extractTags(`${item.title || ''} ${item.summary || ''}`),
+        tone: item.tone ?? null,
+        weight: item.weight || 1,
+        source_label: item.source_label,
+        prefiltered: item.prefiltered
       };
     })
-    .filter(x=>x.title && x.url)
+    .filter(x=>x.title && x.url);
+  const windowed = articles
+    .filter(x=> !x.prefiltered)
     .filter(x=> !x.published_at || (
       dayjs(x.published_at).isAfter(start) &&
       dayjs(x.published_at).isBefore(endPlus)
     ));
-  const filtered = filterRelevantArticles(articles, ticker);
+  const filtered = [...filterRelevantArticles(windowed, ticker), ...articles.filter(x=>x.prefiltered)]
+    .map(({ prefiltered, ...article })=>article);
   await setCache(cacheId, filtered);
   return filtered;
 }
@@ -153,57 +166,32 @@ function uniqArticles(list){
   return Array.from(map.values());
 }
 
-export async function fetchFinnhubNews({ ticker, baselineDate, key }){
-  if(!key) return [];
-  const end = dayjs(baselineDate).endOf('day');
-  const start = end.subtract(30, 'day');
-  const params = new URLSearchParams({
-    symbol: ticker,
-    from: start.format('YYYY-MM-DD'),
-    to: end.format('YYYY-MM-DD'),
-    token: key
-  });
-  const url = `${FINNHUB_NEWS_ENDPOINT}?${params.toString()}`;
-  const res = await fetchWithTimeout(url, 15000);
-  if(!res.ok) throw new Error(`Finnhub news ${res.status}`);
-  const data = await res.json();
-  if(!Array.isArray(data)) return [];
-  return data.slice(0,20).map(item=>({
-    title: item.headline || item.title || '',
-    summary: item.summary || '',
-    url: item.url || '',
-    source: (item.source || '').toLowerCase(),
-    symbol: (item.symbol || '').toUpperCase(),
-    tickers: normalizeSymbols(item.related || ticker),
-    published_at: item.datetime ? dayjs.unix(item.datetime).toISOString() : item.datetime,
-    tags: extractTags(`${item.headline || ''} ${item.summary || ''}`),
-    tone: item.sentiment ? Number(item.sentiment) : null,
-    weight: 1,
-    source_label: 'FINNHUB'
-  })).filter(x=>x.title && x.url);
+// 情緒存語言中立代碼（sentiment），sentiment_label 依 lang 轉成顯示用標籤；舊快取只有中文標籤時一併補上代碼
+function withSentimentLabel(result, lang){
+  const code = normalizeSentiment(result?.sentiment ?? result?.sentiment_label) || 'neutral';
+  return { ...result, sentiment: code, sentiment_label: sentimentLabel(code, lang) };
 }
 
-export async function analyzeNewsSentiment({ ticker, baselineDate, articles, openKey, model }){
-  if(!articles?.length) return {
-    sentiment_label:'中性',
-    summary:'近一個月無明顯新聞事件。',
-    supporting_events:[]
-  };
-  if(!openKey) return {
-    sentiment_label:'中性',
-    summary:'缺少 LLM 金鑰，無法分析新聞情緒。',
-    supporting_events: articles.slice(0,3).map(a=>({ title:a.title, url:a.url }))
-  };
+function neutralSentiment(lang, summaryKey, supportingEvents=[]){
+  return withSentimentLabel({ sentiment:'neutral', summary: t(lang, summaryKey), supporting_events: supportingEvents }, lang);
+}
+
+export async function analyzeNewsSentiment({ ticker, baselineDate, articles, model: defaultModel, lang: rawLang, usageContext }){
+  const lang = resolveLang(rawLang);
+  const model = resolveTaskModel('news_sentiment', defaultModel);
+  if(!articles?.length) return neutralSentiment(lang, 'news.none_recent');
+  if(!hasLlmAccess(model)) return neutralSentiment(lang, 'news.no_key', articles.slice(0,3).map(a=>({ title:a.title, url:a.url })));
   const messages=[
-    { role:'system', content:'你是財經新聞分析師。請根據輸入的新聞列表，輸出 JSON 物件 {"sentiment_label":"樂觀|中性|悲觀","summary":"100字說明","supporting_events":[{"title":string,"reason":string}]}。只輸出 JSON。' },
+    { role:'system', content:`你是財經新聞分析師。請根據輸入的新聞列表，輸出 JSON 物件 {"sentiment":"positive|neutral|negative","summary":"${lengthLimit(lang, 100)}說明","supporting_events":[{"title":string,"reason":string}]}，summary 與 reason 使用${languageName(lang)}。只輸出 JSON。` },
     { role:'user', content: JSON.stringify({ ticker, baseline_date: baselineDate, articles }) }
   ];
   const schema = {
     name:'NewsSentiment',
+    strict:true,
     schema:{
       type:'object',
       properties:{
-        sentiment_label:{ type:'string', enum:['樂觀','中性','悲觀'] },
+        sentiment:{ type:'string', enum: SENTIMENT_CODES },
         summary:{ type:'string' },
         supporting_events:{
           type:'array',
@@ -218,63 +206,58 @@ export async function analyzeNewsSentiment({ ticker, baselineDate, articles, ope
           }
         }
       },
-      required:['sentiment_label','summary','supporting_events'],
+      required:['sentiment','summary','supporting_events'],
       additionalProperties:false
     }
   };
   try{
-    const hash = crypto.createHash('sha256').update(JSON.stringify({ model, articles })).digest('hex');
+    const hash = crypto.createHash('sha256').update(JSON.stringify(lang === BASE_LANG ? { model, articles } : { model, articles, lang })).digest('hex');
     const cacheId = cacheKey('news_sentiment', [hash]);
     const cached = await getCache(cacheId, NEWS_CACHE_TTL);
-    if(cached) return cached;
-    const { data } = await callOpenAIChat({
-      openKey,
+    if(cached) return withSentimentLabel(cached.usage ? { ...cached, usage: { ...cached.usage, cache_hit:true } } : cached, lang);
+    // 未列在能力表的模型（相容端點）至少送 json_object；端點不接受時不帶格式再送一次
+    const request = {
+      task:'news_sentiment',
       model,
       messages,
       timeoutMs:120000,
       temperature:0,
-      responseFormat:{ type:'json_schema', json_schema: schema },
-      maxCompletionTokens:400
+      responseFormat: buildResponseFormat(model, schema, { fallback:'json_object' }),
+      maxCompletionTokens:400,
+      usageContext
+    };
+    const { text: reply, usage, vendor, model: vendorModel } = await callChat(request).catch(err=>{
+      if(!request.responseFormat || !isResponseFormatError(err)) throw err;
+      console.warn(`[News] response_format=${request.responseFormat.type} rejected (model=${model}), retrying without format.`);
+      return callChat({ ...request, responseFormat: undefined });
     });
-    const text = data?.choices?.[0]?.message?.content?.trim();
+    const text = reply?.trim();
     if(!text) throw new Error('empty LLM response');
     const cleaned = text.replace(/```json|```/gi,'').trim();
-    const parsed = JSON.parse(cleaned);
+    const parsed = withSentimentLabel(JSON.parse(cleaned), lang);
+    const usageItem = buildUsageItem({ task:'news_sentiment', vendor, model: vendorModel, usage });
+    if(usageItem) parsed.usage = usageItem;
     await setCache(cacheId, parsed);
     return parsed;
   }catch(err){
     console.warn('[News] sentiment failed', err.message);
-    return {
-      sentiment_label:'中性',
-      summary:'新聞情緒分析失敗，請稍後重試。',
-      supporting_events:[]
-    };
+    // 預算拒絕是暫時狀態，標記起來讓整包新聞不寫快取
+    return isBudgetError(err) ? { ...neutralSentiment(lang, 'news.failed'), budget_refused:true } : neutralSentiment(lang, 'news.failed');
   }
 }
 
-export async function buildNewsBundle({ ticker, baselineDate, openKey, model, useLlm=true, articleLimit=5, finnhubKey, fmpKey }){
-  const key = cacheKey('news_bundle', [ticker, baselineDate, useLlm?'llm':'noai', model || 'default']);
+export async function buildNewsBundle({ ticker, baselineDate, model, useLlm=true, articleLimit=5, lang: rawLang, usageContext }){
+  const lang = resolveLang(rawLang);
+  const sentimentModel = resolveTaskModel('news_sentiment', model);
+  const key = cacheKey('news_bundle', [ticker, baselineDate, useLlm?'llm':'noai', sentimentModel || 'default']) + langCacheSuffix(lang);
   const cached = await getCache(key, NEWS_CACHE_TTL);
-  if(cached) return cached;
+  if(cached){
+    const bundle = { ...cached, llm_usage: markUsageCached(cached.llm_usage) };
+    return cached.sentiment ? { ...bundle, sentiment: withSentimentLabel(cached.sentiment, lang) } : bundle;
+  }
   try{
-    const keywords = await getNewsKeywords(ticker, openKey, model, { useLlm });
-    const fetchers = [];
-    if(fmpKey){
-      fetchers.push({ label:'FMP', promise: fetchFmpArticles({ ticker, baselineDate, key: fmpKey, limit: articleLimit * 4 }) });
-    }
-    if(finnhubKey){
-      fetchers.push({ label:'Finnhub', promise: fetchFinnhubNews({ ticker, baselineDate, key: finnhubKey }) });
-    }
-    const settled = await Promise.allSettled(fetchers.map(f=>f.promise));
-    let articles = [];
-    settled.forEach((result, idx)=>{
-      const label = fetchers[idx].label;
-      if(result.status === 'fulfilled'){
-        if(Array.isArray(result.value)) articles = articles.concat(result.value);
-      }else{
-        console.warn(`[News] ${label} failed`, result.reason?.message || result.reason);
-      }
-    });
+    const { keywords, usage: keywordUsage } = await getNewsKeywords(ticker, model, { useLlm, usageContext });
+    let articles = await fetchProviderArticles({ ticker, baselineDate, limit: articleLimit * 4 });
     articles = uniqArticles(articles || []).sort((a,b)=>{
       const weightDiff = (b.weight || 0) - (a.weight || 0);
       if(weightDiff !== 0) return weightDiff;
@@ -290,19 +273,17 @@ export async function buildNewsBundle({ ticker, baselineDate, openKey, model, us
         summary: (article.summary || '').slice(0, 200)
       };
     });
-    const sentiment = useLlm
-      ? await analyzeNewsSentiment({ ticker, baselineDate, articles: trimmedArticles, openKey, model })
-      : {
-          sentiment_label:'中性',
-          summary:'依公開資料產生的快速摘要（未呼叫 LLM）。',
-          supporting_events: trimmedArticles.slice(0,3).map(a=>({ title:a.title, reason: a.tags?.[0] || '焦點事件' }))
-        };
-    const bundle = { keywords, articles: trimmedArticles, sentiment };
+    const { usage: sentimentUsage, budget_refused: budgetRefused, ...sentiment } = useLlm
+      ? await analyzeNewsSentiment({ ticker, baselineDate, articles: trimmedArticles, model, lang, usageContext })
+      : neutralSentiment(lang, 'news.quick_summary', trimmedArticles.slice(0,3).map(a=>({ title:a.title, reason: a.tags?.[0] || t(lang, 'news.focus_event') })));
+    // llm_usage 為關鍵字與情緒分析的費用明細，整包快取命中時改標 cache_hit
+    const bundle = { keywords, articles: trimmedArticles, sentiment, llm_usage: [keywordUsage, sentimentUsage].filter(Boolean) };
+    if(budgetRefused) return { ...bundle, budget_refused:true };
     await setCache(key, bundle);
     return bundle;
   }catch(err){
     console.warn('[News] bundle failed', err.message);
-    const fallback = { keywords:[ticker], articles:[], sentiment:{ sentiment_label:'中性', summary:'無法取得新聞資料。', supporting_events:[] } };
+    const fallback = { keywords:[ticker], articles:[], sentiment: neutralSentiment(lang, 'news.unavailable') };
     await setCache(key, fallback);
     return fallback;
   }
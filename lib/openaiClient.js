@@ -3,11 +3,30 @@ import axios from 'axios';
 const DEFAULT_ATTEMPTS = Number(process.env.OPENAI_RETRY_ATTEMPTS || 3);
 const DEFAULT_DELAY_MS = Number(process.env.OPENAI_RETRY_DELAY_MS || 2000);
 
+// 端點設定：預設 OpenAI；OPENAI_BASE_URL 可指向 vLLM / Ollama / LM Studio 等 OpenAI 相容服務，
+// OPENAI_API_TYPE=azure 時改用 Azure OpenAI 的 deployments 路徑與 api-key header。
+const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const API_TYPE = String(process.env.OPENAI_API_TYPE || 'openai').toLowerCase() === 'azure' ? 'azure' : 'openai';
+const BASE_URL = String(process.env.OPENAI_BASE_URL || OPENAI_DEFAULT_BASE_URL).replace(/\/+$/, '');
+const AZURE_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+// AZURE_OPENAI_DEPLOYMENTS=gpt-5=prod-gpt5,gpt-4o-mini=mini；未列出的模型直接以模型名稱當 deployment
+const AZURE_DEPLOYMENTS = Object.fromEntries(String(process.env.AZURE_OPENAI_DEPLOYMENTS || '')
+  .split(',')
+  .map(pair=>pair.split('=').map(part=>part.trim()))
+  .filter(([model, deployment])=>model && deployment));
+const AUTH_HEADER = process.env.OPENAI_AUTH_HEADER || (API_TYPE === 'azure' ? 'api-key' : 'Authorization');
+const AUTH_SCHEME = process.env.OPENAI_AUTH_SCHEME ?? (API_TYPE === 'azure' ? '' : 'Bearer');
+// 較舊的相容服務只認得 max_tokens
+const MAX_TOKENS_PARAM = process.env.OPENAI_MAX_TOKENS_PARAM === 'max_tokens' ? 'max_tokens' : 'max_completion_tokens';
+const IS_CUSTOM_ENDPOINT = API_TYPE === 'azure' || BASE_URL !== OPENAI_DEFAULT_BASE_URL;
+// 自架服務多半不驗證金鑰；OPENAI_API_KEY 留空時送出佔位值，讓既有「有金鑰才呼叫 LLM」的判斷照常運作
+const LOCAL_PLACEHOLDER_KEY = 'not-required';
+
 function sleep(ms){
   return new Promise(resolve=>setTimeout(resolve, ms));
 }
 
-function isRetryable(err){
+export function isRetryableLlmError(err){
   if(!err) return false;
   const status = err.response?.status;
   if(status && (status === 408 || status === 429 || status >= 500)) return true;
@@ -17,6 +36,46 @@ function isRetryable(err){
   return /timeout|socket hang up|ECONNRESET/i.test(msg);
 }
 
+export function resolveOpenAIKey(rawKey){
+  if(rawKey) return rawKey;
+  return IS_CUSTOM_ENDPOINT && API_TYPE !== 'azure' ? LOCAL_PLACEHOLDER_KEY : '';
+}
+
+export function getLlmEndpoint(){
+  return {
+    api_type: API_TYPE,
+    base_url: BASE_URL,
+    custom: IS_CUSTOM_ENDPOINT,
+    auth_header: AUTH_HEADER,
+    max_tokens_param: MAX_TOKENS_PARAM,
+    azure: API_TYPE === 'azure' ? { api_version: AZURE_API_VERSION, deployments: AZURE_DEPLOYMENTS } : null
+  };
+}
+
+function buildAuthHeaders(openKey){
+  if(!openKey || openKey === LOCAL_PLACEHOLDER_KEY) return {};
+  return { [AUTH_HEADER]: AUTH_SCHEME ? `${AUTH_SCHEME} ${openKey}` : openKey };
+}
+
+function chatCompletionsUrl(model){
+  if(API_TYPE === 'azure'){
+    const deployment = AZURE_DEPLOYMENTS[model] || model;
+    return `${BASE_URL}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(AZURE_API_VERSION)}`;
+  }
+  return `${BASE_URL}/chat/completions`;
+}
+
+// 向端點查詢可用模型（OpenAI / 相容服務為 GET /models；Azure 需查 deployments，這裡不支援）
+export async function listRemoteModels(openKey, { timeoutMs=10000 }={}){
+  if(API_TYPE === 'azure') return null;
+  const { data } = await axios.get(`${BASE_URL}/models`,{
+    headers: buildAuthHeaders(openKey),
+    timeout: timeoutMs
+  });
+  const rows = Array.isArray(data?.data) ? data.data : Array.isArray(data?.models) ? data.models : [];
+  return rows.map(row=>row?.id || row?.name).filter(Boolean);
+}
+
 export async function callOpenAIChat({
   openKey,
   model,
@@ -25,7 +84,8 @@ export async function callOpenAIChat({
   temperature=0,
   responseFormat,
   maxCompletionTokens,
-  seed
+  seed,
+  signal
 }){
   if(!openKey) throw new Error('Missing OpenAI key');
   let lastErr;
@@ -38,18 +98,19 @@ export async function callOpenAIChat({
       };
       if(responseFormat) payload.response_format = responseFormat;
       if(Number.isFinite(maxCompletionTokens) && maxCompletionTokens > 0){
-        payload.max_completion_tokens = Math.round(maxCompletionTokens);
+        payload[MAX_TOKENS_PARAM] = Math.round(maxCompletionTokens);
       }
       if(Number.isFinite(seed)){
         payload.seed = Math.round(seed);
       }
-      return await axios.post('https://api.openai.com/v1/chat/completions', payload,{
-        headers:{ 'Authorization':`Bearer ${openKey}`, 'Content-Type':'application/json' },
-        timeout: timeoutMs
+      return await axios.post(chatCompletionsUrl(model), payload,{
+        headers:{ ...buildAuthHeaders(openKey), 'Content-Type':'application/json' },
+        timeout: timeoutMs,
+        signal
       });
     }catch(err){
       lastErr = err;
-      if(attempt === DEFAULT_ATTEMPTS || !isRetryable(err)) throw err;
+      if(attempt === DEFAULT_ATTEMPTS || signal?.aborted || !isRetryableLlmError(err)) throw err;
       const delay = DEFAULT_DELAY_MS * (2 ** (attempt-1));
       const jitter = Math.random() * 300;
       await sleep(delay + jitter);
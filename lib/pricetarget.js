@@ -1,5 +1,4 @@
-import { getFmpPriceTarget } from './fmp.js';
-import { getYahooPriceTarget } from './yahoo.js';
+import { getPriceTargets } from './providers/index.js';
 
 const TARGET_MAX_MULTIPLIER = Number(process.env.PRICE_TARGET_MAX_MULTIPLIER || 2);
 const TARGET_MIN_MULTIPLIER = Number(process.env.PRICE_TARGET_MIN_MULTIPLIER || 0.6);
@@ -57,40 +56,31 @@ function normalizeTargets(obj={}, current=null){
   };
 }
 
-export async function getAggregatedPriceTarget(symbol, finnhubKey, alphaKey, current, fmpKey, baselineDate){
-  const errors=[];
-  let fmpTargets=null;
-  if(fmpKey){
-    try{
-      fmpTargets = await getFmpPriceTarget(symbol,fmpKey);
-    }catch(e){ errors.push(`[FMP] ${e.message}`); }
-  }
-  let yahooTargets=null;
-  try{
-    yahooTargets = await getYahooPriceTarget(symbol);
-  }catch(e){ errors.push(`[Yahoo] ${e.message}`); }
+// 依 provider 鏈（MARKET_DATA_PROVIDERS_PRICE_TARGET / MARKET_DATA_PROVIDERS）取前兩家成功的目標價交叉比對
+export async function getAggregatedPriceTarget(symbol, current){
+  const { results, errors } = await getPriceTargets(symbol, { max:2 });
+  const [primary, secondary] = results;
 
-  if(fmpTargets && yahooTargets){
-    const fmpMean = toNum(fmpTargets.targetMean);
-    const yahooMean = toNum(yahooTargets.targetMean);
-    if(fmpMean && yahooMean){
-      const diffPct = Math.abs(fmpMean - yahooMean) / Math.max(1, ((fmpMean + yahooMean)/2));
+  if(primary && secondary){
+    const primaryMean = toNum(primary.targetMean);
+    const secondaryMean = toNum(secondary.targetMean);
+    if(primaryMean && secondaryMean){
+      const diffPct = Math.abs(primaryMean - secondaryMean) / Math.max(1, ((primaryMean + secondaryMean)/2));
       if(diffPct > 0.4){
-        return fmpMean > yahooMean ? normalizeTargets(yahooTargets, current) : normalizeTargets(fmpTargets, current);
+        return primaryMean > secondaryMean ? normalizeTargets(secondary, current) : normalizeTargets(primary, current);
       }
       const blended = {
-        source: 'fmp+yahoo',
-        targetHigh: (toNum(fmpTargets.targetHigh) + toNum(yahooTargets.targetHigh)) / 2,
-        targetLow: (toNum(fmpTargets.targetLow) + toNum(yahooTargets.targetLow)) / 2,
-        targetMean: (fmpMean + yahooMean) / 2,
-        targetMedian: (toNum(fmpTargets.targetMedian) + toNum(yahooTargets.targetMedian)) / 2
+        source: `${primary.provider}+${secondary.provider}`,
+        targetHigh: (toNum(primary.targetHigh) + toNum(secondary.targetHigh)) / 2,
+        targetLow: (toNum(primary.targetLow) + toNum(secondary.targetLow)) / 2,
+        targetMean: (primaryMean + secondaryMean) / 2,
+        targetMedian: (toNum(primary.targetMedian) + toNum(secondary.targetMedian)) / 2
       };
       return normalizeTargets(blended, current);
     }
   }
 
-  if(fmpTargets) return normalizeTargets(fmpTargets, current);
-  if(yahooTargets) return normalizeTargets(yahooTargets, current);
+  if(primary) return normalizeTargets(primary, current);
   return {
     source:'unavailable',
     error: errors.join(' | ') || 'No analyst price target source succeeded',
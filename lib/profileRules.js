@@ -0,0 +1,407 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { t } from './i18n.js';
+
+// 8 項硬性過濾與 100 分制體質分數：門檻與權重在這裡定義，由程式依估值、動能、分析師預估與 XBRL 財報數字判定，
+// 結果當成事實交給 LLM 解釋。缺資料的項目標為 pending，由 LLM 依其他資料推估（回傳時標 inferred）；
+// LLM 也沒給的項目標 unavailable，不計入通過門檻與分數滿分。
+// - filters[].checks：依序取第一個有值的指標判定（例如 PEG 缺值改看本益比）；checks 為空代表該產業不適用，直接交給 LLM
+// - score[].metrics：low → 0 分、high → 滿分線性內插（low > high 代表越低越好），類別得分為各指標平均 × weight
+// - sectors：依產業覆寫同 key 的 checks / metrics，可再分 large_cap / small_cap
+// PROFILE_RULES_PATH 指向 JSON 檔可覆寫：min_pass、large_cap_min_usd、整段 segments.<segment>.filters / score、個別 sectors.<sector>
+const DEFAULT_RULES = {
+  min_pass: 6,
+  large_cap_min_usd: 10e9,
+  segments: {
+    large_cap: {
+      filters: [
+        { key:'revenue_growth', checks:[{ metric:'revenue_yoy_pct', op:'gte', value:5 }, { metric:'forward_revenue_growth_pct', op:'gte', value:5 }] },
+        { key:'earnings_growth', checks:[{ metric:'eps_yoy_pct', op:'gte', value:5 }, { metric:'forward_eps_growth_pct', op:'gte', value:5 }] },
+        { key:'gross_margin', checks:[{ metric:'gross_margin_pct', op:'gte', value:35 }] },
+        { key:'operating_margin', checks:[{ metric:'operating_margin_pct', op:'gte', value:15 }] },
+        { key:'free_cash_flow', checks:[{ metric:'fcf_margin_pct', op:'gt', value:0 }] },
+        { key:'leverage', checks:[{ metric:'debt_to_equity', op:'lte', value:1.5 }, { metric:'net_debt_to_operating_income', op:'lte', value:3 }] },
+        { key:'valuation', checks:[{ metric:'peg', op:'lte', value:2.5 }, { metric:'pe', op:'lte', value:35 }] },
+        { key:'momentum', checks:[{ metric:'momentum_score', op:'gte', value:45 }, { metric:'above_ma200', op:'eq', value:true }] }
+      ],
+      score: [
+        { key:'growth', weight:25, metrics:[{ metric:'revenue_yoy_pct', low:0, high:30 }, { metric:'eps_yoy_pct', low:0, high:30 }] },
+        { key:'profitability', weight:20, metrics:[{ metric:'gross_margin_pct', low:20, high:60 }, { metric:'operating_margin_pct', low:0, high:30 }] },
+        { key:'cash_flow', weight:15, metrics:[{ metric:'fcf_margin_pct', low:0, high:25 }] },
+        { key:'balance_sheet', weight:10, metrics:[{ metric:'debt_to_equity', low:2, high:0 }] },
+        { key:'valuation', weight:15, metrics:[{ metric:'peg', low:3, high:1 }, { metric:'pe', low:45, high:15 }] },
+        { key:'momentum', weight:10, metrics:[{ metric:'momentum_score', low:30, high:80 }] },
+        { key:'analyst', weight:5, metrics:[{ metric:'target_upside_pct', low:0, high:25 }, { metric:'forward_eps_growth_pct', low:0, high:25 }] }
+      ]
+    },
+    small_cap: {
+      filters: [
+        { key:'revenue_growth', checks:[{ metric:'revenue_yoy_pct', op:'gte', value:10 }, { metric:'forward_revenue_growth_pct', op:'gte', value:10 }] },
+        { key:'gross_margin', checks:[{ metric:'gross_margin_pct', op:'gte', value:30 }] },
+        { key:'operating_margin', checks:[{ metric:'operating_margin_pct', op:'gte', value:0 }] },
+        { key:'free_cash_flow', checks:[{ metric:'fcf_margin_pct', op:'gte', value:-5 }] },
+        { key:'leverage', checks:[{ metric:'debt_to_equity', op:'lte', value:1 }, { metric:'net_debt_to_operating_income', op:'lte', value:2 }] },
+        { key:'valuation', checks:[{ metric:'ps_ttm', op:'lte', value:8 }, { metric:'ev_to_ebitda', op:'lte', value:20 }] },
+        { key:'momentum', checks:[{ metric:'momentum_score', op:'gte', value:50 }, { metric:'return_6m_pct', op:'gte', value:0 }] },
+        { key:'analyst_upside', checks:[{ metric:'target_upside_pct', op:'gte', value:10 }] }
+      ],
+      score: [
+        { key:'growth', weight:25, metrics:[{ metric:'revenue_yoy_pct', low:0, high:40 }, { metric:'eps_yoy_pct', low:-20, high:40 }] },
+        { key:'profitability', weight:20, metrics:[{ metric:'gross_margin_pct', low:15, high:55 }, { metric:'operating_margin_pct', low:-10, high:20 }] },
+        { key:'cash_flow', weight:15, metrics:[{ metric:'fcf_margin_pct', low:-10, high:15 }] },
+        { key:'balance_sheet', weight:10, metrics:[{ metric:'debt_to_equity', low:1.5, high:0 }] },
+        { key:'valuation', weight:15, metrics:[{ metric:'ps_ttm', low:10, high:2 }, { metric:'ev_to_ebitda', low:30, high:10 }] },
+        { key:'momentum', weight:10, metrics:[{ metric:'momentum_score', low:30, high:80 }] },
+        { key:'analyst', weight:5, metrics:[{ metric:'target_upside_pct', low:0, high:30 }] }
+      ]
+    }
+  },
+  // 產業鍵值為 profile 的 S&P 產業名稱（不分大小寫）
+  sectors: {
+    'Technology': {
+      filters: {
+        gross_margin: { checks:[{ metric:'gross_margin_pct', op:'gte', value:45 }] },
+        valuation: { checks:[{ metric:'peg', op:'lte', value:3 }, { metric:'pe', op:'lte', value:45 }] }
+      },
+      score: { valuation: { metrics:[{ metric:'peg', low:3.5, high:1.2 }, { metric:'pe', low:55, high:20 }] } }
+    },
+    'Communication Services': {
+      filters: { valuation: { checks:[{ metric:'peg', op:'lte', value:3 }, { metric:'pe', op:'lte', value:40 }] } }
+    },
+    'Consumer Defensive': {
+      filters: {
+        revenue_growth: { checks:[{ metric:'revenue_yoy_pct', op:'gte', value:2 }, { metric:'forward_revenue_growth_pct', op:'gte', value:2 }] },
+        gross_margin: { checks:[{ metric:'gross_margin_pct', op:'gte', value:25 }] },
+        valuation: { checks:[{ metric:'pe', op:'lte', value:28 }] }
+      },
+      score: { growth: { metrics:[{ metric:'revenue_yoy_pct', low:-2, high:10 }, { metric:'eps_yoy_pct', low:-5, high:15 }] } }
+    },
+    'Utilities': {
+      filters: {
+        revenue_growth: { checks:[{ metric:'revenue_yoy_pct', op:'gte', value:2 }] },
+        gross_margin: { checks:[] },
+        leverage: { checks:[{ metric:'debt_to_equity', op:'lte', value:2.5 }] },
+        valuation: { checks:[{ metric:'pe', op:'lte', value:22 }] }
+      },
+      score: { balance_sheet: { metrics:[{ metric:'debt_to_equity', low:3, high:1 }] } }
+    },
+    'Energy': {
+      filters: { gross_margin: { checks:[{ metric:'gross_margin_pct', op:'gte', value:20 }] } }
+    },
+    'Basic Materials': {
+      filters: { gross_margin: { checks:[{ metric:'gross_margin_pct', op:'gte', value:20 }] } }
+    },
+    'Industrials': {
+      filters: { gross_margin: { checks:[{ metric:'gross_margin_pct', op:'gte', value:25 }] } }
+    },
+    // 銀行 / 保險的毛利、現金流與負債比不具可比性，交給 LLM 依資本適足與資產品質判斷
+    'Financial Services': {
+      filters: {
+        gross_margin: { checks:[] },
+        operating_margin: { checks:[] },
+        free_cash_flow: { checks:[] },
+        leverage: { checks:[] },
+        valuation: { checks:[{ metric:'pe', op:'lte', value:18 }] }
+      },
+      score: {
+        profitability: { metrics:[{ metric:'net_margin_pct', low:5, high:30 }] },
+        cash_flow: { metrics:[] },
+        balance_sheet: { metrics:[] }
+      }
+    },
+    // REIT 看 P/FFO，這裡拿不到，估值交給 LLM
+    'Real Estate': {
+      filters: {
+        leverage: { checks:[{ metric:'debt_to_equity', op:'lte', value:2.5 }] },
+        valuation: { checks:[] }
+      },
+      score: { valuation: { metrics:[] } }
+    }
+  }
+};
+
+function loadRules(){
+  const file = process.env.PROFILE_RULES_PATH;
+  if(!file) return DEFAULT_RULES;
+  try{
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const segments = { ...DEFAULT_RULES.segments };
+    Object.entries(custom.segments || {}).forEach(([segment, value])=>{
+      segments[segment] = { ...(segments[segment] || {}), ...value };
+    });
+    return {
+      ...DEFAULT_RULES,
+      ...(custom.min_pass != null ? { min_pass: Number(custom.min_pass) } : {}),
+      ...(custom.large_cap_min_usd != null ? { large_cap_min_usd: Number(custom.large_cap_min_usd) } : {}),
+      segments,
+      sectors: { ...DEFAULT_RULES.sectors, ...(custom.sectors || {}) }
+    };
+  }catch(err){
+    console.warn('[profile rules] invalid PROFILE_RULES_PATH', err.message);
+    return DEFAULT_RULES;
+  }
+}
+
+const RULES = loadRules();
+
+function num(value){
+  if(value == null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function round(value, digits=2){
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function toPct(ratio){
+  const value = num(ratio);
+  return value == null ? null : round(value * 100);
+}
+
+// valuation.market_cap 已由呼叫端換算成美元（各來源單位不同，見 buildValuationSummary）
+function positiveMarketCap(value){
+  const cap = num(value);
+  return cap != null && cap > 0 ? cap : null;
+}
+
+// 規則引擎用的扁平指標；成長率、利潤率等一律為百分比數值（5 代表 5%）
+export function buildProfileFacts({ priceMeta, valuation, momentum, analystMetrics, fundamentals }={}){
+  const price = num(priceMeta?.value) ?? num(valuation?.current_price);
+  const quarter = fundamentals?.latest_quarter || null;
+  const annual = fundamentals?.latest_annual || null;
+  const ttm = fundamentals?.ttm || null;
+  const balance = fundamentals?.balance_sheet || null;
+  const shares = num(balance?.shares_outstanding);
+  // 時點正確的股數 × 基準日價格優先，報價來源的市值可能是今天的
+  const marketCap = price != null && shares ? price * shares : positiveMarketCap(valuation?.market_cap);
+  const revenueTtm = num(ttm?.revenue) ?? num(annual?.revenue);
+  const target = num(analystMetrics?.price_targets?.recent_avg);
+  const estimates = analystMetrics?.estimates?.annual || null;
+  return {
+    price,
+    market_cap: round(marketCap, 0),
+    revenue_yoy_pct: num(quarter?.revenue_yoy_pct) ?? num(annual?.revenue_yoy_pct),
+    eps_yoy_pct: num(quarter?.eps_yoy_pct) ?? num(annual?.eps_yoy_pct),
+    gross_margin_pct: num(ttm?.gross_margin_pct) ?? num(annual?.gross_margin_pct),
+    operating_margin_pct: num(ttm?.operating_margin_pct) ?? num(annual?.operating_margin_pct),
+    net_margin_pct: num(ttm?.net_margin_pct) ?? num(annual?.net_margin_pct),
+    fcf_margin_pct: num(ttm?.fcf_margin_pct) ?? num(annual?.fcf_margin_pct),
+    debt_to_equity: num(balance?.debt_to_equity),
+    net_debt_to_operating_income: num(balance?.net_debt_to_ttm_operating_income),
+    pe: num(valuation?.pe),
+    peg: num(valuation?.peg),
+    ev_to_ebitda: num(valuation?.ev_to_ebitda),
+    ps_ttm: marketCap && revenueTtm > 0 ? round(marketCap / revenueTtm) : null,
+    momentum_score: num(momentum?.score),
+    return_3m_pct: toPct(momentum?.returns?.m3),
+    return_6m_pct: toPct(momentum?.returns?.m6),
+    return_12m_pct: toPct(momentum?.returns?.m12),
+    above_ma200: typeof momentum?.price_vs_ma?.above200 === 'boolean' ? momentum.price_vs_ma.above200 : null,
+    price_vs_high_pct: toPct(valuation?.price_vs_high_pct),
+    forward_eps_growth_pct: toPct(estimates?.eps_growth),
+    forward_revenue_growth_pct: toPct(estimates?.revenue_growth),
+    target_upside_pct: target != null && price ? round((target / price - 1) * 100) : null
+  };
+}
+
+function findSectorOverride(sector){
+  const name = String(sector || '').trim().toLowerCase();
+  if(!name) return null;
+  const entry = Object.entries(RULES.sectors).find(([key])=>key.toLowerCase() === name);
+  return entry ? entry[1] : null;
+}
+
+// 產業覆寫：共用的 filters / score 先套，再套同 segment 的
+function resolveSegmentRules(segment, sector){
+  const base = RULES.segments[segment] || RULES.segments.large_cap;
+  const override = findSectorOverride(sector);
+  const layers = override ? [override, override[segment]].filter(Boolean) : [];
+  const filters = base.filters.map(filter=>layers.reduce((acc, layer)=>(layer.filters?.[filter.key] ? { ...acc, ...layer.filters[filter.key] } : acc), filter));
+  const score = base.score.map(category=>layers.reduce((acc, layer)=>(layer.score?.[category.key] ? { ...acc, ...layer.score[category.key] } : acc), category));
+  return { filters, score };
+}
+
+const OPERATORS = {
+  gte:(a, b)=>a >= b,
+  gt:(a, b)=>a > b,
+  lte:(a, b)=>a <= b,
+  lt:(a, b)=>a < b,
+  eq:(a, b)=>a === b
+};
+const OPERATOR_SYMBOLS = { gte:'≥', gt:'>', lte:'≤', lt:'<', eq:'=' };
+
+function label(kind, key, lang, custom){
+  if(custom && typeof custom === 'object') return custom[lang] || custom['zh-TW'] || Object.values(custom)[0];
+  if(typeof custom === 'string') return custom;
+  const text = t(lang, `${kind}.${key}`);
+  return text === `${kind}.${key}` ? key : text;
+}
+
+function formatValue(value){
+  return typeof value === 'boolean' ? String(value) : String(round(value));
+}
+
+function evaluateFilter(filter, facts, lang){
+  const name = label('filter', filter.key, lang, filter.label);
+  const check = (filter.checks || []).find(item=>facts[item.metric] != null);
+  if(!check){
+    return { key: filter.key, name, source:'pending', met:null, metric:null, value:null, threshold:null };
+  }
+  const value = facts[check.metric];
+  const compare = OPERATORS[check.op] || OPERATORS.gte;
+  return {
+    key: filter.key,
+    name,
+    source:'computed',
+    met: compare(value, check.value),
+    metric: check.metric,
+    value,
+    threshold: `${OPERATOR_SYMBOLS[check.op] || '≥'} ${check.value}`
+  };
+}
+
+function scaleMetric(value, low, high){
+  if(low === high) return value >= high ? 1 : 0;
+  const ratio = (value - low) / (high - low);
+  return Math.min(1, Math.max(0, ratio));
+}
+
+function evaluateCategory(category, facts, lang){
+  const metrics = (category.metrics || [])
+    .filter(item=>facts[item.metric] != null && typeof facts[item.metric] === 'number')
+    .map(item=>({ metric: item.metric, value: facts[item.metric], ratio: round(scaleMetric(facts[item.metric], item.low, item.high), 3) }));
+  const base = { key: category.key, category: label('score', category.key, lang, category.label), max: category.weight };
+  if(!metrics.length) return { ...base, source:'pending', points:null, metrics:[] };
+  const average = metrics.reduce((acc, item)=>acc + item.ratio, 0) / metrics.length;
+  return { ...base, source:'computed', points: round(category.weight * average, 1), metrics };
+}
+
+function rulesHash(segment, sector, rules){
+  const body = JSON.stringify({ segment, sector: sector || null, min_pass: RULES.min_pass, large_cap_min_usd: RULES.large_cap_min_usd, rules });
+  return crypto.createHash('sha256').update(body).digest('hex').slice(0, 12);
+}
+
+// 市值未知時預設大型股門檻（較嚴格），並在 segment_basis 註明
+export function evaluateProfileRules({ facts, sector, lang }={}){
+  if(!facts) return null;
+  const marketCap = facts.market_cap;
+  const segment = marketCap != null && marketCap < RULES.large_cap_min_usd ? 'small_cap' : 'large_cap';
+  const rules = resolveSegmentRules(segment, sector);
+  const filters = rules.filters.map(filter=>evaluateFilter(filter, facts, lang));
+  const score = rules.score.map(category=>evaluateCategory(category, facts, lang));
+  const computedFilters = filters.filter(item=>item.source === 'computed');
+  const computedScore = score.filter(item=>item.source === 'computed');
+  return {
+    segment,
+    segment_label: t(lang, `segment.${segment}`),
+    segment_basis: { market_cap: marketCap, large_cap_min_usd: RULES.large_cap_min_usd, known: marketCap != null },
+    sector: sector || null,
+    rules_hash: rulesHash(segment, sector, rules),
+    min_pass: RULES.min_pass,
+    filters,
+    filters_computed_met: computedFilters.filter(item=>item.met).length,
+    score,
+    score_computed_points: round(computedScore.reduce((acc, item)=>acc + item.points, 0), 1),
+    score_computed_max: computedScore.reduce((acc, item)=>acc + item.max, 0),
+    facts
+  };
+}
+
+// 給 LLM 的版本：不含 facts（payload 其他欄位已有原始數字）
+export function compactProfileRules(evaluation){
+  if(!evaluation) return null;
+  return {
+    segment: evaluation.segment,
+    min_pass: evaluation.min_pass,
+    filters: evaluation.filters.map(({ key, name, source, met, metric, value, threshold })=>({ key, name, source, met, metric, value, threshold })),
+    score: evaluation.score.map(({ key, category, max, source, points })=>({ key, category, max, source, points })),
+    score_computed_points: evaluation.score_computed_points
+  };
+}
+
+function describeFilter(item, lang){
+  return t(lang, 'rule.computed', { metric: item.metric, value: formatValue(item.value), threshold: item.threshold });
+}
+
+// 只採用 LLM 自己給的項目：metrics-only 重跑時輸入是先前套過規則的結果，computed / unavailable / default 都不是 LLM 判斷
+function matchLlmItem(list, key, index){
+  if(!Array.isArray(list)) return null;
+  const item = list.find(entry=>entry?.key === key) || (list[index] && !list[index].key ? list[index] : null);
+  return item && (!item.source || item.source === 'inferred') ? item : null;
+}
+
+// 套過規則的項目把 LLM 原文另存在 llm_reason，重套時才不會把自動說明疊兩次
+function llmReasonOf(item, key){
+  if(!item || item.key !== key) return null;
+  const raw = item.source ? item.llm_reason : item.reason;
+  return typeof raw === 'string' && raw.trim() ? raw.trim() : null;
+}
+
+function joinReason(auto, llmReason, lang){
+  return llmReason ? `${auto}${t(lang, 'rationale.separator')}${llmReason}` : auto;
+}
+
+// LLM 回來後以規則結果為準：computed 的 met / 分數覆寫，pending 的採用 LLM 判斷並標為 inferred；
+// LLM 沒給的 pending 項目標 unavailable（met / points 為 null）：通過門檻依可判定的項目數等比例換算，
+// 分數只加總有分數的類別並換算回 100 分制（score_points / score_max 為換算前）
+export function applyProfileRules(analysis, evaluation, lang){
+  if(!analysis || !evaluation) return null;
+  const profile = analysis.profile = analysis.profile || {};
+  const llmFilters = profile.filters?.items;
+  const llmScores = profile.score_detail;
+  const items = evaluation.filters.map((rule, index)=>{
+    const llmItem = matchLlmItem(llmFilters, rule.key, index);
+    const llmReason = llmReasonOf(llmItem, rule.key);
+    const base = { key: rule.key, name: rule.name };
+    if(rule.source === 'computed'){
+      const auto = describeFilter(rule, lang);
+      return { ...base, met: rule.met, source:'computed', reason: joinReason(auto, llmReason, lang), llm_reason: llmReason, metric: rule.metric, value: rule.value, threshold: rule.threshold };
+    }
+    if(llmItem && typeof llmItem.met === 'boolean'){
+      const reason = typeof llmItem.reason === 'string' ? llmItem.reason.trim() : '';
+      return { ...base, met: llmItem.met, source:'inferred', reason: reason || t(lang, 'rule.inferred') };
+    }
+    return { ...base, met:null, source:'unavailable', reason: t(lang, 'rule.no_data') };
+  });
+  const detail = evaluation.score.map((rule, index)=>{
+    const llmItem = matchLlmItem(llmScores, rule.key, index);
+    const base = { key: rule.key, category: rule.category, max: rule.max };
+    if(rule.source === 'computed'){
+      const auto = rule.metrics.map(item=>`${item.metric} ${formatValue(item.value)}`).join(', ');
+      const llmReason = llmReasonOf(llmItem, rule.key);
+      return { ...base, points: rule.points, source:'computed', reason: joinReason(auto, llmReason, lang), llm_reason: llmReason };
+    }
+    const llmPoints = num(llmItem?.points);
+    if(llmPoints != null){
+      const reason = typeof llmItem.reason === 'string' ? llmItem.reason.trim() : '';
+      return { ...base, points: round(Math.min(rule.max, Math.max(0, llmPoints)), 1), source:'inferred', reason: reason || t(lang, 'rule.inferred') };
+    }
+    return { ...base, points:null, source:'unavailable', reason: t(lang, 'rule.no_data') };
+  });
+  const met = items.filter(item=>item.met).length;
+  const evaluated = items.filter(item=>typeof item.met === 'boolean').length;
+  const required = evaluated ? Math.ceil(evaluation.min_pass * evaluated / items.length) : null;
+  const scored = detail.filter(item=>item.points != null);
+  const scorePoints = scored.reduce((acc, item)=>acc + item.points, 0);
+  const scoreMax = scored.reduce((acc, item)=>acc + item.max, 0);
+  profile.segment = evaluation.segment;
+  profile.segment_label = evaluation.segment_label;
+  profile.filters = { total: items.length, evaluated, met, min_pass: evaluation.min_pass, required, passed: required == null ? null : met >= required, items };
+  profile.score = scoreMax ? Math.round(scorePoints / scoreMax * 100) : null;
+  profile.score_points = round(scorePoints, 1);
+  profile.score_max = scoreMax;
+  profile.score_detail = detail;
+  profile.rules = {
+    rules_hash: evaluation.rules_hash,
+    sector: evaluation.sector,
+    segment_basis: evaluation.segment_basis,
+    filters_computed: items.filter(item=>item.source === 'computed').map(item=>item.key),
+    filters_inferred: items.filter(item=>item.source === 'inferred').map(item=>item.key),
+    filters_unavailable: items.filter(item=>item.source === 'unavailable').map(item=>item.key),
+    score_computed: detail.filter(item=>item.source === 'computed').map(item=>item.key),
+    score_inferred: detail.filter(item=>item.source === 'inferred').map(item=>item.key),
+    score_unavailable: detail.filter(item=>item.source === 'unavailable').map(item=>item.key)
+  };
+  return profile;
+}
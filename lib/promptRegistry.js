@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// 版本化 prompt：prompts/<task>/<version>.json，格式 { version, description, system:[逐行指示] }
+// 版本內容一經使用就不要再改（LLM 快取以版本名稱區分），調整 prompt 請另存新版本再用 A/B 比較
+// system 內可放 {{變數}}（例如 {{output_language}}），由 renderPrompt 在送出前代入
+// 預設以本檔位置找 repo 內的 prompts/，不受啟動目錄影響；PROMPTS_DIR 的相對路徑仍以啟動目錄為準
+const PROMPTS_DIR = process.env.PROMPTS_DIR
+  ? path.resolve(process.env.PROMPTS_DIR)
+  : fileURLToPath(new URL('../prompts', import.meta.url));
+const DEFAULT_VERSIONS = { analysis:'profile_v6' };
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/i;
+
+// 以 mtime 判斷是否重讀，新增 / 修改檔案不必重啟
+const loaded = new Map();
+
+function promptFile(task, version){
+  return path.join(PROMPTS_DIR, task, `${version}.json`);
+}
+
+export function isValidPromptVersion(version){
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+// PROMPT_VERSION_ANALYSIS=profile_v3 可切換全站預設版本
+export function getDefaultPromptVersion(task){
+  const override = process.env[`PROMPT_VERSION_${String(task).toUpperCase()}`];
+  return override && override.trim() ? override.trim() : DEFAULT_VERSIONS[task] || null;
+}
+
+export function loadPrompt(task, version){
+  const resolved = version || getDefaultPromptVersion(task);
+  if(!isValidPromptVersion(resolved)) throw new Error(`[Prompt] invalid version: ${resolved}`);
+  const file = promptFile(task, resolved);
+  let stat;
+  try{
+    stat = fs.statSync(file);
+  }catch{
+    throw new Error(`[Prompt] ${task}/${resolved} not found`);
+  }
+  const key = `${task}/${resolved}`;
+  const cached = loaded.get(key);
+  if(cached && cached.mtimeMs === stat.mtimeMs) return cached.prompt;
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const lines = Array.isArray(doc.system) ? doc.system : [doc.system];
+  const system = lines.filter(line=>typeof line === 'string' && line.trim()).join('\n');
+  if(!system) throw new Error(`[Prompt] ${key} has empty system prompt`);
+  const prompt = {
+    task,
+    version: resolved,
+    description: doc.description || '',
+    system,
+    hash: crypto.createHash('sha256').update(system).digest('hex').slice(0, 12)
+  };
+  loaded.set(key, { mtimeMs: stat.mtimeMs, prompt });
+  return prompt;
+}
+
+export function hasPlaceholder(prompt, name){
+  return prompt.system.includes(`{{${name}}}`);
+}
+
+export function renderPrompt(prompt, vars={}){
+  return prompt.system.replace(/\{\{(\w+)\}\}/g, (match, name)=>(vars[name] == null ? match : String(vars[name])));
+}
+
+export function hasPrompt(task, version){
+  return isValidPromptVersion(version) && fs.existsSync(promptFile(task, version));
+}
+
+export function listPrompts(task){
+  const dir = path.join(PROMPTS_DIR, task);
+  if(!fs.existsSync(dir)) return [];
+  const defaultVersion = getDefaultPromptVersion(task);
+  return fs.readdirSync(dir)
+    .filter(name=>name.endsWith('.json'))
+    .map(name=>name.replace(/\.json$/, ''))
+    .filter(isValidPromptVersion)
+    .sort()
+    .map(version=>{
+      try{
+        const prompt = loadPrompt(task, version);
+        return { version, description: prompt.description, hash: prompt.hash, chars: prompt.system.length, default: version === defaultVersion };
+      }catch(err){
+        return { version, error: err.message, default: version === defaultVersion };
+      }
+    });
+}
@@ -0,0 +1,28 @@
+import axios from 'axios';
+
+export default {
+  name:'alphavantage',
+  keyName:'alphavantage',
+
+  async dailySeries(symbol, opts, { key }){
+    const params = new URLSearchParams({
+      function:'TIME_SERIES_DAILY_ADJUSTED',
+      symbol,
+      outputsize:'full',
+      apikey: key
+    });
+    const { data } = await axios.get(`https://www.alphavantage.co/query?${params.toString()}`,{ timeout:20000 });
+    const series = data?.['Time Series (Daily)'];
+    if(!series){
+      const errMsg = data?.Note || data?.['Error Message'] || 'AlphaVantage no data';
+      throw new Error(errMsg);
+    }
+    return Object.entries(series).map(([date, values])=>({
+      date,
+      close: Number(values['4. close'] ?? values['5. adjusted close'] ?? values['1. open']) || 0,
+      high: Number(values['2. high']) || 0,
+      low: Number(values['3. low']) || 0,
+      volume: Number(values['6. volume']) || 0
+    }));
+  }
+};
@@ -0,0 +1,45 @@
+import dayjs from 'dayjs';
+import axios from 'axios';
+import { getQuote } from '../finnhub.js';
+
+const NEWS_ENDPOINT = 'https://finnhub.io/api/v1/company-news';
+
+export default {
+  name:'finnhub',
+  keyName:'finnhub',
+  newsWeight:1,
+  newsPrefiltered:true,
+
+  async quote(symbol, opts, { key }){
+    const data = await getQuote(symbol, key);
+    const price = Number(data?.c);
+    // Finnhub 查無代號時回傳全 0
+    if(!Number.isFinite(price) || price <= 0) return null;
+    return {
+      price,
+      asOf: data.t ? dayjs.unix(data.t).format('YYYY-MM-DD') : undefined,
+      source:'finnhub_quote',
+      raw: data
+    };
+  },
+
+  async news(symbol, { baselineDate }={}, { key }){
+    const end = dayjs(baselineDate).endOf('day');
+    const start = end.subtract(30, 'day');
+    const { data } = await axios.get(NEWS_ENDPOINT, {
+      params:{ symbol, from: start.format('YYYY-MM-DD'), to: end.format('YYYY-MM-DD'), token: key },
+      timeout:15000
+    });
+    if(!Array.isArray(data)) return [];
+    return data.slice(0,20).map(item=>({
+      title: item.headline || item.title || '',
+      summary: item.summary || '',
+      url: item.url || '',
+      source: (item.source || '').toLowerCase(),
+      symbol: (item.symbol || '').toUpperCase(),
+      tickers: item.related || symbol,
+      published_at: item.datetime ? dayjs.unix(item.datetime).toISOString() : '',
+      tone: item.sentiment ? Number(item.sentiment) : null
+    }));
+  }
+};
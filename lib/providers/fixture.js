@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+
+// 離線 / 測試用：從 MARKET_DATA_FIXTURE_DIR/<TICKER>.json 讀資料，不需任何 API 金鑰。
+// 檔案欄位皆為選填：quote、daily_series、price_target、profile、news、sec（cik + submissions + 選填的 mda：accession → MD&A 文字、exhibits：8-K accession → { "EX-99.1": 附件文字 }、form4：Form 4 accession → 原始 XML、submission_pages：filings.files[] 分頁檔名 → 分頁內容、companyfacts：SEC XBRL companyfacts 格式）
+const FIXTURE_DIR = path.resolve(process.env.MARKET_DATA_FIXTURE_DIR || 'fixtures/market');
+
+const loaded = new Map();
+
+function fixturePath(symbol){
+  const safe = String(symbol || '').toUpperCase().replace(/[^A-Z0-9.\-]/g, '');
+  return safe ? path.join(FIXTURE_DIR, `${safe}.json`) : null;
+}
+
+// 依檔案 mtime 快取，修改 fixture 後不需重啟
+function loadFixture(symbol){
+  const file = fixturePath(symbol);
+  if(!file || !fs.existsSync(file)) return null;
+  const mtime = fs.statSync(file).mtimeMs;
+  const hit = loaded.get(file);
+  if(hit && hit.mtime === mtime) return hit.data;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if(Array.isArray(data.daily_series)){
+    data.daily_series = [...data.daily_series].sort((a,b)=>String(b.date).localeCompare(String(a.date)));
+  }
+  loaded.set(file, { mtime, data });
+  return data;
+}
+
+export default {
+  name:'fixture',
+  keyName:null,
+  newsWeight:3,
+
+  async quote(symbol){
+    const data = loadFixture(symbol);
+    if(!data) return null;
+    const latest = data.daily_series?.[0];
+    const price = Number(data.quote?.price ?? latest?.close);
+    if(!Number.isFinite(price)) return null;
+    return {
+      price,
+      asOf: data.quote?.as_of || latest?.date,
+      source:'fixture_quote',
+      raw: data.quote || null
+    };
+  },
+
+  async dailySeries(symbol, { limit }={}){
+    const rows = loadFixture(symbol)?.daily_series;
+    if(!rows?.length) return null;
+    return limit ? rows.slice(0, limit) : rows;
+  },
+
+  // 只回傳當天收盤，遇到假日由呼叫端往前找
+  async historicalClose(symbol, { date }){
+    const row = loadFixture(symbol)?.daily_series?.find(item=>item.date === date);
+    if(!row) return null;
+    return { price: Number(row.close), source:'fixture_historical', date: row.date };
+  },
+
+  async priceTarget(symbol){
+    const target = loadFixture(symbol)?.price_target;
+    return target ? { source:'fixture', ...target } : null;
+  },
+
+  async profile(symbol){
+    return loadFixture(symbol)?.profile || null;
+  },
+
+  async news(symbol){
+    return loadFixture(symbol)?.news || [];
+  },
+
+  async secFilings(symbol){
+    const sec = loadFixture(symbol)?.sec;
+    if(!sec?.cik || !sec?.submissions) return null;
+    return { cik: String(sec.cik).padStart(10, '0'), submissions: sec.submissions, mda: sec.mda || null, exhibits: sec.exhibits || null, form4: sec.form4 || null, submission_pages: sec.submission_pages || null, companyfacts: sec.companyfacts || null };
+  }
+};
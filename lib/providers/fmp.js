@@ -0,0 +1,85 @@
+import { getCache, setCache } from '../cache.js';
+import {
+  getFmpQuote,
+  getFmpHistorical,
+  getFmpDailySeries,
+  getFmpPriceTarget,
+  getFmpProfile,
+  getFmpNews
+} from '../fmp.js';
+
+const FMP_MAX_RETRY = Number(process.env.FMP_RETRY_ATTEMPTS || 3);
+const RETRY_DELAY_MS = Number(process.env.FMP_RETRY_DELAY_MS || 800);
+
+function sleep(ms){
+  return new Promise(resolve=>setTimeout(resolve, ms));
+}
+
+export default {
+  name:'fmp',
+  keyName:'fmp',
+  newsWeight:3,
+
+  async quote(symbol, opts, { key }){
+    const quote = await getFmpQuote(symbol, key);
+    return { price: quote.price, asOf: quote.asOf, source:'fmp_quote', raw: quote.raw };
+  },
+
+  async dailySeries(symbol, { limit=400 }={}, { key }){
+    return getFmpDailySeries(symbol, key, limit);
+  },
+
+  // FMP 歷史價偶爾回空陣列，同一天重試幾次再交給下一家
+  async historicalClose(symbol, { date }, { key }){
+    const cacheKey = `hist_fmp_${symbol}_${date}`;
+    const cached = await getCache(cacheKey);
+    if(cached) return cached;
+    let lastErr;
+    for(let attempt=0; attempt<FMP_MAX_RETRY; attempt++){
+      try{
+        const hist = await getFmpHistorical(symbol, date, key);
+        if(hist?.price!=null){
+          await setCache(cacheKey, hist);
+          return hist;
+        }
+        lastErr = new Error('FMP historical returned empty');
+      }catch(err){
+        lastErr = err;
+      }
+      if(attempt < FMP_MAX_RETRY-1){
+        await sleep(RETRY_DELAY_MS * Math.max(1, attempt+1));
+      }
+    }
+    throw lastErr || new Error('FMP historical unavailable');
+  },
+
+  async priceTarget(symbol, opts, { key }){
+    return getFmpPriceTarget(symbol, key);
+  },
+
+  async profile(symbol, opts, { key }){
+    const row = await getFmpProfile(symbol, key);
+    return {
+      name: row.companyName || row.name || null,
+      sector: row.sector || null,
+      industry: row.industry || null,
+      exchange: row.exchangeShortName || row.exchange || null,
+      market_cap: Number(row.mktCap ?? row.marketCap) || null,
+      raw: row
+    };
+  },
+
+  async news(symbol, { limit=40 }={}, { key }){
+    const rows = await getFmpNews(symbol, key, limit);
+    return rows.map(item=>({
+      title: item.title || '',
+      summary: item.text || item.summary || '',
+      url: item.url || '',
+      source: (item.site || '').toLowerCase(),
+      symbol: (item.symbol || '').toUpperCase(),
+      tickers: item.tickers,
+      published_at: item.publishedDate || item.publishedAt || item.date || item.datetime || '',
+      tone: null
+    }));
+  }
+};
@@ -0,0 +1,164 @@
+import fmpProvider from './fmp.js';
+import finnhubProvider from './finnhub.js';
+import yahooProvider from './yahoo.js';
+import alphavantageProvider from './alphavantage.js';
+import fixtureProvider from './fixture.js';
+
+// 每個 provider 是一個物件：{ name, keyName, <capability>(symbol, opts, ctx) }，沒實作的能力直接略過。
+// 回傳 null 代表「這家沒有資料」，丟錯代表「呼叫失敗」，兩者都會往鏈上的下一家找。
+export const PROVIDER_CAPABILITIES = ['quote','dailySeries','historicalClose','priceTarget','profile','news','secFilings'];
+
+// 預設鏈沿用各模組改成 provider 之前的 fallback 順序；MARKET_DATA_PROVIDERS 設定後所有能力都改用它
+const DEFAULT_CHAINS = {
+  quote:'fmp,yahoo',
+  dailySeries:'fmp,alphavantage,yahoo',
+  historicalClose:'fmp,yahoo',
+  priceTarget:'fmp,yahoo',
+  profile:'fmp',
+  news:'fmp,finnhub',
+  secFilings:''
+};
+const CAPABILITY_ENV = {
+  quote:'QUOTE',
+  dailySeries:'DAILY_SERIES',
+  historicalClose:'HISTORICAL_CLOSE',
+  priceTarget:'PRICE_TARGET',
+  profile:'PROFILE',
+  news:'NEWS',
+  secFilings:'SEC_FILINGS'
+};
+
+const registry = new Map();
+const providerKeys = {};
+
+function parseChain(raw){
+  return String(raw || '').split(',').map(name=>name.trim().toLowerCase()).filter(Boolean);
+}
+
+export function registerProvider(provider){
+  if(!provider?.name) throw new Error('Provider requires a name');
+  registry.set(provider.name, provider);
+}
+
+// server 啟動時傳入各家金鑰（沿用 server.js 既有的 fallback 規則）
+export function configureProviders(keys={}){
+  Object.assign(providerKeys, keys);
+}
+
+function isAvailable(provider){
+  return !provider.keyName || Boolean(providerKeys[provider.keyName]);
+}
+
+// MARKET_DATA_PROVIDERS 為全域優先順序；MARKET_DATA_PROVIDERS_<CAPABILITY> 可針對單一能力覆寫
+export function getProviderChain(capability){
+  const override = process.env[`MARKET_DATA_PROVIDERS_${CAPABILITY_ENV[capability]}`];
+  const names = parseChain(override || process.env.MARKET_DATA_PROVIDERS || DEFAULT_CHAINS[capability]);
+  return names
+    .map(name=>registry.get(name))
+    .filter(provider=>provider && typeof provider[capability] === 'function' && isAvailable(provider));
+}
+
+function contextFor(provider){
+  return { key: provider.keyName ? providerKeys[provider.keyName] : null };
+}
+
+async function firstAvailable(capability, symbol, opts={}){
+  const errors = [];
+  for(const provider of getProviderChain(capability)){
+    try{
+      const value = await provider[capability](symbol, opts, contextFor(provider));
+      if(value != null && !(Array.isArray(value) && !value.length)) return { provider: provider.name, value };
+    }catch(err){
+      errors.push(`[${provider.name}] ${err.message}`);
+    }
+  }
+  const err = new Error(errors.join(' | ') || `No ${capability} provider returned data for ${symbol}`);
+  err.providerErrors = errors;
+  throw err;
+}
+
+export async function getQuote(symbol){
+  const { provider, value } = await firstAvailable('quote', symbol);
+  return { source: `${provider}_quote`, ...value, provider };
+}
+
+export async function getDailySeries(symbol, { limit }={}){
+  const { provider, value } = await firstAvailable('dailySeries', symbol, { limit });
+  return { provider, rows: value };
+}
+
+export async function getHistoricalClose(symbol, date){
+  const { provider, value } = await firstAvailable('historicalClose', symbol, { date });
+  return { source: `${provider}_historical`, date, ...value, provider };
+}
+
+export async function getProfile(symbol){
+  const { provider, value } = await firstAvailable('profile', symbol);
+  return { ...value, provider };
+}
+
+export async function getSecFilings(symbol){
+  if(!getProviderChain('secFilings').length) return null;
+  const { provider, value } = await firstAvailable('secFilings', symbol);
+  return { ...value, provider };
+}
+
+// 目標價需要多家交叉比對，依鏈上順序收集前 max 家成功的結果
+export async function getPriceTargets(symbol, { max=2 }={}){
+  const results = [];
+  const errors = [];
+  for(const provider of getProviderChain('priceTarget')){
+    if(results.length >= max) break;
+    try{
+      const value = await provider.priceTarget(symbol, {}, contextFor(provider));
+      if(value) results.push({ source: provider.name, ...value, provider: provider.name });
+    }catch(err){
+      errors.push(`[${provider.name}] ${err.message}`);
+    }
+  }
+  return { results, errors };
+}
+
+// 只有 FMP 提供的資料集（機構持股、法說會逐字稿、總經、分析師動態）不在 provider 能力內，
+// 該 provider 出現在任一條鏈上（且有金鑰）時才直接呼叫；fixture 模式下因此不會連線
+export function isProviderActive(name){
+  return PROVIDER_CAPABILITIES.some(capability=>getProviderChain(capability).some(provider=>provider.name === name));
+}
+
+// 新聞各家合併；weight 由 provider 的 newsWeight 決定（排序時越大越優先），
+// newsPrefiltered 表示來源查詢時已限定期間，不再套用 45 天窗口
+export async function getNews(symbol, { baselineDate, limit }={}){
+  const chain = getProviderChain('news');
+  const settled = await Promise.allSettled(chain.map(provider=>provider.news(symbol, { baselineDate, limit }, contextFor(provider))));
+  const articles = [];
+  const errors = [];
+  settled.forEach((result, index)=>{
+    const provider = chain[index];
+    if(result.status === 'fulfilled'){
+      (Array.isArray(result.value) ? result.value : []).forEach(article=>{
+        articles.push({ ...article, weight: provider.newsWeight ?? 1, prefiltered: Boolean(provider.newsPrefiltered), source_label: provider.name.toUpperCase() });
+      });
+    }else{
+      errors.push(`[${provider.name}] ${result.reason?.message || result.reason}`);
+    }
+  });
+  return { articles, errors };
+}
+
+export function listProviders(){
+  return Array.from(registry.values()).map(provider=>({
+    name: provider.name,
+    available: isAvailable(provider),
+    capabilities: PROVIDER_CAPABILITIES.filter(cap=>typeof provider[cap] === 'function')
+  }));
+}
+
+export function describeChains(){
+  const chains = {};
+  for(const capability of PROVIDER_CAPABILITIES){
+    chains[capability] = getProviderChain(capability).map(provider=>provider.name);
+  }
+  return chains;
+}
+
+[fmpProvider, finnhubProvider, yahooProvider, alphavantageProvider, fixtureProvider].forEach(registerProvider);
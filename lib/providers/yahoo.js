@@ -0,0 +1,28 @@
+import {
+  getYahooQuote,
+  getYahooPriceTarget,
+  getYahooHistoricalClose,
+  getYahooDailySeries
+} from '../yahoo.js';
+
+// Yahoo 不需金鑰，作為各能力的公開備援來源
+export default {
+  name:'yahoo',
+  keyName:null,
+
+  async quote(symbol){
+    return getYahooQuote(symbol);
+  },
+
+  async dailySeries(symbol){
+    return getYahooDailySeries(symbol);
+  },
+
+  async historicalClose(symbol, { date }){
+    return getYahooHistoricalClose(symbol, date);
+  },
+
+  async priceTarget(symbol){
+    return getYahooPriceTarget(symbol);
+  }
+};
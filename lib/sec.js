@@ -1,17 +1,27 @@
 import axios from 'axios';
 import dayjs from 'dayjs';
 import { getCache, setCache } from './cache.js';
+import { memoize } from './memoryCache.js';
 
 const SUBMISSIONS = (cik)=>`https://data.sec.gov/submissions/CIK${cik}.json`;
+// 較舊的申報分頁（filings.files[].name，例如 CIK0001045810-submissions-001.json）
+const SUBMISSIONS_PAGE = (name)=>`https://data.sec.gov/submissions/${name}`;
 const INDEX_URL = 'https://www.sec.gov/files/company_tickers.json';
 const RETRY_ATTEMPTS = Number(process.env.SEC_RETRY_ATTEMPTS || 3);
 const RETRY_DELAY_MS = Number(process.env.SEC_RETRY_DELAY_MS || 1500);
+const SUBMISSIONS_MEM_TTL_MS = Number(process.env.SEC_SUBMISSIONS_MEM_TTL_MS || 10 * 60 * 1000);
 const SUPPORTED_FORMS = ['10-Q','10-K','20-F','6-K'];
+// 8-K 是重大事件報告，與定期財報分開列：不佔 getRecentFilings 的四份名額
+const EVENT_FORMS = ['8-K','8-K/A'];
+// 內部人交易申報（發行人的 submissions 也會列出以它為標的的 Form 4）
+const INSIDER_FORMS = ['4','4/A'];
 const FORM_LABEL = {
   '10-Q':'Form 10-Q（美國季報）',
   '10-K':'Form 10-K（美國年報）',
   '20-F':'Form 20-F（外國發行人年報）',
-  '6-K':'Form 6-K（外國發行人臨時報告）'
+  '6-K':'Form 6-K（外國發行人臨時報告）',
+  '8-K':'Form 8-K（重大事件報告）',
+  '8-K/A':'Form 8-K/A（重大事件報告修正）'
 };
 
 function sleep(ms){ return new Promise(resolve=>setTimeout(resolve, ms)); }
@@ -77,38 +87,152 @@ export async function getCIK(ticker, userAgent, apiKey){
   return String(row.cik_str).padStart(10,'0');
 }
 
-export async function getRecentFilings(cik, baselineDate, userAgent, apiKey){
-  const url = SUBMISSIONS(cik);
-  const cacheKey = `sec_submissions_${cik}`;
-  let data = await getCache(cacheKey);
-  if(!data){
+// submissions 同一 CIK 短時間內只抓一次，序列分析多個基準日時共用
+export async function getSubmissions(cik, userAgent, apiKey){
+  return memoize(`sec_submissions_${cik}`, SUBMISSIONS_MEM_TTL_MS, async ()=>{
+    const cacheKey = `sec_submissions_${cik}`;
+    const cached = await getCache(cacheKey);
+    if(cached) return cached;
     try{
-      const resp = await fetchWithRetry(url,{
+      const resp = await fetchWithRetry(SUBMISSIONS(cik),{
         headers:{ 'User-Agent': userAgent, 'Authorization': apiKey?`Bearer ${apiKey}`:undefined },
         timeout:20000
       });
-      data = resp.data; await setCache(cacheKey, data);
+      await setCache(cacheKey, resp.data);
+      return resp.data;
     }catch(err){ throw new Error(`[SEC] submissions failed: ${err.message}`); }
-  }
-  const forms = data?.filings?.recent;
-  if(!forms) throw new Error('[SEC] No recent filings');
-  const rows = forms.form.map((f,i)=>({
+  });
+}
+
+// 歷史分頁內容不會再變動，與 submissions 相同走 cache
+async function getSubmissionsPage(name, userAgent, apiKey){
+  return memoize(`sec_submissions_page_${name}`, SUBMISSIONS_MEM_TTL_MS, async ()=>{
+    const cacheKey = `sec_submissions_page_${name}`;
+    const cached = await getCache(cacheKey);
+    if(cached) return cached;
+    try{
+      const resp = await fetchWithRetry(SUBMISSIONS_PAGE(name),{
+        headers:{ 'User-Agent': userAgent, 'Authorization': apiKey?`Bearer ${apiKey}`:undefined },
+        timeout:20000
+      });
+      await setCache(cacheKey, resp.data);
+      return resp.data;
+    }catch(err){ throw new Error(`[SEC] submissions page ${name} failed: ${err.message}`); }
+  });
+}
+
+// recent 與歷史分頁都是欄位陣列格式
+function columnRows(block){
+  if(!block?.form) return [];
+  return block.form.map((f,i)=>({
     form: f,
-    reportDate: forms.reportDate[i],
-    filingDate: forms.filingDate[i],
-    accession: forms.accessionNumber[i],
-    primary: forms.primaryDocument[i]
-  })).filter(r=> SUPPORTED_FORMS.includes(r.form));
+    reportDate: block.reportDate?.[i],
+    filingDate: block.filingDate?.[i],
+    accession: block.accessionNumber?.[i],
+    primary: block.primaryDocument?.[i],
+    items: block.items?.[i] || ''
+  }));
+}
+
+function listFilings(data, forms){
+  return columnRows(data?.filings?.recent).filter(r=> forms.includes(r.form));
+}
+
+// recent 只有最近約 1000 筆申報，Form 4 多的大型發行人很快就蓋不到較早的基準日；
+// 回溯起點早於 recent 最舊一筆時，載入涵蓋該期間的 filings.files[] 分頁一起合併。
+// offlinePages 為 fixture 提供的分頁（依檔名），有給時只讀 fixture、不連 sec.gov；
+// 任一需要的分頁取不到時 complete 為 false
+async function listFilingsSince(data, forms, sinceDate, userAgent, apiKey, { offlinePages }={}){
+  let rows = columnRows(data?.filings?.recent);
+  let complete = true;
+  const oldest = rows.reduce((min, r)=>(r.filingDate && (!min || r.filingDate < min) ? r.filingDate : min), null);
+  const since = dayjs(sinceDate);
+  if(oldest && since.isBefore(dayjs(oldest))){
+    const pages = (data?.filings?.files || []).filter(file=>file?.name && !(file.filingTo && dayjs(file.filingTo).isBefore(since)));
+    for(const file of pages){
+      try{
+        const page = offlinePages ? offlinePages[file.name] : await getSubmissionsPage(file.name, userAgent, apiKey);
+        if(!page){
+          complete = false;
+          continue;
+        }
+        rows = rows.concat(columnRows(page));
+      }catch(err){
+        console.warn('[SEC]', err.message);
+        complete = false;
+      }
+    }
+  }
+  const seen = new Set();
+  rows = rows.filter(r=>{
+    if(!forms.includes(r.form) || seen.has(r.accession)) return false;
+    seen.add(r.accession);
+    return true;
+  });
+  return { rows, complete };
+}
+
+function filingUrl(cik, accession, file){
+  return `https://www.sec.gov/Archives/edgar/data/${parseInt(cik,10)}/${accession.replace(/-/g,'')}/${file}`;
+}
+
+export function listSupportedFilings(data){
+  return listFilings(data, SUPPORTED_FORMS);
+}
+
+export async function getRecentFilings(cik, baselineDate, userAgent, apiKey, { submissions }={}){
+  const data = submissions || await getSubmissions(cik, userAgent, apiKey);
+  if(!data?.filings?.recent) throw new Error('[SEC] No recent filings');
+  const rows = listSupportedFilings(data);
   const base = dayjs(baselineDate);
   const filtered = rows
     .filter(r=> dayjs(r.filingDate).isBefore(base.add(1,'day')))
     .sort((a,b)=> dayjs(b.filingDate)-dayjs(a.filingDate))
     .slice(0,4);
-  const withLinks = filtered.map(r=>{
-    const accNo = r.accession.replace(/-/g,'');
-    const file = `https://www.sec.gov/Archives/edgar/data/${parseInt(cik,10)}/${accNo}/${r.primary}`;
-    return {...r, url:file, formLabel: FORM_LABEL[r.form] || r.form};
-  });
+  const withLinks = filtered.map(r=>({...r, url: filingUrl(cik, r.accession, r.primary), formLabel: FORM_LABEL[r.form] || r.form}));
   if(!withLinks.length) throw new Error('[SEC] No supported filings (10-Q/10-K/20-F/6-K) found before baseline');
   return withLinks;
 }
+
+// 基準日前 windowDays 天內的 8-K（含當天），新到舊；items 為 submissions 提供的 Item 編號字串（例如 "2.02,9.01"）。
+// 與 Form 4 相同會補載歷史分頁，回傳 { filings, complete }
+export async function getRecentEventFilings(cik, baselineDate, userAgent, apiKey, { submissions, offlinePages, windowDays=120, limit=12 }={}){
+  const data = submissions || await getSubmissions(cik, userAgent, apiKey);
+  const base = dayjs(baselineDate);
+  const start = base.subtract(windowDays, 'day');
+  const { rows, complete } = await listFilingsSince(data, EVENT_FORMS, start, userAgent, apiKey, { offlinePages });
+  const filings = rows
+    .filter(r=> dayjs(r.filingDate).isBefore(base.add(1,'day')) && !dayjs(r.filingDate).isBefore(start))
+    .sort((a,b)=> dayjs(b.filingDate)-dayjs(a.filingDate))
+    .slice(0, limit)
+    .map(r=>({
+      ...r,
+      items: String(r.items || '').split(',').map(item=>item.trim()).filter(Boolean),
+      url: filingUrl(cik, r.accession, r.primary),
+      indexUrl: filingUrl(cik, r.accession, `${r.accession}-index.htm`),
+      formLabel: FORM_LABEL[r.form] || r.form
+    }));
+  return { filings, complete };
+}
+
+// 基準日前 windowDays 天內申報的 Form 4，新到舊；primaryDocument 是 XSL 轉出的 HTML 路徑（xslF345X05/...），
+// 去掉前綴才是原始 XML。回傳 { filings, complete, total }，complete 為 false 表示部分歷史分頁取不到；
+// total 是窗口內的申報總數，limit（0 表示不限）截斷時 filings 會少於 total
+export async function getRecentInsiderFilings(cik, baselineDate, userAgent, apiKey, { submissions, offlinePages, windowDays=90, limit=0 }={}){
+  const data = submissions || await getSubmissions(cik, userAgent, apiKey);
+  const base = dayjs(baselineDate);
+  const start = base.subtract(windowDays, 'day');
+  const { rows, complete } = await listFilingsSince(data, INSIDER_FORMS, start, userAgent, apiKey, { offlinePages });
+  const matched = rows
+    .filter(r=> dayjs(r.filingDate).isBefore(base.add(1,'day')) && !dayjs(r.filingDate).isBefore(start))
+    .sort((a,b)=> dayjs(b.filingDate)-dayjs(a.filingDate));
+  const filings = (limit > 0 ? matched.slice(0, limit) : matched)
+    .map(r=>({
+      form: r.form,
+      filingDate: r.filingDate,
+      accession: r.accession,
+      url: filingUrl(cik, r.accession, r.primary),
+      xmlUrl: filingUrl(cik, r.accession, String(r.primary || '').replace(/^xslF345X\d+\//i, ''))
+    }));
+  return { filings, complete, total: matched.length };
+}
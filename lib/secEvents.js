@@ -0,0 +1,115 @@
+import axios from 'axios';
+import { getCache, setCache } from './cache.js';
+import { htmlToText } from './filingSections.js';
+
+// 8-K Item 編號 → 事件類別與重要度；title 為 SEC 表單上的原始項目名稱（給 LLM 看）
+// 9.01（財報與附件）只是附件清單，不當成事件類別
+const ITEM_CATALOG = {
+  '1.01': { category:'agreement', importance:'high', title:'Entry into a Material Definitive Agreement' },
+  '1.02': { category:'agreement', importance:'medium', title:'Termination of a Material Definitive Agreement' },
+  '1.03': { category:'bankruptcy', importance:'high', title:'Bankruptcy or Receivership' },
+  '1.04': { category:'safety', importance:'medium', title:'Mine Safety - Reporting of Shutdowns and Patterns of Violations' },
+  '1.05': { category:'cybersecurity', importance:'high', title:'Material Cybersecurity Incidents' },
+  '2.01': { category:'acquisition', importance:'high', title:'Completion of Acquisition or Disposition of Assets' },
+  '2.02': { category:'earnings', importance:'high', title:'Results of Operations and Financial Condition' },
+  '2.03': { category:'financing', importance:'medium', title:'Creation of a Direct Financial Obligation' },
+  '2.04': { category:'financing', importance:'high', title:'Triggering Events That Accelerate or Increase a Direct Financial Obligation' },
+  '2.05': { category:'restructuring', importance:'high', title:'Costs Associated with Exit or Disposal Activities' },
+  '2.06': { category:'impairment', importance:'high', title:'Material Impairments' },
+  '3.01': { category:'listing', importance:'high', title:'Notice of Delisting or Failure to Satisfy a Continued Listing Rule' },
+  '3.02': { category:'equity', importance:'medium', title:'Unregistered Sales of Equity Securities' },
+  '3.03': { category:'equity', importance:'medium', title:'Material Modification to Rights of Security Holders' },
+  '4.01': { category:'auditor', importance:'high', title:"Changes in Registrant's Certifying Accountant" },
+  '4.02': { category:'restatement', importance:'high', title:'Non-Reliance on Previously Issued Financial Statements' },
+  '5.01': { category:'control', importance:'high', title:'Changes in Control of Registrant' },
+  '5.02': { category:'leadership', importance:'high', title:'Departure or Appointment of Directors or Certain Officers' },
+  '5.03': { category:'governance', importance:'low', title:'Amendments to Articles of Incorporation or Bylaws' },
+  '5.07': { category:'shareholder_vote', importance:'low', title:'Submission of Matters to a Vote of Security Holders' },
+  '7.01': { category:'reg_fd', importance:'medium', title:'Regulation FD Disclosure' },
+  '8.01': { category:'other', importance:'medium', title:'Other Events' },
+  '9.01': { category:null, importance:'low', title:'Financial Statements and Exhibits' }
+};
+const IMPORTANCE_RANK = { high:3, medium:2, low:1 };
+
+const EXHIBIT_RETRY_ATTEMPTS = Number(process.env.SEC_EXHIBIT_RETRY_ATTEMPTS || 2);
+const EXHIBIT_RETRY_DELAY_MS = Number(process.env.SEC_EXHIBIT_RETRY_DELAY_MS || 1500);
+const EXHIBIT_MAX_CHARS = Number(process.env.SEC_EXHIBIT_MAX_CHARS || 12000);
+// 只摘要新聞稿 / 投資人簡報類附件（EX-99.x），合約本文（EX-10.x）太長且不影響判斷
+const EXHIBIT_TYPE = /^EX-99(\.\d+)?$/i;
+
+function sleep(ms){ return new Promise(resolve=>setTimeout(resolve, ms)); }
+
+async function fetchText(url, userAgent){
+  let lastErr;
+  for(let attempt=1; attempt<=EXHIBIT_RETRY_ATTEMPTS; attempt++){
+    try{
+      const { data } = await axios.get(url,{ headers:{'User-Agent': userAgent}, timeout:20000 });
+      return String(data || '');
+    }catch(err){
+      lastErr = err;
+      if(attempt < EXHIBIT_RETRY_ATTEMPTS) await sleep(EXHIBIT_RETRY_DELAY_MS * attempt);
+    }
+  }
+  throw new Error(`[SEC] fetch exhibit failed: ${lastErr?.message || 'unknown error'}`);
+}
+
+// 依 Item 編號分類；主要類別取重要度最高的項目（同分取表單順序較前者）
+export function classifyEventItems(items){
+  const classified = (items || []).map(code=>{
+    const entry = ITEM_CATALOG[code];
+    return entry
+      ? { code, category: entry.category, importance: entry.importance, title: entry.title }
+      : { code, category:'other', importance:'low', title:null };
+  });
+  const primary = classified
+    .filter(item=>item.category)
+    .reduce((acc, item)=>(!acc || IMPORTANCE_RANK[item.importance] > IMPORTANCE_RANK[acc.importance] ? item : acc), null);
+  return {
+    items: classified,
+    category: primary?.category || 'other',
+    importance: primary?.importance || 'low'
+  };
+}
+
+// filing index 頁面的文件表格：每列為 Seq / Description / Document / Type / Size
+function parseExhibitIndex(html, indexUrl){
+  const rows = String(html || '').match(/<tr[\s\S]*?<\/tr>/gi) || [];
+  const exhibits = [];
+  rows.forEach(row=>{
+    const cells = (row.match(/<td[\s\S]*?<\/td>/gi) || []).map(cell=>htmlToText(cell));
+    const href = /<a\s[^>]*href="([^"]+)"/i.exec(row)?.[1];
+    const type = cells.find(cell=>EXHIBIT_TYPE.test(cell));
+    if(!href || !type) return;
+    // iXBRL 檢視器連結（/ix?doc=）要還原成原始文件路徑
+    const doc = href.replace(/^\/ix\?doc=/, '');
+    exhibits.push({ type: type.toUpperCase(), description: cells[1] || '', url: new URL(doc, indexUrl).href });
+  });
+  return exhibits;
+}
+
+// 取第一份 EX-99 附件的純文字；fixture 可用 exhibits[accession][type] 直接提供內文
+export async function fetchEventExhibit(filing, userAgent, { offline }={}){
+  const local = offline?.[filing.accession];
+  if(local){
+    const type = Object.keys(local).find(key=>EXHIBIT_TYPE.test(key));
+    return type ? { type: type.toUpperCase(), description:'', url:null, text: String(local[type]).slice(0, EXHIBIT_MAX_CHARS) } : null;
+  }
+  if(offline) return null;
+  const key = `sec_exhibit_${filing.accession}`;
+  const cached = await getCache(key);
+  if(cached) return cached.type ? cached : null;
+  const index = await fetchText(filing.indexUrl, userAgent);
+  const exhibit = parseExhibitIndex(index, filing.indexUrl)[0];
+  if(!exhibit){
+    await setCache(key, { type:null });
+    return null;
+  }
+  const text = htmlToText(await fetchText(exhibit.url, userAgent)).slice(0, EXHIBIT_MAX_CHARS);
+  const value = { ...exhibit, text };
+  await setCache(key, value);
+  return value;
+}
+
+export function importanceRank(importance){
+  return IMPORTANCE_RANK[importance] || 0;
+}
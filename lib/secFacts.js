@@ -0,0 +1,437 @@
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { getCache, setCache } from './cache.js';
+import { memoize } from './memoryCache.js';
+
+// SEC XBRL 財報數字（companyfacts，失敗時逐一抓 companyconcept）→ 基準日當下可得的季 / 年度基本面。
+// 時點正確：只採用申報日（filed）不晚於基準日的事實；同一期間被後續申報重編時，取基準日前最後一次申報的數字
+const COMPANY_FACTS = (cik)=>`https://data.sec.gov/api/xbrl/companyfacts/CIK${cik}.json`;
+const COMPANY_CONCEPT = (cik, taxonomy, tag)=>`https://data.sec.gov/api/xbrl/companyconcept/CIK${cik}/${taxonomy}/${tag}.json`;
+const RETRY_ATTEMPTS = Number(process.env.SEC_RETRY_ATTEMPTS || 3);
+const RETRY_DELAY_MS = Number(process.env.SEC_RETRY_DELAY_MS || 1500);
+const FACTS_MEM_TTL_MS = Number(process.env.SEC_FACTS_MEM_TTL_MS || 10 * 60 * 1000);
+const FACTS_TIMEOUT_MS = Number(process.env.SEC_FACTS_TIMEOUT_MS || 30000);
+const MAX_QUARTERS = 5;
+
+// 每個指標依序嘗試的概念；同一期間以排在前面的概念為準（公司改用新標籤後，舊期間仍可由舊標籤補上）
+const METRICS = {
+  revenue: { period:'duration', unit:'money', concepts:['us-gaap:Revenues','us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax','us-gaap:RevenueFromContractWithCustomerIncludingAssessedTax','us-gaap:SalesRevenueNet','ifrs-full:Revenue'] },
+  cost_of_revenue: { period:'duration', unit:'money', concepts:['us-gaap:CostOfRevenue','us-gaap:CostOfGoodsAndServicesSold','ifrs-full:CostOfSales'] },
+  gross_profit: { period:'duration', unit:'money', concepts:['us-gaap:GrossProfit','ifrs-full:GrossProfit'] },
+  operating_income: { period:'duration', unit:'money', concepts:['us-gaap:OperatingIncomeLoss','ifrs-full:ProfitLossFromOperatingActivities'] },
+  net_income: { period:'duration', unit:'money', concepts:['us-gaap:NetIncomeLoss','us-gaap:ProfitLoss','ifrs-full:ProfitLossAttributableToOwnersOfParent','ifrs-full:ProfitLoss'] },
+  // 每股盈餘不能用累計值相減推算單季
+  eps_diluted: { period:'duration', unit:'per_share', derive:false, concepts:['us-gaap:EarningsPerShareDiluted','us-gaap:EarningsPerShareBasicAndDiluted','ifrs-full:DilutedEarningsLossPerShare'] },
+  operating_cash_flow: { period:'duration', unit:'money', concepts:['us-gaap:NetCashProvidedByUsedInOperatingActivities','ifrs-full:CashFlowsFromUsedInOperatingActivities'] },
+  capex: { period:'duration', unit:'money', concepts:['us-gaap:PaymentsToAcquirePropertyPlantAndEquipment','us-gaap:PaymentsToAcquireProductiveAssets','ifrs-full:PurchaseOfPropertyPlantAndEquipmentClassifiedAsInvestingActivities'] },
+  diluted_shares: { period:'duration', unit:'shares', derive:false, concepts:['us-gaap:WeightedAverageNumberOfDilutedSharesOutstanding','ifrs-full:AdjustedWeightedAverageShares'] },
+  cash: { period:'instant', unit:'money', concepts:['us-gaap:CashAndCashEquivalentsAtCarryingValue','us-gaap:CashCashEquivalentsRestrictedCashAndRestrictedCashEquivalents','ifrs-full:CashAndCashEquivalents'] },
+  debt_total: { period:'instant', unit:'money', concepts:['us-gaap:LongTermDebt','ifrs-full:Borrowings'] },
+  debt_noncurrent: { period:'instant', unit:'money', concepts:['us-gaap:LongTermDebtNoncurrent','ifrs-full:NoncurrentPortionOfNoncurrentBorrowings'] },
+  debt_current: { period:'instant', unit:'money', concepts:['us-gaap:LongTermDebtCurrent','ifrs-full:CurrentPortionOfNoncurrentBorrowings'] },
+  short_term_borrowings: { period:'instant', unit:'money', concepts:['us-gaap:ShortTermBorrowings','us-gaap:CommercialPaper','ifrs-full:ShorttermBorrowings'] },
+  equity: { period:'instant', unit:'money', concepts:['us-gaap:StockholdersEquity','us-gaap:StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest','ifrs-full:EquityAttributableToOwnersOfParent','ifrs-full:Equity'] },
+  // 封面股數：多類股（Class A / B）同一份申報各一筆，加總成總股數
+  shares_outstanding: { period:'instant', unit:'shares', sumClasses:true, concepts:['dei:EntityCommonStockSharesOutstanding','us-gaap:CommonStockSharesOutstanding'] }
+};
+const CONCEPTS = Array.from(new Set(Object.values(METRICS).flatMap(metric=>metric.concepts)));
+
+function sleep(ms){ return new Promise(resolve=>setTimeout(resolve, ms)); }
+
+async function fetchWithRetry(url, options, attempts=RETRY_ATTEMPTS){
+  let lastErr;
+  for(let attempt=1; attempt<=attempts; attempt++){
+    try{
+      return await axios.get(url, options);
+    }catch(err){
+      lastErr = err;
+      // 沒有 XBRL 資料的公司回 404，重試也沒用
+      if(attempt === attempts || err.response?.status === 404) break;
+      await sleep(RETRY_DELAY_MS * attempt);
+    }
+  }
+  throw lastErr;
+}
+
+function pickUnit(units, kind){
+  const keys = Object.keys(units || {});
+  if(kind === 'shares') return keys.includes('shares') ? 'shares' : null;
+  if(kind === 'per_share'){
+    return keys.includes('USD/shares') ? 'USD/shares' : keys.find(key=>/^[A-Z]{3}\/shares$/.test(key)) || null;
+  }
+  return keys.includes('USD') ? 'USD' : keys.find(key=>/^[A-Z]{3}$/.test(key)) || null;
+}
+
+const UNIT_KINDS = Object.fromEntries(Object.values(METRICS).flatMap(metric=>metric.concepts.map(concept=>[concept, metric.unit])));
+
+// 只留需要的概念與欄位再快取：大型公司的 companyfacts 原檔動輒數十 MB
+function compactConcept(units, concept){
+  const unit = pickUnit(units, UNIT_KINDS[concept]);
+  if(!unit) return null;
+  const facts = (units[unit] || [])
+    .filter(fact=>fact?.end && fact?.filed && Number.isFinite(Number(fact.val)))
+    .map(fact=>({
+      start: fact.start || null,
+      end: fact.end,
+      val: Number(fact.val),
+      filed: fact.filed,
+      accn: fact.accn || null,
+      fy: fact.fy ?? null,
+      fp: fact.fp || null,
+      form: fact.form || null
+    }));
+  return facts.length ? { unit, facts } : null;
+}
+
+export function compactCompanyFacts(data, source='sec_companyfacts'){
+  const concepts = {};
+  CONCEPTS.forEach(concept=>{
+    const [taxonomy, tag] = concept.split(':');
+    const entry = compactConcept(data?.facts?.[taxonomy]?.[tag]?.units, concept);
+    if(entry) concepts[concept] = entry;
+  });
+  return { cik: data?.cik ?? null, entity: data?.entityName || null, source, concepts };
+}
+
+async function fetchConcepts(cik, headers){
+  const concepts = {};
+  for(const concept of CONCEPTS){
+    const [taxonomy, tag] = concept.split(':');
+    try{
+      const { data } = await axios.get(COMPANY_CONCEPT(cik, taxonomy, tag), { headers, timeout:15000 });
+      const entry = compactConcept(data?.units, concept);
+      if(entry) concepts[concept] = entry;
+    }catch(err){
+      // 公司沒用到的概念回 404；其他錯誤（連線、限流）代表整體不可用，直接放棄
+      if(err.response?.status !== 404) throw err;
+    }
+  }
+  return { cik: Number(cik), entity: null, source:'sec_companyconcept', concepts };
+}
+
+// companyfacts 一次取回全部概念；超時或過大時退回逐一抓 companyconcept（只抓用得到的概念）
+export async function getCompanyFacts(cik, userAgent, apiKey){
+  return memoize(`sec_facts_${cik}`, FACTS_MEM_TTL_MS, async ()=>{
+    const cacheKey = `sec_facts_${cik}`;
+    const cached = await getCache(cacheKey);
+    if(cached) return cached;
+    const headers = { 'User-Agent': userAgent, 'Authorization': apiKey?`Bearer ${apiKey}`:undefined };
+    let facts;
+    try{
+      const { data } = await fetchWithRetry(COMPANY_FACTS(cik), { headers, timeout: FACTS_TIMEOUT_MS });
+      facts = compactCompanyFacts(data);
+    }catch(err){
+      if(err.response?.status === 404) throw new Error('[SEC] companyfacts not found (no XBRL data)');
+      console.warn('[SEC] companyfacts failed, falling back to companyconcept', err.message);
+      try{
+        facts = await fetchConcepts(cik, headers);
+      }catch(conceptErr){
+        throw new Error(`[SEC] companyfacts failed: ${conceptErr.message}`);
+      }
+    }
+    await setCache(cacheKey, facts);
+    return facts;
+  });
+}
+
+function durationDays(period){
+  return period.start ? dayjs(period.end).diff(dayjs(period.start), 'day') : 0;
+}
+
+function isQuarterLength(days){ return days >= 80 && days <= 100; }
+function isYearLength(days){ return days >= 350 && days <= 380; }
+
+function sumShareClasses(facts){
+  const grouped = new Map();
+  facts.forEach(fact=>{
+    const key = `${fact.accn}_${fact.end}`;
+    const entry = grouped.get(key);
+    if(entry) entry.val += fact.val;
+    else grouped.set(key, { ...fact });
+  });
+  return Array.from(grouped.values());
+}
+
+// 同一期間（start + end）取基準日前最後一次申報的值；origin 保留最早的申報，用來標示財年季別
+function latestByPeriod(facts){
+  const periods = new Map();
+  facts.forEach(fact=>{
+    const key = `${fact.start || ''}_${fact.end}`;
+    const entry = periods.get(key);
+    if(!entry){
+      periods.set(key, { start: fact.start, end: fact.end, value: fact.val, filed: fact.filed, origin: fact });
+      return;
+    }
+    if(fact.filed >= entry.filed){
+      entry.value = fact.val;
+      entry.filed = fact.filed;
+    }
+    if(fact.filed < entry.origin.filed) entry.origin = fact;
+  });
+  return periods;
+}
+
+function metricPeriods(facts, metric, cutoff){
+  const merged = new Map();
+  let unit = null;
+  metric.concepts.forEach(concept=>{
+    const entry = facts?.concepts?.[concept];
+    if(!entry) return;
+    let known = entry.facts.filter(fact=>fact.filed <= cutoff && fact.end <= cutoff);
+    if(metric.sumClasses) known = sumShareClasses(known);
+    latestByPeriod(known).forEach((period, key)=>{
+      if(merged.has(key)) return;
+      merged.set(key, { ...period, concept });
+      unit = unit || entry.unit;
+    });
+  });
+  return { periods: Array.from(merged.values()), unit };
+}
+
+// 單季值：直接揭露的季度期間，加上累計期間（半年 / 九個月 / 全年）減去同起點、少一季的累計值
+// （10-Q 的現金流量表只揭露年初至今，第四季只出現在 10-K 的全年數字裡）
+function quarterSeries(periods, { derive=true }={}){
+  const byEnd = new Map();
+  periods.forEach(period=>{
+    if(isQuarterLength(durationDays(period))) byEnd.set(period.end, { ...period, derived:false });
+  });
+  if(derive){
+    periods.forEach(period=>{
+      const days = durationDays(period);
+      if(days <= 100 || days > 380 || byEnd.has(period.end)) return;
+      const prior = periods.find(item=>item.start === period.start
+        && item.end < period.end
+        && isQuarterLength(dayjs(period.end).diff(dayjs(item.end), 'day')));
+      if(!prior) return;
+      byEnd.set(period.end, {
+        start: dayjs(prior.end).add(1, 'day').format('YYYY-MM-DD'),
+        end: period.end,
+        value: period.value - prior.value,
+        filed: period.filed > prior.filed ? period.filed : prior.filed,
+        origin: period.origin,
+        derived: true
+      });
+    });
+  }
+  return byEnd;
+}
+
+function annualSeries(periods){
+  const byEnd = new Map();
+  periods.forEach(period=>{
+    if(isYearLength(durationDays(period))) byEnd.set(period.end, period);
+  });
+  return byEnd;
+}
+
+function instantSeries(periods){
+  const byEnd = new Map();
+  periods.filter(period=>!period.start).forEach(period=>byEnd.set(period.end, period));
+  return byEnd;
+}
+
+// 最早申報者就是該期間自己的財報時（期末後 100 天內申報），用它的 fy / fp 標示財年季別；
+// 更早期間只出現在後續財報的比較欄位，fy / fp 屬於後續財報，不採用
+function fiscalLabel(period, annual=false){
+  const origin = period?.origin;
+  if(!origin?.fy || !origin.fp) return null;
+  if(dayjs(origin.filed).diff(dayjs(period.end), 'day') > 100) return null;
+  if(annual) return origin.fp === 'FY' ? `FY${origin.fy}` : null;
+  if(origin.fp === 'FY') return `FY${origin.fy} Q4`;
+  return /^Q[1-3]$/.test(origin.fp) ? `FY${origin.fy} ${origin.fp}` : null;
+}
+
+function round(value, digits=2){
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function pct(numerator, denominator){
+  if(!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator === 0) return null;
+  return round(numerator / denominator * 100);
+}
+
+// 基期為負（虧損轉盈）時以絕對值當分母，方向才會正確
+function growth(current, previous){
+  if(!Number.isFinite(current) || !Number.isFinite(previous) || previous === 0) return null;
+  return round((current - previous) / Math.abs(previous) * 100);
+}
+
+function findByGap(series, end, minDays, maxDays){
+  const base = dayjs(end);
+  for(const [key, period] of series){
+    const gap = base.diff(dayjs(key), 'day');
+    if(gap >= minDays && gap <= maxDays) return period;
+  }
+  return null;
+}
+
+function valueAt(series, end){
+  const period = series?.get(end);
+  return period ? period.value : null;
+}
+
+function sumOrNull(values){
+  return values.every(Number.isFinite) ? values.reduce((acc, value)=>acc + value, 0) : null;
+}
+
+function grossProfitOf(values){
+  if(Number.isFinite(values.gross_profit)) return values.gross_profit;
+  return Number.isFinite(values.revenue) && Number.isFinite(values.cost_of_revenue) ? values.revenue - values.cost_of_revenue : null;
+}
+
+function periodRow(series, end, period, annual){
+  const values = {};
+  Object.keys(series).forEach(key=>{ values[key] = valueAt(series[key], end); });
+  const grossProfit = grossProfitOf(values);
+  const fcf = Number.isFinite(values.operating_cash_flow) && Number.isFinite(values.capex)
+    ? values.operating_cash_flow - values.capex
+    : null;
+  return {
+    period_end: end,
+    fiscal_label: fiscalLabel(period, annual),
+    revenue: values.revenue,
+    gross_profit: grossProfit,
+    operating_income: values.operating_income,
+    net_income: values.net_income,
+    eps_diluted: values.eps_diluted,
+    operating_cash_flow: values.operating_cash_flow,
+    capex: values.capex,
+    free_cash_flow: fcf,
+    diluted_shares: values.diluted_shares,
+    gross_margin_pct: pct(grossProfit, values.revenue),
+    operating_margin_pct: pct(values.operating_income, values.revenue),
+    net_margin_pct: pct(values.net_income, values.revenue),
+    fcf_margin_pct: pct(fcf, values.revenue)
+  };
+}
+
+function withYoy(row, previousYear){
+  return {
+    ...row,
+    revenue_yoy_pct: growth(row.revenue, previousYear?.revenue),
+    operating_income_yoy_pct: growth(row.operating_income, previousYear?.operating_income),
+    net_income_yoy_pct: growth(row.net_income, previousYear?.net_income),
+    eps_yoy_pct: growth(row.eps_diluted, previousYear?.eps_diluted)
+  };
+}
+
+// 近四季需首尾相接才算 TTM，缺任何一季就不估
+function buildTtm(quarterEnds, quarters){
+  const ends = quarterEnds.slice(0, 4);
+  if(ends.length < 4) return null;
+  for(let i=1; i<ends.length; i++){
+    if(!isQuarterLength(dayjs(ends[i - 1]).diff(dayjs(ends[i]), 'day'))) return null;
+  }
+  const ttm = {};
+  ['revenue','cost_of_revenue','gross_profit','operating_income','net_income','eps_diluted','operating_cash_flow','capex'].forEach(key=>{
+    ttm[key] = sumOrNull(ends.map(end=>valueAt(quarters[key], end)));
+  });
+  const grossProfit = grossProfitOf(ttm);
+  const fcf = Number.isFinite(ttm.operating_cash_flow) && Number.isFinite(ttm.capex) ? ttm.operating_cash_flow - ttm.capex : null;
+  // 第四季 EPS 常只在 10-K 揭露全年數字，缺季時以 TTM 淨利 / 最近一季稀釋股數估算
+  if(!Number.isFinite(ttm.eps_diluted)){
+    const shares = ends.map(end=>valueAt(quarters.diluted_shares, end)).find(Number.isFinite);
+    if(Number.isFinite(ttm.net_income) && shares > 0) ttm.eps_diluted = ttm.net_income / shares;
+  }
+  return {
+    period_end: ends[0],
+    revenue: ttm.revenue,
+    gross_profit: grossProfit,
+    operating_income: ttm.operating_income,
+    net_income: ttm.net_income,
+    eps_diluted: round(ttm.eps_diluted),
+    operating_cash_flow: ttm.operating_cash_flow,
+    capex: ttm.capex,
+    free_cash_flow: fcf,
+    gross_margin_pct: pct(grossProfit, ttm.revenue),
+    operating_margin_pct: pct(ttm.operating_income, ttm.revenue),
+    net_margin_pct: pct(ttm.net_income, ttm.revenue),
+    fcf_margin_pct: pct(fcf, ttm.revenue)
+  };
+}
+
+// 資產負債表取現金 / 股東權益最新的期末日，其餘科目用同一天的值，避免混到不同期
+function buildBalanceSheet(instants, ttm){
+  const dates = [...instants.cash.keys(), ...instants.equity.keys()].sort();
+  const asOf = dates[dates.length - 1];
+  if(!asOf) return null;
+  const at = key=>valueAt(instants[key], asOf);
+  const cash = at('cash');
+  const equity = at('equity');
+  const total = at('debt_total');
+  const noncurrent = at('debt_noncurrent');
+  const current = at('debt_current');
+  const shortTerm = at('short_term_borrowings');
+  const longTerm = Number.isFinite(total)
+    ? total
+    : (Number.isFinite(noncurrent) || Number.isFinite(current) ? (noncurrent || 0) + (current || 0) : null);
+  const debt = Number.isFinite(longTerm) || Number.isFinite(shortTerm) ? (longTerm || 0) + (shortTerm || 0) : null;
+  const netDebt = Number.isFinite(debt) && Number.isFinite(cash) ? debt - cash : null;
+  const sharesDates = [...instants.shares_outstanding.keys()].sort();
+  const sharesAsOf = sharesDates[sharesDates.length - 1] || null;
+  const operatingIncome = ttm?.operating_income;
+  return {
+    as_of: asOf,
+    cash,
+    total_debt: debt,
+    net_debt: netDebt,
+    equity,
+    debt_to_equity: Number.isFinite(debt) && equity > 0 ? round(debt / equity) : null,
+    net_debt_to_ttm_operating_income: Number.isFinite(netDebt) && operatingIncome > 0 ? round(netDebt / operatingIncome) : null,
+    shares_outstanding: sharesAsOf ? valueAt(instants.shares_outstanding, sharesAsOf) : null,
+    shares_as_of: sharesAsOf
+  };
+}
+
+export function buildFundamentals(facts, baselineDate){
+  if(!facts?.concepts) return null;
+  const cutoff = dayjs(baselineDate).format('YYYY-MM-DD');
+  const quarters = {};
+  const annuals = {};
+  const instants = {};
+  let currency = null;
+  let latestFiled = null;
+  Object.entries(METRICS).forEach(([key, metric])=>{
+    const { periods, unit } = metricPeriods(facts, metric, cutoff);
+    periods.forEach(period=>{
+      if(!latestFiled || period.filed > latestFiled) latestFiled = period.filed;
+    });
+    if(metric.period === 'instant'){
+      instants[key] = instantSeries(periods);
+      return;
+    }
+    if(key === 'revenue' && unit) currency = unit;
+    quarters[key] = quarterSeries(periods, { derive: metric.derive !== false });
+    annuals[key] = annualSeries(periods);
+  });
+  const spineKey = quarters.revenue.size ? 'revenue' : 'net_income';
+  const quarterEnds = [...quarters[spineKey].keys()].sort().reverse();
+  const annualEnds = [...annuals[spineKey].keys()].sort().reverse();
+  if(!quarterEnds.length && !annualEnds.length) return null;
+
+  const rows = quarterEnds.map(end=>periodRow(quarters, end, quarters[spineKey].get(end), false));
+  const rowByEnd = new Map(rows.map(row=>[row.period_end, row]));
+  const quarterly = rows.slice(0, MAX_QUARTERS).map(row=>{
+    const previousYear = findByGap(rowByEnd, row.period_end, 350, 380);
+    const previousQuarter = findByGap(rowByEnd, row.period_end, 80, 100);
+    return { ...withYoy(row, previousYear), revenue_qoq_pct: growth(row.revenue, previousQuarter?.revenue) };
+  });
+  const annualRows = annualEnds.map(end=>periodRow(annuals, end, annuals[spineKey].get(end), true));
+  const annualByEnd = new Map(annualRows.map(row=>[row.period_end, row]));
+  const latestAnnual = annualRows[0]
+    ? withYoy(annualRows[0], findByGap(annualByEnd, annualRows[0].period_end, 350, 380))
+    : null;
+  const ttm = buildTtm(quarterEnds, quarters);
+
+  return {
+    source: facts.source || null,
+    as_of: cutoff,
+    latest_filed: latestFiled,
+    currency,
+    latest_quarter: quarterly[0] || null,
+    ttm,
+    latest_annual: latestAnnual,
+    balance_sheet: buildBalanceSheet(instants, ttm),
+    quarters: quarterly
+  };
+}
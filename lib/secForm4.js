@@ -0,0 +1,277 @@
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { getCache, setCache } from './cache.js';
+
+// SEC Form 4（內部人持股變動）XML 解析：交易代碼分成公開市場買進 / 賣出 / 10b5-1 計畫賣出 / 選擇權履約等類別，
+// 並彙整成與 FMP 路徑相同的 institutional.insider_activity 形狀（summary_text / stats / recent），另加 breakdown 與 clusters
+const FORM4_CACHE_TTL_MS = 365 * 24 * 60 * 60 * 1000; // 已申報的文件不會變動
+const FORM4_RETRY_ATTEMPTS = Number(process.env.SEC_FORM4_RETRY_ATTEMPTS || 2);
+const FORM4_RETRY_DELAY_MS = Number(process.env.SEC_FORM4_RETRY_DELAY_MS || 1500);
+
+// Form 4 Table I / II 的交易代碼
+const CODE_CATEGORY = {
+  P:'purchase',
+  S:'sale',
+  M:'option_exercise',
+  X:'option_exercise',
+  F:'tax_withholding',
+  A:'grant',
+  G:'gift'
+};
+export const INSIDER_CATEGORIES = ['purchase','sale','plan_sale','option_exercise','tax_withholding','grant','gift','other'];
+const PLAN_FOOTNOTE = /10b5-?1/i;
+
+const XML_ENTITIES = { amp:'&', lt:'<', gt:'>', quot:'"', apos:"'" };
+
+function sleep(ms){ return new Promise(resolve=>setTimeout(resolve, ms)); }
+
+function decodeXml(text){
+  return String(text || '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code)=>{
+      if(code[0] === '#') return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+      return XML_ENTITIES[code.toLowerCase()] ?? match;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function blocks(xml, tag){
+  const re = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+  return [...String(xml || '').matchAll(re)].map(match=>match[1]);
+}
+
+// Form 4 的欄位多半包成 <tag><value>…</value></tag>，少數（transactionCode、rptOwnerName）直接是文字
+function valueOf(xml, tag){
+  const inner = blocks(xml, tag)[0];
+  if(inner == null) return null;
+  const wrapped = blocks(inner, 'value')[0];
+  const text = decodeXml((wrapped ?? inner).replace(/<[^>]+>/g, ''));
+  return text || null;
+}
+
+function numberOf(xml, tag){
+  const raw = valueOf(xml, tag);
+  if(raw == null) return null;
+  const num = Number(raw.replace(/,/g, ''));
+  return Number.isFinite(num) ? num : null;
+}
+
+function flagOf(xml, tag){
+  const raw = valueOf(xml, tag);
+  return raw === '1' || /^true$/i.test(raw || '');
+}
+
+function footnoteIds(xml){
+  return [...String(xml || '').matchAll(/<footnoteId\s+id="([^"]+)"/gi)].map(match=>match[1]);
+}
+
+function parseOwner(xml){
+  const relation = blocks(xml, 'reportingOwnerRelationship')[0] || '';
+  const roles = [];
+  if(flagOf(relation, 'isOfficer')) roles.push('officer');
+  if(flagOf(relation, 'isDirector')) roles.push('director');
+  if(flagOf(relation, 'isTenPercentOwner')) roles.push('ten_percent_owner');
+  if(flagOf(relation, 'isOther')) roles.push('other');
+  return {
+    cik: valueOf(xml, 'rptOwnerCik'),
+    name: valueOf(xml, 'rptOwnerName'),
+    roles,
+    title: valueOf(relation, 'officerTitle') || valueOf(relation, 'otherText') || null
+  };
+}
+
+function classify(code, planSale){
+  const category = CODE_CATEGORY[code] || 'other';
+  return category === 'sale' && planSale ? 'plan_sale' : category;
+}
+
+function parseTransaction(xml, { footnotes, planFlag, derivative }){
+  const code = valueOf(xml, 'transactionCode');
+  const notes = footnoteIds(xml).map(id=>footnotes[id]).filter(Boolean);
+  const planSale = planFlag || notes.some(note=>PLAN_FOOTNOTE.test(note));
+  const shares = numberOf(xml, 'transactionShares');
+  // 衍生性商品履約價放在 conversionOrExercisePrice，成交價欄位常是 0 或空白
+  const price = numberOf(xml, 'transactionPricePerShare') || (derivative ? numberOf(xml, 'conversionOrExercisePrice') : null);
+  return {
+    date: valueOf(xml, 'transactionDate'),
+    security: valueOf(xml, 'securityTitle'),
+    code,
+    category: classify(code, planSale),
+    plan_10b5_1: Boolean(planSale && code === 'S'),
+    acquired_disposed: valueOf(xml, 'transactionAcquiredDisposedCode'),
+    shares,
+    price,
+    value: shares != null && price ? Math.round(shares * price) : null,
+    shares_owned_after: numberOf(xml, 'sharesOwnedFollowingTransaction'),
+    ownership: valueOf(xml, 'directOrIndirectOwnership'),
+    derivative
+  };
+}
+
+export function parseForm4Xml(xml){
+  const text = String(xml || '');
+  if(!/<ownershipDocument\b/i.test(text)) return null;
+  const footnotes = Object.fromEntries([...text.matchAll(/<footnote\s+id="([^"]+)"\s*>([\s\S]*?)<\/footnote>/gi)]
+    .map(match=>[match[1], decodeXml(match[2].replace(/<[^>]+>/g, ''))]));
+  // 2023 年起的表單勾選欄位：整份申報是否依 10b5-1 計畫執行
+  const planFlag = flagOf(text, 'aff10b5One');
+  const nonDerivative = blocks(text, 'nonDerivativeTransaction').map(item=>parseTransaction(item, { footnotes, planFlag, derivative:false }));
+  // 履約同時出現在 Table I（取得普通股）與 Table II（減少選擇權）；Table I 已有履約列時不重複計算
+  const exercisedInTableOne = nonDerivative.some(item=>item.category === 'option_exercise');
+  const derivative = blocks(text, 'derivativeTransaction')
+    .map(item=>parseTransaction(item, { footnotes, planFlag, derivative:true }))
+    .filter(item=>item.category === 'option_exercise' && !exercisedInTableOne);
+  return {
+    document_type: valueOf(text, 'documentType'),
+    period: valueOf(text, 'periodOfReport'),
+    issuer: { cik: valueOf(text, 'issuerCik'), symbol: valueOf(text, 'issuerTradingSymbol') },
+    owners: blocks(text, 'reportingOwner').map(parseOwner),
+    plan_10b5_1: planFlag,
+    transactions: [...nonDerivative, ...derivative].filter(item=>item.code)
+  };
+}
+
+async function fetchXml(url, userAgent){
+  let lastErr;
+  for(let attempt=1; attempt<=FORM4_RETRY_ATTEMPTS; attempt++){
+    try{
+      const { data } = await axios.get(url,{ headers:{'User-Agent': userAgent}, timeout:15000, responseType:'text' });
+      return String(data || '');
+    }catch(err){
+      lastErr = err;
+      if(attempt < FORM4_RETRY_ATTEMPTS) await sleep(FORM4_RETRY_DELAY_MS * attempt);
+    }
+  }
+  throw new Error(`[SEC] fetch Form 4 failed: ${lastErr?.message || 'unknown error'}`);
+}
+
+// 單份 Form 4 解析結果依 accession 快取；fixture 可用 form4[accession] 直接提供 XML
+export async function fetchForm4(filing, userAgent, { offline }={}){
+  if(offline){
+    const xml = offline[filing.accession];
+    return xml ? { ...parseForm4Xml(xml), accession: filing.accession, filing_date: filing.filingDate, url: null } : null;
+  }
+  const key = `sec_form4_${filing.accession}`;
+  const cached = await getCache(key, FORM4_CACHE_TTL_MS);
+  if(cached) return cached.transactions ? cached : null;
+  const parsed = parseForm4Xml(await fetchXml(filing.xmlUrl, userAgent));
+  const value = parsed ? { ...parsed, accession: filing.accession, filing_date: filing.filingDate, url: filing.url } : { transactions:null };
+  await setCache(key, value);
+  return parsed ? value : null;
+}
+
+function describeRole(owner){
+  if(!owner) return '';
+  if(owner.title) return owner.title;
+  const labels = { officer:'Officer', director:'Director', ten_percent_owner:'10% Owner', other:'Other' };
+  return owner.roles.map(role=>labels[role]).join(', ');
+}
+
+function sumBy(list, field){
+  return list.reduce((acc, item)=>acc + (item[field] || 0), 0);
+}
+
+// 公開市場買進依日期排序後找群聚：同一段 clusterDays 天內至少 minInsiders 位不同內部人買進，
+// 成立後把相鄰（間隔不超過 clusterDays）的買進併進同一群
+function findBuyClusters(purchases, clusterDays, minInsiders){
+  const buys = [...purchases].sort((a,b)=>String(a.date).localeCompare(String(b.date)));
+  const clusters = [];
+  let i = 0;
+  while(i < buys.length){
+    const start = dayjs(buys[i].date);
+    let j = i;
+    while(j + 1 < buys.length && dayjs(buys[j + 1].date).diff(start, 'day') <= clusterDays) j++;
+    const insiders = new Set(buys.slice(i, j + 1).flatMap(item=>item.owners.map(owner=>owner.id)));
+    if(insiders.size < minInsiders){
+      i++;
+      continue;
+    }
+    while(j + 1 < buys.length && dayjs(buys[j + 1].date).diff(dayjs(buys[j].date), 'day') <= clusterDays) j++;
+    const group = buys.slice(i, j + 1);
+    const names = [...new Map(group.flatMap(item=>item.owners.map(owner=>[owner.id, owner.name]))).values()];
+    clusters.push({
+      type:'buy',
+      start: group[0].date,
+      end: group[group.length - 1].date,
+      insider_count: names.length,
+      insiders: names,
+      transactions: group.length,
+      shares: sumBy(group, 'shares'),
+      value: sumBy(group, 'value')
+    });
+    i = j + 1;
+  }
+  return clusters;
+}
+
+// 彙整窗口內（交易日介於 from 與 to）的交易；淨買賣只算公開市場買進與賣出（含 10b5-1 計畫賣出），
+// 履約、扣稅、授予、贈與不影響買賣方向。聯合申報（多位 reportingOwner）的股數只算一次，
+// 但每位申報人都算進群聚的不同內部人人數
+export function summarizeForm4Activity(documents, { from, to, clusterDays=14, minInsiders=2, recentLimit=8 }={}){
+  const transactions = (documents || []).filter(Boolean).flatMap(doc=>{
+    const reporting = doc.owners?.length ? doc.owners : [null];
+    const owners = reporting.map(owner=>({ id: owner?.cik || owner?.name || doc.accession, name: owner?.name || 'Insider' }));
+    const primary = reporting[0];
+    return (doc.transactions || []).map(tx=>({
+      ...tx,
+      insider: owners.map(owner=>owner.name).join(' / '),
+      owners,
+      roles: [...new Set(reporting.flatMap(owner=>owner?.roles || []))],
+      relation: describeRole(primary),
+      filing_date: doc.filing_date,
+      accession: doc.accession,
+      url: doc.url
+    }));
+  }).filter(tx=>tx.date && (!from || tx.date >= from) && (!to || tx.date <= to));
+  if(!transactions.length) return null;
+  const breakdown = Object.fromEntries(INSIDER_CATEGORIES.map(category=>{
+    const rows = transactions.filter(tx=>tx.category === category);
+    return [category, { count: rows.length, shares: sumBy(rows, 'shares'), value: sumBy(rows, 'value') }];
+  }));
+  const purchases = transactions.filter(tx=>tx.category === 'purchase');
+  const sales = transactions.filter(tx=>tx.category === 'sale' || tx.category === 'plan_sale');
+  const netShares = sumBy(purchases, 'shares') - sumBy(sales, 'shares');
+  const trades = purchases.length + sales.length;
+  const clusters = findBuyClusters(purchases, clusterDays, minInsiders);
+  // 與 FMP 路徑相同的用語，只看淨買賣方向（群聚買進另由 cluster_buy / clusters 表示）；
+  // 賣出全是 10b5-1 計畫時另外標明，避免把例行減持當成看空訊號
+  let summaryText = null;
+  if(trades && netShares > 0) summaryText = '連續淨買超';
+  else if(trades && netShares < 0) summaryText = sales.every(tx=>tx.category === 'plan_sale') ? '10b5-1 計畫性賣出' : '持續淨賣超';
+  else if(trades) summaryText = '買賣均衡';
+  const recent = [...transactions]
+    .sort((a,b)=>String(b.date).localeCompare(String(a.date)))
+    .slice(0, recentLimit)
+    .map(tx=>({
+      date: tx.date,
+      insider: tx.insider,
+      relation: tx.relation,
+      roles: tx.roles,
+      type: tx.category,
+      code: tx.code,
+      plan_10b5_1: tx.plan_10b5_1,
+      shares: tx.shares,
+      price: tx.price,
+      value: tx.value,
+      shares_owned_after: tx.shares_owned_after,
+      ownership: tx.ownership,
+      filing_date: tx.filing_date,
+      url: tx.url
+    }));
+  return {
+    source:'sec_form4',
+    summary_text: summaryText,
+    stats: {
+      period: from && to ? `${from}~${to}` : null,
+      net_shares: netShares,
+      net_value: sumBy(purchases, 'value') - sumBy(sales, 'value'),
+      buy_ratio: trades ? Number((purchases.length / trades).toFixed(2)) : null,
+      total_trades: transactions.length
+    },
+    breakdown,
+    clusters,
+    cluster_buy: clusters.length > 0,
+    filings: new Set(transactions.map(tx=>tx.accession)).size,
+    recent
+  };
+}
@@ -1,29 +1,22 @@
 import axios from 'axios';
-import TurndownService from 'turndown';
 import { getCache, setCache } from './cache.js';
+import { parseFilingSections, findSection, htmlToText } from './filingSections.js';
 
 const MDA_RETRY_ATTEMPTS = Number(process.env.SEC_MDA_RETRY_ATTEMPTS || 2);
 const MDA_RETRY_DELAY_MS = Number(process.env.SEC_MDA_RETRY_DELAY_MS || 2000);
+const FALLBACK_TEXT_CHARS = 15000;
+// MD&A 摘要只看得到前幾千字；流動性小節在後段時把它接到前段之後，避免摘要漏掉現金流與資本配置
+const MDA_LEAD_CHARS = 6000;
+const LIQUIDITY_CHARS = 3000;
 
 function sleep(ms){ return new Promise(resolve=>setTimeout(resolve, ms)); }
 
-export async function fetchMDA(url, userAgent){
-  const key = `sec_mda_${encodeURIComponent(url)}`;
-  const cached = await getCache(key);
-  if(cached) return cached;
+async function fetchFilingHtml(url, userAgent){
   let lastErr;
   for(let attempt=1; attempt<=MDA_RETRY_ATTEMPTS; attempt++){
     try{
       const { data: html } = await axios.get(url,{ headers:{'User-Agent': userAgent}, timeout:30000 });
-      const tds = new TurndownService();
-      const lower = html.toLowerCase();
-      const idx = lower.indexOf("management’s discussion and analysis")>=0
-        ? lower.indexOf("management’s discussion and analysis")
-        : lower.indexOf("management's discussion and analysis");
-      const slice = idx>0 ? html.slice(idx, idx+15000) : html.slice(0,15000);
-      const md = tds.turndown(slice).replace(/\s+\n/g,'\n').trim();
-      await setCache(key, md);
-      return md;
+      return String(html || '');
     }catch(err){
       lastErr = err;
       if(attempt < MDA_RETRY_ATTEMPTS){
@@ -31,5 +24,39 @@ export async function fetchMDA(url, userAgent){
       }
     }
   }
-  throw new Error(`[SEC] fetchMDA failed: ${lastErr?.message || 'unknown error'}`);
+  throw new Error(`[SEC] fetch filing failed: ${lastErr?.message || 'unknown error'}`);
+}
+
+// 快取只留章節位置；內文只保留 mdaFromSections 會用到的 MD&A 全文與流動性小節前段（財報章節動輒數百 KB）
+function compactSections(parsed){
+  return {
+    ...parsed,
+    sections: parsed.sections.map(({ text, ...section })=>{
+      if(section.key === 'mda') return { ...section, text };
+      if(section.key === 'liquidity') return { ...section, text: text.slice(0, LIQUIDITY_CHARS) };
+      return section;
+    })
+  };
+}
+
+// 整份文件切成章節後快取；找不到 MD&A（非制式格式）時另存文件開頭，供摘要退回使用
+export async function fetchFilingSections(url, userAgent, { form }={}){
+  const key = `sec_sections_${encodeURIComponent(url)}`;
+  const cached = await getCache(key);
+  if(cached) return cached;
+  const html = await fetchFilingHtml(url, userAgent);
+  const parsed = compactSections(parseFilingSections(html, { form }));
+  if(!findSection(parsed, 'mda')){
+    parsed.fallback_text = htmlToText(html).slice(0, FALLBACK_TEXT_CHARS);
+  }
+  await setCache(key, parsed);
+  return parsed;
+}
+
+export function mdaFromSections(parsed){
+  const mda = findSection(parsed, 'mda');
+  if(!mda) return parsed?.fallback_text || '';
+  const liquidity = findSection(parsed, 'liquidity');
+  if(!liquidity || liquidity.start - mda.start <= MDA_LEAD_CHARS) return mda.text;
+  return `${mda.text.slice(0, MDA_LEAD_CHARS)}\n${liquidity.text.slice(0, LIQUIDITY_CHARS)}`;
 }
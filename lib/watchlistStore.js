@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import { getDatabase } from './db.js';
+
+const db = getDatabase();
+db.prepare(`CREATE TABLE IF NOT EXISTS watchlists (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  tickers_json TEXT NOT NULL,
+  schedule TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  model TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  next_run_at INTEGER,
+  last_run_at INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+)`).run();
+// 每個成員最近一次的結果，作為下一次比對的基準
+db.prepare(`CREATE TABLE IF NOT EXISTS watchlist_snapshots (
+  watchlist_id TEXT NOT NULL,
+  ticker TEXT NOT NULL,
+  baseline_date TEXT NOT NULL,
+  rating TEXT,
+  target_price REAL,
+  momentum_trend TEXT,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (watchlist_id, ticker)
+)`).run();
+// 每次排程執行每個成員一列，changed=1 代表評級 / 目標價 / 動能趨勢與上次不同
+db.prepare(`CREATE TABLE IF NOT EXISTS watchlist_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  watchlist_id TEXT NOT NULL,
+  run_at INTEGER NOT NULL,
+  ticker TEXT NOT NULL,
+  baseline_date TEXT NOT NULL,
+  changed INTEGER NOT NULL,
+  changes_json TEXT,
+  current_json TEXT,
+  previous_json TEXT,
+  error TEXT,
+  created_at INTEGER NOT NULL
+)`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_watchlists_due ON watchlists(enabled, next_run_at)').run();
+
+function ensureColumn(table, column, definition){
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(col=>col.name === column);
+  if(!exists) db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+}
+ensureColumn('watchlists', 'lang', 'TEXT');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_watchlist_changes_feed ON watchlist_changes(watchlist_id, created_at)').run();
+
+const insertStmt = db.prepare(`INSERT INTO watchlists (id, name, tickers_json, schedule, mode, model, lang, enabled, next_run_at, created_at, updated_at)
+VALUES (@id, @name, @tickers_json, @schedule, @mode, @model, @lang, @enabled, @next_run_at, @created_at, @updated_at)`);
+const getStmt = db.prepare('SELECT * FROM watchlists WHERE id=?');
+const listStmt = db.prepare('SELECT * FROM watchlists ORDER BY created_at ASC');
+const dueStmt = db.prepare('SELECT * FROM watchlists WHERE enabled=1 AND next_run_at IS NOT NULL AND next_run_at<=? ORDER BY next_run_at ASC');
+const markRunStmt = db.prepare('UPDATE watchlists SET last_run_at=@last_run_at, next_run_at=@next_run_at, updated_at=@updated_at WHERE id=@id');
+const deleteStmt = db.prepare('DELETE FROM watchlists WHERE id=?');
+const deleteSnapshotsStmt = db.prepare('DELETE FROM watchlist_snapshots WHERE watchlist_id=?');
+const deleteChangesStmt = db.prepare('DELETE FROM watchlist_changes WHERE watchlist_id=?');
+const getSnapshotStmt = db.prepare('SELECT * FROM watchlist_snapshots WHERE watchlist_id=? AND ticker=?');
+const upsertSnapshotStmt = db.prepare(`INSERT INTO watchlist_snapshots (watchlist_id, ticker, baseline_date, rating, target_price, momentum_trend, updated_at)
+VALUES (@watchlist_id, @ticker, @baseline_date, @rating, @target_price, @momentum_trend, @updated_at)
+ON CONFLICT(watchlist_id, ticker) DO UPDATE SET
+ baseline_date=excluded.baseline_date,
+ rating=excluded.rating,
+ target_price=excluded.target_price,
+ momentum_trend=excluded.momentum_trend,
+ updated_at=excluded.updated_at`);
+const insertChangeStmt = db.prepare(`INSERT INTO watchlist_changes (watchlist_id, run_at, ticker, baseline_date, changed, changes_json, current_json, previous_json, error, created_at)
+VALUES (@watchlist_id, @run_at, @ticker, @baseline_date, @changed, @changes_json, @current_json, @previous_json, @error, @created_at)`);
+
+const UPDATABLE_FIELDS = ['name','tickers','schedule','mode','model','lang','enabled','next_run_at'];
+const TRACKED_FIELDS = ['rating','target_price','momentum_trend'];
+
+function decodeWatchlist(row){
+  if(!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    tickers: JSON.parse(row.tickers_json),
+    schedule: row.schedule,
+    mode: row.mode,
+    model: row.model || null,
+    lang: row.lang || null,
+    enabled: Boolean(row.enabled),
+    next_run_at: row.next_run_at || null,
+    last_run_at: row.last_run_at || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function decodeChange(row){
+  return {
+    id: row.id,
+    watchlist_id: row.watchlist_id,
+    run_at: row.run_at,
+    ticker: row.ticker,
+    baseline_date: row.baseline_date,
+    changed: Boolean(row.changed),
+    changes: row.changes_json ? JSON.parse(row.changes_json) : [],
+    current: row.current_json ? JSON.parse(row.current_json) : null,
+    previous: row.previous_json ? JSON.parse(row.previous_json) : null,
+    error: row.error || null,
+    created_at: row.created_at
+  };
+}
+
+export function createWatchlist({ name, tickers, schedule, mode, model, lang, enabled=true, nextRunAt=null }){
+  const now = Date.now();
+  const id = crypto.randomUUID();
+  insertStmt.run({
+    id,
+    name,
+    tickers_json: JSON.stringify(tickers),
+    schedule,
+    mode,
+    model: model || null,
+    lang: lang || null,
+    enabled: enabled ? 1 : 0,
+    next_run_at: nextRunAt,
+    created_at: now,
+    updated_at: now
+  });
+  return getWatchlist(id);
+}
+
+export function getWatchlist(id){
+  if(!id) return null;
+  try{
+    return decodeWatchlist(getStmt.get(id));
+  }catch(err){
+    console.warn('[watchlistStore] get failed', err.message);
+    return null;
+  }
+}
+
+export function listWatchlists(){
+  return listStmt.all().map(decodeWatchlist);
+}
+
+export function updateWatchlist(id, patch={}){
+  const sets = [];
+  const values = { id, updated_at: Date.now() };
+  for(const field of UPDATABLE_FIELDS){
+    if(patch[field] === undefined) continue;
+    if(field === 'tickers'){
+      sets.push('tickers_json=@tickers_json');
+      values.tickers_json = JSON.stringify(patch.tickers);
+    }else if(field === 'enabled'){
+      sets.push('enabled=@enabled');
+      values.enabled = patch.enabled ? 1 : 0;
+    }else{
+      sets.push(`${field}=@${field}`);
+      values[field] = patch[field];
+    }
+  }
+  sets.push('updated_at=@updated_at');
+  db.prepare(`UPDATE watchlists SET ${sets.join(', ')} WHERE id=@id`).run(values);
+  return getWatchlist(id);
+}
+
+export function deleteWatchlist(id){
+  return db.transaction(()=>{
+    deleteSnapshotsStmt.run(id);
+    deleteChangesStmt.run(id);
+    return deleteStmt.run(id).changes > 0;
+  })();
+}
+
+export function listDueWatchlists(now=Date.now()){
+  try{
+    return dueStmt.all(now).map(decodeWatchlist);
+  }catch(err){
+    console.warn('[watchlistStore] due query failed', err.message);
+    return [];
+  }
+}
+
+export function markWatchlistRun(id, { runAt, nextRunAt }){
+  markRunStmt.run({ id, last_run_at: runAt, next_run_at: nextRunAt, updated_at: Date.now() });
+}
+
+function sameValue(a, b){
+  if(typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) < 1e-6;
+  return a === b;
+}
+
+// 與上一次快照比較；任一邊缺值（例如 metrics-only 沒有 LLM 評級）不視為變化
+export function recordWatchlistResult({ watchlistId, runAt, ticker, baselineDate, current, error=null }){
+  const now = Date.now();
+  const snapshot = getSnapshotStmt.get(watchlistId, ticker);
+  const previous = snapshot ? {
+    baseline_date: snapshot.baseline_date,
+    rating: snapshot.rating,
+    target_price: snapshot.target_price,
+    momentum_trend: snapshot.momentum_trend
+  } : null;
+  const changes = [];
+  if(previous && current){
+    for(const field of TRACKED_FIELDS){
+      const from = previous[field] ?? null;
+      const to = current[field] ?? null;
+      if(from == null || to == null || sameValue(from, to)) continue;
+      const change = { field, from, to };
+      if(field === 'target_price' && from){
+        change.change_pct = Number(((to - from) / from * 100).toFixed(2));
+      }
+      changes.push(change);
+    }
+  }
+  db.transaction(()=>{
+    insertChangeStmt.run({
+      watchlist_id: watchlistId,
+      run_at: runAt,
+      ticker,
+      baseline_date: baselineDate,
+      changed: changes.length ? 1 : 0,
+      changes_json: changes.length ? JSON.stringify(changes) : null,
+      current_json: current ? JSON.stringify(current) : null,
+      previous_json: previous ? JSON.stringify(previous) : null,
+      error,
+      created_at: now
+    });
+    if(current && !error){
+      upsertSnapshotStmt.run({
+        watchlist_id: watchlistId,
+        ticker,
+        baseline_date: baselineDate,
+        rating: current.rating ?? previous?.rating ?? null,
+        target_price: current.target_price ?? previous?.target_price ?? null,
+        momentum_trend: current.momentum_trend ?? previous?.momentum_trend ?? null,
+        updated_at: now
+      });
+    }
+  })();
+  return changes;
+}
+
+// 預設只回傳有變化的紀錄，新的在前；all=true 時連同未變化與失敗的紀錄
+export function listWatchlistChanges(watchlistId, { all=false, since=null, limit=100 }={}){
+  const clauses = ['watchlist_id=?'];
+  const params = [watchlistId];
+  if(!all) clauses.push('changed=1');
+  if(Number.isFinite(since)){
+    clauses.push('created_at>?');
+    params.push(since);
+  }
+  params.push(limit);
+  return db.prepare(`SELECT * FROM watchlist_changes WHERE ${clauses.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ?`)
+    .all(...params)
+    .map(decodeChange);
+}
@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { getDatabase } from './db.js';
+import { t } from './i18n.js';
+
+export const WEBHOOK_EVENTS = ['rating_changed','needs_review'];
+export const WEBHOOK_FORMATS = ['json','slack','discord'];
+
+const WEBHOOK_TIMEOUT_MS = Math.max(1000, Number(process.env.WEBHOOK_TIMEOUT_MS || 10_000));
+const RESPONSE_SNIPPET_CHARS = 500;
+
+const db = getDatabase();
+db.prepare(`CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  format TEXT NOT NULL,
+  events_json TEXT NOT NULL,
+  tickers_json TEXT,
+  secret TEXT,
+  description TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+)`).run();
+db.prepare(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subscription_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  ticker TEXT,
+  payload_json TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  delivered_at INTEGER
+)`).run();
+// lang：slack / discord 訊息的語言，未設定時沿用事件的語言（觀察清單 / 批次的 lang）
+function ensureColumn(table, column, definition){
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(col=>col.name === column);
+  if(!exists) db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+}
+ensureColumn('webhook_subscriptions', 'lang', 'TEXT');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_sub ON webhook_deliveries(subscription_id, created_at)').run();
+
+const insertSubStmt = db.prepare(`INSERT INTO webhook_subscriptions (id, url, format, events_json, tickers_json, secret, description, lang, enabled, created_at, updated_at)
+VALUES (@id, @url, @format, @events_json, @tickers_json, @secret, @description, @lang, @enabled, @created_at, @updated_at)`);
+const getSubStmt = db.prepare('SELECT * FROM webhook_subscriptions WHERE id=?');
+const listSubsStmt = db.prepare('SELECT * FROM webhook_subscriptions ORDER BY created_at ASC');
+const enabledSubsStmt = db.prepare('SELECT * FROM webhook_subscriptions WHERE enabled=1');
+const deleteSubStmt = db.prepare('DELETE FROM webhook_subscriptions WHERE id=?');
+const deleteDeliveriesStmt = db.prepare('DELETE FROM webhook_deliveries WHERE subscription_id=?');
+const insertDeliveryStmt = db.prepare(`INSERT INTO webhook_deliveries (subscription_id, event, ticker, payload_json, status, attempts, created_at, updated_at)
+VALUES (@subscription_id, @event, @ticker, @payload_json, 'pending', 0, @created_at, @updated_at)`);
+const getDeliveryStmt = db.prepare('SELECT * FROM webhook_deliveries WHERE id=?');
+const updateDeliveryStmt = db.prepare(`UPDATE webhook_deliveries SET status=@status, attempts=@attempts, response_status=@response_status, response_body=@response_body,
+error=@error, duration_ms=@duration_ms, updated_at=@updated_at, delivered_at=@delivered_at WHERE id=@id`);
+const listDeliveriesStmt = db.prepare('SELECT * FROM webhook_deliveries WHERE subscription_id=? ORDER BY created_at DESC, id DESC LIMIT ?');
+const purgeDeliveriesStmt = db.prepare(`DELETE FROM webhook_deliveries WHERE status IN ('delivered','failed') AND updated_at < ?`);
+
+const UPDATABLE_FIELDS = ['url','format','events','tickers','secret','description','lang','enabled'];
+
+// secret 不回傳給 API，只標示是否有設定
+function decodeSubscription(row, { includeSecret=false }={}){
+  if(!row) return null;
+  const sub = {
+    id: row.id,
+    url: row.url,
+    format: row.format,
+    events: JSON.parse(row.events_json),
+    tickers: row.tickers_json ? JSON.parse(row.tickers_json) : [],
+    description: row.description || null,
+    lang: row.lang || null,
+    enabled: Boolean(row.enabled),
+    has_secret: Boolean(row.secret),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+  if(includeSecret) sub.secret = row.secret || null;
+  return sub;
+}
+
+function decodeDelivery(row){
+  if(!row) return null;
+  return {
+    id: row.id,
+    subscription_id: row.subscription_id,
+    event: row.event,
+    ticker: row.ticker || null,
+    status: row.status,
+    attempts: row.attempts,
+    response_status: row.response_status ?? null,
+    response_body: row.response_body || null,
+    error: row.error || null,
+    duration_ms: row.duration_ms ?? null,
+    payload: JSON.parse(row.payload_json),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    delivered_at: row.delivered_at || null
+  };
+}
+
+export function createSubscription({ url, format='json', events, tickers=[], secret=null, description=null, lang=null, enabled=true }){
+  const now = Date.now();
+  const id = crypto.randomUUID();
+  insertSubStmt.run({
+    id,
+    url,
+    format,
+    events_json: JSON.stringify(events),
+    tickers_json: tickers.length ? JSON.stringify(tickers) : null,
+    secret: secret || null,
+    description: description || null,
+    lang: lang || null,
+    enabled: enabled ? 1 : 0,
+    created_at: now,
+    updated_at: now
+  });
+  return getSubscription(id);
+}
+
+export function getSubscription(id, opts){
+  if(!id) return null;
+  try{
+    return decodeSubscription(getSubStmt.get(id), opts);
+  }catch(err){
+    console.warn('[webhooks] get failed', err.message);
+    return null;
+  }
+}
+
+export function listSubscriptions(){
+  return listSubsStmt.all().map(row=>decodeSubscription(row));
+}
+
+export function updateSubscription(id, patch={}){
+  const sets = [];
+  const values = { id, updated_at: Date.now() };
+  for(const field of UPDATABLE_FIELDS){
+    if(patch[field] === undefined) continue;
+    if(field === 'events'){
+      sets.push('events_json=@events_json');
+      values.events_json = JSON.stringify(patch.events);
+    }else if(field === 'tickers'){
+      sets.push('tickers_json=@tickers_json');
+      values.tickers_json = patch.tickers.length ? JSON.stringify(patch.tickers) : null;
+    }else if(field === 'enabled'){
+      sets.push('enabled=@enabled');
+      values.enabled = patch.enabled ? 1 : 0;
+    }else{
+      sets.push(`${field}=@${field}`);
+      values[field] = patch[field] || null;
+    }
+  }
+  sets.push('updated_at=@updated_at');
+  db.prepare(`UPDATE webhook_subscriptions SET ${sets.join(', ')} WHERE id=@id`).run(values);
+  return getSubscription(id);
+}
+
+export function deleteSubscription(id){
+  return db.transaction(()=>{
+    deleteDeliveriesStmt.run(id);
+    return deleteSubStmt.run(id).changes > 0;
+  })();
+}
+
+// tickers 為空代表不過濾
+export function matchSubscriptions(event, ticker){
+  const upper = String(ticker || '').toUpperCase();
+  return enabledSubsStmt.all()
+    .map(row=>decodeSubscription(row))
+    .filter(sub=>sub.events.includes(event) && (!sub.tickers.length || sub.tickers.includes(upper)));
+}
+
+export function createDelivery(subscriptionId, event){
+  const now = Date.now();
+  const info = insertDeliveryStmt.run({
+    subscription_id: subscriptionId,
+    event: event.event,
+    ticker: event.ticker || null,
+    payload_json: JSON.stringify(event),
+    created_at: now,
+    updated_at: now
+  });
+  return Number(info.lastInsertRowid);
+}
+
+export function getDelivery(id){
+  return decodeDelivery(getDeliveryStmt.get(id));
+}
+
+export function listDeliveries(subscriptionId, { limit=50 }={}){
+  return listDeliveriesStmt.all(subscriptionId, limit).map(decodeDelivery);
+}
+
+export function purgeDeliveries(retentionMs){
+  if(!Number.isFinite(retentionMs) || retentionMs <= 0) return 0;
+  return purgeDeliveriesStmt.run(Date.now() - retentionMs).changes;
+}
+
+// 簽章內容為 `${timestamp}.${body}`，接收端需用同一把 secret 以 HMAC-SHA256 驗證並檢查時間戳
+export function signPayload(secret, timestamp, body){
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function formatNumber(value){
+  return Number.isFinite(value) ? value.toFixed(2) : '—';
+}
+
+function describeEvent(event, lang){
+  const head = t(lang, 'webhook.head', { ticker: event.ticker, date: event.baseline_date });
+  const rationale = event.rationale ? t(lang, 'webhook.rationale', { text: event.rationale }) : null;
+  if(event.event === 'rating_changed'){
+    return {
+      title: t(lang, 'webhook.rating_changed', { head, from: event.rating?.from || '—', to: event.rating?.to || '—' }),
+      lines: [
+        t(lang, 'webhook.target_change', { from: formatNumber(event.target_price?.from), to: formatNumber(event.target_price?.to) }),
+        t(lang, 'webhook.price', { price: formatNumber(event.price) }),
+        rationale
+      ].filter(Boolean)
+    };
+  }
+  if(event.event === 'needs_review'){
+    return {
+      title: t(lang, 'webhook.needs_review', { head, rating: event.rating?.to || '—' }),
+      lines: [
+        t(lang, 'webhook.target_price', { target: formatNumber(event.target_price?.to), price: formatNumber(event.price) }),
+        rationale
+      ].filter(Boolean)
+    };
+  }
+  return { title: `${head} ${event.event}`, lines: [] };
+}
+
+// Slack incoming webhook 吃 text/blocks，Discord 吃 content/embeds；json 直接送原始事件。
+// 訊息語言：訂閱設定的 lang 優先，其次是事件本身的 lang
+export function formatPayload(format, event, { lang }={}){
+  const messageLang = lang || event.lang;
+  if(format === 'slack'){
+    const { title, lines } = describeEvent(event, messageLang);
+    return {
+      text: title,
+      blocks: [
+        { type:'section', text:{ type:'mrkdwn', text:`*${title}*` } },
+        ...(lines.length ? [{ type:'section', text:{ type:'mrkdwn', text: lines.join('\n') } }] : []),
+        { type:'context', elements:[{ type:'mrkdwn', text:`${event.source || 'analysis'}｜${event.model || ''}｜${event.occurred_at}` }] }
+      ]
+    };
+  }
+  if(format === 'discord'){
+    const { title, lines } = describeEvent(event, messageLang);
+    return {
+      content: title,
+      embeds: [{
+        title,
+        description: lines.join('\n').slice(0, 4000),
+        color: event.event === 'needs_review' ? 0xf1c40f : 0x3498db,
+        timestamp: event.occurred_at,
+        footer:{ text: `${event.source || 'analysis'}｜${event.model || ''}` }
+      }]
+    };
+  }
+  return event;
+}
+
+// 送出一次；非 2xx 會丟出錯誤交給佇列重試，4xx（408/429 除外）標記為不可重試
+export async function sendDelivery(deliveryId, { attempt=1, maxAttempts=1 }={}){
+  const delivery = getDelivery(deliveryId);
+  if(!delivery || delivery.status === 'delivered') return delivery;
+  const sub = getSubscription(delivery.subscription_id, { includeSecret:true });
+  if(!sub){
+    updateDeliveryStmt.run({
+      id: deliveryId,
+      status:'failed',
+      attempts: delivery.attempts,
+      response_status: null,
+      response_body: null,
+      error:'subscription deleted',
+      duration_ms: null,
+      updated_at: Date.now(),
+      delivered_at: null
+    });
+    return getDelivery(deliveryId);
+  }
+  const body = JSON.stringify(formatPayload(sub.format, delivery.payload, { lang: sub.lang }));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type':'application/json',
+    'User-Agent':'us-equity-analyzer-webhooks',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': String(deliveryId),
+    'X-Webhook-Timestamp': String(timestamp)
+  };
+  if(sub.secret) headers['X-Webhook-Signature'] = `sha256=${signPayload(sub.secret, timestamp, body)}`;
+  const started = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  let retryable = true;
+  try{
+    const res = await axios.post(sub.url, body, {
+      headers,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      responseType:'text',
+      transformResponse: data=>data,
+      validateStatus: ()=>true
+    });
+    responseStatus = res.status;
+    responseBody = typeof res.data === 'string' ? res.data.slice(0, RESPONSE_SNIPPET_CHARS) : null;
+    if(res.status < 200 || res.status >= 300){
+      error = `HTTP ${res.status}`;
+      retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+    }
+  }catch(err){
+    error = err.message;
+  }
+  const attempts = delivery.attempts + 1;
+  const finalAttempt = !error || !retryable || attempt >= maxAttempts;
+  updateDeliveryStmt.run({
+    id: deliveryId,
+    status: error ? (finalAttempt ? 'failed' : 'retrying') : 'delivered',
+    attempts,
+    response_status: responseStatus,
+    response_body: responseBody,
+    error,
+    duration_ms: Date.now() - started,
+    updated_at: Date.now(),
+    delivered_at: error ? null : Date.now()
+  });
+  if(error) throw Object.assign(new Error(`webhook ${deliveryId} ${error}`), { retryable });
+  return getDelivery(deliveryId);
+}
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import https from 'https';
+import dayjs from 'dayjs';
 import { getCache, setCache } from './cache.js';
 
 const QUOTE_TTL_MS = Number(process.env.YAHOO_QUOTE_TTL_MS || 60 * 1000);
@@ -141,3 +142,47 @@ export async function getYahooPriceTarget(symbol){
   }
   throw new Error('Yahoo price target unavailable');
 }
+
+export async function getYahooHistoricalClose(symbol, date){
+  const cacheKey = `hist_yahoo_${symbol}_${date}`;
+  const cached = await getCache(cacheKey);
+  if(cached) return cached;
+  const from = dayjs(date).startOf('day').unix();
+  const to = dayjs(date).endOf('day').unix() + 86400;
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&period1=${from}&period2=${to}&includePrePost=false&events=div%2Csplit`;
+  const {data} = await axios.get(url,{ headers:{'User-Agent':'Mozilla/5.0'}, timeout:15000 });
+  const result = data?.chart?.result?.[0];
+  const price = toNumber(result?.indicators?.quote?.[0]?.close?.[0]);
+  if(price==null) throw new Error('Yahoo chart no data');
+  const out = { price, source:'yahoo_chart', date };
+  await setCache(cacheKey, out);
+  return out;
+}
+
+export async function getYahooDailySeries(symbol){
+  const params = new URLSearchParams({
+    range:'2y',
+    interval:'1d'
+  });
+  const { data } = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${params.toString()}`,{
+    headers:{'User-Agent':'Mozilla/5.0'},
+    timeout:20000
+  });
+  const result = data?.chart?.result?.[0];
+  if(!result) throw new Error('Yahoo chart no data');
+  const timestamps = result.timestamp || [];
+  const close = result.indicators?.adjclose?.[0]?.adjclose || result.indicators?.quote?.[0]?.close || [];
+  const high = result.indicators?.quote?.[0]?.high || [];
+  const low = result.indicators?.quote?.[0]?.low || [];
+  const volume = result.indicators?.quote?.[0]?.volume || [];
+  return timestamps.map((ts,i)=>{
+    const date = dayjs.unix(ts).format('YYYY-MM-DD');
+    return {
+      date,
+      close: Number(close[i]) || Number(high[i]) || Number(low[i]) || 0,
+      high: Number(high[i]) || Number(close[i]) || 0,
+      low: Number(low[i]) || Number(close[i]) || 0,
+      volume: Number(volume[i]) || 0
+    };
+  });
+}
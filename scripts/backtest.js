@@ -1,4 +1,5 @@
-import fetch from 'node-fetch';
+// 走 replayFetch：HTTP_REPLAY_MODE=record/replay 時 FMP 月線也會錄製 / 重播，本機 API 照常直連
+import { replayFetch as fetch } from '../lib/httpReplay.js';
 import dayjs from 'dayjs';
 import fs from 'fs';
 
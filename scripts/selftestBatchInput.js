@@ -0,0 +1,69 @@
+import assert from 'assert/strict';
+import { normalizeDate, parseBatchFile } from '../lib/batchInput.js';
+
+// 不需啟動伺服器：直接驗證批次檔的日期解析（不存在的日期不可被滾到別天）
+function csvFile(lines){
+  return { originalname:'selftest.csv', buffer: Buffer.from(lines.join('\n'), 'utf8') };
+}
+
+const cases = [];
+function check(name, fn){
+  cases.push({ name, fn });
+}
+
+check('normalizeDate 接受合法日期與常見寫法', ()=>{
+  assert.equal(normalizeDate('2025-01-31'), '2025-01-31');
+  assert.equal(normalizeDate('2025/1/5'), '2025-01-05');
+  assert.equal(normalizeDate('2024-02-29'), '2024-02-29');
+  assert.equal(normalizeDate('03/15/2025'), '2025-03-15');
+  assert.equal(normalizeDate(45688), '2025-01-31');
+});
+
+check('normalizeDate 拒絕不存在的日期', ()=>{
+  assert.equal(normalizeDate('2025-13-01'), '');
+  assert.equal(normalizeDate('2025-02-30'), '');
+  assert.equal(normalizeDate('2025-02-29'), '');
+  assert.equal(normalizeDate('2025-04-31'), '');
+  assert.equal(normalizeDate('02/30/2025'), '');
+  assert.equal(normalizeDate('not a date'), '');
+});
+
+check('單一日期滾動時該列回報錯誤', ()=>{
+  const { entries } = parseBatchFile(csvFile([
+    'ticker,date',
+    'NVDA,2025-13-01',
+    'AAPL,2025-02-30',
+    'MSFT,2025-03-31'
+  ]));
+  assert.equal(entries.length, 3);
+  assert.match(entries[0].error, /date 日期無效：2025-13-01/);
+  assert.equal(entries[0].source_row, 2);
+  assert.match(entries[1].error, /date 日期無效：2025-02-30/);
+  assert.equal(entries[2].error, null);
+  assert.equal(entries[2].date, '2025-03-31');
+});
+
+check('區間起訖滾動時該列回報錯誤', ()=>{
+  const { entries } = parseBatchFile(csvFile([
+    'ticker,start,end,frequency',
+    'NVDA,2025-02-30,2025-06-30,monthly',
+    'AAPL,2025-01-31,2025-13-01,monthly',
+    'MSFT,2025-01-31,2025-03-31,monthly'
+  ]));
+  assert.match(entries[0].error, /start 日期無效：2025-02-30/);
+  assert.match(entries[1].error, /end 日期無效：2025-13-01/);
+  assert.deepEqual(entries.slice(2).map(entry=>entry.date), ['2025-01-31','2025-02-28','2025-03-31']);
+});
+
+let failed = 0;
+for(const { name, fn } of cases){
+  try{
+    fn();
+    console.log(`✅ ${name}`);
+  }catch(err){
+    failed++;
+    console.error(`❌ ${name}\n${err.message}`);
+  }
+}
+if(failed) process.exit(1);
+console.log('✅ 批次日期解析自我測試完成');
@@ -2,6 +2,9 @@ import 'dotenv/config';
 import fetch from 'node-fetch';
 import dayjs from 'dayjs';
 import { getFmpDailySeries } from '../lib/fmp.js';
+import { installHttpReplay } from '../lib/httpReplay.js';
+
+installHttpReplay();
 
 const BASE = process.env.BASE_URL || 'http://localhost:3000';
 const FMP_KEY = process.env.FMP_API_KEY || process.env.FMP_KEY || '';
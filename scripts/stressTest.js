@@ -5,6 +5,9 @@ const API_BASE = process.env.STRESS_TEST_URL || 'http://localhost:4010';
 const TICKERS = ['NVDA','AAPL','TSM','TMDX','ONDS','MSFT','AMZN','META','GOOGL','NFLX'];
 const RUNS_PER_TICKER = Number(process.env.STRESS_TEST_RUNS || 10);
 const STRESS_TEST_MODE = process.env.STRESS_TEST_MODE || 'metrics-only';
+// 搭配 HTTP_REPLAY_MODE=record/replay 時需固定日期，錄製與重播才會打到同一組請求
+const STRESS_TEST_SEED = process.env.STRESS_TEST_SEED ? Number(process.env.STRESS_TEST_SEED) : null;
+const STRESS_TEST_END_DATE = process.env.STRESS_TEST_END_DATE || null;
 
 const BASE_CHECKS = [
   { label: 'quote.c', test: data => Number.isFinite(Number(data.fetched?.finnhub_summary?.quote?.c)) },
@@ -21,10 +24,24 @@ const LLM_CHECKS = [
 ];
 const REQUIRED_CHECKS = STRESS_TEST_MODE === 'full' ? [...BASE_CHECKS, ...LLM_CHECKS] : BASE_CHECKS;
 
+// mulberry32：有 seed 時產生可重現的亂數序列
+function createRandom(seed){
+  if(!Number.isFinite(seed)) return Math.random;
+  let state = seed >>> 0;
+  return ()=>{
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const random = createRandom(STRESS_TEST_SEED);
+
 function randomDateWithinThreeYears(){
-  const end = dayjs();
+  const end = STRESS_TEST_END_DATE ? dayjs(STRESS_TEST_END_DATE) : dayjs();
   const start = end.subtract(3, 'year');
-  const randMs = start.valueOf() + Math.random() * (end.valueOf() - start.valueOf());
+  const randMs = start.valueOf() + random() * (end.valueOf() - start.valueOf());
   return dayjs(randMs).format('YYYY-MM-DD');
 }
 
@@ -51,6 +68,18 @@ async function runSingle(ticker){
   return { ticker, date, failures };
 }
 
+// 伺服器以 HTTP_REPLAY_MODE=replay 啟動時，缺少錄製檔的請求也算失敗
+async function checkReplayMisses(){
+  try{
+    const res = await fetch(`${API_BASE}/api/http-replay`);
+    if(!res.ok) return null;
+    const stats = await res.json();
+    return stats.mode === 'replay' && stats.miss_count ? stats : null;
+  }catch{
+    return null;
+  }
+}
+
 async function main(){
   const issues = [];
   for(const ticker of TICKERS){
@@ -65,6 +94,10 @@ async function main(){
       }
     }
   }
+  const replay = await checkReplayMisses();
+  if(replay){
+    issues.push({ replay_misses: replay.miss_count, sample: replay.misses.slice(0, 5) });
+  }
   if(!issues.length){
     console.log('Stress test completed: all checks passed');
     return;
@@ -0,0 +1,33 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// 本機測試用的 webhook 接收端：印出收到的事件並驗證 HMAC 簽章
+// 用法：WEBHOOK_SECRET=xxx node scripts/webhookReceiver.js，訂閱 url 設為 http://localhost:4001/hook
+// FAIL_FIRST=n 可讓前 n 次回 500 以測試重試
+const PORT = Number(process.env.RECEIVER_PORT || 4001);
+const SECRET = process.env.WEBHOOK_SECRET || '';
+let failuresLeft = Number(process.env.FAIL_FIRST || 0);
+
+http.createServer((req,res)=>{
+  let body = '';
+  req.on('data', chunk=>{ body += chunk; });
+  req.on('end', ()=>{
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = req.headers['x-webhook-signature'];
+    let verified = 'unsigned';
+    if(SECRET && signature){
+      const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+      const ok = expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+      verified = ok ? 'valid' : 'INVALID';
+    }
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} event=${req.headers['x-webhook-event']} delivery=${req.headers['x-webhook-delivery']} signature=${verified}`);
+    console.log(body);
+    if(failuresLeft > 0){
+      failuresLeft -= 1;
+      res.writeHead(500);
+      return res.end('simulated failure');
+    }
+    res.writeHead(verified === 'INVALID' ? 401 : 200, { 'Content-Type':'application/json' });
+    res.end(JSON.stringify({ ok: verified !== 'INVALID' }));
+  });
+}).listen(PORT, ()=>console.log(`👂 webhook receiver on http://localhost:${PORT}`));
@@ -5,20 +5,28 @@ import dayjs from 'dayjs';
 import isBetweenPlugin from 'dayjs/plugin/isBetween.js';
 import fetch from 'node-fetch';
 import multer from 'multer';
-import path from 'path';
-import Papa from 'papaparse';
-import * as XLSX from 'xlsx';
-import { getCIK, getRecentFilings } from './lib/sec.js';
-import { fetchMDA } from './lib/secText.js';
+import crypto from 'crypto';
+import { getCIK, getRecentFilings, getRecentEventFilings, getRecentInsiderFilings, getSubmissions, listSupportedFilings } from './lib/sec.js';
+import { getCompanyFacts, compactCompanyFacts, buildFundamentals } from './lib/secFacts.js';
+import { classifyEventItems, fetchEventExhibit, importanceRank } from './lib/secEvents.js';
+import { summarizeEventExhibit } from './lib/eventSummarizer.js';
+import { fetchForm4, summarizeForm4Activity } from './lib/secForm4.js';
+import { buildProfileFacts, evaluateProfileRules, compactProfileRules, applyProfileRules } from './lib/profileRules.js';
+import { fetchFilingSections, mdaFromSections } from './lib/secText.js';
+import { describeSections } from './lib/filingSections.js';
 import { getRecommendations, getEarnings, getQuote, getCompanyMetrics } from './lib/finnhub.js';
 import { getAggregatedPriceTarget } from './lib/pricetarget.js';
-import { analyzeWithLLM } from './lib/llm.js';
+import { analyzeWithLLM, getRepairModel } from './lib/llm.js';
 import { getHistoricalPrice } from './lib/historicalPrice.js';
 import { getCachedAnalysis, saveAnalysisResult, deleteAnalysis, getStoredResult } from './lib/analysisStore.js';
+import { recordAnalysisHistory, getTickerHistory, hashPayload } from './lib/analysisHistory.js';
+import { parseCron, nextCronRun } from './lib/cron.js';
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS, createSubscription, getSubscription, listSubscriptions, updateSubscription, deleteSubscription, matchSubscriptions, createDelivery, listDeliveries, purgeDeliveries, sendDelivery } from './lib/webhooks.js';
+import { createWatchlist, getWatchlist, listWatchlists, updateWatchlist, deleteWatchlist, listDueWatchlists, markWatchlistRun, recordWatchlistResult, listWatchlistChanges } from './lib/watchlistStore.js';
 import { buildNewsBundle } from './lib/news.js';
-import { computeMomentumMetrics } from './lib/momentum.js';
+import { SUPPORTED_LANGS, DEFAULT_LANG, normalizeLang, resolveLang, langCacheSuffix, t, wrapNote, termLabel, sectorLabel, sentimentLabel, directionLabel, normalizeSentiment } from './lib/i18n.js';
+import { computeMomentumMetrics, fetchDailySeries } from './lib/momentum.js';
 import {
-  getFmpQuote,
   getFmpBatchQuote,
   getFmpInstitutionalHolders,
   getFmpEarningsCallTranscript,
@@ -32,19 +40,31 @@ import {
   getFmpInsiderTrading,
   getFmpInsiderStats,
   getFmpAnalystActions,
-  getFmpProfile,
   getFmpEconomicCalendar,
   getFmpTreasuryCurve,
   getFmpMarketRiskPremium
 } from './lib/fmp.js';
-import { getYahooQuote } from './lib/yahoo.js';
+import { configureProviders, getProviderChain, getQuote as getProviderQuote, getProfile, getSecFilings, isProviderActive, listProviders, describeChains } from './lib/providers/index.js';
 import { clearCacheForTicker, getCache as readCache, setCache as writeCache } from './lib/cache.js';
 import { summarizeMda } from './lib/mdaSummarizer.js';
 import { summarizeCallTranscript } from './lib/callSummarizer.js';
-import { enqueueJob } from './lib/jobQueue.js';
+import { enqueueJob, registerJobHandler, startQueue, getQueueSnapshot } from './lib/jobQueue.js';
+import { createJob, getJob, updateJob, listUnfinishedJobs, purgeFinishedJobs, isFinalJobStatus } from './lib/jobStore.js';
+import { BATCH_MODES, normalizeDate, parseBatchFile } from './lib/batchInput.js';
+import { BATCH_EXPORT_FORMATS, buildBatchDetail, buildBatchCsv, buildBatchWorkbook } from './lib/batchExport.js';
+import { createBatch, getBatch, updateBatch, updateBatchRow, listBatchRows, claimPendingRows, resetFailedRows, listUnfinishedBatchIds, purgeFinishedBatches } from './lib/batchStore.js';
 import { getAdaptiveLimits, recordUsage } from './lib/usageMonitor.js';
+import { installHttpReplay, getHttpReplayStats } from './lib/httpReplay.js';
+import { resolveOpenAIKey, listRemoteModels } from './lib/openaiClient.js';
+import { LLM_TASKS, configureLlmVendors, configureLlmUsageHooks, resolveTaskModel, hasLlmAccess, describeLlmVendors, parseModelRef } from './lib/llmClient.js';
+import { markUsageCached, usageBreakdown, summarizeUsage, reuseUsageSummary, getPricing } from './lib/llmPricing.js';
+import { ANONYMOUS_CALLER, recordLlmCall, getUsageSummary, purgeLlmCalls } from './lib/llmUsageStore.js';
+import { LLM_BUDGET_ERROR, SCHEDULER_CALLER, resolveRequestCaller, getBudgetStatus, assertLlmBudget, hasUsdBudget } from './lib/llmBudget.js';
+import { describeModelCapabilities } from './lib/modelCapabilities.js';
+import { getDefaultPromptVersion, hasPrompt, listPrompts } from './lib/promptRegistry.js';
 
 dayjs.extend(isBetweenPlugin);
+installHttpReplay();
 
 const app = express();
 app.use(express.json());
@@ -58,14 +78,28 @@ const FH_KEY  = process.env.FINNHUB_KEY || '';
 const AV_KEY  = process.env.ALPHAVANTAGE_KEY || '';
 const PREMIUM_FMP_KEY_FALLBACK = 'TDc1M5BjkEmnB57iOmmfvi8QdBdRLYFA';
 const FMP_KEY = process.env.FMP_API_KEY || process.env.FMP_KEY || PREMIUM_FMP_KEY_FALLBACK;
-const OPENAI_KEY = process.env.OPENAI_API_KEY || '';
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-5';
+configureProviders({ fmp: FMP_KEY, finnhub: FH_KEY, alphavantage: AV_KEY });
+// FMP 專屬資料集（內部人、分析師、總經、機構持股、法說會）只在 fmp 出現在 provider 鏈時呼叫，fixture 模式下不連線
+function fmpDatasetKey(){
+  return isProviderActive('fmp') ? FMP_KEY : '';
+}
+const OPENAI_KEY = resolveOpenAIKey(process.env.OPENAI_API_KEY || '');
+const ANTHROPIC_KEY = process.env.ANTHROPIC_API_KEY || '';
+configureLlmVendors({ openai: OPENAI_KEY, anthropic: ANTHROPIC_KEY });
+// 每次 LLM 呼叫前檢查預算、結束後寫入費用帳本（llm_calls）
+configureLlmUsageHooks({
+  beforeCall: ({ context })=>assertLlmBudget(context),
+  afterCall: recordLlmCall
+});
+// 主分析預設模型可用 LLM_ROUTE_ANALYSIS 改到其他廠商（例如 anthropic:claude-sonnet-4-5）
+const OPENAI_MODEL = resolveTaskModel('analysis', process.env.OPENAI_MODEL || 'gpt-5');
 const OPENAI_SECONDARY_MODEL = process.env.OPENAI_MODEL_SECONDARY || 'gpt-4o-mini';
-const PRIMARY_MODEL_ALLOWLIST = new Set();
-(process.env.OPENAI_MODEL_ALLOWLIST || `${OPENAI_MODEL},${OPENAI_SECONDARY_MODEL}`)
+const PRIMARY_MODEL_LIST = Array.from(new Set((process.env.OPENAI_MODEL_ALLOWLIST || `${OPENAI_MODEL},${OPENAI_SECONDARY_MODEL}`)
   .split(',')
   .map(v=>v.trim())
-  .filter(Boolean)
+  .filter(Boolean)));
+const PRIMARY_MODEL_ALLOWLIST = new Set();
+PRIMARY_MODEL_LIST
   .forEach(val=>{
     PRIMARY_MODEL_ALLOWLIST.add(val);
     PRIMARY_MODEL_ALLOWLIST.add(val.toUpperCase());
@@ -102,15 +136,34 @@ const MACRO_EVENT_LIMIT = Number(process.env.MACRO_EVENT_RENDER_LIMIT || 5);
 const MACRO_EVENT_LOOKBACK_DAYS = Number(process.env.MACRO_EVENT_LOOKBACK_DAYS || 3);
 const MACRO_EVENT_LOOKAHEAD_DAYS = Number(process.env.MACRO_EVENT_LOOKAHEAD_DAYS || 10);
 const MAX_FILINGS_FOR_LLM = Math.max(1, Number(process.env.MAX_FILINGS_FOR_LLM || 2));
+const SEC_EVENT_WINDOW_DAYS = Math.max(1, Number(process.env.SEC_EVENT_WINDOW_DAYS || 120));
+const SEC_EVENT_LIMIT = Math.max(1, Number(process.env.SEC_EVENT_LIMIT || 12));
+const SEC_EVENT_SUMMARY_LIMIT = Math.max(0, Number(process.env.SEC_EVENT_SUMMARY_LIMIT || 4));
+const SEC_EVENTS_FOR_LLM = Math.max(1, Number(process.env.SEC_EVENTS_FOR_LLM || 6));
 const NEWS_ARTICLE_LIMIT = Math.max(1, Number(process.env.NEWS_ARTICLE_LIMIT || 4));
 const NEWS_EVENT_LIMIT = Math.max(1, Number(process.env.NEWS_EVENT_LIMIT || 3));
 const NEWS_KEYWORD_LIMIT = Math.max(1, Number(process.env.NEWS_KEYWORD_LIMIT || 3));
 const PREWARM_TICKERS = (process.env.PREWARM_TICKERS || '').split(',').map(t=>t.trim()).filter(Boolean);
 const PREWARM_INTERVAL_HOURS = Number(process.env.PREWARM_INTERVAL_HOURS || 6);
 const PREWARM_INCLUDE_LLM = process.env.PREWARM_INCLUDE_LLM === 'true';
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_DAYS || 7) * DAY_MS;
+const LLM_USAGE_RETENTION_MS = Number(process.env.LLM_USAGE_RETENTION_DAYS || 400) * DAY_MS;
+const RETENTION_PURGE_INTERVAL_MS = Math.max(1, Number(process.env.RETENTION_PURGE_INTERVAL_HOURS || 24)) * 60 * 60 * 1000;
+const JOB_MODES = new Set(['full','metrics-only','cached-only']);
+const SERIES_MAX_POINTS = Math.max(1, Number(process.env.SERIES_MAX_POINTS || 36));
+const WATCHLIST_MODES = ['full','metrics-only'];
+const WATCHLIST_MAX_TICKERS = Math.max(1, Number(process.env.WATCHLIST_MAX_TICKERS || 50));
+const WATCHLIST_TICK_MS = Math.max(5_000, Number(process.env.WATCHLIST_TICK_SECONDS || 60) * 1000);
+const WATCHLIST_DEFAULT_SCHEDULE = process.env.WATCHLIST_DEFAULT_SCHEDULE || '30 21 * * 1-5';
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5));
+const WEBHOOK_RETENTION_MS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || 30) * DAY_MS;
+const BATCH_RETENTION_MS = Number(process.env.BATCH_RETENTION_DAYS || 30) * DAY_MS;
 const INSIDER_LOOKBACK_DAYS = Number(process.env.INSIDER_LOOKBACK_DAYS || 90);
 const INSIDER_LOOKAHEAD_DAYS = Number(process.env.INSIDER_LOOKAHEAD_DAYS || 7);
 const INSIDER_MAX_AGE_DAYS = Number(process.env.INSIDER_MAX_AGE_DAYS || 540);
+const INSIDER_FORM4_LIMIT = Math.max(0, Number(process.env.INSIDER_FORM4_LIMIT ?? 200) || 0);
+const INSIDER_CLUSTER_DAYS = Math.max(1, Number(process.env.INSIDER_CLUSTER_DAYS || 14));
+const INSIDER_CLUSTER_MIN_INSIDERS = Math.max(2, Number(process.env.INSIDER_CLUSTER_MIN_INSIDERS || 2));
 const ANALYST_ACTION_LOOKBACK_DAYS = Number(process.env.ANALYST_ACTION_LOOKBACK_DAYS || 90);
 const ANALYST_ACTION_LOOKAHEAD_DAYS = Number(process.env.ANALYST_ACTION_LOOKAHEAD_DAYS || 7);
 const ANALYST_ACTION_MAX_AGE_DAYS = Number(process.env.ANALYST_ACTION_MAX_AGE_DAYS || 540);
@@ -129,6 +182,7 @@ const BEARISH_TARGET_CONSENSUS_MULTIPLIER = Number(process.env.BEARISH_TARGET_CO
 
 const realtimeQuoteCache = new Map();
 const analystSignalInflight = new Map();
+const runningJobControllers = new Map();
 
 function cacheRealtimeQuote(symbol, payload){
   if(!symbol || !payload) return;
@@ -147,7 +201,8 @@ function getCachedRealtimeQuote(symbol){
 }
 
 async function prefetchBatchQuotes(symbols){
-  if(!FMP_KEY) return;
+  // 批次報價只有 FMP 支援，報價鏈第一順位不是 FMP 時（例如 fixture）不預抓
+  if(getProviderChain('quote')[0]?.name !== 'fmp') return;
   if(!Array.isArray(symbols) || !symbols.length) return;
   const pending = Array.from(new Set(
     symbols
@@ -456,7 +511,8 @@ function summarizePriceTargetSummary(row){
 }
 
 async function fetchInsiderSnapshot(ticker, baselineDate){
-  if(!FMP_KEY || !baselineDate) return null;
+  const fmpKey = fmpDatasetKey();
+  if(!fmpKey || !baselineDate) return null;
   const baseline = dayjs(baselineDate);
   if(!baseline.isValid()) return null;
   const ageDays = dayjs().diff(baseline, 'day');
@@ -473,8 +529,8 @@ async function fetchInsiderSnapshot(ticker, baselineDate){
         limit: 50,
         from: windowStart.format('YYYY-MM-DD'),
         to: windowEnd.format('YYYY-MM-DD')
-      }, FMP_KEY),
-      getFmpInsiderStats({ symbol: ticker, period:'monthly', limit: 6 }, FMP_KEY)
+      }, fmpKey),
+      getFmpInsiderStats({ symbol: ticker, period:'monthly', limit: 6 }, fmpKey)
     ]);
     const filteredTrades = Array.isArray(trades)
       ? trades.filter(row=>{
@@ -501,8 +557,40 @@ async function fetchInsiderSnapshot(ticker, baselineDate){
   }
 }
 
+// Form 4 直接從 EDGAR 解析：只看基準日前 INSIDER_LOOKBACK_DAYS 天內申報的交易，不受 INSIDER_MAX_AGE_DAYS 與 FMP 方案限制；
+// 取不到（沒有 Form 4、SEC 失敗）時由呼叫端退回 FMP
+async function fetchForm4InsiderSnapshot({ cik, submissions, submissionPages, baselineDate, offline }){
+  if(!cik || !baselineDate) return null;
+  const baseline = dayjs(baselineDate);
+  if(!baseline.isValid()) return null;
+  try{
+    const { filings, complete, total } = await getRecentInsiderFilings(cik, baselineDate, UA, SEC_KEY, { submissions, offlinePages: submissionPages, windowDays: INSIDER_LOOKBACK_DAYS, limit: INSIDER_FORM4_LIMIT });
+    if(!complete) console.warn('[Form4] submissions history incomplete for', baselineDate);
+    // 窗口內申報數超過 INSIDER_FORM4_LIMIT 時只解析最新的幾份，淨買賣與集體買進都只是部分結果
+    const truncated = total > filings.length;
+    if(truncated) console.warn(`[Form4] ${total} filings in window, parsed latest ${filings.length} for`, baselineDate);
+    if(!filings.length) return null;
+    const documents = await mapWithConcurrency(filings, 3, filing=>fetchForm4(filing, UA, { offline }).catch(err=>{
+      console.warn('[Form4]', filing.accession, err.message);
+      return null;
+    }));
+    const summary = summarizeForm4Activity(documents, {
+      from: baseline.subtract(INSIDER_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD'),
+      to: baselineDate,
+      clusterDays: INSIDER_CLUSTER_DAYS,
+      minInsiders: INSIDER_CLUSTER_MIN_INSIDERS
+    });
+    if(!summary || (complete && !truncated)) return summary;
+    return truncated ? { ...summary, complete:false, filings_in_window: total } : { ...summary, complete:false };
+  }catch(err){
+    console.warn('[Form4]', err.message);
+    return null;
+  }
+}
+
 async function fetchAnalystActionSnapshot(ticker, baselineDate){
-  if(!FMP_KEY || !baselineDate) return null;
+  const fmpKey = fmpDatasetKey();
+  if(!fmpKey || !baselineDate) return null;
   const baseline = dayjs(baselineDate);
   if(!baseline.isValid()) return null;
   const ageDays = dayjs().diff(baseline, 'day');
@@ -513,7 +601,7 @@ async function fetchAnalystActionSnapshot(ticker, baselineDate){
   const cached = await readCache(cacheKey, ANALYST_ACTION_CACHE_TTL_MS);
   if(cached) return cached.__empty ? null : cached;
   try{
-    const actions = await getFmpAnalystActions({ symbol: ticker, limit: 60 }, FMP_KEY);
+    const actions = await getFmpAnalystActions({ symbol: ticker, limit: 60 }, fmpKey);
     const filtered = Array.isArray(actions)
       ? actions.filter(row=>{
           const dateStr = row.publishedDate || row.date || row.lastUpdated || row.effectiveDate;
@@ -531,7 +619,8 @@ async function fetchAnalystActionSnapshot(ticker, baselineDate){
 }
 
 async function fetchMacroSnapshot(baselineDate){
-  if(!FMP_KEY) return null;
+  const fmpKey = fmpDatasetKey();
+  if(!fmpKey) return null;
   const windowStart = dayjs(baselineDate).subtract(MACRO_EVENT_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD');
   const windowEnd = dayjs(baselineDate).add(MACRO_EVENT_LOOKAHEAD_DAYS, 'day').format('YYYY-MM-DD');
   const cacheKey = `macro_${windowStart}_${windowEnd}`;
@@ -539,10 +628,10 @@ async function fetchMacroSnapshot(baselineDate){
   if(cached) return cached.__empty ? null : cached;
   try{
     const [events, tenYear, twoYear, mrp] = await Promise.all([
-      getFmpEconomicCalendar({ from: windowStart, to: windowEnd }, FMP_KEY).catch(err=>{ console.warn('[Macro] calendar failed', err.message); return []; }),
-      getFmpTreasuryCurve({ from: windowStart, to: windowEnd, maturity:'10year' }, FMP_KEY).catch(err=>{ console.warn('[Macro] 10y failed', err.message); return []; }),
-      getFmpTreasuryCurve({ from: windowStart, to: windowEnd, maturity:'02year' }, FMP_KEY).catch(err=>{ console.warn('[Macro] 2y failed', err.message); return []; }),
-      getFmpMarketRiskPremium({ from: windowStart, to: windowEnd }, FMP_KEY).catch(err=>{ console.warn('[Macro] mrp failed', err.message); return []; })
+      getFmpEconomicCalendar({ from: windowStart, to: windowEnd }, fmpKey).catch(err=>{ console.warn('[Macro] calendar failed', err.message); return []; }),
+      getFmpTreasuryCurve({ from: windowStart, to: windowEnd, maturity:'10year' }, fmpKey).catch(err=>{ console.warn('[Macro] 10y failed', err.message); return []; }),
+      getFmpTreasuryCurve({ from: windowStart, to: windowEnd, maturity:'02year' }, fmpKey).catch(err=>{ console.warn('[Macro] 2y failed', err.message); return []; }),
+      getFmpMarketRiskPremium({ from: windowStart, to: windowEnd }, fmpKey).catch(err=>{ console.warn('[Macro] mrp failed', err.message); return []; })
     ]);
     const summary = summarizeMacroSnapshot({ events, tenYear, twoYear, riskPremium: mrp });
     await writeCache(cacheKey, summary || { __empty:true });
@@ -555,6 +644,8 @@ async function fetchMacroSnapshot(baselineDate){
 }
 
 async function fetchInstitutionalBase(ticker, baselineDate){
+  const fmpKey = fmpDatasetKey();
+  if(!fmpKey) return null;
   const baseQuarter = resolveQuarterYear(baselineDate);
   const attemptOffsets = [0, -1, -2, -3];
   for(const offset of attemptOffsets){
@@ -570,7 +661,7 @@ async function fetchInstitutionalBase(ticker, baselineDate){
         symbol: ticker,
         year: target.year,
         quarter: target.quarter,
-        key: FMP_KEY
+        key: fmpKey
       });
       const summary = summarizeInstitutionalRows(rows);
       if(summary){
@@ -797,7 +888,9 @@ function summarizeInstitutionalRows(payload){
   };
 }
 
+// null / 空字串代表缺值：Number(null) 會變成 0，不能當成數值
 function toFloat(val){
+  if(val==null || val==='') return null;
   const num = Number(val);
   return Number.isFinite(num) ? num : null;
 }
@@ -954,6 +1047,7 @@ function buildNewsSignal(bundle){
   if(!bundle) return null;
   const sentiment = bundle.sentiment || {};
   return {
+    sentiment: sentiment.sentiment || normalizeSentiment(sentiment.sentiment_label),
     sentiment_label: sentiment.sentiment_label || null,
     sentiment_score: toFloat(sentiment.score),
     keywords: Array.isArray(bundle.keywords) ? bundle.keywords.slice(0,3) : [],
@@ -1052,7 +1146,9 @@ function buildValuationSummary({ priceMeta, momentum, finnhubMetrics }){
     metric['priceRelativeToS&P50052Week'] ??
     metric['priceRelativeToS&P500Ytd']
   );
-  const marketCap = toFloat(priceMeta?.market_cap ?? metric.marketCapitalization);
+  // 報價來源（FMP / Yahoo）的市值是美元，Finnhub metric 的 marketCapitalization 是百萬美元
+  const finnhubMarketCap = toFloat(metric.marketCapitalization);
+  const marketCap = toFloat(priceMeta?.market_cap) ?? (finnhubMarketCap!=null ? finnhubMarketCap * 1e6 : null);
   if(
     current==null &&
     yearHigh==null &&
@@ -1083,34 +1179,40 @@ function buildValuationSummary({ priceMeta, momentum, finnhubMetrics }){
   };
 }
 
-function describeMomentumHint(momentum){
+function describeMomentumHint(momentum, lang){
   if(!momentum) return null;
   const score = toFloat(momentum.score);
   if(score==null) return null;
-  if(score <= MOMENTUM_SEVERE_THRESHOLD) return `動能極弱（${score}分｜${momentum.trend || '未知'}），需嚴格控管目標價。`;
-  if(score >= MOMENTUM_STRONG_THRESHOLD) return `動能偏強（${score}分｜${momentum.trend || '未知'}），可適度給予溢價。`;
-  return `動能中性（${score}分｜${momentum.trend || '未知'}）。`;
+  const trend = termLabel(momentum.trend, lang) || t(lang, 'common.unknown');
+  if(score <= MOMENTUM_SEVERE_THRESHOLD) return t(lang, 'hint.momentum_severe', { score, trend });
+  if(score >= MOMENTUM_STRONG_THRESHOLD) return t(lang, 'hint.momentum_strong', { score, trend });
+  return t(lang, 'hint.momentum_neutral', { score, trend });
 }
 
-function describeInstitutionalHint(institutional){
+function describeInstitutionalHint(institutional, lang){
   const label = institutional?.signal?.label;
   if(!label) return null;
-  if(label === '減碼') return '機構近況為「減碼」，偏向賣壓。';
-  if(label === '加碼') return '機構為「加碼」，籌碼支撐較佳。';
-  return `機構信號：${label}`;
+  if(label === '減碼') return t(lang, 'hint.inst_reduce', { label: termLabel(label, lang) });
+  if(label === '加碼') return t(lang, 'hint.inst_add', { label: termLabel(label, lang) });
+  return t(lang, 'hint.inst_signal', { label: termLabel(label, lang) });
 }
 
-function buildSignalHints({ momentum, institutional, valuation }){
+function buildSignalHints({ momentum, institutional, valuation, lang }){
   const hints = [];
-  const momentumText = describeMomentumHint(momentum);
+  const momentumText = describeMomentumHint(momentum, lang);
   if(momentumText) hints.push(momentumText);
-  const instText = describeInstitutionalHint(institutional);
+  const instText = describeInstitutionalHint(institutional, lang);
   if(instText) hints.push(instText);
+  // 群聚依日期排序，提示只列最近一次
+  const cluster = institutional?.insider_activity?.clusters?.at(-1);
+  if(cluster){
+    hints.push(t(lang, 'hint.insider_cluster', { count: cluster.insider_count, start: cluster.start, end: cluster.end }));
+  }
   if(valuation?.price_vs_high_pct!=null){
-    hints.push(`距離 52 週高點 ${(valuation.price_vs_high_pct * 100).toFixed(1)}%`);
+    hints.push(t(lang, 'hint.from_high', { pct:(valuation.price_vs_high_pct * 100).toFixed(1) }));
   }
   if(valuation?.price_vs_low_pct!=null){
-    hints.push(`距離 52 週低點 ${(valuation.price_vs_low_pct * 100).toFixed(1)}%`);
+    hints.push(t(lang, 'hint.from_low', { pct:(valuation.price_vs_low_pct * 100).toFixed(1) }));
   }
   return hints.length ? hints : null;
 }
@@ -1175,30 +1277,12 @@ function resolveSectorRiskProfile(sector){
   return base;
 }
 
-function mapSectorLabel(sector){
-  const sec = String(sector || '').toLowerCase();
-  const map = {
-    'technology':'科技股',
-    'communication services':'通訊服務股',
-    'consumer cyclical':'非必需消費股',
-    'consumer defensive':'必需消費股',
-    'energy':'能源股',
-    'financial services':'金融股',
-    'healthcare':'醫療保健股',
-    'industrials':'工業股',
-    'real estate':'不動產股',
-    'basic materials':'原物料股',
-    'utilities':'公用事業股'
-  };
-  return map[sec] || sector || null;
-}
-
 function appendRationale(text, note){
   if(!note) return text || '';
   return text ? `${text} ${note}` : note;
 }
 
-function blendTargetWithConsensus(analysis, consensusAvg, baselinePrice){
+function blendTargetWithConsensus(analysis, consensusAvg, baselinePrice, lang){
   if(!analysis?.action) return;
   const llmTarget = toFloat(analysis.action.target_price);
   const consensus = toFloat(consensusAvg);
@@ -1212,12 +1296,12 @@ function blendTargetWithConsensus(analysis, consensusAvg, baselinePrice){
   const weighted = components.reduce((sum, comp)=> sum + comp.value * comp.weight, 0) / weightSum;
   analysis.action.target_price = Number(weighted.toFixed(2));
   const parts = [];
-  if(consensus!=null) parts.push(`分析師均價 ${consensus.toFixed(2)}`);
-  if(baseline!=null) parts.push(`現價 ${baseline.toFixed(2)}`);
+  if(consensus!=null) parts.push(t(lang, 'blend.consensus', { value: consensus.toFixed(2) }));
+  if(baseline!=null) parts.push(t(lang, 'blend.price', { value: baseline.toFixed(2) }));
   if(parts.length){
     analysis.action.rationale = appendRationale(
       analysis.action.rationale,
-      `（已與 ${parts.join(' / ')} 做加權平均）`
+      wrapNote(lang, t(lang, 'blend.note', { parts: parts.join(' / ') }))
     );
   }
 }
@@ -1269,7 +1353,7 @@ function resolveHoldBandPct(analysis, priceMeta){
   return normalizeBandValue(HOLD_BAND_BASE, isSmallCap) ?? HOLD_BAND_BASE;
 }
 
-function ensureTargetBand(analysis, priceMeta, bandPct){
+function ensureTargetBand(analysis, priceMeta, bandPct, lang){
   if(!analysis?.action) return null;
   const current = toFloat(priceMeta?.value);
   const segment = (analysis.profile?.segment || '').toLowerCase();
@@ -1282,7 +1366,7 @@ function ensureTargetBand(analysis, priceMeta, bandPct){
   const lowerPct = normalizeBandValue(rawLower, isSmallCap) ?? base;
   const finalBandPct = Math.max(upperPct, lowerPct);
   const struct = {
-    reason: existing.reason || '上下空間有限，維持觀望',
+    reason: existing.reason || t(lang, 'band.default_reason'),
     upper_pct: upperPct,
     lower_pct: -lowerPct,
     band_pct: finalBandPct
@@ -1295,31 +1379,31 @@ function ensureTargetBand(analysis, priceMeta, bandPct){
   return analysis.action.target_band;
 }
 
-function applyHoldBand(analysis, priceMeta){
+function applyHoldBand(analysis, priceMeta, lang){
   if(!analysis?.action) return;
   const current = toFloat(priceMeta?.value);
   const target = toFloat(analysis.action.target_price);
   if(current==null || target==null) return;
   const bandPct = resolveHoldBandPct(analysis, priceMeta);
   if(!Number.isFinite(bandPct) || bandPct <= 0) return;
-  const band = ensureTargetBand(analysis, priceMeta, bandPct);
+  const band = ensureTargetBand(analysis, priceMeta, bandPct, lang);
   let stance = classifyRecommendation(analysis.action.rating);
   const deltaPct = Math.abs(target - current) / current;
   // 若原先評為 HOLD 但目標價超出 band，就不應維持 HOLD
   if(stance === 'neutral' && deltaPct > band.band_pct){
     if(target >= current * (1 + band.band_pct)){
       analysis.action.rating = 'BUY';
-      analysis.action.rationale = appendRationale(analysis.action.rationale, `（目標價已超出 HOLD 區間，上調為 BUY）`);
+      analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'hold.upgrade')));
     }else if(target <= current * (1 - band.band_pct)){
       analysis.action.rating = 'SELL';
-      analysis.action.rationale = appendRationale(analysis.action.rationale, `（目標價已跌破 HOLD 區間，下調為 SELL）`);
+      analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'hold.downgrade')));
     }
     analysis.action.consistency_flag = 'needs_review';
     stance = classifyRecommendation(analysis.action.rating);
   }
   if(deltaPct <= band.band_pct && stance && stance !== 'neutral'){
     analysis.action.rating = 'HOLD';
-    analysis.action.rationale = appendRationale(analysis.action.rationale, `（上下空間僅 ±${(band.band_pct*100).toFixed(1)}%，自動標記為 HOLD）`);
+    analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'hold.narrow', { pct:(band.band_pct*100).toFixed(1) })));
     analysis.action.consistency_flag = 'needs_review';
     stance = 'neutral';
   }
@@ -1337,25 +1421,25 @@ function applyHoldBand(analysis, priceMeta){
     }
     if(clamped){
       analysis.action.target_price = Number(adjusted.toFixed(2));
-      analysis.action.rationale = appendRationale(analysis.action.rationale, '（HOLD 區間已限制目標價）');
+      analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'hold.clamped')));
     }
   }
 }
 
-function ensureHoldTriggers(analysis){
+function ensureHoldTriggers(analysis, lang){
   if(!analysis?.action) return;
   const rating = String(analysis.action.rating || '').toUpperCase();
   if(rating !== 'HOLD') return;
   const bandPct = toFloat(analysis.action.target_band?.band_pct);
-  const bandText = Number.isFinite(bandPct) ? `±${(bandPct * 100).toFixed(1)}%` : '設定';
+  const bandText = Number.isFinite(bandPct) ? `±${(bandPct * 100).toFixed(1)}%` : t(lang, 'trigger.band_default');
   const raw = Array.isArray(analysis.action.re_rating_triggers)
     ? analysis.action.re_rating_triggers.filter(item=>typeof item === 'string' && item.trim())
     : [];
   const unique = Array.from(new Set(raw));
   const defaults = [
-    `若股價突破或跌破 ${bandText} 區間，需重新評估評級`,
-    '若連續兩季營收或 EPS 成長率重返雙位數 / 轉負則改寫投資假設',
-    '若動能或籌碼指標（RSI / 買賣超）連續兩週翻多或轉弱，需再評估'
+    t(lang, 'trigger.band', { band: bandText }),
+    t(lang, 'trigger.growth'),
+    t(lang, 'trigger.momentum')
   ];
   for(const candidate of defaults){
     if(unique.length >= 2) break;
@@ -1364,19 +1448,20 @@ function ensureHoldTriggers(analysis){
   analysis.action.re_rating_triggers = unique;
 }
 
-function getConsensusTargetAvg(analystSignals){
-  if(!analystSignals?.price_target_summary) return null;
-  const summary = analystSignals.price_target_summary;
-  return toFloat(
-    summary.last_month?.avg ??
-    summary.last_quarter?.avg ??
-    summary.last_year?.avg ??
-    summary.all_time?.avg ??
-    null
-  );
+// FMP 目標價彙整優先；沒有時（例如 fixture / 非 FMP provider）改用 provider 鏈的目標價平均；都沒有就回 null
+function getConsensusTargetAvg(analystSignals, priceTarget){
+  const summary = analystSignals?.price_target_summary;
+  const fromSummary = summary
+    ? [summary.last_month, summary.last_quarter, summary.last_year, summary.all_time]
+      .map(period=>toFloat(period?.avg))
+      .find(value=>value!=null && value > 0)
+    : null;
+  if(fromSummary!=null) return fromSummary;
+  const mean = toFloat(priceTarget?.targetMean);
+  return mean!=null && mean > 0 ? mean : null;
 }
 
-function ensureActionRationale(analysis, { priceMeta, signalHints }={}){
+function ensureActionRationale(analysis, { priceMeta, signalHints, lang }={}){
   if(!analysis?.action) return;
   const rawText = typeof analysis.action.rationale === 'string'
     ? analysis.action.rationale.trim()
@@ -1387,24 +1472,24 @@ function ensureActionRationale(analysis, { priceMeta, signalHints }={}){
   }
   const parts = [];
   const rating = analysis.action.rating ? String(analysis.action.rating).trim() : '';
-  if(rating) parts.push(`維持 ${rating} 建議`);
+  if(rating) parts.push(t(lang, 'rationale.keep', { rating }));
   const current = toFloat(priceMeta?.value);
   const target = toFloat(analysis.action.target_price);
   if(current!=null && target!=null && current!==0){
     const diffPct = ((target - current) / current) * 100;
-    parts.push(`目標價 ${target.toFixed(2)} 相對現價 ${current.toFixed(2)}，差異 ${diffPct.toFixed(1)}%`);
+    parts.push(t(lang, 'rationale.target_vs_price', { target: target.toFixed(2), price: current.toFixed(2), pct: diffPct.toFixed(1) }));
   }else if(target!=null){
-    parts.push(`目標價 ${target}`);
+    parts.push(t(lang, 'rationale.target', { target }));
   }
   if(Array.isArray(signalHints) && signalHints.length){
     parts.push(signalHints[0]);
   }
   analysis.action.rationale = parts.length
-    ? parts.join('；')
-    : '模型未提供額外理由，請搭配財報與指標自行判斷。';
+    ? parts.join(t(lang, 'rationale.separator'))
+    : t(lang, 'rationale.none');
 }
 
-function enforceActionConsistency(analysis, priceMeta){
+function enforceActionConsistency(analysis, priceMeta, lang){
   if(!analysis?.action) return;
   const stance = classifyRecommendation(analysis.action.rating);
   const current = toFloat(priceMeta?.value);
@@ -1414,11 +1499,11 @@ function enforceActionConsistency(analysis, priceMeta){
   let note = null;
   const pctText = `${(deltaPct * 100).toFixed(1)}%`;
   if(stance === 'neutral' && Math.abs(deltaPct) >= 0.15){
-    note = `（檢查：評級為 ${analysis.action.rating}，但目標價與現價差距 ${pctText}，請重新檢視假設。）`;
+    note = wrapNote(lang, t(lang, 'check.neutral', { rating: analysis.action.rating, pct: pctText }));
   }else if(stance === 'bullish' && deltaPct < 0.05){
-    note = `（檢查：評級為 ${analysis.action.rating}，但目標價僅較現價 ${pctText}，建議補充上行理由。）`;
+    note = wrapNote(lang, t(lang, 'check.bullish', { rating: analysis.action.rating, pct: pctText }));
   }else if(stance === 'bearish' && deltaPct > -0.05){
-    note = `（檢查：評級為 ${analysis.action.rating}，但目標價與現價差距僅 ${pctText}，請說明下行風險。）`;
+    note = wrapNote(lang, t(lang, 'check.bearish', { rating: analysis.action.rating, pct: pctText }));
   }
   if(note){
     analysis.action.rationale = appendRationale(analysis.action.rationale, note);
@@ -1426,7 +1511,7 @@ function enforceActionConsistency(analysis, priceMeta){
   }
 }
 
-function applyRatingTightRange(analysis, priceMeta){
+function applyRatingTightRange(analysis, priceMeta, lang){
   if(!analysis?.action) return;
   const stance = classifyRecommendation(analysis.action.rating);
   if(!stance || (stance !== 'neutral' && stance !== 'bearish')) return;
@@ -1437,16 +1522,16 @@ function applyRatingTightRange(analysis, priceMeta){
   const lower = current * 0.90;
   if(target > upper){
     analysis.action.target_price = Number(upper.toFixed(2));
-    analysis.action.rationale = appendRationale(analysis.action.rationale, '（評級為中性/保守，目標價已收斂至 ±10%）');
+    analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'guardrail.tight_range')));
     analysis.action.consistency_flag = 'needs_review';
   }else if(target < lower){
     analysis.action.target_price = Number(lower.toFixed(2));
-    analysis.action.rationale = appendRationale(analysis.action.rationale, '（評級為中性/保守，目標價已收斂至 ±10%）');
+    analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'guardrail.tight_range')));
     analysis.action.consistency_flag = 'needs_review';
   }
 }
 
-function applyTargetPriceGuardrails(analysis, priceMeta, guardrails={}, { consensusAvg, sector }={}){
+function applyTargetPriceGuardrails(analysis, priceMeta, guardrails={}, { consensusAvg, sector, lang }={}){
   if(!analysis?.action || !priceMeta) return;
   const current = toFloat(priceMeta.value);
   const target = toFloat(analysis.action.target_price);
@@ -1482,14 +1567,12 @@ function applyTargetPriceGuardrails(analysis, priceMeta, guardrails={}, { consen
   }
   if(clamped){
     analysis.action.target_price = Number(adjusted.toFixed(2));
-    analysis.action.guardrail_note = weakSignals
-      ? '動能或籌碼偏弱，系統已限縮目標價。'
-      : '信心不足，系統已限縮目標價。';
-    analysis.action.rationale = appendRationale(analysis.action.rationale, '（目標價已依風控自動調整）');
+    analysis.action.guardrail_note = t(lang, weakSignals ? 'guardrail.weak_signals' : 'guardrail.low_confidence');
+    analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'guardrail.adjusted')));
   }
 }
 
-function applySmallCapGuardrail(analysis, priceMeta){
+function applySmallCapGuardrail(analysis, priceMeta, lang){
   if(!analysis?.action) return;
   const current = toFloat(priceMeta?.value);
   if(current==null || current >= 20) return;
@@ -1498,12 +1581,12 @@ function applySmallCapGuardrail(analysis, priceMeta){
   const cap = current * 1.15;
   if(target > cap){
     analysis.action.target_price = Number(cap.toFixed(2));
-    analysis.action.rationale = appendRationale(analysis.action.rationale, '（小型/低價股目標價限制在 ±15%）');
+    analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, 'guardrail.small_cap')));
     analysis.action.consistency_flag = 'needs_review';
   }
 }
 
-function adjustRatingForSignals(analysis, { priceMeta, guardrails, momentum }={}){
+function adjustRatingForSignals(analysis, { priceMeta, guardrails, momentum, lang }={}){
   if(!analysis?.action) return;
   const current = toFloat(priceMeta?.value);
   if(current==null) return;
@@ -1511,56 +1594,120 @@ function adjustRatingForSignals(analysis, { priceMeta, guardrails, momentum }={}
   let stance = classifyRecommendation(analysis.action.rating);
   const score = toFloat(momentum?.score);
   const severe = guardrails?.severe_momentum || guardrails?.selling_pressure;
-  const updateRating = (newRating, reason)=>{
+  const updateRating = (newRating, reasonKey, vars)=>{
     if(!newRating || analysis.action.rating === newRating) return;
     analysis.action.rating = newRating;
-    analysis.action.rationale = appendRationale(analysis.action.rationale, `（${reason}）`);
+    analysis.action.rationale = appendRationale(analysis.action.rationale, wrapNote(lang, t(lang, `rating.${reasonKey}`, vars)));
     analysis.action.consistency_flag = 'needs_review';
     stance = classifyRecommendation(newRating);
   };
   if(target!=null && target <= current * 0.95){
-    updateRating('SELL', '目標價低於現價，建議減碼');
+    updateRating('SELL', 'target_below_price');
   }
   if(score!=null){
     if(score <= 25){
-      updateRating('SELL', `動能極弱（${score}分），建議出場`);
+      updateRating('SELL', 'momentum_exit', { score });
     }else if(score <= 40 && stance === 'bullish'){
-      updateRating('HOLD', `動能不足（${score}分），改為觀望`);
+      updateRating('HOLD', 'momentum_weak', { score });
     }else if(score >= 60 && stance === 'neutral' && target!=null && target >= current * 1.08){
-      updateRating('BUY', `動能偏強（${score}分）且目標價具 8% 以上上行空間`);
+      updateRating('BUY', 'momentum_strong', { score });
     }
   }
   if(momentum?.trend === 'down' && stance === 'bullish'){
-    updateRating('HOLD', '趨勢走弱，暫不建議追價');
+    updateRating('HOLD', 'trend_down');
   }
   if(momentum?.trend === 'up' && stance === 'bearish' && score!=null && score >= 55){
-    updateRating('HOLD', '趨勢翻多，撤回賣出建議');
+    updateRating('HOLD', 'trend_up');
   }
   if(severe && stance === 'bullish'){
-    updateRating('HOLD', '動能或籌碼偏弱，自動調降評級');
+    updateRating('HOLD', 'weak_signals');
   }
   if(current < 10 && stance === 'bullish'){
-    updateRating('HOLD', '低價股易受波動影響，改採保守建議');
+    updateRating('HOLD', 'low_price');
   }
   if(stance === 'neutral' && target!=null){
     if(target >= current * 1.08 && !severe){
-      updateRating('BUY', '上行空間超過 8%，應給出買進建議');
+      updateRating('BUY', 'upside_buy');
     }else if(target <= current * 0.92){
-      updateRating('SELL', '下行空間超過 8%，建議賣出');
+      updateRating('SELL', 'downside_sell');
     }
   }
   if(stance === 'bullish' && target!=null && target <= current * 1.03){
-    updateRating('HOLD', '上行空間不足 3%，維持中性觀望');
+    updateRating('HOLD', 'upside_thin');
   }
   if(stance === 'bearish' && target!=null && target >= current * 0.97){
-    updateRating('HOLD', '下行空間有限，調整為中性');
+    updateRating('HOLD', 'downside_thin');
   }
   if(stance === 'bearish' && score!=null && score >= 65 && target!=null && target > current){
-    updateRating('HOLD', '動能轉強且目標價高於現價，撤回賣出建議');
+    updateRating('HOLD', 'momentum_recover');
+  }
+}
+
+function applyAnalysisGuardrails(analysis, { priceMeta, guardrails, momentum, signalHints, sectorProfile, profileRules, lang }={}){
+  if(!analysis) return null;
+  // 分群與過濾結果先以規則引擎定案，後面的 HOLD 區間依 profile.segment 判斷
+  applyProfileRules(analysis, profileRules, lang);
+  applySmallCapGuardrail(analysis, priceMeta, lang);
+  adjustRatingForSignals(analysis, { priceMeta, guardrails, momentum, lang });
+  applyHoldBand(analysis, priceMeta, lang);
+  applyRatingTightRange(analysis, priceMeta, lang);
+  ensureHoldTriggers(analysis, lang);
+  ensureActionRationale(analysis, { priceMeta, signalHints, lang });
+  enforceActionConsistency(analysis, priceMeta, lang);
+  if(sectorProfile?.sector){
+    analysis.profile = analysis.profile || {};
+    analysis.profile.sector_label = sectorLabel(sectorProfile.sector, lang);
+  }
+  applyDisplayLabels(analysis, lang);
+  return analysis.action || null;
+}
+
+// LLM 只輸出語言中立代碼（impact / direction），這裡補上對應語言的顯示標籤
+function applyDisplayLabels(analysis, lang){
+  if(analysis.news_insight?.impact){
+    analysis.news_insight.impact_label = sentimentLabel(analysis.news_insight.impact, lang, { tone:'impact' });
   }
+  ['short_term_view','medium_term_view'].forEach(key=>{
+    const view = analysis.action?.[key];
+    if(view?.direction) view.direction_label = directionLabel(view.direction, lang);
+  });
+}
+
+// A/B 比較：兩個 prompt 版本在同一份 payload 下的評級 / 目標價 / 分數差異（皆為 guardrail 後的最終值）
+function buildPromptDiff(a, b, price){
+  const num = value=>(value == null || value === '' ? null : toFloat(value));
+  const pick = analysis=>{
+    const action = analysis?.action || {};
+    const target = num(action.target_price);
+    return {
+      rating: action.rating || null,
+      target_price: target,
+      stop_loss: num(action.stop_loss),
+      confidence: action.confidence || null,
+      upside_pct: Number.isFinite(target) && Number.isFinite(price) && price > 0 ? Number(((target / price - 1) * 100).toFixed(2)) : null,
+      quality_score: num(analysis?.profile?.score),
+      validation_warnings: Array.isArray(analysis?.validation_warnings) ? analysis.validation_warnings.length : 0
+    };
+  };
+  const left = pick(a);
+  const right = pick(b);
+  const delta = (x, y)=>(Number.isFinite(x) && Number.isFinite(y) ? Number((y - x).toFixed(2)) : null);
+  return {
+    price: Number.isFinite(price) ? price : null,
+    a: left,
+    b: right,
+    rating_changed: left.rating !== right.rating,
+    target_delta: delta(left.target_price, right.target_price),
+    target_delta_pct: Number.isFinite(left.target_price) && Number.isFinite(right.target_price) && left.target_price > 0
+      ? Number(((right.target_price / left.target_price - 1) * 100).toFixed(2))
+      : null,
+    upside_delta_pct: delta(left.upside_pct, right.upside_pct),
+    quality_score_delta: delta(left.quality_score, right.quality_score),
+    confidence_changed: left.confidence !== right.confidence
+  };
 }
 
-function buildNumericPayload({ ticker, baselineDate, filings, priceMeta, analystMetrics, momentum, institutional, news, earningsCall, macro, valuation, signalHints, guardrails, sectorProfile }){
+function buildNumericPayload({ ticker, baselineDate, filings, priceMeta, analystMetrics, momentum, institutional, news, earningsCall, macro, valuation, signalHints, guardrails, sectorProfile, fundamentals, profileRules, materialEvents }){
   const filingSummaries = Array.isArray(filings)
     ? filings.slice(0, MAX_FILINGS_FOR_LLM).map(entry=>({
         form: entry.form,
@@ -1581,11 +1728,12 @@ function buildNumericPayload({ ticker, baselineDate, filings, priceMeta, analyst
     signal: institutional.signal?.label || null,
     net_shares: institutional.signal?.net_shares ?? null,
     insider_sentiment: institutional.insider_activity?.summary_text || null,
+    insider_cluster_buy: institutional.insider_activity?.cluster_buy ?? null,
     analyst_upgrades_30d: institutional.analyst_actions?.window_30d?.upgrades ?? null,
     analyst_downgrades_30d: institutional.analyst_actions?.window_30d?.downgrades ?? null
   } : null;
   const newsSummary = news ? {
-    sentiment_label: news.sentiment_label || null,
+    sentiment: news.sentiment || null,
     summary: news.summary || null
   } : null;
   const earningsSummary = earningsCall ? {
@@ -1601,6 +1749,37 @@ function buildNumericPayload({ ticker, baselineDate, filings, priceMeta, analyst
     sector: sectorProfile.sector || null,
     industry: sectorProfile.industry || null
   } : null;
+  // 季度明細只留趨勢欄位，完整數字看 latest_quarter / ttm / latest_annual
+  const fundamentalsSummary = fundamentals ? {
+    latest_filed: fundamentals.latest_filed,
+    currency: fundamentals.currency,
+    latest_quarter: fundamentals.latest_quarter,
+    ttm: fundamentals.ttm,
+    latest_annual: fundamentals.latest_annual,
+    balance_sheet: fundamentals.balance_sheet,
+    quarters: (fundamentals.quarters || []).map(row=>({
+      period_end: row.period_end,
+      fiscal_label: row.fiscal_label,
+      revenue: row.revenue,
+      gross_margin_pct: row.gross_margin_pct,
+      operating_margin_pct: row.operating_margin_pct,
+      eps_diluted: row.eps_diluted,
+      revenue_yoy_pct: row.revenue_yoy_pct
+    }))
+  } : null;
+  // 8-K 只送重要度中以上的事件（股東會投票、章程修正等略過），Item 附上 SEC 原始項目名稱
+  const materialEventList = (materialEvents?.events || [])
+    .filter(event=>event.importance !== 'low')
+    .slice(0, SEC_EVENTS_FOR_LLM)
+    .map(event=>({
+      filing_date: event.filingDate,
+      form: event.form,
+      category: event.category,
+      importance: event.importance,
+      items: event.items.filter(item=>item.title && item.code !== '9.01').map(item=>`${item.code} ${item.title}`),
+      summary: event.summary
+    }));
+  const materialEventsSummary = materialEventList.length ? materialEventList : null;
 
   return {
     company: ticker,
@@ -1616,27 +1795,40 @@ function buildNumericPayload({ ticker, baselineDate, filings, priceMeta, analyst
     macro: macroSummary,
     valuation: valuation || null,
     sector: sectorSummary,
+    fundamentals: fundamentalsSummary,
+    profile_rules: compactProfileRules(profileRules),
+    material_events: materialEventsSummary,
     signal_hints: signalHints || null,
     guardrails: guardrails || null
   };
 }
 
-function filingSummaryCacheKey(ticker, form, filingDate){
-  return `filing_summary_${ticker}_${form}_${filingDate}`;
+function filingSummaryCacheKey(ticker, form, filingDate, lang){
+  return `filing_summary_${ticker}_${form}_${filingDate}${langCacheSuffix(lang)}`;
 }
 
 function finnhubSnapshotCacheKey(ticker, baselineDate){
   return `finnhub_snapshot_${ticker}_${baselineDate}`;
 }
 
-function newsCompactCacheKey(ticker, baselineDate, model){
-  return `news_compact_${ticker}_${baselineDate}_${model}`;
+function newsCompactCacheKey(ticker, baselineDate, model, lang){
+  return `news_compact_${ticker}_${baselineDate}_${model}${langCacheSuffix(lang)}`;
 }
 
 function momentumCacheKey(ticker, baselineDate){
   return `momentum_compact_${ticker}_${baselineDate}`;
 }
 
+function findSeriesClose(series, baselineDate){
+  if(!Array.isArray(series) || !series.length) return null;
+  const target = dayjs(baselineDate);
+  const row = series.find(item=>!dayjs(item.date).isAfter(target, 'day'));
+  // 基準日前一週內找不到收盤價（停牌、資料缺口）時交回原本的歷史價流程
+  if(!row || target.diff(dayjs(row.date), 'day') > 7) return null;
+  const close = Number(row.close);
+  return Number.isFinite(close) ? { close, date: row.date } : null;
+}
+
 function resolveBatchConcurrency(mode){
   if(mode === 'metrics-only') return Math.max(1, Math.min(2, BATCH_CONCURRENCY));
   if(mode === 'cached-only') return Math.max(1, Math.floor(BATCH_CONCURRENCY / 2) || 1);
@@ -1768,12 +1960,14 @@ function compactNewsBundle(bundle){
     keywords: Array.isArray(bundle.keywords) ? bundle.keywords.slice(0,5) : [],
     articles: compactArticles(bundle.articles, 5),
     sentiment: bundle.sentiment ? {
+      sentiment: bundle.sentiment.sentiment || normalizeSentiment(bundle.sentiment.sentiment_label),
       sentiment_label: bundle.sentiment.sentiment_label,
       summary: bundle.sentiment.summary,
       supporting_events: Array.isArray(bundle.sentiment.supporting_events)
         ? bundle.sentiment.supporting_events.slice(0,3)
         : []
-    } : null
+    } : null,
+    llm_usage: Array.isArray(bundle.llm_usage) ? bundle.llm_usage : []
   };
 }
 
@@ -1781,12 +1975,20 @@ function trimNewsForPayload(bundle){
   if(!bundle) return null;
   const sentiment = bundle.sentiment || {};
   return {
-    sentiment_label: sentiment.sentiment_label || null,
+    sentiment: sentiment.sentiment || normalizeSentiment(sentiment.sentiment_label),
     summary: sentiment.summary ? sentiment.summary.slice(0, 220) : null
   };
 }
 
-function errRes(res, err){ console.error('❌', err); return res.status(500).json({error:String(err.message||err)}); }
+function errRes(res, err){
+  if(err?.code === LLM_BUDGET_ERROR) return res.status(429).json({ error: err.message, code: err.code, budget: err.budget });
+  console.error('❌', err); return res.status(500).json({error:String(err.message||err)});
+}
+
+// 呼叫者以設定過的 X-API-Key 區分（只存雜湊代號），沒帶 key 或未設定的 key 共用 anonymous 額度
+function requestCaller(req){
+  return resolveRequestCaller(req.get('x-api-key'));
+}
 
 async function mapWithConcurrency(items, limit, mapper){
   if(!Array.isArray(items) || !items.length) return [];
@@ -1804,14 +2006,63 @@ async function mapWithConcurrency(items, limit, mapper){
   return results;
 }
 
+function throwIfAborted(signal){
+  if(signal?.aborted) throw new Error('job_cancelled');
+}
+
 async function performAnalysis(ticker, date, opts={}){
   const {
     preferCacheOnly=false,
     skipLlm=false,
     model,
     llmCacheTtlMs,
-    preferSecondary=false
+    preferSecondary=false,
+    onProgress,
+    onStage,
+    signal,
+    shared,
+    notifySource,
+    promptVersion,
+    abPromptVersion,
+    lang: requestedLang,
+    caller=ANONYMOUS_CALLER,
+    budgetChecked=false
   } = opts;
+  const lang = resolveLang(requestedLang);
+  const langSuffix = langCacheSuffix(lang);
+  const emitStage = (stage, status, extra={})=>{
+    if(typeof onStage !== 'function') return;
+    try{
+      onStage({ stage, status, ts: Date.now(), ...extra });
+    }catch(err){
+      console.warn('[stage]', err.message);
+    }
+  };
+  const trackStage = async (stage, task)=>{
+    let cacheHit = false;
+    emitStage(stage, 'started');
+    try{
+      const value = await task(()=>{ cacheHit = true; });
+      emitStage(stage, cacheHit ? 'cache_hit' : 'completed', { payload: value ?? null });
+      return value;
+    }catch(err){
+      emitStage(stage, 'failed', { error: err.message });
+      throw err;
+    }
+  };
+  const notifyProgress = (stage, progress)=>{
+    if(typeof onProgress !== 'function') return;
+    try{
+      onProgress({ stage, progress });
+    }catch(err){
+      console.warn('[progress]', err.message);
+    }
+  };
+  // 只在沒有懸空 promise 的節點檢查取消，避免背景請求變成 unhandled rejection
+  const reportProgress = (stage, progress)=>{
+    throwIfAborted(signal);
+    notifyProgress(stage, progress);
+  };
   const parsedDate = dayjs(date);
   if(!parsedDate.isValid()) throw new Error('invalid date format');
   const baselineDate = parsedDate.format('YYYY-MM-DD');
@@ -1821,15 +2072,23 @@ async function performAnalysis(ticker, date, opts={}){
   const llmModel = resolveModelName(model, { preferSecondary });
   const secondaryModel = resolveSecondaryModel();
   const effectiveLlmCacheTtl = Number.isFinite(llmCacheTtlMs) ? llmCacheTtlMs : analysisTtl;
-  const useSecondarySummaries = !skipLlm && Boolean(OPENAI_KEY);
-  const cacheModelKey = skipLlm ? `${llmModel}__metrics` : `${llmModel}__full`;
+  const useSecondarySummaries = !skipLlm && hasLlmAccess(resolveTaskModel('mda_summary', secondaryModel));
+  const defaultPromptVersion = getDefaultPromptVersion('analysis');
+  const activePromptVersion = promptVersion || defaultPromptVersion;
+  // 非預設 prompt 版本屬於實驗：結果另存一份快取，不寫入評級歷史、不觸發通知
+  const isDefaultPrompt = activePromptVersion === defaultPromptVersion;
+  const fullCacheKey = (isDefaultPrompt ? `${llmModel}__full` : `${llmModel}__full__${activePromptVersion}`) + langSuffix;
+  // 各語言的說明文字不同，結果分開存；繁體中文沿用原本的 key
+  const cacheModelKey = skipLlm ? `${llmModel}__metrics${langSuffix}` : fullCacheKey;
   const adaptiveLimits = getAdaptiveLimits({ defaultFilings: MAX_FILINGS_FOR_LLM, defaultNews: NEWS_ARTICLE_LIMIT });
   const filingLimit = Math.max(1, adaptiveLimits.maxFilings);
   const effectiveNewsLimit = Math.max(1, adaptiveLimits.newsLimit);
 
-  const cacheLookupKeys = skipLlm ? [cacheModelKey] : [cacheModelKey, llmModel];
+  const useLegacyKey = !skipLlm && isDefaultPrompt && !langSuffix;
+  const cacheLookupKeys = useLegacyKey ? [cacheModelKey, llmModel] : [cacheModelKey];
   let cacheHit = null;
-  for(const key of cacheLookupKeys){
+  // A/B 需要同一份 payload 重跑兩個版本，不能直接回傳整份快取結果
+  for(const key of abPromptVersion ? [] : cacheLookupKeys){
     cacheHit = getCachedAnalysis({
       ticker: upperTicker,
       baselineDate,
@@ -1841,13 +2100,33 @@ async function performAnalysis(ticker, date, opts={}){
       if(key !== cacheModelKey){
         saveAnalysisResult({ ticker: upperTicker, baselineDate, isHistorical, model: cacheModelKey, result: cacheHit });
       }
-      return cacheHit;
+      emitStage('analysis', 'cache_hit');
+      // 整份結果來自快取：llm_usage 顯示當初的花費與這次省下的金額
+      return { ...cacheHit, llm_usage: reuseUsageSummary(cacheHit.llm_usage) };
+    }
+  }
+
+  // 快取未命中才看預算：接近上限改用次要模型，已達上限改跑 metrics-only，結果帶 budget 標記降級原因
+  if(!skipLlm && !budgetChecked){
+    const budget = getBudgetStatus(caller);
+    const degraded = budget.level === 'hard'
+      ? 'metrics-only'
+      : budget.level === 'soft' && llmModel !== secondaryModel ? 'secondary' : null;
+    if(degraded){
+      console.warn(`[budget] ${caller} ${budget.level}, ${upperTicker} → ${degraded}`);
+      const result = await performAnalysis(ticker, date, {
+        ...opts,
+        ...(degraded === 'metrics-only' ? { skipLlm:true } : { model: secondaryModel }),
+        budgetChecked:true
+      });
+      return { ...result, budget:{ degraded, level: budget.level, limits: budget.limits } };
     }
   }
+  const usageContext = { caller, ticker: upperTicker, request_id: crypto.randomUUID() };
 
   let storedRecord = getStoredResult({ ticker: upperTicker, baselineDate, model: cacheModelKey });
   let storedResult = storedRecord?.result || null;
-  if(!storedResult && !skipLlm){
+  if(!storedResult && useLegacyKey){
     storedRecord = getStoredResult({ ticker: upperTicker, baselineDate, model: llmModel });
     storedResult = storedRecord?.result || null;
   }
@@ -1863,25 +2142,57 @@ async function performAnalysis(ticker, date, opts={}){
   const storedInstitutional = storedFreshForAnalysis ? storedResult?.institutional : null;
   const storedEarningsCall = storedFreshForAnalysis ? storedResult?.earnings_call : null;
   if(preferCacheOnly && storedFreshForAnalysis && storedResult){
+    emitStage('analysis', 'cache_hit');
     return storedResult;
   }
   if(preferCacheOnly){
     throw new Error('cache_miss');
   }
 
-  const cik = await getCIK(upperTicker, UA, SEC_KEY);
-  const filings = await getRecentFilings(cik, baselineDate, UA, SEC_KEY);
+  reportProgress('sec_filings', 0.1);
+  let offlineMda = shared?.mda || null;
+  let offlineExhibits = shared?.exhibits || null;
+  let offlineForm4 = shared?.form4 || null;
+  let offlineSubmissionPages = shared?.submissionPages || null;
+  let offlineFacts = shared?.companyFacts || null;
+  let secOffline = Boolean(shared?.secOffline);
+  let secCik = null;
+  let secSubmissions = shared?.submissions || null;
+  const filings = await trackStage('filings', async ()=>{
+    const offlineSec = shared?.cik ? null : await getSecFilings(upperTicker);
+    // fixture 有 submissions 時 MD&A、8-K 附件與 Form 4 只從 fixture 讀（沒有的視為無資料），不連 sec.gov
+    if(offlineSec){
+      secOffline = true;
+      offlineMda = offlineSec.mda || {};
+      offlineExhibits = offlineSec.exhibits || {};
+      offlineForm4 = offlineSec.form4 || {};
+      offlineSubmissionPages = offlineSec.submission_pages || {};
+    }
+    if(offlineSec?.companyfacts) offlineFacts = compactCompanyFacts(offlineSec.companyfacts, 'fixture');
+    secCik = shared?.cik || offlineSec?.cik || await getCIK(upperTicker, UA, SEC_KEY);
+    secSubmissions = secSubmissions || offlineSec?.submissions || null;
+    return getRecentFilings(secCik, baselineDate, UA, SEC_KEY, { submissions: secSubmissions });
+  });
+  reportProgress('data_sources', 0.25);
 
-  const finnhubPromise = (async ()=>{
-    if(storedFinnhub) return storedFinnhub;
+  const finnhubPromise = trackStage('quote', async (markCacheHit)=>{
+    if(storedFinnhub){
+      markCacheHit();
+      return storedFinnhub;
+    }
     const cacheContext = baselineDate;
     const finnhubCacheKey = finnhubSnapshotCacheKey(upperTicker, baselineDate);
     const cached = await readCache(finnhubCacheKey, analysisTtl);
-    if(cached) return cached;
+    if(cached){
+      markCacheHit();
+      return cached;
+    }
+    // 沒有 Finnhub 金鑰（例如離線 fixture 模式）時不送出必定失敗的請求
+    const finnhubCall = fn=>FH_KEY ? withRetries(fn) : Promise.reject(new Error('[FINNHUB] Missing API key'));
     const [recoRes, earnRes, quoteRes] = await Promise.allSettled([
-      withRetries(()=>getRecommendations(upperTicker, FH_KEY, cacheContext)),
-      withRetries(()=>getEarnings(upperTicker, FH_KEY, cacheContext)),
-      withRetries(()=>getQuote(upperTicker, FH_KEY, cacheContext))
+      finnhubCall(()=>getRecommendations(upperTicker, FH_KEY, cacheContext)),
+      finnhubCall(()=>getEarnings(upperTicker, FH_KEY, cacheContext)),
+      finnhubCall(()=>getQuote(upperTicker, FH_KEY, cacheContext))
     ]);
     const finnhub = {
       recommendation: recoRes.status==='fulfilled'?recoRes.value:{ error:recoRes.reason.message },
@@ -1896,13 +2207,14 @@ async function performAnalysis(ticker, date, opts={}){
       value: null
     };
 
-    if(isHistorical){
+    const sharedClose = isHistorical ? findSeriesClose(shared?.dailySeries, baselineDate) : null;
+    if(sharedClose){
+      current = sharedClose.close;
+      priceMeta.source = 'daily_series';
+      priceMeta.as_of = sharedClose.date;
+    }else if(isHistorical){
       try{
-        const hist = await withRetries(()=>getHistoricalPrice(upperTicker, baselineDate, {
-          fmpKey: FMP_KEY,
-          finnhubKey: FH_KEY,
-          alphaKey: AV_KEY,
-        }), 2, RETRY_DELAY_MS);
+        const hist = await withRetries(()=>getHistoricalPrice(upperTicker, baselineDate), 2, RETRY_DELAY_MS);
         if(hist?.price!=null){
           current = hist.price;
           priceMeta.source = hist.source;
@@ -1920,25 +2232,15 @@ async function performAnalysis(ticker, date, opts={}){
         priceMeta.source = cachedRealtime.source || 'fmp_batch_quote';
         if(cachedRealtime.asOf) priceMeta.as_of = cachedRealtime.asOf;
       }
-      if(FMP_KEY){
-        try{
-          if(current==null){
-            const quote = await withRetries(()=>getFmpQuote(upperTicker, FMP_KEY));
-            current = quote.price;
-            priceMeta.source = 'fmp_quote';
-            if(quote.asOf) priceMeta.as_of = quote.asOf;
-            cacheRealtimeQuote(upperTicker, { price: current, asOf: quote.asOf, source: 'fmp_quote' });
-            enrichPriceMetaFromQuote(priceMeta, quote.raw);
-          }
-        }catch(err){ console.warn('[FMP Quote]', err.message); }
-      }
       if(current==null){
         try{
-          const yahoo = await withRetries(()=>getYahooQuote(upperTicker));
-          current = yahoo.price;
-          priceMeta.source = yahoo.source;
-          if(yahoo.asOf) priceMeta.as_of = yahoo.asOf;
-        }catch(err){ console.warn('[Yahoo Quote]', err.message); }
+          const quote = await withRetries(()=>getProviderQuote(upperTicker));
+          current = quote.price;
+          priceMeta.source = quote.source;
+          if(quote.asOf) priceMeta.as_of = quote.asOf;
+          cacheRealtimeQuote(upperTicker, { price: current, asOf: quote.asOf, source: quote.source });
+          enrichPriceMetaFromQuote(priceMeta, quote.raw);
+        }catch(err){ console.warn('[Quote]', err.message); }
       }
       if(current==null){
         priceMeta.source = 'real-time_fallback';
@@ -1946,25 +2248,17 @@ async function performAnalysis(ticker, date, opts={}){
       priceMeta.kind = 'real-time';
     }
 
-    if(current==null && FMP_KEY){
+    // 歷史價查不到時退回即時報價
+    if(current==null && isHistorical){
       try{
-        const quote = await withRetries(()=>getFmpQuote(upperTicker, FMP_KEY));
+        const quote = await withRetries(()=>getProviderQuote(upperTicker));
         current = quote.price;
-        priceMeta.source = 'fmp_quote';
+        priceMeta.source = quote.source;
         priceMeta.as_of = quote.asOf || priceMeta.as_of;
         priceMeta.kind = 'real-time';
-        cacheRealtimeQuote(upperTicker, { price: current, asOf: quote.asOf, source: 'fmp_quote' });
+        cacheRealtimeQuote(upperTicker, { price: current, asOf: quote.asOf, source: quote.source });
         enrichPriceMetaFromQuote(priceMeta, quote.raw);
-      }catch(err){ console.warn('[FMP Quote fallback]', err.message); }
-    }
-    if(current==null){
-      try{
-        const yahoo = await withRetries(()=>getYahooQuote(upperTicker));
-        current = yahoo.price;
-        priceMeta.source = yahoo.source;
-        priceMeta.as_of = yahoo.asOf || priceMeta.as_of;
-        priceMeta.kind = 'real-time';
-      }catch(err){ console.warn('[Yahoo Quote fallback]', err.message); }
+      }catch(err){ console.warn('[Quote fallback]', err.message); }
     }
 
     priceMeta.value = current;
@@ -1980,7 +2274,7 @@ async function performAnalysis(ticker, date, opts={}){
 
     let ptAgg;
     try{
-      ptAgg = await getAggregatedPriceTarget(upperTicker, FH_KEY, AV_KEY, current, FMP_KEY, baselineDate);
+      ptAgg = await getAggregatedPriceTarget(upperTicker, current);
     }catch(e){
       ptAgg = {
         source:'unavailable',
@@ -2005,51 +2299,64 @@ async function performAnalysis(ticker, date, opts={}){
     };
     await writeCache(finnhubCacheKey, snapshot);
     return snapshot;
-  })();
+  });
 
-  const newsPromise = (async ()=>{
-    const newsModelKey = skipLlm ? 'noai' : secondaryModel;
-    const newsCacheKey = newsCompactCacheKey(upperTicker, baselineDate, newsModelKey);
+  const newsPromise = trackStage('news', async (markCacheHit)=>{
+    // 情緒判讀可經 LLM_ROUTE_NEWS_SENTIMENT 改派模型，快取 key 以實際呼叫的模型為準
+    const newsModelKey = skipLlm ? 'noai' : resolveTaskModel('news_sentiment', secondaryModel);
+    const newsCacheKey = newsCompactCacheKey(upperTicker, baselineDate, newsModelKey, lang);
     let newsCompact = storedNews || await readCache(newsCacheKey, NEWS_CACHE_TTL_MS);
+    if(newsCompact){
+      markCacheHit();
+      newsCompact = { ...newsCompact, llm_usage: markUsageCached(newsCompact.llm_usage) };
+    }
     if(!newsCompact){
       const newsRaw = await buildNewsBundle({
         ticker: upperTicker,
         baselineDate,
-        openKey: skipLlm ? null : OPENAI_KEY,
         model: secondaryModel,
         useLlm: !skipLlm,
         articleLimit: effectiveNewsLimit,
-        finnhubKey: FH_KEY,
-        fmpKey: FMP_KEY
+        lang,
+        usageContext
       });
       newsCompact = compactNewsBundle(newsRaw);
-      await writeCache(newsCacheKey, newsCompact);
+      if(!newsRaw.budget_refused) await writeCache(newsCacheKey, newsCompact);
     }
     return newsCompact;
-  })();
+  });
 
-  const momentumPromise = (async ()=>{
+  const momentumPromise = trackStage('momentum', async (markCacheHit)=>{
     const momentumKey = momentumCacheKey(upperTicker, baselineDate);
     let momentum = storedMomentum || await readCache(momentumKey, MOMENTUM_CACHE_TTL_MS);
+    if(momentum) markCacheHit();
     if(!momentum){
-      const momentumRaw = await computeMomentumMetrics(upperTicker, baselineDate);
+      const momentumRaw = await computeMomentumMetrics(upperTicker, baselineDate, { series: shared?.dailySeries });
       momentum = compactMomentum(momentumRaw);
       if(momentum) await writeCache(momentumKey, momentum);
     }
     return momentum;
-  })();
+  });
 
   const summaryTargets = filings.slice(0, filingLimit);
-  const perFilingSummaries = await mapWithConcurrency(summaryTargets, 3, async (f)=>{
+  let generatedSummaries = 0;
+  const perFilingSummaries = await trackStage('mda', async (markCacheHit)=>{
+    // 沒有任何申報可摘要時回報 completed（空陣列），不算快取命中
+    if(!summaryTargets.length) return [];
+    const summaries = await mapWithConcurrency(summaryTargets, 3, summarizeFiling);
+    if(!generatedSummaries) markCacheHit();
+    return summaries;
+  });
+  async function summarizeFiling(f){
     const stored = findStoredFiling(storedSecFilings, f.form, f.filingDate);
     if(stored?.mda_summary){
       if(useSecondarySummaries && stored.summary_kind === 'fallback'){
         // allow regeneration with LLM if previously fallback
       }else{
-        return stored;
+        return { ...stored, llm_usage: markUsageCached(stored.llm_usage) };
       }
     }
-    const cacheKey = filingSummaryCacheKey(upperTicker, f.form, f.filingDate);
+    const cacheKey = filingSummaryCacheKey(upperTicker, f.form, f.filingDate, lang);
     const cached = await readCache(cacheKey, FILING_SUMMARY_TTL_MS);
     if(cached?.mda_summary){
       const cachedKind = cached.summary_kind || 'llm';
@@ -2063,19 +2370,47 @@ async function performAnalysis(ticker, date, opts={}){
           reportDate:f.reportDate,
           mda_summary: cached.mda_summary,
           mda_excerpt: cached.mda_excerpt,
-          summary_kind: cachedKind
+          summary_kind: cachedKind,
+          sections: cached.sections || null,
+          llm_usage: markUsageCached(cached.llm_usage)
+        };
+      }
+    }
+    generatedSummaries++;
+    // fixture provider 可依 accession number 直接提供 MD&A 文字，離線時不必連 sec.gov；
+    // 線上文件切出章節後只把 MD&A 交給摘要，章節清單（位置與長度）留給 filing timeline
+    let mda = offlineMda?.[f.accession] || null;
+    let sections = null;
+    if(!mda){
+      // 單份文件抓取失敗不中斷整個分析：該份財報以空摘要的 fallback 列出（不寫快取，下次重抓）
+      try{
+        if(offlineMda) throw new Error('MD&A not provided by fixture');
+        const parsed = await fetchFilingSections(f.url, UA, { form: f.form });
+        mda = mdaFromSections(parsed);
+        sections = describeSections(parsed);
+      }catch(err){
+        console.warn('[SEC filing]', f.accession, err.message);
+        return {
+          form:f.form,
+          formLabel:f.formLabel,
+          filingDate:f.filingDate,
+          reportDate:f.reportDate,
+          mda_summary: null,
+          summary_kind: 'fallback',
+          sections: null,
+          llm_usage: []
         };
       }
     }
-    const mda = await fetchMDA(f.url, UA);
     let summaryBlock = { summary: mda.slice(0, 1200), kind: 'fallback' };
     try{
       summaryBlock = await summarizeMda({
         text: mda,
-        openKey: OPENAI_KEY,
         model: secondaryModel,
         meta:{ ticker: upperTicker, form: f.form },
-        useLlm: useSecondarySummaries
+        useLlm: useSecondarySummaries,
+        lang,
+        usageContext
       });
     }catch(err){
       console.warn('[MDA Summary]', err.message);
@@ -2087,20 +2422,25 @@ async function performAnalysis(ticker, date, opts={}){
       filingDate:f.filingDate,
       reportDate:f.reportDate,
       mda_summary: summaryBlock.summary,
-      summary_kind: summaryBlock.kind
+      summary_kind: summaryBlock.kind,
+      sections,
+      llm_usage: summaryBlock.usage ? [summaryBlock.usage] : []
     };
     if(excerpt){
       snapshot.mda_excerpt = excerpt;
     }
-    await writeCache(cacheKey, {
+    if(!summaryBlock.budget_refused) await writeCache(cacheKey, {
       mda_summary: snapshot.mda_summary,
       mda_excerpt: snapshot.mda_excerpt,
       summary_kind: snapshot.summary_kind,
+      sections: snapshot.sections,
+      llm_usage: snapshot.llm_usage,
       form:f.form,
       ticker: upperTicker
     });
     return snapshot;
-  });
+  }
+  notifyProgress('filing_summaries', 0.45);
   const summaryIndex = new Map(perFilingSummaries.map(item=>{
     const key = `${item.form}_${item.filingDate}`;
     return [key, item];
@@ -2118,10 +2458,12 @@ async function performAnalysis(ticker, date, opts={}){
     };
   });
 
-  const institutionalPromise = (async ()=>{
+  const institutionalPromise = trackStage('institutional', async (markCacheHit)=>{
+    if(storedInstitutional) markCacheHit();
     let base = storedInstitutional || await fetchInstitutionalBase(upperTicker, baselineDate);
     const [insider, analystActions] = await Promise.all([
-      fetchInsiderSnapshot(upperTicker, baselineDate),
+      fetchForm4InsiderSnapshot({ cik: secCik, submissions: secSubmissions, submissionPages: offlineSubmissionPages, baselineDate, offline: offlineForm4 })
+        .then(snapshot=>snapshot || fetchInsiderSnapshot(upperTicker, baselineDate)),
       fetchAnalystActionSnapshot(upperTicker, baselineDate)
     ]);
     if(!base && !insider && !analystActions) return null;
@@ -2129,31 +2471,37 @@ async function performAnalysis(ticker, date, opts={}){
     if(insider) enriched.insider_activity = insider;
     if(analystActions) enriched.analyst_actions = analystActions;
     return enriched;
-  })();
+  });
 
-  const earningsCallPromise = (async ()=>{
-    if(storedEarningsCall) return storedEarningsCall;
+  const earningsCallPromise = trackStage('earnings_call', async (markCacheHit)=>{
+    if(storedEarningsCall){
+      markCacheHit();
+      return { ...storedEarningsCall, llm_usage: markUsageCached(storedEarningsCall.llm_usage) };
+    }
+    const fmpKey = fmpDatasetKey();
+    if(!fmpKey) return null;
     const base = resolveQuarterYear(baselineDate);
     const attempts = [base, shiftQuarter(base, -1)];
     for(const attempt of attempts){
-      const callKey = `earnings_call_${upperTicker}_${attempt.year}q${attempt.quarter}`;
+      const callKey = `earnings_call_${upperTicker}_${attempt.year}q${attempt.quarter}${langSuffix}`;
       const cached = await readCache(callKey, EARNINGS_CALL_TTL_MS);
       if(cached){
         if(cached.status === 'missing' && attempt !== attempts[attempts.length-1]) continue;
-        return cached;
+        markCacheHit();
+        return { ...cached, llm_usage: markUsageCached(cached.llm_usage) };
       }
       try{
         const rows = await getFmpEarningsCallTranscript({
           symbol: upperTicker,
           quarter: attempt.quarter,
           year: attempt.year,
-          key: FMP_KEY
+          key: fmpKey
         });
         const transcript = Array.isArray(rows) && rows.length ? rows[0] : null;
         if(!transcript || !transcript.content){
           const placeholder = {
             quarter: `Q${attempt.quarter} ${attempt.year}`,
-            summary: '近期無可用的 Earnings Call 逐字稿。',
+            summary: t(lang, 'earnings.missing'),
             bullets: [],
             status: 'missing'
           };
@@ -2162,9 +2510,10 @@ async function performAnalysis(ticker, date, opts={}){
         }
         const summary = await summarizeCallTranscript({
           text: transcript.content,
-          openKey: OPENAI_KEY,
           model: secondaryModel,
-          meta:{ ticker: upperTicker, quarter:`Q${attempt.quarter}`, year: attempt.year }
+          meta:{ ticker: upperTicker, quarter:`Q${attempt.quarter}`, year: attempt.year },
+          lang,
+          usageContext
         });
         const payload = {
           quarter: `Q${attempt.quarter} ${attempt.year}`,
@@ -2172,24 +2521,33 @@ async function performAnalysis(ticker, date, opts={}){
           summary: summary.summary || '',
           bullets: summary.bullets || [],
           source: transcript.link || transcript.url || transcript.filingUrl || '',
-          raw_excerpt: transcript.content.slice(0, 500)
+          raw_excerpt: transcript.content.slice(0, 500),
+          llm_usage: summary.usage ? [summary.usage] : []
         };
-        await writeCache(callKey, payload);
+        if(!summary.budget_refused) await writeCache(callKey, payload);
         return payload;
       }catch(err){
         console.warn('[EarningsCall]', err.message);
       }
     }
     return null;
-  })();
+  });
 
-  const analystSignalsPromise = (async ()=>{
-    if(!FMP_KEY) return null;
+  const analystSignalsPromise = trackStage('analyst_signals', async (markCacheHit)=>{
+    const fmpKey = fmpDatasetKey();
+    if(!fmpKey) return null;
     const baseAgeDays = Math.abs(dayjs().diff(baselineDate, 'day'));
     if(baseAgeDays > ANALYST_DATA_MAX_AGE_DAYS) return null;
+    if(shared?.analystSignals){
+      markCacheHit();
+      return shared.analystSignals;
+    }
     const aggregateKey = `analyst_signals_${upperTicker}`;
     const aggregateCached = await readCache(aggregateKey, ANALYST_AGGREGATE_TTL_MS);
-    if(aggregateCached) return aggregateCached;
+    if(aggregateCached){
+      markCacheHit();
+      return aggregateCached;
+    }
 
     if(analystSignalInflight.has(aggregateKey)){
       return analystSignalInflight.get(aggregateKey);
@@ -2211,17 +2569,17 @@ async function performAnalysis(ticker, date, opts={}){
     };
 
     const tasks = [
-      { label:'summary', ttl: ANALYST_PRICE_TARGET_TTL_MS, fetcher: ()=>getFmpPriceTargetSummary(upperTicker, FMP_KEY) },
-      { label:'rating_snap', ttl: ANALYST_RATING_SNAPSHOT_TTL_MS, fetcher: ()=>getFmpRatingsSnapshot(upperTicker, FMP_KEY) },
-      { label:'rating_hist', ttl: ANALYST_RATING_HISTORY_TTL_MS, fetcher: ()=>getFmpRatingsHistorical({ symbol: upperTicker, limit:6 }, FMP_KEY) }
+      { label:'summary', ttl: ANALYST_PRICE_TARGET_TTL_MS, fetcher: ()=>getFmpPriceTargetSummary(upperTicker, fmpKey) },
+      { label:'rating_snap', ttl: ANALYST_RATING_SNAPSHOT_TTL_MS, fetcher: ()=>getFmpRatingsSnapshot(upperTicker, fmpKey) },
+      { label:'rating_hist', ttl: ANALYST_RATING_HISTORY_TTL_MS, fetcher: ()=>getFmpRatingsHistorical({ symbol: upperTicker, limit:6 }, fmpKey) }
     ];
     if(includeExtended){
       tasks.push(
-        { label:'est_ann', ttl: ANALYST_ESTIMATES_TTL_MS, fetcher: ()=>getFmpAnalystEstimates({ symbol: upperTicker, period:'annual', limit:12 }, FMP_KEY) },
-        { label:'est_q', ttl: ANALYST_ESTIMATES_TTL_MS, fetcher: ()=>getFmpAnalystEstimates({ symbol: upperTicker, period:'quarter', limit:12 }, FMP_KEY) },
-        { label:'grades_latest', ttl: ANALYST_GRADES_TTL_MS, fetcher: ()=>getFmpGrades(upperTicker, FMP_KEY) },
-        { label:'grades_hist', ttl: ANALYST_GRADES_HISTORY_TTL_MS, fetcher: ()=>getFmpGradesHistorical({ symbol: upperTicker, limit:1 }, FMP_KEY) },
-        { label:'grades_cons', ttl: ANALYST_GRADES_CONSENSUS_TTL_MS, fetcher: ()=>getFmpGradesConsensus(upperTicker, FMP_KEY) }
+        { label:'est_ann', ttl: ANALYST_ESTIMATES_TTL_MS, fetcher: ()=>getFmpAnalystEstimates({ symbol: upperTicker, period:'annual', limit:12 }, fmpKey) },
+        { label:'est_q', ttl: ANALYST_ESTIMATES_TTL_MS, fetcher: ()=>getFmpAnalystEstimates({ symbol: upperTicker, period:'quarter', limit:12 }, fmpKey) },
+        { label:'grades_latest', ttl: ANALYST_GRADES_TTL_MS, fetcher: ()=>getFmpGrades(upperTicker, fmpKey) },
+        { label:'grades_hist', ttl: ANALYST_GRADES_HISTORY_TTL_MS, fetcher: ()=>getFmpGradesHistorical({ symbol: upperTicker, limit:1 }, fmpKey) },
+        { label:'grades_cons', ttl: ANALYST_GRADES_CONSENSUS_TTL_MS, fetcher: ()=>getFmpGradesConsensus(upperTicker, fmpKey) }
       );
     }
 
@@ -2250,11 +2608,84 @@ async function performAnalysis(ticker, date, opts={}){
       }
     })();
     analystSignalInflight.set(aggregateKey, inflight);
+    if(shared) shared.analystSignals = inflight;
     return inflight;
-  })();
+  });
 
-  const macroPromise = fetchMacroSnapshot(baselineDate);
-  const finnhubMetricsPromise = (async ()=>{
+  const macroPromise = trackStage('macro', ()=>fetchMacroSnapshot(baselineDate));
+  // XBRL 財報數字只取基準日前已申報的部分，companyfacts 依 CIK 快取，序列分析各基準日共用
+  const fundamentalsPromise = trackStage('fundamentals', async ()=>{
+    try{
+      if(!offlineFacts && secOffline) return null;
+      const facts = offlineFacts || await getCompanyFacts(secCik, UA, SEC_KEY);
+      return buildFundamentals(facts, baselineDate);
+    }catch(err){
+      console.warn('[SEC facts]', err.message);
+      return null;
+    }
+  });
+  // 基準日前 SEC_EVENT_WINDOW_DAYS 天內的 8-K 依 Item 分類；重要度中以上的最近幾則才抓 EX-99 附件給次要模型摘要
+  const materialEventsPromise = trackStage('events', async ()=>{
+    let rows;
+    let complete;
+    try{
+      ({ filings: rows, complete } = await getRecentEventFilings(secCik, baselineDate, UA, SEC_KEY, { submissions: secSubmissions, offlinePages: offlineSubmissionPages, windowDays: SEC_EVENT_WINDOW_DAYS, limit: SEC_EVENT_LIMIT }));
+    }catch(err){
+      console.warn('[SEC events]', err.message);
+      return null;
+    }
+    const events = rows.map(row=>({ ...row, ...classifyEventItems(row.items) }));
+    const summaryTargets = new Set(events
+      .filter(event=>importanceRank(event.importance) >= importanceRank('medium'))
+      .slice(0, SEC_EVENT_SUMMARY_LIMIT)
+      .map(event=>event.accession));
+    const summarized = await mapWithConcurrency(events, 2, async event=>{
+      const entry = {
+        form: event.form,
+        formLabel: event.formLabel,
+        filingDate: event.filingDate,
+        accession: event.accession,
+        url: event.url,
+        items: event.items,
+        category: event.category,
+        importance: event.importance,
+        exhibit: null,
+        summary: null,
+        summary_kind: null,
+        llm_usage: []
+      };
+      if(!summaryTargets.has(event.accession)) return entry;
+      try{
+        const exhibit = await fetchEventExhibit(event, UA, { offline: offlineExhibits });
+        if(!exhibit?.text) return entry;
+        entry.exhibit = { type: exhibit.type, description: exhibit.description || null, url: exhibit.url || null };
+        const block = await summarizeEventExhibit({
+          text: exhibit.text,
+          model: secondaryModel,
+          meta:{ ticker: upperTicker, items: event.items.map(item=>item.code), filingDate: event.filingDate },
+          useLlm: useSecondarySummaries,
+          lang,
+          usageContext
+        });
+        entry.summary = block.summary || null;
+        entry.summary_kind = block.kind;
+        if(block.usage) entry.llm_usage = [block.usage];
+      }catch(err){
+        console.warn('[SEC events]', event.accession, err.message);
+      }
+      return entry;
+    });
+    return {
+      window_days: SEC_EVENT_WINDOW_DAYS,
+      from: dayjs(baselineDate).subtract(SEC_EVENT_WINDOW_DAYS, 'day').format('YYYY-MM-DD'),
+      to: baselineDate,
+      count: summarized.length,
+      // false 表示部分 submissions 歷史分頁取不到，count 可能少算（不等於期間內沒有 8-K）
+      complete,
+      events: summarized
+    };
+  });
+  const finnhubMetricsPromise = trackStage('metrics', async ()=>{
     if(!FH_KEY) return null;
     try{
       return await getCompanyMetrics(upperTicker, FH_KEY, 'all');
@@ -2262,14 +2693,16 @@ async function performAnalysis(ticker, date, opts={}){
       console.warn('[Finnhub metrics]', err.message);
       return null;
     }
-  })();
-  const sectorProfilePromise = (async ()=>{
-    if(!FMP_KEY) return null;
-    const cacheKey = `fmp_profile_${upperTicker}`;
+  });
+  const sectorProfilePromise = trackStage('sector', async (markCacheHit)=>{
+    const cacheKey = `profile_${upperTicker}`;
     const cached = await readCache(cacheKey, 7 * DAY_MS);
-    if(cached) return cached;
+    if(cached){
+      markCacheHit();
+      return cached;
+    }
     try{
-      const row = await getFmpProfile(upperTicker, FMP_KEY);
+      const row = await getProfile(upperTicker);
       const profile = {
         sector: row.sector || null,
         industry: row.industry || null
@@ -2277,12 +2710,12 @@ async function performAnalysis(ticker, date, opts={}){
       await writeCache(cacheKey, profile);
       return profile;
     }catch(err){
-      console.warn('[FMP profile]', err.message);
+      console.warn('[Profile]', err.message);
       return null;
     }
-  })();
+  });
 
-  const [finnhubSnapshot, newsCompact, momentum, institutional, earningsCall, analystSignals, macroInsights, finnhubMetrics, sectorProfile] = await Promise.all([
+  const [finnhubSnapshot, newsCompact, momentum, institutional, earningsCall, analystSignals, macroInsights, finnhubMetrics, sectorProfile, fundamentals, materialEvents] = await Promise.all([
     finnhubPromise,
     newsPromise,
     momentumPromise,
@@ -2291,8 +2724,11 @@ async function performAnalysis(ticker, date, opts={}){
     analystSignalsPromise,
     macroPromise,
     finnhubMetricsPromise,
-    sectorProfilePromise
+    sectorProfilePromise,
+    fundamentalsPromise,
+    materialEventsPromise
   ]);
+  reportProgress('signals', 0.6);
 
   const priceMeta = finnhubSnapshot?.price_meta || {
     source: isHistorical ? 'historical_missing' : 'real-time_missing',
@@ -2304,9 +2740,14 @@ async function performAnalysis(ticker, date, opts={}){
 
   const analystMetrics = buildAnalystMetrics(analystSignals);
   const valuationSummary = buildValuationSummary({ priceMeta, momentum, finnhubMetrics });
-  const signalHints = buildSignalHints({ momentum, institutional, valuation: valuationSummary });
+  const signalHints = buildSignalHints({ momentum, institutional, valuation: valuationSummary, lang });
   const guardrails = deriveGuardrails({ momentum, institutional });
-  const consensusAvg = getConsensusTargetAvg(analystSignals);
+  const profileRules = evaluateProfileRules({
+    facts: buildProfileFacts({ priceMeta, valuation: valuationSummary, momentum, analystMetrics, fundamentals }),
+    sector: sectorProfile?.sector,
+    lang
+  });
+  const consensusAvg = getConsensusTargetAvg(analystSignals, ptAgg);
   const llmNews = trimNewsForPayload(newsCompact, effectiveNewsLimit);
   const llmPayload = buildNumericPayload({
     ticker: upperTicker,
@@ -2322,39 +2763,96 @@ async function performAnalysis(ticker, date, opts={}){
     valuation: valuationSummary,
     signalHints,
     guardrails,
-    sectorProfile
+    sectorProfile,
+    fundamentals,
+    profileRules,
+    materialEvents
   });
+  const postprocessContext = { priceMeta, guardrails, momentum, signalHints, sectorProfile, profileRules, lang };
+  const slimPayload = buildSlimPayload(llmPayload) || llmPayload;
+  // 同一份 payload 可用不同 prompt 版本重跑（A/B），目標價的共識混合與 guardrail 兩邊一致
+  const runPromptVersion = async version=>{
+    const analysis = await analyzeWithLLM(llmModel, slimPayload, {
+      cacheTtlMs: Math.min(effectiveLlmCacheTtl, analysisTtl),
+      promptVersion: version,
+      fallbackModel: secondaryModel,
+      lang,
+      usageContext,
+      signal
+    });
+    blendTargetWithConsensus(analysis, consensusAvg, priceMeta?.value, lang);
+    applyTargetPriceGuardrails(analysis, priceMeta, guardrails, { consensusAvg, sector: sectorProfile?.sector, lang });
+    return analysis;
+  };
   let llm = null;
-  let llmUsage = null;
+  let budgetNote = null;
+  let failedLlmUsage = [];
   if(skipLlm){
     llm = storedResult?.analysis || null;
-    llmUsage = storedResult?.llm_usage || null;
+    emitStage('llm', 'skipped');
   }else{
-    const llmTtlMs = Math.min(effectiveLlmCacheTtl, analysisTtl);
-    const slimPayload = buildSlimPayload(llmPayload) || llmPayload;
-    llm = await analyzeWithLLM(OPENAI_KEY, llmModel, slimPayload, {
-      cacheTtlMs: llmTtlMs,
-      promptVersion: 'profile_v2',
-      fallbackModel: secondaryModel
-    });
-    llmUsage = llm?.__usage || null;
-    if(llmUsage) recordUsage(llmUsage);
-    blendTargetWithConsensus(llm, consensusAvg, priceMeta?.value);
-    applyTargetPriceGuardrails(llm, priceMeta, guardrails, { consensusAvg, sector: sectorProfile?.sector });
+    reportProgress('llm', 0.65);
+    try{
+      llm = await trackStage('llm', async ()=>runPromptVersion(activePromptVersion));
+    }catch(err){
+      // 分析途中才超過預算（單次請求上限或其他請求同時花掉額度）：保留已算好的指標，不讓整個請求失敗
+      if(err.code !== LLM_BUDGET_ERROR) throw err;
+      console.warn('[budget]', upperTicker, err.message);
+      budgetNote = { degraded:'metrics-only', level:'hard', exceeded: err.budget };
+      // 超過預算前已計費的呼叫（例如主模型失敗後才被擋下的 fallback）仍列入明細
+      failedLlmUsage = err.llm_usage || [];
+    }
+    if(llm?.__usage) recordUsage(llm.__usage);
   }
+  reportProgress('postprocess', 0.9);
   if(llm){
-    applySmallCapGuardrail(llm, priceMeta);
-    adjustRatingForSignals(llm, { priceMeta, guardrails, momentum });
-    applyHoldBand(llm, priceMeta);
-    applyRatingTightRange(llm, priceMeta);
-    ensureHoldTriggers(llm);
-    ensureActionRationale(llm, { priceMeta, signalHints });
-    enforceActionConsistency(llm, priceMeta);
-    if(sectorProfile?.sector){
-      llm.profile = llm.profile || {};
-      llm.profile.sector_label = mapSectorLabel(sectorProfile.sector);
+    await trackStage('guardrails', async ()=>applyAnalysisGuardrails(llm, postprocessContext));
+  }
+  let promptAb = null;
+  if(abPromptVersion && !skipLlm && llm){
+    reportProgress('llm_ab', 0.95);
+    let variant = null;
+    let variantError = null;
+    try{
+      variant = await trackStage('llm_ab', async ()=>runPromptVersion(abPromptVersion));
+    }catch(err){
+      // B 失敗（含預算不足）時保留已花費的 A 結果，錯誤放在 b.error；B 已計費的呼叫仍列入明細
+      if(signal?.aborted) throw err;
+      console.warn('[prompt_ab]', upperTicker, abPromptVersion, err.message);
+      variantError = err;
+      failedLlmUsage = [...failedLlmUsage, ...(err.llm_usage || [])];
+    }
+    if(variant){
+      if(variant.__usage) recordUsage(variant.__usage);
+      applyAnalysisGuardrails(variant, postprocessContext);
     }
+    promptAb = {
+      payload_hash: hashPayload(llmPayload),
+      a: { prompt_version: activePromptVersion, analysis: llm, llm_usage: llm?.__usage || null },
+      b: variant
+        ? { prompt_version: abPromptVersion, analysis: variant, llm_usage: variant.__usage || null }
+        : {
+          prompt_version: abPromptVersion,
+          analysis: null,
+          llm_usage: null,
+          error: variantError.message,
+          ...(variantError.code === LLM_BUDGET_ERROR ? { budget: variantError.budget } : {})
+        },
+      diff: variant ? buildPromptDiff(llm, variant, priceMeta?.value) : null
+    };
   }
+  // 本次分析所有 LLM 呼叫的明細：新聞、MD&A、8-K 附件、法說會、主分析（含修補）與 A/B 變體；
+  // metrics-only 沿用的舊分析結果一律算快取命中
+  const analysisUsage = skipLlm ? markUsageCached(usageBreakdown(llm?.__usage)) : usageBreakdown(llm?.__usage);
+  const llmUsage = summarizeUsage([
+    ...(newsCompact?.llm_usage || []),
+    ...perFiling.flatMap(entry=>entry.llm_usage || []),
+    ...(materialEvents?.events || []).flatMap(entry=>entry.llm_usage || []),
+    ...(earningsCall?.llm_usage || []),
+    ...analysisUsage,
+    ...failedLlmUsage,
+    ...usageBreakdown(promptAb?.b.llm_usage)
+  ]);
 
   const result = {
     input:{ticker:upperTicker, date: baselineDate},
@@ -2365,6 +2863,8 @@ async function performAnalysis(ticker, date, opts={}){
     analysis: llm,
     llm_usage: llmUsage,
     analysis_model: llmModel,
+    prompt_version: skipLlm ? (storedResult?.prompt_version || null) : activePromptVersion,
+    lang,
     news: newsCompact,
     momentum,
     institutional,
@@ -2373,68 +2873,84 @@ async function performAnalysis(ticker, date, opts={}){
     per_filing_summaries: perFiling,
     analyst_metrics: analystMetrics,
     macro: macroInsights,
+    fundamentals,
+    material_events: materialEvents,
+    profile_rules: profileRules,
     inputs: llmPayload
   };
-  saveAnalysisResult({ ticker: upperTicker, baselineDate, isHistorical, model: cacheModelKey, result });
+  // 因預算中斷的結果缺少 analysis，不覆蓋既有的儲存結果
+  if(!budgetNote) saveAnalysisResult({ ticker: upperTicker, baselineDate, isHistorical, model: cacheModelKey, result });
+  if(promptAb) result.prompt_ab = promptAb;
+  if(budgetNote) result.budget = budgetNote;
+  // A/B 比較的預設版本那一側也只是比較用，不寫評級歷史、不觸發通知
+  if(llm && !skipLlm && isDefaultPrompt && !abPromptVersion){
+    // 歷史去重（或資料庫停用）時回傳 null：不寫歷史，但通知仍依本次結果判斷
+    const history = recordAnalysisHistory({
+      ticker: upperTicker,
+      baselineDate,
+      model: llmModel,
+      action: llm.action,
+      payloadHash: hashPayload(llmPayload),
+      inputs: {
+        price: priceMeta?.value,
+        momentum_score: momentum?.score,
+        momentum_trend: momentum?.trend,
+        consensus_avg: consensusAvg,
+        news_sentiment: newsCompact?.sentiment?.sentiment || normalizeSentiment(newsCompact?.sentiment?.sentiment_label),
+        quality_score: llm.profile?.score,
+        analyst_rating: analystMetrics?.rating?.latest,
+        institutional_signal: institutional?.signal?.label
+      }
+    });
+    // 只有排程 / 批次跑出的結果才通知，互動式分析不觸發。needs_review 看本次結果；
+    // rating_changed 需要前一筆歷史，只有這次寫入新歷史列時才判斷，重跑相同結論不會重複通知
+    if(notifySource){
+      notifyAnalysisEvents({
+        ticker: upperTicker,
+        baselineDate,
+        model: llmModel,
+        source: notifySource,
+        action: llm.action,
+        previous: history?.previous || null,
+        price: priceMeta?.value,
+        lang
+      });
+    }
+  }
   return result;
 }
 
-function normalizeDate(raw){
-  if(raw==null) return '';
-  if(typeof raw === 'number'){
-    const date = new Date(Math.round((raw - 25569) * 86400 * 1000));
-    return Number.isNaN(date.getTime()) ? '' : dayjs(date).format('YYYY-MM-DD');
-  }
-  if(raw instanceof Date) return dayjs(raw).format('YYYY-MM-DD');
-  const str = String(raw).trim();
-  if(!str) return '';
-  const parsed = dayjs(str);
-  if(parsed.isValid()) return parsed.format('YYYY-MM-DD');
-  const alt = dayjs(new Date(str));
-  return alt.isValid() ? alt.format('YYYY-MM-DD') : str;
-}
-
-function parseBatchFile(file){
-  if(!file) throw new Error('缺少檔案');
-  const ext = path.extname(file.originalname || '').toLowerCase();
-  let rows = [];
-  if(ext === '.csv'){
-    const text = file.buffer.toString('utf8');
-    rows = Papa.parse(text, { skipEmptyLines:false }).data;
-  }else{
-    const wb = XLSX.read(file.buffer, { type:'buffer' });
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    rows = XLSX.utils.sheet_to_json(ws, { header:1, raw:false, defval:'' });
-  }
-  const tasks = [];
-  for (const row of rows){
-    if(!row || !row.length) continue;
-    const ticker = String(row[0] ?? '').trim();
-    const date = normalizeDate(row[1]);
-    const model = String(row[2] ?? '').trim();
-    if(/^(ticker|symbol)$/i.test(ticker) && /^date$/i.test(String(row[1] || ''))) continue;
-    if(!ticker && !date) break;
-    if(!ticker || !date) continue;
-    tasks.push({ ticker, date, model });
-  }
-  return tasks;
+// lang 未指定時用 DEFAULT_LANG；指定了但不支援就回 400，不默默退回中文
+function isAcceptedLang(raw){
+  return raw == null || raw === '' || Boolean(normalizeLang(raw));
 }
 
 app.post('/api/analyze', async (req,res)=>{
-  const { ticker, date, model, analysis_model, mode } = req.body||{};
+  const { ticker, date, model, analysis_model, mode, prompt_version, lang: rawLang } = req.body||{};
   if(!ticker||!date) return res.status(400).json({error:'ticker and date required'});
+  if(prompt_version && !hasPrompt('analysis', prompt_version)){
+    return res.status(400).json({ error:`unknown prompt_version: ${prompt_version}` });
+  }
+  if(!isAcceptedLang(rawLang)){
+    return res.status(400).json({ error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` });
+  }
+  const normalizedDate = normalizeDate(date);
+  if(!normalizedDate) return res.status(400).json({ error:'invalid date' });
+  const upperTicker = String(ticker).trim().toUpperCase();
+  const promptVersion = prompt_version || undefined;
+  const lang = resolveLang(rawLang);
   const resolvedModel = resolveModelName(analysis_model || model);
   const modeKey = String(mode || '').toLowerCase();
   const preferCacheOnly = modeKey === 'cached-only';
   const deferredMode = modeKey === 'deferred';
   const skipLlm = modeKey === 'metrics-only' || deferredMode;
   try{
-    const result = await performAnalysis(ticker, date, { model: resolvedModel, preferCacheOnly, skipLlm });
-    res.json(result);
-    if(deferredMode){
-      enqueueJob(()=>performAnalysis(ticker, date, { model: resolvedModel, preferCacheOnly:false, skipLlm:false }))
-        .catch(err=>console.warn('[deferred] background LLM failed', err.message));
-    }
+    const caller = requestCaller(req);
+    const result = await performAnalysis(upperTicker, normalizedDate, { model: resolvedModel, preferCacheOnly, skipLlm, promptVersion, lang, caller });
+    if(!deferredMode) return res.json(result);
+    const job = createJob({ kind:'analysis', params:{ ticker: upperTicker, date: normalizedDate, model: resolvedModel, mode:'full', prompt_version: promptVersion, lang, caller } });
+    scheduleJob(job);
+    res.json({ ...result, deferred_job:{ id: job.id, status: job.status, status_url: `/api/jobs/${job.id}` } });
   }catch(err){
     if(err.message === 'cache_miss'){
       return res.status(409).json({ error:'cached result unavailable' });
@@ -2443,161 +2959,1260 @@ app.post('/api/analyze', async (req,res)=>{
   }
 });
 
-app.post('/api/reset-cache', async (req,res)=>{
-  const { ticker, date, model, analysis_model } = req.body || {};
-  if(!ticker || !date) return res.status(400).json({ error:'ticker and date required' });
-  const normalizedDate = normalizeDate(date);
-  if(!normalizedDate || !dayjs(normalizedDate).isValid()){
-    return res.status(400).json({ error:'invalid date' });
+// 同一份 payload 跑兩個 prompt 版本並排比較；只給一個版本時與預設版本比
+app.post('/api/analyze/ab', async (req,res)=>{
+  const { ticker, date, model, analysis_model, prompt_versions, lang: rawLang } = req.body||{};
+  if(!ticker||!date) return res.status(400).json({error:'ticker and date required'});
+  if(!isAcceptedLang(rawLang)){
+    return res.status(400).json({ error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` });
   }
-  const upperTicker = ticker.toUpperCase();
+  const versions = (Array.isArray(prompt_versions) ? prompt_versions : String(prompt_versions || '').split(','))
+    .map(v=>String(v || '').trim())
+    .filter(Boolean);
+  if(versions.length === 1) versions.unshift(getDefaultPromptVersion('analysis'));
+  if(versions.length !== 2) return res.status(400).json({ error:'prompt_versions must list one or two versions' });
+  if(versions[0] === versions[1]) return res.status(400).json({ error:'prompt_versions must differ' });
+  const unknown = versions.filter(v=>!hasPrompt('analysis', v));
+  if(unknown.length) return res.status(400).json({ error:`unknown prompt_version: ${unknown.join(', ')}` });
   const resolvedModel = resolveModelName(analysis_model || model);
-  const variants = new Set([resolvedModel, `${resolvedModel}__full`, `${resolvedModel}__metrics`]);
-  for(const variant of variants){
-    deleteAnalysis({ ticker: upperTicker, baselineDate: normalizedDate, model: variant });
-  }
-  const clearedExact = clearCacheForTicker({ ticker: upperTicker, baselineDate: normalizedDate });
-  const clearedAll = clearCacheForTicker({ ticker: upperTicker, includeAllDates: true });
-  res.json({ ok:true, cleared_cache_files: clearedExact + clearedAll });
-});
-
-app.post('/api/batch', upload.single('file'), async (req,res)=>{
   try{
-    const batchMode = String(req.query.mode || '').toLowerCase();
-    const preferCacheOnly = batchMode === 'cached-only';
-    const deferredMode = batchMode === 'deferred';
-    const skipLlm = batchMode === 'metrics-only' || deferredMode;
-    const concurrencyLimit = resolveBatchConcurrency(batchMode);
-    const tasks = parseBatchFile(req.file);
-    if(!tasks.length) return res.status(400).json({error:'檔案內沒有有效的 ticker/date 列'});
-    await prefetchBatchQuotes(
-      tasks
-        .filter(task=>!dayjs(task.date).isBefore(dayjs(), 'day'))
-        .map(task=>task.ticker)
-    );
-    const memo = new Map();
-    const rows = await mapWithConcurrency(tasks, concurrencyLimit, async (task)=>{
-      const resolvedModel = resolveModelName(task.model);
-      const key = `${task.ticker.toUpperCase()}__${task.date}__${resolvedModel}__${batchMode}`;
-      if(!memo.has(key)){
-        memo.set(key, (async ()=>{
-          try{
-            const result = await performAnalysis(task.ticker, task.date, {
-              model: resolvedModel,
-              preferCacheOnly: preferCacheOnly && !skipLlm,
-              skipLlm
-            });
-            if(deferredMode){
-              enqueueJob(()=>performAnalysis(task.ticker, task.date, {
-                model: resolvedModel,
-                preferCacheOnly:false,
-                skipLlm:false
-              })).catch(err=>console.warn('[batch deferred]', err.message));
-            }
-            return { ok:true, result };
-          }catch(error){
-            return { ok:false, error };
-          }
-        })());
-      }
-      const outcome = await memo.get(key);
-      if(!outcome.ok){
-        const errMessage = outcome.error?.message === 'cache_miss'
-          ? 'CACHE_ONLY：無可用快取'
-          : outcome.error?.message;
-        return {
-          ticker: task.ticker.toUpperCase(),
-          date: task.date,
-          model: resolvedModel,
-          current_price: '',
-          llm_target_price: '',
-          recommendation: `ERROR: ${errMessage}`,
-          segment: '',
-          quality_score: '',
-          news_sentiment: '',
-          momentum_score: '',
-          trend_flag: '',
-          institutional_signal: ''
-        };
+    const result = await performAnalysis(ticker, date, { model: resolvedModel, promptVersion: versions[0], abPromptVersion: versions[1], lang: resolveLang(rawLang), caller: requestCaller(req) });
+    // A 沒有結果（預算降級成 metrics-only 或主分析失敗）時比較根本沒跑，明確回錯而不是回空的 a / b
+    if(!result.prompt_ab){
+      if(result.budget){
+        return res.status(409).json({ error:'prompt comparison skipped: LLM budget exceeded', code: LLM_BUDGET_ERROR, budget: result.budget });
       }
-      const result = outcome.result;
-      const summary = result.fetched?.finnhub_summary || {};
-      const profile = result.analysis?.profile;
-      const newsSent = result.news?.sentiment;
-      const momentum = result.momentum || {};
-      const institutional = result.institutional;
-      const earningsCall = result.earnings_call;
-      const analystSignals = result.analyst_signals;
-      const analystMetrics = result.analyst_metrics || buildAnalystMetrics(analystSignals);
-      const ptSummary = analystSignals?.price_target_summary;
-      const ratingSnapshot = analystSignals?.ratings?.snapshot;
-      const gradeConsensus = analystSignals?.grades?.consensus;
-      const recentAvgTarget = analystMetrics?.price_targets?.recent_avg ?? ptSummary?.last_month?.avg ?? '';
-      const gradesDiff = analystMetrics?.grades?.diff_90d ?? '';
-      const ratingTrendArrow = analystMetrics?.rating
-        ? [analystMetrics.rating.latest || '', analystMetrics.rating.trend_arrow || ''].filter(Boolean).join(' ')
-        : (analystSignals?.ratings?.trend || '');
-      return {
-        ticker: result.input.ticker,
-        date: task.date,
-        model: resolvedModel,
-        current_price: summary.quote?.c ?? '',
-        llm_target_price: result.analysis?.action?.target_price ?? '',
-        recommendation: deferredMode ? 'DEFERRED' : (result.analysis?.action?.rating ?? ''),
-        segment: profile?.segment_label || profile?.segment || '',
-        quality_score: profile?.score ?? '',
-        news_sentiment: newsSent?.sentiment_label || '',
-        momentum_score: momentum.score ?? '',
-        trend_flag: momentum.trend || '',
-        institutional_signal: institutional?.signal?.label || institutional?.summary || '',
-        pt_recent_month_avg: ptSummary?.last_month?.avg ?? '',
-        pt_recent_quarter_avg: ptSummary?.last_quarter?.avg ?? '',
-        analyst_rating: ratingSnapshot?.rating || '',
-        analyst_rating_trend: analystSignals?.ratings?.trend || '',
-        analyst_grade_consensus: gradeConsensus?.consensus || '',
-        recent_avg_target: recentAvgTarget ?? '',
-        grades_diff: gradesDiff ?? '',
-        rating_trend: ratingTrendArrow || ''
-      };
-    });
-    const fields = ['ticker','date','model','current_price','llm_target_price','recommendation','segment','quality_score','news_sentiment','momentum_score','trend_flag','institutional_signal','pt_recent_month_avg','pt_recent_quarter_avg','analyst_rating','analyst_rating_trend','analyst_grade_consensus','recent_avg_target','grades_diff','rating_trend'];
-    const csv = Papa.unparse({
-      fields,
-      data: rows.map(r=>fields.map(f=>r[f]))
+      return res.status(502).json({ error:`prompt comparison unavailable: no analysis for ${versions[0]}` });
+    }
+    res.json({
+      input: result.input,
+      analysis_model: result.analysis_model,
+      lang: result.lang,
+      price_meta: result.fetched?.finnhub_summary?.price_meta || null,
+      ...result.prompt_ab
     });
-    res.setHeader('Content-Type','text/csv');
-    res.setHeader('Content-Disposition','attachment; filename="batch_results.csv"');
-    res.send(csv);
   }catch(err){
     return errRes(res, err);
   }
 });
 
-// 自我測試
-app.get('/selftest', async (req,res)=>{
+app.get('/api/prompts', (req,res)=>{
+  res.json({
+    analysis:{ default: getDefaultPromptVersion('analysis'), versions: listPrompts('analysis') }
+  });
+});
+
+const SERIES_FREQUENCIES = ['weekly','monthly','quarter-end','filing-dates'];
+
+function rollBackToWeekday(date){
+  if(date.day() === 6) return date.subtract(1, 'day');
+  if(date.day() === 0) return date.subtract(2, 'day');
+  return date;
+}
+
+function buildSeriesDates({ start, end, frequency, filings=[] }){
+  const first = dayjs(start);
+  const last = dayjs(end);
+  const dates = [];
+  if(frequency === 'filing-dates'){
+    filings.forEach(f=>{
+      const d = dayjs(f.filingDate);
+      if(!d.isBefore(first, 'day') && !d.isAfter(last, 'day')) dates.push(d.format('YYYY-MM-DD'));
+    });
+  }else if(frequency === 'weekly'){
+    // 每週五，第一個點落在 start 當週或之後
+    let cursor = first.day() <= 5 ? first.add(5 - first.day(), 'day') : first.add(6, 'day');
+    while(!cursor.isAfter(last, 'day')){
+      dates.push(cursor.format('YYYY-MM-DD'));
+      cursor = cursor.add(1, 'week');
+    }
+  }else{
+    const step = frequency === 'quarter-end' ? 3 : 1;
+    let cursor = first.endOf('month');
+    if(step === 3){
+      while(cursor.month() % 3 !== 2) cursor = cursor.add(1, 'month').endOf('month');
+    }
+    while(!cursor.isAfter(last, 'day')){
+      dates.push(rollBackToWeekday(cursor).format('YYYY-MM-DD'));
+      cursor = cursor.add(step, 'month').endOf('month');
+    }
+  }
+  return Array.from(new Set(dates)).sort();
+}
+
+function summarizeSeriesPoint(date, result){
+  const action = result.analysis?.action || {};
+  const priceMeta = result.fetched?.finnhub_summary?.price_meta;
+  return {
+    date,
+    price: priceMeta?.value ?? result.fetched?.finnhub_summary?.quote?.c ?? null,
+    rating: action.rating || null,
+    target_price: Number.isFinite(Number(action.target_price)) ? Number(action.target_price) : null,
+    confidence: action.confidence || null,
+    momentum_score: result.momentum?.score ?? null,
+    trend: result.momentum?.trend || null,
+    quality_score: result.analysis?.profile?.score ?? null,
+    // 序列與批次輸出用語言無關的代碼（positive / neutral / negative），顯示文字另放 *_label
+    news_sentiment: result.news?.sentiment?.sentiment || normalizeSentiment(result.news?.sentiment?.sentiment_label) || null,
+    news_sentiment_label: result.news?.sentiment?.sentiment_label || null,
+    error: null
+  };
+}
+
+// 各基準日共用：一次 SEC submissions、一次日線、一次分析師彙整；每完成一個點回報一次進度
+async function runSeries({ ticker, start, end, frequency, model, mode, prompt_version, lang, caller }, { signal, onProgress }={}){
+  const offlineSec = await getSecFilings(ticker);
+  const cik = offlineSec?.cik || await getCIK(ticker, UA, SEC_KEY);
+  const [submissions, dailySeries] = await Promise.all([
+    offlineSec?.submissions || getSubmissions(cik, UA, SEC_KEY),
+    fetchDailySeries(ticker).catch(err=>{
+      console.warn('[series] daily series failed', err.message);
+      return null;
+    })
+  ]);
+  const cappedEnd = dayjs(end).isAfter(dayjs(), 'day') ? dayjs().format('YYYY-MM-DD') : end;
+  const dates = buildSeriesDates({
+    start,
+    end: cappedEnd,
+    frequency,
+    filings: frequency === 'filing-dates' ? listSupportedFilings(submissions) : []
+  });
+  if(!dates.length) throw Object.assign(new Error('no baseline dates in range'), { retryable:false });
+  if(dates.length > SERIES_MAX_POINTS){
+    throw Object.assign(new Error(`too many points (${dates.length}); max ${SERIES_MAX_POINTS}`), { retryable:false });
+  }
+  const companyFacts = offlineSec?.companyfacts ? compactCompanyFacts(offlineSec.companyfacts, 'fixture') : null;
+  const shared = { cik, submissions, dailySeries, companyFacts, secOffline: Boolean(offlineSec), mda: offlineSec ? offlineSec.mda || {} : null, exhibits: offlineSec ? offlineSec.exhibits || {} : null, form4: offlineSec ? offlineSec.form4 || {} : null, submissionPages: offlineSec ? offlineSec.submission_pages || {} : null, analystSignals:null };
+  let done = 0;
+  const points = await mapWithConcurrency(dates, resolveBatchConcurrency(mode), async (date)=>{
+    throwIfAborted(signal);
+    try{
+      const result = await performAnalysis(ticker, date, {
+        model,
+        preferCacheOnly: mode === 'cached-only',
+        skipLlm: mode === 'metrics-only',
+        promptVersion: prompt_version || undefined,
+        lang,
+        shared,
+        caller,
+        signal
+      });
+      return summarizeSeriesPoint(date, result);
+    }catch(err){
+      if(signal?.aborted) throw err;
+      const message = err.message === 'cache_miss' ? 'cached result unavailable' : err.message;
+      return { date, error: message };
+    }finally{
+      done += 1;
+      onProgress?.({ stage:`point ${done}/${dates.length}`, progress: done / dates.length });
+    }
+  });
+  const fields = ['price','rating','target_price','momentum_score','quality_score','news_sentiment'];
+  const series = { dates };
+  fields.forEach(field=>{
+    series[field] = points.map(point=>point[field] ?? null);
+  });
+  return {
+    ticker,
+    start,
+    end: cappedEnd,
+    frequency,
+    mode,
+    model,
+    prompt_version: prompt_version || getDefaultPromptVersion('analysis'),
+    lang,
+    points,
+    series
+  };
+}
+
+// 最多 SERIES_MAX_POINTS 次完整分析，改走任務佇列：立即回 202 與任務 id，進度與結果用 /api/jobs/:id 查詢
+app.post('/api/analyze/series', (req,res)=>{
+  const { ticker, start, end, frequency, model, analysis_model, mode, prompt_version, lang } = req.body || {};
+  if(!ticker || !start) return res.status(400).json({ error:'ticker and start required' });
+  const startDate = normalizeDate(start);
+  const endDate = normalizeDate(end || dayjs().format('YYYY-MM-DD'));
+  if(!dayjs(startDate).isValid() || !dayjs(endDate).isValid() || dayjs(startDate).isAfter(dayjs(endDate))){
+    return res.status(400).json({ error:'invalid start / end' });
+  }
+  const freq = String(frequency || 'monthly').toLowerCase();
+  if(!SERIES_FREQUENCIES.includes(freq)){
+    return res.status(400).json({ error:`frequency must be one of ${SERIES_FREQUENCIES.join(', ')}` });
+  }
+  const modeKey = String(mode || 'full').toLowerCase();
+  if(!JOB_MODES.has(modeKey)){
+    return res.status(400).json({ error:`mode must be one of ${Array.from(JOB_MODES).join(', ')}` });
+  }
+  if(prompt_version && !hasPrompt('analysis', prompt_version)){
+    return res.status(400).json({ error:`unknown prompt_version: ${prompt_version}` });
+  }
+  if(!isAcceptedLang(lang)){
+    return res.status(400).json({ error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` });
+  }
+  // 日期不依賴申報資料的頻率先算點數，超過上限直接 400，不排進佇列
+  if(freq !== 'filing-dates'){
+    const count = buildSeriesDates({ start: startDate, end: endDate, frequency: freq }).length;
+    if(!count) return res.status(400).json({ error:'no baseline dates in range' });
+    if(count > SERIES_MAX_POINTS) return res.status(400).json({ error:`too many points (${count}); max ${SERIES_MAX_POINTS}` });
+  }
   try{
-    const t='NVDA'; const d=dayjs().format('YYYY-MM-DD');
-    const r = await fetch(`http://localhost:${PORT}/api/analyze`,{
-      method:'POST', headers:{'Content-Type':'application/json'},
-      body: JSON.stringify({ticker:t, date:d})
+    const job = createJob({
+      kind:'series',
+      params:{
+        ticker: String(ticker).trim().toUpperCase(),
+        start: startDate,
+        end: endDate,
+        frequency: freq,
+        model: resolveModelName(analysis_model || model),
+        mode: modeKey,
+        prompt_version: prompt_version || undefined,
+        lang: resolveLang(lang),
+        caller: requestCaller(req)
+      }
     });
-    const j = await r.json();
-    return res.status(r.status).json(j);
-  }catch(err){ return errRes(res, err); }
+    scheduleJob(job);
+    res.status(202).json(serializeJob(job));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+// SSE：每個子流程開始、命中快取、失敗或完成時推送一筆 stage 事件，最後送出 result 或 analysis_error
+app.get('/api/analyze/stream', async (req,res)=>{
+  const { ticker, date, model, analysis_model, mode, lang: rawLang } = req.query || {};
+  if(!ticker || !date) return res.status(400).json({ error:'ticker and date required' });
+  if(!isAcceptedLang(rawLang)){
+    return res.status(400).json({ error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` });
+  }
+  const modeKey = String(mode || 'full').toLowerCase();
+  if(!JOB_MODES.has(modeKey)){
+    return res.status(400).json({ error:`mode must be one of ${Array.from(JOB_MODES).join(', ')}` });
+  }
+  res.set({
+    'Content-Type':'text/event-stream',
+    'Cache-Control':'no-cache',
+    Connection:'keep-alive',
+    'X-Accel-Buffering':'no'
+  });
+  res.flushHeaders();
+  const send = (event, data)=>{
+    if(res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const controller = new AbortController();
+  const heartbeat = setInterval(()=>{
+    if(!res.writableEnded) res.write(': ping\n\n');
+  }, 15000);
+  res.on('close', ()=>{
+    clearInterval(heartbeat);
+    if(!res.writableFinished) controller.abort();
+  });
+  try{
+    const result = await performAnalysis(ticker, date, {
+      model: resolveModelName(analysis_model || model),
+      preferCacheOnly: modeKey === 'cached-only',
+      skipLlm: modeKey === 'metrics-only',
+      lang: resolveLang(rawLang),
+      caller: requestCaller(req),
+      signal: controller.signal,
+      onStage: event=>send('stage', event)
+    });
+    send('result', result);
+  }catch(err){
+    if(!controller.signal.aborted){
+      const message = err.message === 'cache_miss' ? 'cached result unavailable' : err.message;
+      console.warn('[stream] analysis failed', ticker, message);
+      send('analysis_error', { error: message });
+    }
+  }finally{
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+function serializeJob(job){
+  if(!job) return null;
+  const payload = { ...job, status_url: `/api/jobs/${job.id}` };
+  if(job.status !== 'completed') delete payload.result;
+  return payload;
+}
+
+// 單次分析走 interactive；序列一次跑多個基準日，放 batch lane 才不會卡住使用者的單次分析
+const JOB_QUEUE_LANES = { analysis:'interactive', series:'batch' };
+
+function scheduleJob(job){
+  try{
+    enqueueJob({ kind: job.kind, payload:{ jobId: job.id }, lane: JOB_QUEUE_LANES[job.kind] || 'interactive', dedupeKey:`${job.kind}:${job.id}` });
+  }catch(err){
+    console.warn('[jobs] enqueue failed', job.id, err.message);
+  }
+}
+
+function runJobTask(job, signal, onProgress){
+  const { ticker, date, model, mode, prompt_version, lang, caller } = job.params;
+  if(job.kind === 'series') return runSeries(job.params, { signal, onProgress });
+  return performAnalysis(ticker, date, {
+    model,
+    preferCacheOnly: mode === 'cached-only',
+    skipLlm: mode === 'metrics-only',
+    promptVersion: prompt_version || undefined,
+    lang,
+    caller,
+    signal,
+    onProgress
+  });
+}
+
+async function runAnalysisJob(jobId, { attempt=1, maxAttempts=1 }={}){
+  const job = getJob(jobId, { includeResult:false });
+  if(!job || job.status !== 'queued') return;
+  const controller = new AbortController();
+  runningJobControllers.set(jobId, controller);
+  updateJob(jobId, { status:'running', stage:'started', progress:0, started_at: Date.now() });
+  try{
+    const result = await runJobTask(job, controller.signal, ({ stage, progress })=> updateJob(jobId, { stage, progress }));
+    updateJob(jobId, { status:'completed', stage:'done', progress:1, result, finished_at: Date.now() });
+  }catch(err){
+    if(controller.signal.aborted) return;
+    const cacheMiss = err.message === 'cache_miss';
+    const message = cacheMiss ? 'cached result unavailable' : err.message;
+    if(!cacheMiss && err.retryable !== false && attempt < maxAttempts){
+      // 交回佇列依退避時間重試，任務狀態回到 queued 讓下一次執行能接手
+      updateJob(jobId, { status:'queued', stage:'retry_wait', progress:0, error: message });
+      throw err;
+    }
+    updateJob(jobId, { status:'failed', error: message, finished_at: Date.now() });
+    if(cacheMiss) err.retryable = false;
+    throw err;
+  }finally{
+    runningJobControllers.delete(jobId);
+  }
+}
+
+// 背景重算（批次延後 LLM、預熱）：只為了把結果寫進快取與資料庫
+async function runRefreshAnalysis({ ticker, date, model, skipLlm=false, caller=SCHEDULER_CALLER }, { lane }={}){
+  await performAnalysis(ticker, date, {
+    model: resolveModelName(model),
+    skipLlm,
+    caller,
+    notifySource: lane === 'prewarm' ? 'prewarm' : 'batch'
+  });
+}
+
+registerJobHandler('analysis', ({ jobId }, ctx)=>runAnalysisJob(jobId, ctx));
+registerJobHandler('series', ({ jobId }, ctx)=>runAnalysisJob(jobId, ctx));
+registerJobHandler('refresh_analysis', runRefreshAnalysis);
+
+function resumePendingJobs(){
+  const pending = listUnfinishedJobs();
+  for(const job of pending){
+    // 重啟前執行到一半的任務重新排隊，從頭跑一次（各資料源皆有快取）
+    if(job.status === 'running'){
+      updateJob(job.id, { status:'queued', stage:'requeued', progress:0 });
+    }
+    scheduleJob(job);
+  }
+  if(pending.length) console.log(`[jobs] resumed ${pending.length} pending jobs`);
+  resumePendingBatches();
+  startQueue({ retentionMs: JOB_RETENTION_MS });
+}
+
+app.post('/api/jobs', (req,res)=>{
+  const { ticker, date, model, analysis_model, mode, prompt_version, lang } = req.body || {};
+  if(!ticker || !date) return res.status(400).json({ error:'ticker and date required' });
+  if(prompt_version && !hasPrompt('analysis', prompt_version)){
+    return res.status(400).json({ error:`unknown prompt_version: ${prompt_version}` });
+  }
+  if(!isAcceptedLang(lang)){
+    return res.status(400).json({ error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` });
+  }
+  const normalizedDate = normalizeDate(date);
+  if(!normalizedDate || !dayjs(normalizedDate).isValid()){
+    return res.status(400).json({ error:'invalid date' });
+  }
+  const modeKey = String(mode || 'full').toLowerCase();
+  if(!JOB_MODES.has(modeKey)){
+    return res.status(400).json({ error:`mode must be one of ${Array.from(JOB_MODES).join(', ')}` });
+  }
+  try{
+    const job = createJob({
+      kind:'analysis',
+      params:{
+        ticker: String(ticker).trim().toUpperCase(),
+        date: normalizedDate,
+        model: resolveModelName(analysis_model || model),
+        mode: modeKey,
+        prompt_version: prompt_version || undefined,
+        lang: resolveLang(lang),
+        caller: requestCaller(req)
+      }
+    });
+    scheduleJob(job);
+    res.status(202).json(serializeJob(job));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/providers', (req,res)=>{
+  res.json({ providers: listProviders(), chains: describeChains() });
+});
+
+// 前端下拉選單與外部工具用；remote=true 時另向 LLM 端點查詢實際可用的模型
+app.get('/api/models', async (req,res)=>{
+  const body = {
+    primary: OPENAI_MODEL,
+    secondary: OPENAI_SECONDARY_MODEL,
+    models: PRIMARY_MODEL_LIST,
+    vendors: describeLlmVendors(),
+    langs: SUPPORTED_LANGS,
+    default_lang: DEFAULT_LANG,
+    // 每個任務實際會用的模型（LLM_ROUTE_<TASK> 覆寫後）；analysis 為請求未指定模型時的預設
+    routes: Object.fromEntries(LLM_TASKS.map(task=>{
+      if(task === 'analysis') return [task, OPENAI_MODEL];
+      if(task === 'json_repair') return [task, getRepairModel()];
+      return [task, resolveTaskModel(task, OPENAI_SECONDARY_MODEL)];
+    }))
+  };
+  // 各模型會用的輸出格式（json_schema / json_object）與 seed 支援
+  body.capabilities = describeModelCapabilities([...new Set([...PRIMARY_MODEL_LIST, OPENAI_SECONDARY_MODEL, ...Object.values(body.routes)])]);
+  if(String(req.query.remote || '').toLowerCase() === 'true'){
+    try{
+      body.remote = await listRemoteModels(OPENAI_KEY);
+    }catch(err){
+      body.remote = null;
+      body.remote_error = err.message;
+    }
+  }
+  res.json(body);
+});
+
+app.get('/api/http-replay', (req,res)=>{
+  res.json(getHttpReplayStats());
+});
+
+// from / to 為 YYYY-MM-DD（含頭尾，預設本月 1 日到今天）；caller 只能查自己的代號（由 X-API-Key 決定）
+app.get('/api/usage', (req,res)=>{
+  const from = req.query.from ? dayjs(String(req.query.from)) : dayjs().startOf('month');
+  const to = req.query.to ? dayjs(String(req.query.to)) : dayjs();
+  if(!from.isValid() || !to.isValid()) return res.status(400).json({ error:'invalid from/to date' });
+  if(from.isAfter(to, 'day')) return res.status(400).json({ error:'from must not be after to' });
+  const caller = req.query.caller ? String(req.query.caller).trim() : null;
+  const self = requestCaller(req);
+  if(caller && caller !== self) return res.status(403).json({ error:'caller must match your own API key' });
+  try{
+    const range = { from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') };
+    res.json({
+      ...range,
+      caller,
+      ...getUsageSummary({ ...range, caller }),
+      budget: getBudgetStatus(self)
+    });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/queue', (req,res)=>{
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  try{
+    res.json(getQueueSnapshot({ limit }));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/jobs/:id', (req,res)=>{
+  const job = getJob(req.params.id);
+  if(!job) return res.status(404).json({ error:'job not found' });
+  res.json(serializeJob(job));
+});
+
+app.delete('/api/jobs/:id', (req,res)=>{
+  const job = getJob(req.params.id, { includeResult:false });
+  if(!job) return res.status(404).json({ error:'job not found' });
+  if(isFinalJobStatus(job.status)){
+    return res.status(409).json({ error:`job already ${job.status}` });
+  }
+  const updated = updateJob(job.id, { status:'cancelled', finished_at: Date.now() });
+  runningJobControllers.get(job.id)?.abort();
+  res.json(serializeJob(updated));
+});
+
+app.post('/api/reset-cache', async (req,res)=>{
+  const { ticker, date, model, analysis_model } = req.body || {};
+  if(!ticker || !date) return res.status(400).json({ error:'ticker and date required' });
+  const normalizedDate = normalizeDate(date);
+  if(!normalizedDate || !dayjs(normalizedDate).isValid()){
+    return res.status(400).json({ error:'invalid date' });
+  }
+  const upperTicker = ticker.toUpperCase();
+  const resolvedModel = resolveModelName(analysis_model || model);
+  const variants = new Set([resolvedModel]);
+  // 非預設 prompt 版本的結果另存在 <model>__full__<version>，各版本與語言都要清
+  const promptVersions = listPrompts('analysis').map(item=>item.version);
+  SUPPORTED_LANGS.map(langCacheSuffix).forEach(suffix=>{
+    variants.add(`${resolvedModel}__full${suffix}`);
+    variants.add(`${resolvedModel}__metrics${suffix}`);
+    promptVersions.forEach(version=>variants.add(`${resolvedModel}__full__${version}${suffix}`));
+  });
+  for(const variant of variants){
+    deleteAnalysis({ ticker: upperTicker, baselineDate: normalizedDate, model: variant });
+  }
+  const clearedExact = clearCacheForTicker({ ticker: upperTicker, baselineDate: normalizedDate });
+  const clearedAll = clearCacheForTicker({ ticker: upperTicker, includeAllDates: true });
+  res.json({ ok:true, cleared_cache_files: clearedExact + clearedAll });
+});
+
+app.get('/api/tickers/:ticker/history', (req,res)=>{
+  const ticker = String(req.params.ticker || '').trim().toUpperCase();
+  if(!ticker) return res.status(400).json({ error:'ticker required' });
+  let date = null;
+  if(req.query.date){
+    date = normalizeDate(req.query.date);
+    if(!dayjs(date).isValid()) return res.status(400).json({ error:'invalid date' });
+  }
+  const limit = req.query.limit ? Math.min(500, Math.max(1, Number(req.query.limit) || 50)) : null;
+  const changesOnly = req.query.changes_only === 'true';
+  try{
+    const entries = getTickerHistory(ticker, { date, changesOnly, limit });
+    res.json({ ticker, date, changes_only: changesOnly, count: entries.length, entries });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+function buildBatchErrorRow(task, model, message){
+  return {
+    ticker: task.ticker.toUpperCase(),
+    date: task.date,
+    model,
+    current_price: '',
+    llm_target_price: '',
+    recommendation: `ERROR: ${message}`,
+    segment: '',
+    quality_score: '',
+    news_sentiment: '',
+    news_sentiment_label: '',
+    momentum_score: '',
+    trend_flag: '',
+    institutional_signal: ''
+  };
+}
+
+function buildBatchSummaryRow(task, model, result, { deferredMode=false }={}){
+  const summary = result.fetched?.finnhub_summary || {};
+  const profile = result.analysis?.profile;
+  const newsSent = result.news?.sentiment;
+  const momentum = result.momentum || {};
+  const institutional = result.institutional;
+  const analystSignals = result.analyst_signals;
+  const analystMetrics = result.analyst_metrics || buildAnalystMetrics(analystSignals);
+  const ptSummary = analystSignals?.price_target_summary;
+  const ratingSnapshot = analystSignals?.ratings?.snapshot;
+  const gradeConsensus = analystSignals?.grades?.consensus;
+  const recentAvgTarget = analystMetrics?.price_targets?.recent_avg ?? ptSummary?.last_month?.avg ?? '';
+  const gradesDiff = analystMetrics?.grades?.diff_90d ?? '';
+  const ratingTrendArrow = analystMetrics?.rating
+    ? [analystMetrics.rating.latest || '', analystMetrics.rating.trend_arrow || ''].filter(Boolean).join(' ')
+    : (analystSignals?.ratings?.trend || '');
+  return {
+    ticker: result.input.ticker,
+    date: task.date,
+    model,
+    current_price: summary.quote?.c ?? '',
+    llm_target_price: result.analysis?.action?.target_price ?? '',
+    recommendation: deferredMode ? 'DEFERRED' : (result.analysis?.action?.rating ?? ''),
+    segment: profile?.segment_label || profile?.segment || '',
+    quality_score: profile?.score ?? '',
+    news_sentiment: newsSent?.sentiment || normalizeSentiment(newsSent?.sentiment_label) || '',
+    news_sentiment_label: newsSent?.sentiment_label || '',
+    momentum_score: momentum.score ?? '',
+    trend_flag: momentum.trend || '',
+    institutional_signal: institutional?.signal?.label || institutional?.summary || '',
+    pt_recent_month_avg: ptSummary?.last_month?.avg ?? '',
+    pt_recent_quarter_avg: ptSummary?.last_quarter?.avg ?? '',
+    analyst_rating: ratingSnapshot?.rating || '',
+    analyst_rating_trend: analystSignals?.ratings?.trend || '',
+    analyst_grade_consensus: gradeConsensus?.consensus || '',
+    recent_avg_target: recentAvgTarget ?? '',
+    grades_diff: gradesDiff ?? '',
+    rating_trend: ratingTrendArrow || ''
+  };
+}
+
+function serializeBatch(batch){
+  if(!batch) return null;
+  const base = `/api/batch/${batch.id}`;
+  return {
+    ...batch,
+    status_url: base,
+    result_url: `${base}/result.${batch.format}`,
+    results:{
+      csv: `${base}/result.csv`,
+      xlsx: `${base}/result.xlsx`,
+      json: `${base}/result.json`
+    }
+  };
+}
+
+function scheduleBatchJob(batchId){
+  try{
+    enqueueJob({ kind:'batch', payload:{ batchId }, lane:'batch', dedupeKey:`batch:${batchId}` });
+  }catch(err){
+    console.warn('[batch] enqueue failed', batchId, err.message);
+  }
+}
+
+async function runBatchJob(batchId, { attempt=1, maxAttempts=1 }={}){
+  const batch = getBatch(batchId);
+  if(!batch || !['queued','running'].includes(batch.status)) return;
+  const batchMode = batch.mode;
+  updateBatch(batchId, { status:'running', error:null, started_at: batch.started_at || Date.now() });
+  try{
+    const tasks = claimPendingRows(batchId);
+    await prefetchBatchQuotes(
+      tasks
+        .filter(task=>!dayjs(task.date).isBefore(dayjs(), 'day'))
+        .map(task=>task.ticker)
+    );
+    const memo = new Map();
+    await mapWithConcurrency(tasks, resolveBatchConcurrency(batchMode), async (task)=>{
+      const resolvedModel = resolveModelName(task.model);
+      const rowMode = task.mode || batchMode;
+      const preferCacheOnly = rowMode === 'cached-only';
+      const deferredMode = rowMode === 'deferred';
+      const skipLlm = rowMode === 'metrics-only' || deferredMode;
+      const key = `${task.ticker.toUpperCase()}__${task.date}__${resolvedModel}__${rowMode}`;
+      updateBatchRow(batchId, task.row_index, { status:'running' });
+      if(!memo.has(key)){
+        memo.set(key, (async ()=>{
+          try{
+            const result = await performAnalysis(task.ticker, task.date, {
+              model: resolvedModel,
+              preferCacheOnly: preferCacheOnly && !skipLlm,
+              skipLlm,
+              lang: batch.lang || undefined,
+              caller: batch.caller || undefined,
+              notifySource:'batch'
+            });
+            if(deferredMode){
+              try{
+                enqueueJob({
+                  kind:'refresh_analysis',
+                  lane:'batch',
+                  payload:{ ticker: task.ticker, date: task.date, model: resolvedModel, caller: batch.caller || undefined },
+                  dedupeKey:`refresh:${task.ticker.toUpperCase()}:${task.date}:${resolvedModel}`
+                });
+              }catch(err){
+                console.warn('[batch deferred]', err.message);
+              }
+            }
+            return { ok:true, result };
+          }catch(error){
+            return { ok:false, error };
+          }
+        })());
+      }
+      const outcome = await memo.get(key);
+      if(!outcome.ok){
+        const errMessage = outcome.error?.message === 'cache_miss'
+          ? 'CACHE_ONLY：無可用快取'
+          : outcome.error?.message;
+        updateBatchRow(batchId, task.row_index, {
+          status:'error',
+          summary: buildBatchErrorRow(task, resolvedModel, errMessage),
+          error: errMessage
+        });
+        return;
+      }
+      updateBatchRow(batchId, task.row_index, {
+        status:'done',
+        summary: buildBatchSummaryRow(task, resolvedModel, outcome.result, { deferredMode }),
+        detail: buildBatchDetail(outcome.result)
+      });
+    });
+    updateBatch(batchId, { status:'completed', finished_at: Date.now() });
+  }catch(err){
+    // 整批中斷時保留已完成的列，重試或手動 resume 會從第一個未完成列接續
+    const final = attempt >= maxAttempts;
+    updateBatch(batchId, final
+      ? { status:'failed', error: err.message, finished_at: Date.now() }
+      : { status:'queued', error: err.message });
+    throw err;
+  }
+}
+
+registerJobHandler('batch', ({ batchId }, ctx)=>runBatchJob(batchId, ctx));
+
+function resumePendingBatches(){
+  const pending = listUnfinishedBatchIds();
+  pending.forEach(scheduleBatchJob);
+  if(pending.length) console.log(`[batch] resumed ${pending.length} unfinished batches`);
+}
+
+app.post('/api/batch', upload.single('file'), (req,res)=>{
+  try{
+    const batchMode = String(req.query.mode || 'full').toLowerCase();
+    if(!BATCH_MODES.includes(batchMode)){
+      return res.status(400).json({ error:`mode must be one of ${BATCH_MODES.join(', ')}` });
+    }
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if(!BATCH_EXPORT_FORMATS.includes(format)){
+      return res.status(400).json({ error:`format must be one of ${BATCH_EXPORT_FORMATS.join(', ')}` });
+    }
+    if(!isAcceptedLang(req.query.lang)){
+      return res.status(400).json({ error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` });
+    }
+    const { entries, passthrough } = parseBatchFile(req.file);
+    const validationErrors = entries
+      .filter(entry=>entry.error)
+      .map(({ source_row, ticker, date, error })=>({ source_row, ticker, date, error }));
+    if(!entries.some(entry=>!entry.error)){
+      return res.status(400).json({ error:'檔案內沒有有效的 ticker/date 列', validation_errors: validationErrors });
+    }
+    const batch = createBatch({
+      mode: batchMode,
+      format,
+      filename: req.file?.originalname,
+      passthrough,
+      lang: resolveLang(req.query.lang),
+      caller: requestCaller(req),
+      entries: entries.map(entry=>entry.error
+        ? { ...entry, summary: buildBatchErrorRow(entry, entry.model || '', `第 ${entry.source_row} 列 ${entry.error}`) }
+        : entry)
+    });
+    scheduleBatchJob(batch.id);
+    res.status(202).json({ ...serializeBatch(batch), validation_errors: validationErrors });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/batch/:id', (req,res)=>{
+  const batch = getBatch(req.params.id);
+  if(!batch) return res.status(404).json({ error:'batch not found' });
+  const payload = serializeBatch(batch);
+  if(req.query.rows === 'true'){
+    payload.row_status = listBatchRows(batch.id).map(({ summary, detail, ...row })=>row);
+  }
+  res.json(payload);
+});
+
+app.post('/api/batch/:id/resume', (req,res)=>{
+  const batch = getBatch(req.params.id);
+  if(!batch) return res.status(404).json({ error:'batch not found' });
+  if(['queued','running'].includes(batch.status)){
+    return res.status(409).json({ error:'batch is still in progress' });
+  }
+  const retryErrors = req.query.retry_errors === 'true' || req.body?.retry_errors === true;
+  if(retryErrors) resetFailedRows(batch.id);
+  const refreshed = getBatch(batch.id);
+  if(!refreshed.rows.pending && !refreshed.rows.running){
+    return res.status(409).json({ error:'batch has no unfinished rows' });
+  }
+  const updated = updateBatch(batch.id, { status:'queued', error:null, finished_at:null });
+  scheduleBatchJob(batch.id);
+  res.status(202).json(serializeBatch(updated));
+});
+
+function sendBatchResult(req, res, formatOverride){
+  const batch = getBatch(req.params.id);
+  if(!batch) return res.status(404).json({ error:'batch not found' });
+  const format = String(formatOverride || req.query.format || batch.format || 'csv').toLowerCase();
+  if(!BATCH_EXPORT_FORMATS.includes(format)){
+    return res.status(400).json({ error:`format must be one of ${BATCH_EXPORT_FORMATS.join(', ')}` });
+  }
+  const base = (batch.filename || 'batch').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'batch';
+  res.setHeader('X-Batch-Status', batch.status);
+  try{
+    const rows = listBatchRows(batch.id);
+    if(format === 'json'){
+      return res.json({
+        batch: serializeBatch(batch),
+        partial: batch.status !== 'completed',
+        rows
+      });
+    }
+    if(format === 'xlsx'){
+      res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition',`attachment; filename="${base}_results.xlsx"`);
+      return res.send(buildBatchWorkbook(rows, batch.passthrough_columns));
+    }
+    res.setHeader('Content-Type','text/csv');
+    res.setHeader('Content-Disposition',`attachment; filename="${base}_results.csv"`);
+    return res.send(buildBatchCsv(rows, batch.passthrough_columns));
+  }catch(err){
+    return errRes(res, err);
+  }
+}
+
+app.get('/api/batch/:id/result', (req,res)=>sendBatchResult(req, res));
+app.get('/api/batch/:id/result.:format', (req,res)=>sendBatchResult(req, res, req.params.format));
+
+function serializeWatchlist(watchlist){
+  if(!watchlist) return null;
+  return {
+    ...watchlist,
+    changes_url: `/api/watchlists/${watchlist.id}/changes`
+  };
+}
+
+function parseWatchlistTickers(raw){
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(/[\s,]+/);
+  return Array.from(new Set(list.map(t=>String(t || '').trim().toUpperCase()).filter(Boolean)));
+}
+
+// 排程不合法或永遠不會觸發時回傳錯誤訊息
+function validateWatchlistSchedule(schedule){
+  try{
+    if(nextCronRun(parseCron(schedule)) == null) return 'schedule never fires';
+  }catch(err){
+    return err.message;
+  }
+  return null;
+}
+
+// 建立與更新共用的驗證；partial=true 時只檢查有帶的欄位
+function parseWatchlistBody(body={}, { partial=false }={}){
+  const value = {};
+  if(!partial || body.name !== undefined){
+    const name = String(body.name || '').trim();
+    if(!name) return { error:'name required' };
+    value.name = name;
+  }
+  if(!partial || body.tickers !== undefined){
+    const tickers = parseWatchlistTickers(body.tickers);
+    if(!tickers.length) return { error:'tickers required' };
+    if(tickers.length > WATCHLIST_MAX_TICKERS) return { error:`at most ${WATCHLIST_MAX_TICKERS} tickers per watchlist` };
+    const invalid = tickers.find(t=>!/^[A-Z][A-Z0-9.\-]{0,9}$/.test(t));
+    if(invalid) return { error:`invalid ticker: ${invalid}` };
+    value.tickers = tickers;
+  }
+  if(!partial || body.schedule !== undefined){
+    const schedule = String(body.schedule || WATCHLIST_DEFAULT_SCHEDULE).trim();
+    const scheduleError = validateWatchlistSchedule(schedule);
+    if(scheduleError) return { error: scheduleError };
+    value.schedule = schedule;
+  }
+  if(!partial || body.mode !== undefined){
+    const mode = String(body.mode || 'metrics-only').toLowerCase();
+    if(!WATCHLIST_MODES.includes(mode)) return { error:`mode must be one of ${WATCHLIST_MODES.join(', ')}` };
+    value.mode = mode;
+  }
+  if(!partial || body.model !== undefined || body.analysis_model !== undefined){
+    value.model = resolveModelName(body.analysis_model || body.model);
+  }
+  if(!partial || body.lang !== undefined){
+    if(!isAcceptedLang(body.lang)) return { error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` };
+    value.lang = resolveLang(body.lang);
+  }
+  if(body.enabled !== undefined) value.enabled = body.enabled !== false && body.enabled !== 'false';
+  return { value };
+}
+
+// 每個成員各排一個佇列工作；同一次執行以 runAt 區分，重複觸發會被 dedupe
+function runWatchlist(watchlist, runAt=Date.now()){
+  const date = dayjs(runAt).format('YYYY-MM-DD');
+  for(const ticker of watchlist.tickers){
+    try{
+      enqueueJob({
+        kind:'watchlist_member',
+        lane:'prewarm',
+        payload:{ watchlistId: watchlist.id, ticker, date, runAt },
+        dedupeKey:`watchlist:${watchlist.id}:${ticker}:${runAt}`
+      });
+    }catch(err){
+      console.warn('[watchlist]', watchlist.id, ticker, err.message);
+    }
+  }
+  let nextRunAt = null;
+  try{
+    nextRunAt = watchlist.enabled ? nextCronRun(watchlist.schedule, runAt) : null;
+  }catch(err){
+    console.warn('[watchlist] invalid schedule', watchlist.id, err.message);
+  }
+  markWatchlistRun(watchlist.id, { runAt, nextRunAt });
+  // 算不出下一次時間（例如舊資料的排程已不合法）時停用，GET 會看到 enabled=false，不會默默停擺
+  if(watchlist.enabled && nextRunAt == null){
+    console.warn(`[watchlist] ${watchlist.id} schedule "${watchlist.schedule}" has no next run; disabled`);
+    updateWatchlist(watchlist.id, { enabled:false });
+  }
+}
+
+async function runWatchlistMember({ watchlistId, ticker, date, runAt }, { attempt, maxAttempts }){
+  const watchlist = getWatchlist(watchlistId);
+  if(!watchlist) return;
+  try{
+    const result = await performAnalysis(ticker, date, {
+      model: watchlist.model || undefined,
+      skipLlm: watchlist.mode === 'metrics-only',
+      lang: watchlist.lang || undefined,
+      caller: SCHEDULER_CALLER,
+      notifySource:'watchlist'
+    });
+    const action = result.analysis?.action || {};
+    const target = Number(action.target_price);
+    const changes = recordWatchlistResult({
+      watchlistId,
+      runAt,
+      ticker,
+      baselineDate: date,
+      current:{
+        rating: action.rating || null,
+        target_price: Number.isFinite(target) ? target : null,
+        momentum_trend: result.momentum?.trend || null,
+        momentum_score: result.momentum?.score ?? null,
+        price: result.fetched?.finnhub_summary?.price_meta?.value ?? result.fetched?.finnhub_summary?.quote?.c ?? null
+      }
+    });
+    if(changes.length) console.log(`[watchlist] ${watchlist.name} ${ticker}`, changes.map(c=>`${c.field}: ${c.from} → ${c.to}`).join(', '));
+  }catch(err){
+    // 只有最後一次嘗試失敗才寫入 feed，中間的重試交給佇列處理
+    if(attempt >= maxAttempts || err?.retryable === false){
+      recordWatchlistResult({ watchlistId, runAt, ticker, baselineDate: date, current:null, error: String(err.message || err) });
+    }
+    throw err;
+  }
+}
+
+registerJobHandler('watchlist_member', runWatchlistMember);
+
+// tick 在 setInterval 裡執行，SQLite 寫入失敗等例外都要在這裡接住，否則會讓整個 process 結束
+function scheduleWatchlists(){
+  const tick = ()=>{
+    try{
+      for(const watchlist of listDueWatchlists()){
+        try{
+          runWatchlist(watchlist);
+        }catch(err){
+          console.warn('[watchlist] run failed', watchlist.id, err.message);
+        }
+      }
+    }catch(err){
+      console.warn('[watchlist] tick failed', err.message);
+    }
+  };
+  tick();
+  setInterval(tick, WATCHLIST_TICK_MS);
+}
+
+app.get('/api/watchlists', (req,res)=>{
+  try{
+    res.json({ watchlists: listWatchlists().map(serializeWatchlist) });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.post('/api/watchlists', (req,res)=>{
+  const { value, error } = parseWatchlistBody(req.body || {});
+  if(error) return res.status(400).json({ error });
+  try{
+    const enabled = value.enabled !== false;
+    const watchlist = createWatchlist({
+      ...value,
+      enabled,
+      nextRunAt: enabled ? nextCronRun(value.schedule) : null
+    });
+    res.status(201).json(serializeWatchlist(watchlist));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/watchlists/:id', (req,res)=>{
+  const watchlist = getWatchlist(req.params.id);
+  if(!watchlist) return res.status(404).json({ error:'watchlist not found' });
+  res.json(serializeWatchlist(watchlist));
+});
+
+app.patch('/api/watchlists/:id', (req,res)=>{
+  const watchlist = getWatchlist(req.params.id);
+  if(!watchlist) return res.status(404).json({ error:'watchlist not found' });
+  const { value, error } = parseWatchlistBody(req.body || {}, { partial:true });
+  if(error) return res.status(400).json({ error });
+  const schedule = value.schedule || watchlist.schedule;
+  const enabled = value.enabled ?? watchlist.enabled;
+  // 只重新啟用時也要確認既有排程仍可用
+  const scheduleError = value.schedule === undefined && enabled ? validateWatchlistSchedule(schedule) : null;
+  if(scheduleError) return res.status(400).json({ error: scheduleError });
+  try{
+    // 排程或啟用狀態改變時重新計算下一次執行時間
+    if(value.schedule !== undefined || value.enabled !== undefined){
+      value.next_run_at = enabled ? nextCronRun(schedule) : null;
+    }
+    res.json(serializeWatchlist(updateWatchlist(watchlist.id, value)));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.delete('/api/watchlists/:id', (req,res)=>{
+  if(!deleteWatchlist(req.params.id)) return res.status(404).json({ error:'watchlist not found' });
+  res.json({ ok:true });
+});
+
+app.post('/api/watchlists/:id/run', (req,res)=>{
+  const watchlist = getWatchlist(req.params.id);
+  if(!watchlist) return res.status(404).json({ error:'watchlist not found' });
+  try{
+    const runAt = Date.now();
+    runWatchlist(watchlist, runAt);
+    res.status(202).json({ ...serializeWatchlist(getWatchlist(watchlist.id)), run_at: runAt, queued: watchlist.tickers.length });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/watchlists/:id/changes', (req,res)=>{
+  const watchlist = getWatchlist(req.params.id);
+  if(!watchlist) return res.status(404).json({ error:'watchlist not found' });
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+  const since = req.query.since ? Number(req.query.since) : null;
+  const all = req.query.all === 'true';
+  try{
+    const changes = listWatchlistChanges(watchlist.id, { all, since, limit });
+    res.json({ watchlist: serializeWatchlist(watchlist), all, count: changes.length, changes });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+function buildAnalysisEvents({ ticker, baselineDate, model, source, action, previous, price, lang }){
+  if(!action) return [];
+  const target = toFloat(action.target_price);
+  const base = {
+    ticker,
+    baseline_date: baselineDate,
+    model,
+    source,
+    lang: resolveLang(lang),
+    occurred_at: new Date().toISOString(),
+    price: toFloat(price),
+    rating:{ from: previous?.rating || null, to: action.rating || null },
+    target_price:{ from: previous?.target_price ?? null, to: target },
+    consistency_flag: action.consistency_flag || null,
+    rationale: action.rationale || ''
+  };
+  const events = [];
+  if(previous?.rating && action.rating && previous.rating !== action.rating){
+    events.push({ event:'rating_changed', ...base, previous_baseline_date: previous.baseline_date });
+  }
+  if(action.consistency_flag === 'needs_review'){
+    events.push({ event:'needs_review', ...base });
+  }
+  return events;
+}
+
+function queueWebhookDelivery(deliveryId){
+  enqueueJob({
+    kind:'webhook_delivery',
+    lane:'background',
+    payload:{ deliveryId },
+    dedupeKey:`webhook:${deliveryId}`,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS
+  });
+}
+
+function emitWebhookEvent(event){
+  for(const sub of matchSubscriptions(event.event, event.ticker)){
+    queueWebhookDelivery(createDelivery(sub.id, event));
+  }
+}
+
+function notifyAnalysisEvents(context){
+  try{
+    buildAnalysisEvents(context).forEach(emitWebhookEvent);
+  }catch(err){
+    console.warn('[webhooks] notify failed', context.ticker, err.message);
+  }
+}
+
+registerJobHandler('webhook_delivery', ({ deliveryId }, ctx)=>sendDelivery(deliveryId, ctx));
+
+function parseWebhookBody(body={}, { partial=false }={}){
+  const value = {};
+  if(!partial || body.url !== undefined){
+    let url = null;
+    try{
+      url = new URL(String(body.url || ''));
+    }catch(err){
+      return { error:'valid url required' };
+    }
+    if(url.protocol !== 'http:' && url.protocol !== 'https:') return { error:'url must be http or https' };
+    value.url = url.toString();
+  }
+  if(!partial || body.events !== undefined){
+    const events = Array.isArray(body.events) ? body.events : String(body.events || WEBHOOK_EVENTS.join(',')).split(',');
+    const normalized = Array.from(new Set(events.map(e=>String(e).trim()).filter(Boolean)));
+    const unknown = normalized.find(e=>!WEBHOOK_EVENTS.includes(e));
+    if(!normalized.length || unknown) return { error:`events must be within ${WEBHOOK_EVENTS.join(', ')}` };
+    value.events = normalized;
+  }
+  if(!partial || body.format !== undefined){
+    const format = String(body.format || 'json').toLowerCase();
+    if(!WEBHOOK_FORMATS.includes(format)) return { error:`format must be one of ${WEBHOOK_FORMATS.join(', ')}` };
+    value.format = format;
+  }
+  if(!partial || body.tickers !== undefined) value.tickers = parseWatchlistTickers(body.tickers);
+  if(body.secret !== undefined) value.secret = body.secret ? String(body.secret) : null;
+  if(body.description !== undefined) value.description = body.description ? String(body.description) : null;
+  // 未設定 lang 時 slack / discord 訊息沿用事件的語言
+  if(body.lang !== undefined){
+    if(!isAcceptedLang(body.lang)) return { error:`lang must be one of ${SUPPORTED_LANGS.join(', ')}` };
+    value.lang = normalizeLang(body.lang);
+  }
+  if(body.enabled !== undefined) value.enabled = body.enabled !== false && body.enabled !== 'false';
+  return { value };
+}
+
+app.get('/api/webhooks', (req,res)=>{
+  try{
+    res.json({ events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS, webhooks: listSubscriptions() });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.post('/api/webhooks', (req,res)=>{
+  const { value, error } = parseWebhookBody(req.body || {});
+  if(error) return res.status(400).json({ error });
+  try{
+    res.status(201).json(createSubscription(value));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/webhooks/:id', (req,res)=>{
+  const sub = getSubscription(req.params.id);
+  if(!sub) return res.status(404).json({ error:'webhook not found' });
+  res.json(sub);
+});
+
+app.patch('/api/webhooks/:id', (req,res)=>{
+  if(!getSubscription(req.params.id)) return res.status(404).json({ error:'webhook not found' });
+  const { value, error } = parseWebhookBody(req.body || {}, { partial:true });
+  if(error) return res.status(400).json({ error });
+  try{
+    res.json(updateSubscription(req.params.id, value));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.delete('/api/webhooks/:id', (req,res)=>{
+  if(!deleteSubscription(req.params.id)) return res.status(404).json({ error:'webhook not found' });
+  res.json({ ok:true });
+});
+
+app.get('/api/webhooks/:id/deliveries', (req,res)=>{
+  const sub = getSubscription(req.params.id);
+  if(!sub) return res.status(404).json({ error:'webhook not found' });
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  res.json({ webhook: sub, deliveries: listDeliveries(sub.id, { limit }) });
+});
+
+// 送一筆假事件確認連線、簽章與格式，同樣寫入 delivery log 並走佇列重試
+app.post('/api/webhooks/:id/test', (req,res)=>{
+  const sub = getSubscription(req.params.id);
+  if(!sub) return res.status(404).json({ error:'webhook not found' });
+  const event = String(req.body?.event || sub.events[0] || 'rating_changed');
+  if(!WEBHOOK_EVENTS.includes(event)) return res.status(400).json({ error:`event must be one of ${WEBHOOK_EVENTS.join(', ')}` });
+  try{
+    const deliveryId = createDelivery(sub.id, {
+      event,
+      test: true,
+      ticker: sub.tickers[0] || 'TEST',
+      baseline_date: dayjs().format('YYYY-MM-DD'),
+      model: resolveModelName(),
+      source:'test',
+      lang: sub.lang || DEFAULT_LANG,
+      occurred_at: new Date().toISOString(),
+      price: 100,
+      rating:{ from:'HOLD', to:'BUY' },
+      target_price:{ from:105, to:120 },
+      consistency_flag: event === 'needs_review' ? 'needs_review' : null,
+      rationale: t(sub.lang || DEFAULT_LANG, 'webhook.test_rationale')
+    });
+    queueWebhookDelivery(deliveryId);
+    res.status(202).json({ delivery_id: deliveryId, deliveries_url: `/api/webhooks/${sub.id}/deliveries` });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+// 自我測試
+app.get('/selftest', async (req,res)=>{
+  try{
+    const t='NVDA'; const d=dayjs().format('YYYY-MM-DD');
+    const r = await fetch(`http://localhost:${PORT}/api/analyze`,{
+      method:'POST', headers:{'Content-Type':'application/json'},
+      body: JSON.stringify({ticker:t, date:d})
+    });
+    const j = await r.json();
+    return res.status(r.status).json(j);
+  }catch(err){ return errRes(res, err); }
 });
 
 app.listen(PORT, ()=> console.log(`🚀 http://localhost:${PORT}`));
+warnUnpricedBudgetModels();
+resumePendingJobs();
+schedulePurges();
 schedulePrewarm();
+scheduleWatchlists();
+
+// 查不到價格的模型在帳本記為未定價（cost_usd 為 NULL），不計入 USD 上限；設了上限時啟動就提醒
+function warnUnpricedBudgetModels(){
+  if(!hasUsdBudget()) return;
+  const refs = new Set([...PRIMARY_MODEL_LIST, OPENAI_SECONDARY_MODEL, getRepairModel()]);
+  LLM_TASKS.forEach(task=>{
+    const route = resolveTaskModel(task, null);
+    if(route) refs.add(route);
+  });
+  const unpriced = Array.from(refs).filter(ref=>{
+    if(!ref) return false;
+    const { vendor, model } = parseModelRef(ref);
+    return !getPricing(vendor, model);
+  });
+  if(unpriced.length){
+    console.warn(`[budget] USD caps are set but these models have no pricing and will not count toward them: ${unpriced.join(', ')} (set LLM_PRICING_JSON)`);
+  }
+}
+
+// 已完成的任務、批次、webhook 投遞紀錄與 LLM 帳本：啟動時清一次，之後每 RETENTION_PURGE_INTERVAL_HOURS 小時清一次
+function schedulePurges(){
+  const run = ()=>{
+    try{
+      const purgedJobs = purgeFinishedJobs(JOB_RETENTION_MS);
+      if(purgedJobs) console.log(`[jobs] purged ${purgedJobs} finished jobs`);
+      const purgedBatches = purgeFinishedBatches(BATCH_RETENTION_MS);
+      if(purgedBatches) console.log(`[batch] purged ${purgedBatches} finished batches`);
+      const purgedDeliveries = purgeDeliveries(WEBHOOK_RETENTION_MS);
+      if(purgedDeliveries) console.log(`[webhooks] purged ${purgedDeliveries} delivery logs`);
+      const purgedLlmCalls = purgeLlmCalls(LLM_USAGE_RETENTION_MS);
+      if(purgedLlmCalls) console.log(`[usage] purged ${purgedLlmCalls} llm call records`);
+    }catch(err){
+      console.warn('[purge]', err.message);
+    }
+  };
+  run();
+  setInterval(run, RETENTION_PURGE_INTERVAL_MS).unref?.();
+}
 
 function schedulePrewarm(){
   if(!PREWARM_TICKERS.length) return;
   const intervalMs = Math.max(1, PREWARM_INTERVAL_HOURS) * 60 * 60 * 1000;
-  const run = async ()=>{
+  const run = ()=>{
+    const date = dayjs().format('YYYY-MM-DD');
     for(const ticker of PREWARM_TICKERS){
       try{
-        await performAnalysis(ticker, dayjs().format('YYYY-MM-DD'), {
-          model: resolveModelName(),
-          skipLlm: !PREWARM_INCLUDE_LLM
+        enqueueJob({
+          kind:'refresh_analysis',
+          lane:'prewarm',
+          payload:{ ticker, date, skipLlm: !PREWARM_INCLUDE_LLM },
+          dedupeKey:`prewarm:${ticker.toUpperCase()}:${date}`
         });
       }catch(err){
         console.warn('[prewarm]', ticker, err.message);